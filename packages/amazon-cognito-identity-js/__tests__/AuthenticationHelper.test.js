@@ -4,6 +4,11 @@ import BigInteger from '../src/BigInteger';
 import { SHA256 } from 'crypto-js';
 import { promisifyCallback } from './util';
 import { bigIntError } from './constants';
+import { setSrpBackend } from '../src/utils/srpBackend';
+import { InvalidParameterError } from '../src/CognitoError';
+
+// The tests mock the modPow of BigInteger, see srpBackend.test.js for BigInt
+setSrpBackend('BigInteger');
 const instance = new AuthenticationHelper('TestPoolName');
 
 describe('AuthenticatorHelper for padHex ', () => {
@@ -815,6 +820,18 @@ describe('getPasswordAuthKey()', () => {
 		});
 	});
 
+	test('A bad server value is an InvalidParameterError', () => {
+		expect(() =>
+			instance.getPasswordAuthenticationKey(
+				username,
+				password,
+				badServerValue,
+				salt,
+				() => {}
+			)
+		).toThrow(InvalidParameterError);
+	});
+
 	test('Getting a U Value of zero', async () => {
 		jest
 			.spyOn(AuthenticationHelper.prototype, 'calculateU')
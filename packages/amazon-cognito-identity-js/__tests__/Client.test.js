@@ -1,4 +1,6 @@
 import Client from '../src/Client';
+import RetryPolicy from '../src/RetryPolicy';
+import { RequestTimeoutError } from '../src/CognitoError';
 import { promisifyCallback } from './util';
 import { region, endpoint, networkError } from './constants';
 import { netRequestMockSuccess } from '../__mocks__/mocks';
@@ -105,4 +107,323 @@ describe('Client unit test suite', () => {
 			expect(fetch).toHaveBeenCalledWith(MOCK_ENDPOINT, expect.any(Object));
 		});
 	});
+
+	describe('Interceptors, timeouts and cancellation', () => {
+		const okResponse = data => ({ ok: true, json: async () => data });
+		const request = (client, requestOptions) =>
+			new Promise((resolve, reject) =>
+				client.request(
+					'InitiateAuth',
+					{ ClientId: 'id' },
+					(err, data) => (err ? reject(err) : resolve(data)),
+					requestOptions
+				)
+			);
+		// Never resolves unless the request is aborted
+		const hangingFetch = () =>
+			jest
+				.spyOn(window, 'fetch')
+				.mockImplementation(
+					(url, options) =>
+						new Promise((resolve, reject) =>
+							options.signal.addEventListener('abort', () =>
+								reject(new Error('aborted'))
+							)
+						)
+				);
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('beforeRequest hooks can change the request, in order', async () => {
+			const calls = [];
+			const client = new Client(
+				region,
+				endpoint,
+				{},
+				{
+					interceptors: [
+						{
+							beforeRequest: req => {
+								calls.push('first');
+								req.options.headers['X-Trace-Id'] = 'trace';
+							},
+						},
+						{
+							beforeRequest: async req => {
+								calls.push('second');
+								return Object.assign({}, req, { url: 'https://proxy/' });
+							},
+							afterResponse: (response, req) => {
+								calls.push(req.url);
+							},
+						},
+					],
+				}
+			);
+			jest.spyOn(window, 'fetch').mockResolvedValue(okResponse({}));
+
+			await request(client);
+
+			expect(calls).toEqual(['first', 'second', 'https://proxy/']);
+			expect(fetch).toHaveBeenCalledWith(
+				'https://proxy/',
+				expect.objectContaining({
+					headers: expect.objectContaining({ 'X-Trace-Id': 'trace' }),
+				})
+			);
+		});
+
+		test('afterResponse hooks see and can replace the response, in reverse order', async () => {
+			const calls = [];
+			const client = new Client(region, endpoint, {});
+			client.use({
+				afterResponse: response => {
+					calls.push(['outer', response]);
+				},
+			});
+			client.use({
+				afterResponse: (response, req) => {
+					calls.push(['inner', response, req.operation]);
+					return { data: { replaced: true } };
+				},
+			});
+			jest.spyOn(window, 'fetch').mockResolvedValue(okResponse({ a: 1 }));
+
+			await expect(request(client)).resolves.toEqual({ replaced: true });
+			expect(calls).toEqual([
+				['inner', { error: null, data: { a: 1 } }, 'InitiateAuth'],
+				['outer', { data: { replaced: true } }],
+			]);
+		});
+
+		test('an error thrown by a beforeRequest hook fails the request', async () => {
+			const afterResponse = jest.fn();
+			const client = new Client(
+				region,
+				endpoint,
+				{},
+				{
+					interceptors: [
+						{
+							beforeRequest: () => {
+								throw new Error('Not allowed');
+							},
+							afterResponse,
+						},
+					],
+				}
+			);
+			jest.spyOn(window, 'fetch');
+
+			await expect(request(client)).rejects.toThrow('Not allowed');
+			expect(fetch).not.toHaveBeenCalled();
+			expect(afterResponse).toHaveBeenCalledWith(
+				{ error: new Error('Not allowed'), data: undefined },
+				expect.objectContaining({ operation: 'InitiateAuth' })
+			);
+		});
+
+		test('removing an interceptor stops calling it', async () => {
+			const client = new Client(region, endpoint, {});
+			const beforeRequest = jest.fn();
+			client.use({ beforeRequest })();
+			jest.spyOn(window, 'fetch').mockResolvedValue(okResponse({}));
+
+			await request(client);
+
+			expect(beforeRequest).not.toHaveBeenCalled();
+		});
+
+		test('fails with a TimeoutError after the request timeout', async () => {
+			const client = new Client(region, endpoint, {});
+			hangingFetch();
+
+			const error = await request(client, { timeout: 10 }).catch(err => err);
+
+			expect(error).toBeInstanceOf(RequestTimeoutError);
+			expect(error).toMatchObject({
+				code: 'TimeoutError',
+				name: 'TimeoutError',
+				message: 'InitiateAuth did not complete within 10 ms.',
+				retryable: true,
+			});
+			expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+		});
+
+		test('applies the default timeout of the client', async () => {
+			const client = new Client(region, endpoint, {}, { timeout: 10 });
+			hangingFetch();
+
+			await expect(
+				client.promisifyRequest('InitiateAuth', {})
+			).rejects.toMatchObject({ code: 'TimeoutError' });
+		});
+
+		test('fails with an AbortError when the signal is aborted', async () => {
+			const client = new Client(region, endpoint, {});
+			const controller = new AbortController();
+			hangingFetch();
+
+			const pending = request(client, { signal: controller.signal });
+			controller.abort();
+
+			await expect(pending).rejects.toMatchObject({ code: 'AbortError' });
+			expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+		});
+
+		test('does not send a request whose signal is already aborted', async () => {
+			const client = new Client(region, endpoint, {});
+			const controller = new AbortController();
+			controller.abort();
+			jest.spyOn(window, 'fetch');
+
+			await expect(
+				request(client, { signal: controller.signal })
+			).rejects.toMatchObject({ code: 'AbortError' });
+			expect(fetch).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Retry policy', () => {
+		const errorResponse = (status, type, headers = {}) => ({
+			ok: false,
+			status,
+			headers: { get: name => headers[name] || null },
+			json: async () => ({ __type: type }),
+		});
+		const okResponse = { ok: true, json: async () => ({ done: true }) };
+		let delays;
+		let pending;
+		const clock = {
+			now: () => 0,
+			setTimeout: (callback, delay) => {
+				delays.push(delay);
+				pending.push(callback);
+			},
+		};
+		// Runs the retries waiting on the clock until the request settles
+		const settle = async promise => {
+			let result;
+			let done = false;
+			promise.then(
+				value => {
+					result = { value };
+					done = true;
+				},
+				error => {
+					result = { error };
+					done = true;
+				}
+			);
+			for (let i = 0; i < 20 && !done; i += 1) {
+				await new Promise(resolve => setTimeout(resolve, 0));
+				if (pending.length) {
+					pending.shift()();
+				}
+			}
+			return result;
+		};
+		const createClient = options =>
+			new Client(
+				region,
+				endpoint,
+				{},
+				{
+					retryPolicy: new RetryPolicy(Object.assign({ clock }, options)),
+				}
+			);
+
+		beforeEach(() => {
+			delays = [];
+			pending = [];
+			jest.spyOn(Math, 'random').mockReturnValue(0);
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('retries a throttled request', async () => {
+			jest
+				.spyOn(window, 'fetch')
+				.mockResolvedValueOnce(errorResponse(400, 'TooManyRequestsException'))
+				.mockResolvedValueOnce(okResponse);
+
+			const result = await settle(
+				createClient().promisifyRequest('InitiateAuth', {})
+			);
+
+			expect(result).toEqual({ value: { done: true } });
+			expect(fetch).toHaveBeenCalledTimes(2);
+			expect(delays).toEqual([100]);
+		});
+
+		test('never retries a rejected code', async () => {
+			jest
+				.spyOn(window, 'fetch')
+				.mockResolvedValue(errorResponse(400, 'CodeMismatchException'));
+
+			const result = await settle(
+				createClient().promisifyRequest('ConfirmSignUp', {})
+			);
+
+			expect(result.error).toMatchObject({
+				code: 'CodeMismatchException',
+				statusCode: 400,
+			});
+			expect(fetch).toHaveBeenCalledTimes(1);
+		});
+
+		test('waits for the Retry-After header', async () => {
+			jest
+				.spyOn(window, 'fetch')
+				.mockResolvedValueOnce(
+					errorResponse(429, 'TooManyRequestsException', { 'retry-after': '2' })
+				)
+				.mockResolvedValueOnce(okResponse);
+
+			await settle(createClient().promisifyRequest('InitiateAuth', {}));
+
+			expect(delays).toEqual([2000]);
+		});
+
+		test('gives up after the maximum attempts', async () => {
+			jest
+				.spyOn(window, 'fetch')
+				.mockResolvedValue(errorResponse(500, 'InternalErrorException'));
+
+			const result = await settle(
+				createClient({ maxAttempts: 4 }).promisifyRequest('GetUser', {})
+			);
+
+			expect(result.error).toMatchObject({
+				code: 'InternalErrorException',
+				statusCode: 500,
+			});
+			expect(fetch).toHaveBeenCalledTimes(4);
+			expect(delays).toEqual([100, 200, 400]);
+		});
+
+		test('stops retrying once the request is aborted', async () => {
+			const controller = new AbortController();
+			jest
+				.spyOn(window, 'fetch')
+				.mockResolvedValue(errorResponse(503, 'ServiceUnavailable'));
+			const client = createClient();
+
+			const promise = client.promisifyRequest(
+				'GetUser',
+				{},
+				{ signal: controller.signal }
+			);
+			await new Promise(resolve => setTimeout(resolve, 0));
+			controller.abort();
+			const result = await settle(promise);
+
+			expect(result.error).toMatchObject({ code: 'AbortError' });
+			expect(fetch).toHaveBeenCalledTimes(1);
+		});
+	});
 });
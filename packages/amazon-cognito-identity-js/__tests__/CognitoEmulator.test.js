@@ -0,0 +1,383 @@
+import crypto from 'crypto';
+
+import { CognitoEmulator, generateTotp, verifyTotp } from '../src/emulator';
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoJwtVerifier from '../src/CognitoJwtVerifier';
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserAttribute from '../src/CognitoUserAttribute';
+import {
+	CodeMismatchError,
+	NotAuthorizedError,
+	UserNotConfirmedError,
+	UserNotFoundError,
+} from '../src/CognitoError';
+import { createPoolFor } from './util';
+
+const password = 'Passw0rd!';
+
+describe('CognitoEmulator', () => {
+	jest.setTimeout(60 * 1000);
+
+	let emulator;
+	let ids;
+	let userPool;
+
+	const setUp = (poolOptions, clientOptions = {}) => {
+		ids = emulator.createUserPool(poolOptions);
+		userPool = createPoolFor(emulator, ids, clientOptions);
+	};
+
+	const userFor = (username, flow) => {
+		const user = new CognitoUser({
+			Username: username,
+			Pool: userPool,
+			Storage: userPool.storage,
+		});
+		if (flow) {
+			user.setAuthenticationFlowType(flow);
+		}
+		return user;
+	};
+
+	const details = (username, pass = password) =>
+		new AuthenticationDetails({ Username: username, Password: pass });
+
+	beforeEach(() => {
+		emulator = new CognitoEmulator();
+	});
+
+	test('signs up, confirms and signs in with SRP', async () => {
+		setUp();
+		const {
+			user,
+			userConfirmed,
+			codeDeliveryDetails,
+		} = await userPool.signUpAsync('alice', password, [
+			new CognitoUserAttribute({ Name: 'email', Value: 'alice@example.com' }),
+		]);
+		expect(userConfirmed).toBe(false);
+		expect(codeDeliveryDetails).toEqual({
+			AttributeName: 'email',
+			DeliveryMedium: 'EMAIL',
+			Destination: 'a***@e***.com',
+		});
+
+		await expect(user.authenticateUserAsync(details('alice'))).rejects.toThrow(
+			UserNotConfirmedError
+		);
+		await user.confirmRegistrationAsync(
+			emulator.getLastCode(ids.UserPoolId, 'alice')
+		);
+
+		const result = await user.authenticateUserAsync(details('alice'));
+
+		expect(result.type).toBe('success');
+		const verifier = new CognitoJwtVerifier({
+			UserPoolId: ids.UserPoolId,
+			ClientId: ids.ClientId,
+			jwks: emulator.getJwks(ids.UserPoolId),
+		});
+		const claims = await verifier.verify(result.session.getIdToken(), 'id');
+		expect(claims).toMatchObject({
+			'cognito:username': 'alice',
+			email: 'alice@example.com',
+			email_verified: true,
+		});
+		expect(emulator.getUser(ids.UserPoolId, 'alice').status).toBe('CONFIRMED');
+	});
+
+	test('rejects wrong credentials with the errors of the service', async () => {
+		setUp();
+		emulator.createUser(ids.UserPoolId, 'bob', { password });
+
+		await expect(
+			userFor('bob').authenticateUserAsync(details('bob', 'Wr0ngPass!'))
+		).rejects.toThrow(NotAuthorizedError);
+		await expect(
+			userFor('nobody', 'USER_PASSWORD_AUTH').authenticateUserAsync(
+				details('nobody')
+			)
+		).rejects.toThrow(UserNotFoundError);
+	});
+
+	test('refreshes sessions and revokes them on global sign out', async () => {
+		setUp();
+		emulator.createUser(ids.UserPoolId, 'carol', { password });
+		const user = userFor('carol', 'USER_PASSWORD_AUTH');
+		const { session } = await user.authenticateUserAsync(details('carol'));
+
+		const refreshed = await user.refreshSessionAsync(session.getRefreshToken());
+		expect(refreshed.getAccessToken().getJwtToken()).not.toBe(
+			session.getAccessToken().getJwtToken()
+		);
+		expect(refreshed.getRefreshToken().getToken()).toBe(
+			session.getRefreshToken().getToken()
+		);
+
+		await user.globalSignOutAsync();
+		user.setSignInUserSession(refreshed);
+		await expect(user.getUserAttributesAsync()).rejects.toMatchObject({
+			code: 'NotAuthorizedException',
+			message: 'Access Token has been revoked',
+		});
+	});
+
+	test('enrolls and answers TOTP MFA', async () => {
+		setUp();
+		emulator.createUser(ids.UserPoolId, 'dave', { password });
+		const user = userFor('dave', 'USER_PASSWORD_AUTH');
+		await user.authenticateUserAsync(details('dave'));
+
+		const secret = await user.associateSoftwareTokenAsync();
+		await expect(
+			user.verifySoftwareTokenAsync('000000', 'phone')
+		).rejects.toMatchObject({ code: 'EnableSoftwareTokenMFAException' });
+		await user.verifySoftwareTokenAsync(generateTotp(secret), 'phone');
+		await user.setUserMfaPreferenceAsync(null, {
+			Enabled: true,
+			PreferredMfa: true,
+		});
+
+		const next = userFor('dave', 'USER_PASSWORD_AUTH');
+		const challenge = await next.authenticateUserAsync(details('dave'));
+		expect(challenge.type).toBe('totpRequired');
+		const result = await next.sendMFACodeAsync(
+			generateTotp(secret),
+			'SOFTWARE_TOKEN_MFA'
+		);
+		expect(result.type).toBe('success');
+	});
+
+	test('answers SMS MFA with the delivered code', async () => {
+		setUp({ mfaConfiguration: 'ON' });
+		emulator.createUser(ids.UserPoolId, 'erin', {
+			password,
+			attributes: { phone_number: '+15555550100' },
+		});
+		const user = userFor('erin', 'USER_PASSWORD_AUTH');
+
+		const challenge = await user.authenticateUserAsync(details('erin'));
+		expect(challenge).toMatchObject({
+			type: 'mfaRequired',
+			challengeParameters: {
+				CODE_DELIVERY_DELIVERY_MEDIUM: 'SMS',
+				CODE_DELIVERY_DESTINATION: '+*******0100',
+			},
+		});
+		await expect(user.sendMFACodeAsync('000000')).rejects.toThrow(
+			CodeMismatchError
+		);
+		const result = await user.sendMFACodeAsync(
+			emulator.getLastCode(ids.UserPoolId, 'erin')
+		);
+		expect(result.type).toBe('success');
+	});
+
+	test('remembers devices and skips MFA with device SRP', async () => {
+		setUp({
+			mfaConfiguration: 'ON',
+			deviceTracking: { DeviceOnlyRememberedOnUserPrompt: false },
+		});
+		emulator.createUser(ids.UserPoolId, 'frank', {
+			password,
+			attributes: { phone_number: '+15555550101' },
+		});
+		const user = userFor('frank');
+		await user.authenticateUserAsync(details('frank'));
+		await user.sendMFACodeAsync(emulator.getLastCode(ids.UserPoolId, 'frank'));
+
+		const { Devices } = await user.listDevicesAsync(10, null);
+		expect(Devices).toHaveLength(1);
+		expect(emulator.getUser(ids.UserPoolId, 'frank').devices).toEqual([
+			expect.objectContaining({ confirmed: true, status: 'remembered' }),
+		]);
+
+		const result = await userFor('frank').authenticateUserAsync(
+			details('frank')
+		);
+		expect(result.type).toBe('success');
+		expect(result.session.getAccessToken().decodePayload().device_key).toBe(
+			Devices[0].DeviceKey
+		);
+	});
+
+	test('signs in again with MFA when the remembered device is invalid', async () => {
+		setUp({
+			mfaConfiguration: 'ON',
+			deviceTracking: { DeviceOnlyRememberedOnUserPrompt: false },
+		});
+		emulator.createUser(ids.UserPoolId, 'ivan', {
+			password,
+			attributes: { phone_number: '+15555550102' },
+		});
+		const signIn = async flow => {
+			const user = userFor('ivan', flow);
+			const deviceInvalidated = jest.fn();
+			user.on('deviceInvalidated', deviceInvalidated);
+			const result = await user.authenticateUserAsync(details('ivan'));
+			return { user, result, deviceInvalidated };
+		};
+		const remember = async () => {
+			const { user } = await signIn();
+			await user.sendMFACodeAsync(emulator.getLastCode(ids.UserPoolId, 'ivan'));
+			return user.deviceKey;
+		};
+		const passwordKey = `CognitoIdentityServiceProvider.${ids.ClientId}.ivan.randomPasswordKey`;
+
+		const first = await remember();
+		userPool.storage.setItem(passwordKey, 'corrupted');
+		const corrupted = await signIn();
+
+		expect(corrupted.deviceInvalidated).toHaveBeenCalledWith({
+			deviceKey: first,
+			error: expect.objectContaining({ code: 'NotAuthorizedException' }),
+		});
+		expect(corrupted.result.type).toBe('mfaRequired');
+		expect(userPool.storage.getItem(passwordKey)).toBeNull();
+
+		await corrupted.user.sendMFACodeAsync(
+			emulator.getLastCode(ids.UserPoolId, 'ivan')
+		);
+		const second = corrupted.user.deviceKey;
+		// Forgotten by another client, still cached here
+		await corrupted.user.forgetSpecificDeviceAsync(second);
+		const forgotten = await signIn('USER_PASSWORD_AUTH');
+
+		expect(forgotten.deviceInvalidated).toHaveBeenCalledWith({
+			deviceKey: second,
+			error: expect.objectContaining({ code: 'ResourceNotFoundException' }),
+		});
+		expect(forgotten.result.type).toBe('mfaRequired');
+	});
+
+	test('runs the custom auth triggers', async () => {
+		setUp();
+		emulator.createUser(ids.UserPoolId, 'hank', { password });
+		await expect(
+			userFor('hank').initiateAuthAsync(details('hank'))
+		).rejects.toMatchObject({ code: 'InvalidParameterException' });
+
+		setUp({
+			triggers: {
+				defineAuthChallenge: event => {
+					event.response.challengeName = 'CUSTOM_CHALLENGE';
+					event.response.issueTokens = event.request.session.length > 0;
+					return event;
+				},
+				createAuthChallenge: () => {
+					throw new Error('No email address');
+				},
+				verifyAuthChallengeResponse: event => event,
+			},
+		});
+		emulator.createUser(ids.UserPoolId, 'hank', { password });
+		await expect(
+			userFor('hank').initiateAuthAsync(details('hank'))
+		).rejects.toMatchObject({
+			code: 'UserLambdaValidationException',
+			message: 'CreateAuthChallenge failed with error No email address.',
+		});
+	});
+
+	test('signs the requests of an app client with a secret', async () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const clientSecret = 'k3bq0t2dd8f0m2l1n7r4s6vhx9jc5g';
+		setUp({ clientSecret }, { ClientSecret: clientSecret });
+		expect(warn).toHaveBeenCalledWith(
+			expect.stringContaining('A ClientSecret is used in a browser')
+		);
+		warn.mockRestore();
+		expect(userPool.getSecretHash('alice')).toBe(
+			crypto
+				.createHmac('sha256', clientSecret)
+				.update(`alice${ids.ClientId}`)
+				.digest('base64')
+		);
+
+		const { user } = await userPool.signUpAsync('alice', password, [
+			new CognitoUserAttribute({ Name: 'email', Value: 'alice@example.com' }),
+		]);
+		await user.resendConfirmationCodeAsync();
+		await user.confirmRegistrationAsync(
+			emulator.getLastCode(ids.UserPoolId, 'alice')
+		);
+		const { session } = await user.authenticateUserAsync(details('alice'));
+		await user.refreshSessionAsync(session.getRefreshToken());
+		await user.forgotPasswordAsync();
+		await user.confirmPasswordAsync(
+			emulator.getLastCode(ids.UserPoolId, 'alice'),
+			'N3wPassw0rd!'
+		);
+		await expect(
+			userFor('alice', 'USER_PASSWORD_AUTH').authenticateUserAsync(
+				details('alice', 'N3wPassw0rd!')
+			)
+		).resolves.toMatchObject({ type: 'success' });
+
+		setUp({ clientSecret });
+		emulator.createUser(ids.UserPoolId, 'bob', { password });
+		await expect(
+			userFor('bob').authenticateUserAsync(details('bob'))
+		).rejects.toMatchObject({
+			code: 'NotAuthorizedException',
+			message: `Client ${ids.ClientId} is configured for secret but secret was not received`,
+		});
+		setUp({ clientSecret }, { ClientSecret: 'wrong' });
+		emulator.createUser(ids.UserPoolId, 'bob', { password });
+		await expect(userPool.signUpAsync('carol', password)).rejects.toMatchObject(
+			{
+				message: `Unable to verify secret hash for client ${ids.ClientId}`,
+			}
+		);
+	});
+
+	test('serves the same protocol over HTTP', async () => {
+		const endpoint = await emulator.listen();
+		try {
+			setUp(undefined, { fetch: undefined, endpoint });
+			emulator.createUser(ids.UserPoolId, 'grace', {
+				password,
+				attributes: { email: 'grace@example.com' },
+			});
+			const user = userFor('grace', 'USER_PASSWORD_AUTH');
+
+			await user.authenticateUserAsync(details('grace'));
+			const attributes = await user.getUserAttributesAsync();
+
+			expect(
+				attributes.find(attribute => attribute.getName() === 'email').getValue()
+			).toBe('grace@example.com');
+			const jwks = await fetch(
+				`${endpoint}${ids.UserPoolId}/.well-known/jwks.json`
+			).then(response => response.json());
+			expect(jwks).toEqual(emulator.getJwks(ids.UserPoolId));
+		} finally {
+			await emulator.close();
+		}
+	});
+});
+
+describe('TOTP codes', () => {
+	// RFC 6238 test vectors, with the SHA-1 secret "12345678901234567890"
+	const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+	test.each([
+		[59, '94287082'],
+		[1111111109, '07081804'],
+		[1234567890, '89005924'],
+		[20000000000, '65353130'],
+	])('generates the code at %i', (seconds, code) => {
+		expect(generateTotp(secret, { time: seconds * 1000, digits: 8 })).toBe(
+			code
+		);
+	});
+
+	test('accepts the codes of the adjacent steps only', () => {
+		const time = 1234567890 * 1000;
+		const code = generateTotp(secret, { time: time - 30 * 1000 });
+
+		expect(verifyTotp(code, secret, { time })).toBe(true);
+		expect(verifyTotp(code, secret, { time: time + 30 * 1000 })).toBe(false);
+		expect(verifyTotp(code, secret, { time, window: 0 })).toBe(false);
+	});
+});
@@ -0,0 +1,111 @@
+import Client from '../src/Client';
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserPool from '../src/CognitoUserPool';
+import RetryPolicy from '../src/RetryPolicy';
+import CognitoError, {
+	CodeMismatchError,
+	LimitExceededError,
+	NetworkError,
+	PasswordResetRequiredError,
+	TooManyRequestsError,
+	UserNotAuthenticatedError,
+	UserNotFoundError,
+	toCognitoError,
+} from '../src/CognitoError';
+import { clientId, endpoint, region, userPoolId } from './constants';
+
+describe('CognitoError', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test.each([
+		['UserNotFoundException', UserNotFoundError],
+		['CodeMismatchException', CodeMismatchError],
+		['PasswordResetRequiredException', PasswordResetRequiredError],
+		['LimitExceededException', LimitExceededError],
+		['ThrottlingException', TooManyRequestsError],
+		['NetworkError', NetworkError],
+		['SomeNewException', CognitoError],
+	])('maps the code %s to its class', (code, ErrorClass) => {
+		const error = toCognitoError({ code, message: 'failed' });
+
+		expect(error).toBeInstanceOf(ErrorClass);
+		expect(error).toBeInstanceOf(CognitoError);
+		expect(error).toBeInstanceOf(Error);
+		expect(error).toMatchObject({ code, name: code, message: 'failed' });
+	});
+
+	test('subclasses default to their own code', () => {
+		const error = new LimitExceededError('Attempt limit exceeded');
+
+		expect(error.code).toBe('LimitExceededException');
+		expect(error.retryable).toBe(false);
+	});
+
+	test('flags the errors the default retry policy retries', () => {
+		expect(new NetworkError('Network error').retryable).toBe(true);
+		expect(
+			new CognitoError('Service unavailable', { statusCode: 503 }).retryable
+		).toBe(RetryPolicy.isRetryableError({ statusCode: 503 }));
+		expect(new CodeMismatchError('Invalid code').retryable).toBe(false);
+	});
+
+	test('keeps an error that is already a CognitoError', () => {
+		const error = new UserNotFoundError('User does not exist.');
+
+		expect(toCognitoError(error)).toBe(error);
+	});
+
+	test('service errors carry the status code and the request id', async () => {
+		const client = new Client(region, endpoint, {});
+		jest.spyOn(window, 'fetch').mockResolvedValue({
+			ok: false,
+			status: 400,
+			headers: {
+				get: name => (name === 'x-amzn-requestid' ? 'request-id' : null),
+			},
+			json: async () => ({
+				__type: 'UserNotFoundException',
+				message: 'User does not exist.',
+			}),
+		});
+
+		const error = await client
+			.promisifyRequest('InitiateAuth', {})
+			.catch(err => err);
+
+		expect(error).toBeInstanceOf(UserNotFoundError);
+		expect(error).toMatchObject({
+			code: 'UserNotFoundException',
+			message: 'User does not exist.',
+			statusCode: 400,
+			requestId: 'request-id',
+			retryable: false,
+		});
+	});
+
+	test('callbacks receive the typed errors', done => {
+		const client = new Client(region, endpoint, {});
+		jest.spyOn(window, 'fetch').mockRejectedValue(new TypeError('offline'));
+
+		client.request('InitiateAuth', {}, err => {
+			expect(err).toBeInstanceOf(NetworkError);
+			expect(err.retryable).toBe(true);
+			done();
+		});
+	});
+
+	test('local failures of a user are typed too', done => {
+		const user = new CognitoUser({
+			Username: 'username',
+			Pool: new CognitoUserPool({ UserPoolId: userPoolId, ClientId: clientId }),
+		});
+
+		user.getUserAttributes(err => {
+			expect(err).toBeInstanceOf(UserNotAuthenticatedError);
+			expect(err.message).toBe('User is not authenticated');
+			done();
+		});
+	});
+});
@@ -0,0 +1,305 @@
+import CognitoJwtVerifier from '../src/CognitoJwtVerifier';
+import CognitoIdToken from '../src/CognitoIdToken';
+import CognitoError, { JwtVerificationError } from '../src/CognitoError';
+import { clientId, userPoolId } from './constants';
+
+const nodeCrypto = require('crypto');
+
+const issuer = `https://cognito-idp.us-east-1.amazonaws.com/${userPoolId}`;
+const { privateKey, publicKey } = nodeCrypto.generateKeyPairSync('rsa', {
+	modulusLength: 2048,
+});
+const otherKeys = nodeCrypto.generateKeyPairSync('rsa', {
+	modulusLength: 2048,
+});
+const jwk = {
+	...publicKey.export({ format: 'jwk' }),
+	kid: 'kid1',
+	alg: 'RS256',
+	use: 'sig',
+};
+const jwks = { keys: [jwk] };
+
+const base64Url = value =>
+	Buffer.from(value)
+		.toString('base64')
+		.replace(/=+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+
+const sign = (
+	payload,
+	{ kid = 'kid1', alg = 'RS256', key = privateKey } = {}
+) => {
+	const data = `${base64Url(JSON.stringify({ kid, alg }))}.${base64Url(
+		JSON.stringify(payload)
+	)}`;
+	const signature = nodeCrypto
+		.createSign('RSA-SHA256')
+		.update(data)
+		.sign(key);
+	return `${data}.${base64Url(signature)}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+const idClaims = () => ({
+	sub: 'sub',
+	iss: issuer,
+	aud: clientId,
+	token_use: 'id',
+	'cognito:username': 'username',
+	auth_time: now(),
+	iat: now(),
+	exp: now() + 3600,
+});
+const accessClaims = () => ({
+	sub: 'sub',
+	iss: issuer,
+	client_id: clientId,
+	token_use: 'access',
+	username: 'username',
+	scope: 'aws.cognito.signin.user.admin',
+	auth_time: now(),
+	iat: now(),
+	exp: now() + 3600,
+});
+
+describe('CognitoJwtVerifier constructor', () => {
+	test('requires the user pool and client ids', () => {
+		expect(
+			() => new CognitoJwtVerifier({ UserPoolId: userPoolId })
+		).toThrowError('Both UserPoolId and ClientId are required.');
+	});
+
+	test('rejects an unknown token use', () => {
+		expect(
+			() =>
+				new CognitoJwtVerifier({
+					UserPoolId: userPoolId,
+					ClientId: clientId,
+					tokenUse: 'refresh',
+				})
+		).toThrowError('tokenUse must be either "id" or "access".');
+	});
+});
+
+const backends = {
+	WebCrypto: nodeCrypto.webcrypto,
+	'NodeJS crypto': { createVerify: nodeCrypto.createVerify },
+};
+
+Object.keys(backends).forEach(name => {
+	describe(`CognitoJwtVerifier with ${name}`, () => {
+		const verifier = new CognitoJwtVerifier({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			jwks,
+			crypto: backends[name],
+		});
+
+		const expectCode = (promise, code) =>
+			expect(promise).rejects.toMatchObject({ code });
+
+		test('verifies an id token', async () => {
+			const claims = idClaims();
+			await expect(verifier.verify(sign(claims))).resolves.toEqual(claims);
+			await expect(verifier.verifyIdToken(sign(claims))).resolves.toEqual(
+				claims
+			);
+		});
+
+		test('verifies an access token', async () => {
+			const claims = accessClaims();
+			await expect(verifier.verifyAccessToken(sign(claims))).resolves.toEqual(
+				claims
+			);
+		});
+
+		test('accepts token objects', async () => {
+			const token = new CognitoIdToken({ IdToken: sign(idClaims()) });
+			await expect(verifier.verifyIdToken(token)).resolves.toMatchObject({
+				token_use: 'id',
+			});
+		});
+
+		test('rejects a token of the other use', async () => {
+			await expectCode(
+				verifier.verifyIdToken(sign(accessClaims())),
+				'InvalidTokenUse'
+			);
+			await expectCode(
+				verifier.verifyAccessToken(sign(idClaims())),
+				'InvalidTokenUse'
+			);
+		});
+
+		test('rejects an invalid signature', async () => {
+			await expectCode(
+				verifier.verify(sign(idClaims(), { key: otherKeys.privateKey })),
+				'InvalidSignature'
+			);
+
+			const [header, , signature] = sign(idClaims()).split('.');
+			const forged = base64Url(
+				JSON.stringify({ ...idClaims(), sub: 'someone else' })
+			);
+			await expectCode(
+				verifier.verify(`${header}.${forged}.${signature}`),
+				'InvalidSignature'
+			);
+		});
+
+		test('rejects other algorithms', async () => {
+			const [, payload] = sign(idClaims()).split('.');
+			const header = base64Url(JSON.stringify({ kid: 'kid1', alg: 'none' }));
+			await expectCode(
+				verifier.verify(`${header}.${payload}.`),
+				'InvalidSignature'
+			);
+		});
+
+		test('rejects malformed tokens', async () => {
+			await expectCode(verifier.verify('not a token'), 'MalformedToken');
+			await expectCode(verifier.verify(undefined), 'MalformedToken');
+		});
+
+		test('rejects an unknown key', async () => {
+			await expectCode(
+				verifier.verify(sign(idClaims(), { kid: 'kid2' })),
+				'UnknownKey'
+			);
+		});
+
+		test('rejects another issuer or client', async () => {
+			await expectCode(
+				verifier.verify(sign({ ...idClaims(), iss: 'https://example.com' })),
+				'InvalidIssuer'
+			);
+			await expectCode(
+				verifier.verify(sign({ ...idClaims(), aud: 'other client' })),
+				'InvalidAudience'
+			);
+			await expectCode(
+				verifier.verify(sign({ ...accessClaims(), client_id: 'other client' })),
+				'InvalidAudience'
+			);
+		});
+
+		test('rejects with a JwtVerificationError which is not retryable', async () => {
+			const err = await verifier
+				.verify(sign({ ...idClaims(), exp: now() - 10 }))
+				.catch(e => e);
+			expect(err).toBeInstanceOf(JwtVerificationError);
+			expect(err).toBeInstanceOf(CognitoError);
+			expect(err).toMatchObject({ code: 'TokenExpired', retryable: false });
+		});
+
+		test('checks exp and nbf', async () => {
+			await expectCode(
+				verifier.verify(sign({ ...idClaims(), exp: now() - 10 })),
+				'TokenExpired'
+			);
+			await expectCode(
+				verifier.verify(sign({ ...idClaims(), nbf: now() + 10 })),
+				'TokenNotYetValid'
+			);
+		});
+
+		test('allows a clock tolerance', async () => {
+			const tolerantVerifier = new CognitoJwtVerifier({
+				UserPoolId: userPoolId,
+				ClientId: [clientId],
+				jwks,
+				crypto: backends[name],
+				clockTolerance: 60,
+			});
+			await expect(
+				tolerantVerifier.verify(sign({ ...idClaims(), exp: now() - 10 }))
+			).resolves.toMatchObject({ token_use: 'id' });
+			await expect(
+				tolerantVerifier.verify(sign({ ...idClaims(), nbf: now() + 10 }))
+			).resolves.toMatchObject({ token_use: 'id' });
+		});
+	});
+});
+
+describe('Fetching the JWKS of the user pool', () => {
+	const jwksResponse = body => ({ ok: true, status: 200, json: () => body });
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test('fetches the JWKS once and caches it', async () => {
+		const fetchSpy = jest
+			.spyOn(window, 'fetch')
+			.mockResolvedValue(jwksResponse(jwks));
+		const verifier = new CognitoJwtVerifier({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+		});
+
+		await Promise.all([
+			verifier.verify(sign(idClaims())),
+			verifier.verify(sign(accessClaims())),
+		]);
+		await verifier.verify(sign(idClaims()));
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy).toHaveBeenCalledWith(`${issuer}/.well-known/jwks.json`);
+	});
+
+	test('fetches the JWKS again when the kid is unknown', async () => {
+		const rotatedJwk = {
+			...otherKeys.publicKey.export({ format: 'jwk' }),
+			kid: 'kid2',
+		};
+		const fetchSpy = jest
+			.spyOn(window, 'fetch')
+			.mockResolvedValueOnce(jwksResponse(jwks))
+			.mockResolvedValueOnce(jwksResponse({ keys: [jwk, rotatedJwk] }));
+		const verifier = new CognitoJwtVerifier({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			jwksRefreshCooldown: 0,
+		});
+
+		await verifier.verify(sign(idClaims()));
+		await expect(
+			verifier.verify(
+				sign(idClaims(), { kid: 'kid2', key: otherKeys.privateKey })
+			)
+		).resolves.toMatchObject({ token_use: 'id' });
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+
+	test('does not fetch again within the cooldown', async () => {
+		const fetchSpy = jest
+			.spyOn(window, 'fetch')
+			.mockResolvedValue(jwksResponse(jwks));
+		const verifier = new CognitoJwtVerifier({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+		});
+
+		await verifier.verify(sign(idClaims()));
+		await expect(
+			verifier.verify(sign(idClaims(), { kid: 'kid2' }))
+		).rejects.toMatchObject({ code: 'UnknownKey' });
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	test('reports a failed fetch', async () => {
+		jest
+			.spyOn(window, 'fetch')
+			.mockResolvedValue({ ok: false, status: 500, json: () => ({}) });
+		const verifier = new CognitoJwtVerifier({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+		});
+
+		await expect(verifier.verify(sign(idClaims()))).rejects.toMatchObject({
+			code: 'JwksFetchFailed',
+		});
+	});
+});
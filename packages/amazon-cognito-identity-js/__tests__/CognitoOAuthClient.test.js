@@ -0,0 +1,222 @@
+import CognitoOAuthClient from '../src/CognitoOAuthClient';
+import CognitoUserPool from '../src/CognitoUserPool';
+import CognitoError from '../src/CognitoError';
+import { clientId, userPoolId } from './constants';
+import { createStorage } from './util';
+
+const cryptoJsSha256 = require('crypto-js/sha256');
+const cryptoJsBase64 = require('crypto-js/enc-base64');
+
+const domain = 'myapp.auth.us-east-1.amazoncognito.com';
+const redirectSignIn = 'https://app.example.com/callback';
+
+const base64Url = value =>
+	Buffer.from(value)
+		.toString('base64')
+		.replace(/=+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+const token = payload =>
+	`${base64Url('{"alg":"RS256"}')}.${base64Url(
+		JSON.stringify(payload)
+	)}.signature`;
+const now = Math.floor(Date.now() / 1000);
+const tokens = {
+	id_token: token({
+		'cognito:username': 'google_123',
+		iat: now,
+		exp: now + 60,
+	}),
+	access_token: token({ username: 'google_123', iat: now, exp: now + 60 }),
+	refresh_token: 'refresh',
+	token_type: 'Bearer',
+	expires_in: 3600,
+};
+
+const jsonResponse = (status, data) => ({
+	ok: status < 300,
+	status,
+	json: () => Promise.resolve(data),
+});
+
+const queryOf = url => {
+	const params = {};
+	new URL(url).searchParams.forEach((value, name) => {
+		params[name] = value;
+	});
+	return params;
+};
+
+describe('CognitoOAuthClient', () => {
+	let storage;
+	let pool;
+	let fetchRequest;
+	let oauth;
+
+	beforeEach(() => {
+		storage = createStorage();
+		pool = new CognitoUserPool({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			Storage: storage,
+		});
+		fetchRequest = jest.fn(() => Promise.resolve(jsonResponse(200, tokens)));
+		oauth = new CognitoOAuthClient({
+			Pool: pool,
+			Domain: domain,
+			RedirectSignIn: redirectSignIn,
+			RedirectSignOut: 'https://app.example.com/',
+			fetch: fetchRequest,
+		});
+	});
+
+	test('requires the pool, the domain and the redirect URL', () => {
+		expect(
+			() => new CognitoOAuthClient({ Pool: pool, Domain: domain })
+		).toThrow('Pool, Domain and RedirectSignIn are required.');
+		expect(
+			() =>
+				new CognitoOAuthClient({
+					Pool: pool,
+					Domain: domain,
+					RedirectSignIn: redirectSignIn,
+					ResponseType: 'id_token',
+				})
+		).toThrow('ResponseType must be either "code" or "token".');
+	});
+
+	test('builds an authorize URL with state and a S256 code challenge', async () => {
+		const url = await oauth.getAuthorizeUrl({ identityProvider: 'Google' });
+		const params = queryOf(url);
+
+		expect(url.startsWith(`https://${domain}/oauth2/authorize?`)).toBe(true);
+		expect(params).toMatchObject({
+			redirect_uri: redirectSignIn,
+			response_type: 'code',
+			client_id: clientId,
+			identity_provider: 'Google',
+			scope: 'openid email profile',
+			code_challenge_method: 'S256',
+		});
+		const prefix = `CognitoIdentityServiceProvider.${clientId}`;
+		expect(params.state).toBe(storage.items[`${prefix}.oauthState`]);
+		const verifier = storage.items[`${prefix}.oauthPKCE`];
+		expect(verifier).toMatch(/^[\w.~-]{128}$/);
+		expect(params.code_challenge).toBe(
+			base64Url(
+				Buffer.from(cryptoJsSha256(verifier).toString(cryptoJsBase64), 'base64')
+			)
+		);
+	});
+
+	test('exchanges the code and caches the session', async () => {
+		const authorizeUrl = await oauth.getAuthorizeUrl({
+			customState: '/orders?id=1',
+		});
+		const { state } = queryOf(authorizeUrl);
+		const verifier =
+			storage.items[`CognitoIdentityServiceProvider.${clientId}.oauthPKCE`];
+
+		const result = await oauth.handleRedirect(
+			`${redirectSignIn}?code=abc&state=${state}`
+		);
+
+		expect(fetchRequest).toHaveBeenCalledWith(
+			`https://${domain}/oauth2/token`,
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+				body: `client_id=${clientId}&grant_type=authorization_code&code=abc&redirect_uri=${encodeURIComponent(
+					redirectSignIn
+				)}&code_verifier=${verifier}`,
+			}
+		);
+		expect(result.customState).toBe('/orders?id=1');
+		expect(result.user.getUsername()).toBe('google_123');
+		expect(result.session.getRefreshToken().getToken()).toBe('refresh');
+		expect(pool.getCurrentUser().getUsername()).toBe('google_123');
+		expect(
+			storage.items[
+				`CognitoIdentityServiceProvider.${clientId}.google_123.accessToken`
+			]
+		).toBe(tokens.access_token);
+		expect(Object.keys(storage.items)).not.toContain(
+			`CognitoIdentityServiceProvider.${clientId}.oauthState`
+		);
+	});
+
+	test('signs in with the tokens of the implicit grant', async () => {
+		oauth = new CognitoOAuthClient({
+			Pool: pool,
+			Domain: domain,
+			RedirectSignIn: redirectSignIn,
+			ResponseType: 'token',
+		});
+		const { state, code_challenge } = queryOf(await oauth.getAuthorizeUrl());
+		expect(code_challenge).toBeUndefined();
+
+		const result = await oauth.handleRedirect(
+			`${redirectSignIn}#id_token=${tokens.id_token}&access_token=${tokens.access_token}&state=${state}`
+		);
+
+		expect(fetchRequest).not.toHaveBeenCalled();
+		expect(result.session.isValid()).toBe(true);
+		expect(result.customState).toBeUndefined();
+	});
+
+	test('rejects a response whose state was not issued', async () => {
+		await oauth.getAuthorizeUrl();
+
+		await expect(
+			oauth.handleRedirect(`${redirectSignIn}?code=abc&state=forged`)
+		).rejects.toMatchObject({
+			code: 'InvalidStateException',
+			message: 'Invalid state in OAuth flow.',
+		});
+		expect(fetchRequest).not.toHaveBeenCalled();
+	});
+
+	test('reports the errors of the authorize and token endpoints', async () => {
+		await expect(
+			oauth.handleRedirect(
+				`${redirectSignIn}?error=access_denied&error_description=User+cancelled`
+			)
+		).rejects.toMatchObject({
+			code: 'access_denied',
+			message: 'User cancelled',
+		});
+		await expect(
+			oauth.handleRedirect(
+				`${redirectSignIn}?error=invalid_request&error_description=Invalid+scope+a=b`
+			)
+		).rejects.toMatchObject({
+			code: 'invalid_request',
+			message: 'Invalid scope a=b',
+		});
+
+		const { state } = queryOf(await oauth.getAuthorizeUrl());
+		fetchRequest.mockReturnValueOnce(
+			Promise.resolve(jsonResponse(400, { error: 'invalid_grant' }))
+		);
+		const err = await oauth
+			.handleRedirect(`${redirectSignIn}?code=used&state=${state}`)
+			.catch(e => e);
+		expect(err).toBeInstanceOf(CognitoError);
+		expect(err).toMatchObject({ code: 'invalid_grant', statusCode: 400 });
+	});
+
+	test('ignores URLs which are not a sign in response', async () => {
+		expect(await oauth.handleRedirect(`${redirectSignIn}?page=2`)).toBeNull();
+		expect(
+			await oauth.handleRedirect('https://app.example.com/other?code=abc')
+		).toBeNull();
+	});
+
+	test('builds the logout URL', () => {
+		expect(oauth.getSignOutUrl()).toBe(
+			`https://${domain}/logout?client_id=${clientId}&logout_uri=${encodeURIComponent(
+				'https://app.example.com/'
+			)}`
+		);
+	});
+});
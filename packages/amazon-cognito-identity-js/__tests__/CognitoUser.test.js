@@ -7,6 +7,10 @@ import Client from '../src/Client';
 import CognitoIdToken from '../src/CognitoIdToken';
 import CognitoAccessToken from '../src/CognitoAccessToken';
 import CognitoRefreshToken from '../src/CognitoRefreshToken';
+import {
+	createCognitoError,
+	InvalidDeviceCredentialsError,
+} from '../src/CognitoError';
 
 import {
 	callback,
@@ -30,6 +34,7 @@ import {
 	vRefreshToken,
 	ivRefreshToken,
 } from './constants';
+import { createAsyncStorage } from './util';
 import { CognitoUserSession } from 'amazon-cognito-identity-js';
 
 const minimalData = { UserPoolId: userPoolId, ClientId: clientId };
@@ -130,6 +135,23 @@ describe('getters and setters', () => {
 		// getter after set explicitly
 		expect(user.getAuthenticationFlowType()).toEqual('TEST_FLOW_TYPE');
 	});
+
+	test('request options are passed to every request of the user', () => {
+		const requestOptions = { timeout: 1000 };
+		const requestSpy = jest
+			.spyOn(Client.prototype, 'request')
+			.mockImplementation((...args) => args[2](null, {}));
+		expect(user.getRequestOptions()).toBe(null);
+
+		user.setRequestOptions(requestOptions);
+		user.forgotPassword({ onSuccess: () => {}, onFailure: () => {} });
+		user.setRequestOptions(null);
+		user.forgotPassword({ onSuccess: () => {}, onFailure: () => {} });
+
+		expect(requestSpy.mock.calls[0][3]).toBe(requestOptions);
+		expect(requestSpy.mock.calls[1][3]).toBe(null);
+		requestSpy.mockRestore();
+	});
 });
 
 describe('initiateAuth()', () => {
@@ -661,6 +683,118 @@ describe('getDeviceResponse()', () => {
 			expect(spyon2).toBeCalledTimes(1);
 			expect(callback.onSuccess).toBeCalledWith(user.signInUserSession);
 		});
+
+		describe('device authentication failures', () => {
+			let deviceInvalidated;
+
+			const failDeviceAuth = (code, message) => {
+				jest
+					.spyOn(AuthenticationHelper.prototype, 'getPasswordAuthenticationKey')
+					.mockImplementation((...args) => {
+						args[4](null, 'hkdf value');
+					});
+				clientRequestSpy
+					.mockImplementationOnce((...args) => args[2](null, defaultConfig))
+					.mockImplementationOnce((...args) =>
+						args[2](createCognitoError(message, { code }), null)
+					);
+			};
+
+			beforeEach(() => {
+				deviceInvalidated = jest.fn();
+				user.on('deviceInvalidated', deviceInvalidated);
+			});
+
+			afterEach(() => {
+				user.off('deviceInvalidated', deviceInvalidated);
+			});
+
+			test('forgets the device when its credentials are rejected', async () => {
+				failDeviceAuth(
+					'NotAuthorizedException',
+					'Incorrect username or password.'
+				);
+				const clear = jest.spyOn(user, 'clearCachedDeviceKeyAndPassword');
+
+				user.getDeviceResponse(callback, {});
+				await new Promise(resolve => setTimeout(resolve, 0));
+
+				expect(clear).toBeCalledTimes(1);
+				expect(deviceInvalidated).toBeCalledWith({
+					deviceKey: '123abc',
+					error: expect.objectContaining({ code: 'NotAuthorizedException' }),
+				});
+				expect(callback.onFailure).toBeCalledWith(
+					expect.any(InvalidDeviceCredentialsError)
+				);
+				expect(user.deviceKey).toBeNull();
+			});
+
+			test('signs in again without the device after an MFA step', () => {
+				const signIn = jest
+					.spyOn(user, 'authenticateUserWithFlow')
+					.mockImplementation((details, cb) =>
+						user.authenticateUserInternal(
+							{
+								ChallengeName: 'SMS_MFA',
+								ChallengeParameters: {},
+								Session: 's',
+							},
+							null,
+							cb
+						)
+					);
+				const authCallback = {
+					onSuccess: jest.fn(),
+					onFailure: jest.fn(),
+					mfaRequired: jest.fn(),
+				};
+				const mfaCallback = { onSuccess: jest.fn(), onFailure: jest.fn() };
+				user.authenticateUser(
+					new AuthenticationDetails(authDetailData),
+					authCallback
+				);
+				jest
+					.spyOn(AuthenticationHelper.prototype, 'getLargeAValue')
+					.mockImplementation(cb => cb(null, 12345));
+				clientRequestSpy.mockImplementationOnce((...args) =>
+					args[2](null, { ChallengeName: 'DEVICE_SRP_AUTH' })
+				);
+				failDeviceAuth(
+					'NotAuthorizedException',
+					'Incorrect username or password.'
+				);
+
+				user.sendMFACode('123456', mfaCallback);
+
+				expect(signIn).toBeCalledTimes(2);
+				expect(authCallback.mfaRequired).toBeCalledTimes(2);
+				expect(deviceInvalidated).toBeCalledTimes(1);
+				expect(mfaCallback.onFailure).not.toBeCalled();
+				expect(user.deviceKey).toBeNull();
+			});
+
+			test.each([
+				'Invalid session for the user, session is expired.',
+				'User is disabled.',
+			])(
+				'keeps the device on other NotAuthorized errors: %s',
+				async message => {
+					failDeviceAuth('NotAuthorizedException', message);
+					const clear = jest.spyOn(user, 'clearCachedDeviceKeyAndPassword');
+
+					user.getDeviceResponse(callback, {});
+					await new Promise(resolve => setTimeout(resolve, 0));
+
+					expect(callback.onFailure).toBeCalledWith(
+						expect.objectContaining({ code: 'NotAuthorizedException', message })
+					);
+					expect(clear).not.toBeCalled();
+					expect(deviceInvalidated).not.toBeCalled();
+					expect(user.deviceKey).toBe('123abc');
+				}
+			);
+		});
 	});
 });
 
@@ -1607,3 +1741,207 @@ describe('refreshSession()', () => {
 		);
 	});
 });
+
+describe('Promise-based API', () => {
+	const cognitoUser = new CognitoUser({ ...userDefaults });
+	const authDetails = new AuthenticationDetails(authDetailData);
+
+	afterAll(() => {
+		jest.restoreAllMocks();
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test('initiateAuthAsync resolves a custom challenge result', async () => {
+		netRequestMockSuccess(true, {
+			ChallengeName: 'CUSTOM_CHALLENGE',
+			Session: 'session',
+			ChallengeParameters: { question: 'color' },
+		});
+
+		await expect(cognitoUser.initiateAuthAsync(authDetails)).resolves.toEqual({
+			type: 'customChallenge',
+			challengeName: 'CUSTOM_CHALLENGE',
+			challengeParameters: { question: 'color' },
+		});
+	});
+
+	test('initiateAuthAsync rejects when the request fails', async () => {
+		netRequestMockSuccess(false);
+
+		await expect(cognitoUser.initiateAuthAsync(authDetails)).rejects.toEqual(
+			networkError
+		);
+	});
+
+	test('authenticateUserAsync resolves MFA challenges as results', async () => {
+		jest
+			.spyOn(cognitoUser, 'authenticateUserDefaultAuth')
+			.mockImplementationOnce((details, callbacks) =>
+				callbacks.mfaRequired('SMS_MFA', { CODE_DELIVERY_DESTINATION: '+1' })
+			);
+
+		await expect(
+			cognitoUser.authenticateUserAsync(authDetails)
+		).resolves.toEqual({
+			type: 'mfaRequired',
+			challengeName: 'SMS_MFA',
+			challengeParameters: { CODE_DELIVERY_DESTINATION: '+1' },
+		});
+	});
+
+	test('completeNewPasswordChallengeAsync rejects without a password', async () => {
+		await expect(
+			cognitoUser.completeNewPasswordChallengeAsync(null, {})
+		).rejects.toEqual(passwordErr);
+	});
+
+	test('sendMFASelectionAnswerAsync rejects an unsupported MFA type', async () => {
+		await expect(
+			cognitoUser.sendMFASelectionAnswerAsync('WRONG_CHALLENGE')
+		).rejects.toThrow('Unsupported MFA type: WRONG_CHALLENGE');
+	});
+
+	test('sendMFASelectionAnswerAsync resolves the TOTP challenge', async () => {
+		netRequestMockSuccess(true, {
+			ChallengeName: 'SOFTWARE_TOKEN_MFA',
+			Session: 'session',
+		});
+
+		const result = await cognitoUser.sendMFASelectionAnswerAsync(
+			'SOFTWARE_TOKEN_MFA'
+		);
+		expect(result.type).toEqual('totpRequired');
+		expect(result.challengeName).toEqual('SOFTWARE_TOKEN_MFA');
+	});
+
+	test('node style callbacks resolve with their result', async () => {
+		netRequestMockSuccess(true);
+		await expect(
+			cognitoUser.confirmRegistrationAsync('123456', false)
+		).resolves.toEqual('SUCCESS');
+	});
+
+	test('callback maps resolve with their result', async () => {
+		netRequestMockSuccess(true, { SecretCode: 'secret' });
+		await expect(cognitoUser.associateSoftwareTokenAsync()).resolves.toEqual(
+			'secret'
+		);
+	});
+
+	test('methods requiring a session reject when not authenticated', async () => {
+		cognitoUser.setSignInUserSession(ivCognitoUserSession);
+		await expect(cognitoUser.listDevicesAsync(10, null)).rejects.toThrow(
+			'User is not authenticated'
+		);
+		await expect(cognitoUser.changePasswordAsync('a', 'b')).rejects.toThrow(
+			'User is not authenticated'
+		);
+	});
+
+	test('getSessionAsync resolves a valid session', async () => {
+		cognitoUser.setSignInUserSession(vCognitoUserSession);
+		await expect(cognitoUser.getSessionAsync()).resolves.toBe(
+			vCognitoUserSession
+		);
+	});
+});
+
+describe('Asynchronous storage', () => {
+	const keyPrefix = `CognitoIdentityServiceProvider.${clientId}`;
+	let storage;
+	let cognitoUser;
+
+	beforeEach(() => {
+		storage = createAsyncStorage();
+		cognitoUser = new CognitoUser({ ...userDefaults, Storage: storage });
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	const cacheValidSession = () => {
+		storage.items[`${keyPrefix}.LastAuthUser`] = 'username';
+		storage.items[
+			`${keyPrefix}.username.idToken`
+		] = vCognitoUserSession.getIdToken().getJwtToken();
+		storage.items[
+			`${keyPrefix}.username.accessToken`
+		] = vCognitoUserSession.getAccessToken().getJwtToken();
+		storage.items[
+			`${keyPrefix}.username.refreshToken`
+		] = vCognitoUserSession.getRefreshToken().getToken();
+	};
+
+	test('getSession restores the session from the storage', async () => {
+		cacheValidSession();
+
+		const session = await cognitoUser.getSessionAsync();
+		expect(session.isValid()).toBe(true);
+		expect(session.getIdToken().getJwtToken()).toEqual(
+			vCognitoUserSession.getIdToken().getJwtToken()
+		);
+	});
+
+	test('getSession fails when the storage fails', async () => {
+		const err = new Error('Storage unavailable');
+		jest
+			.spyOn(storage, 'getItem')
+			.mockImplementation(() => Promise.reject(err));
+
+		await expect(cognitoUser.getSessionAsync()).rejects.toBe(err);
+	});
+
+	test('tokens are written before authentication succeeds', async () => {
+		netRequestMockSuccess(true, {
+			AuthenticationResult: {
+				IdToken: vCognitoUserSession.getIdToken().getJwtToken(),
+				AccessToken: vCognitoUserSession.getAccessToken().getJwtToken(),
+				RefreshToken: vCognitoUserSession.getRefreshToken().getToken(),
+			},
+		});
+
+		const result = await cognitoUser.initiateAuthAsync(
+			new AuthenticationDetails(authDetailData)
+		);
+		expect(result.type).toEqual('success');
+		expect(storage.items[`${keyPrefix}.LastAuthUser`]).toEqual('username');
+		expect(storage.items[`${keyPrefix}.username.idToken`]).toEqual(
+			vCognitoUserSession.getIdToken().getJwtToken()
+		);
+	});
+
+	test('signOut clears the cached tokens', async () => {
+		cacheValidSession();
+
+		await cognitoUser.signOutAsync();
+		expect(storage.items).toEqual({});
+	});
+
+	test('writes without a callback do not leave unhandled rejections', async () => {
+		const unhandled = jest.fn();
+		process.on('unhandledRejection', unhandled);
+		jest
+			.spyOn(storage, 'setItem')
+			.mockImplementation(() => Promise.reject(new Error('set failed')));
+		jest
+			.spyOn(storage, 'removeItem')
+			.mockImplementation(() => Promise.reject(new Error('remove failed')));
+
+		try {
+			cognitoUser.setSignInUserSession(vCognitoUserSession);
+			cognitoUser.cacheUserData({ Username: 'username' });
+			cognitoUser.clearCachedDeviceKeyAndPassword();
+			await expect(cognitoUser.clearCachedUserData()).rejects.toThrow(
+				'remove failed'
+			);
+			await new Promise(resolve => setTimeout(resolve, 10));
+		} finally {
+			process.removeListener('unhandledRejection', unhandled);
+		}
+		expect(unhandled).not.toHaveBeenCalled();
+	});
+});
@@ -1,6 +1,16 @@
 import CognitoUserPool from '../src/CognitoUserPool';
+import CognitoUser from '../src/CognitoUser';
 import Client from '../src/Client';
-import { clientId, userPoolId, userName, password } from './constants';
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import { REDACTED } from '../src/utils/redact';
+import {
+	clientId,
+	userPoolId,
+	userName,
+	password,
+	vCognitoUserSession,
+} from './constants';
+import { createAsyncStorage, createEmulatedPool, createStorage } from './util';
 
 describe('Constructor and accessor methods', () => {
 	const minimalData = { UserPoolId: userPoolId, ClientId: clientId };
@@ -17,6 +27,29 @@ describe('Constructor and accessor methods', () => {
 		}).toThrowError('Both UserPoolId and ClientId are required.');
 	});
 
+	test('warns of a ClientSecret used in a browser through the logger', () => {
+		const logger = { warn: jest.fn() };
+		const consoleWarn = jest
+			.spyOn(console, 'warn')
+			.mockImplementation(() => {});
+		new CognitoUserPool({ ...minimalData, ClientSecret: 'secret', logger });
+		new CognitoUserPool({ ...minimalData, ClientSecret: 'secret', logger });
+		expect(logger.warn).toHaveBeenCalledTimes(2);
+		expect(logger.warn.mock.calls[0][0]).toMatch(/ClientSecret/);
+
+		new CognitoUserPool({ ...minimalData, ClientSecret: 'secret' });
+		expect(consoleWarn).toHaveBeenCalledTimes(1);
+		new CognitoUserPool({
+			...minimalData,
+			ClientSecret: 'secret',
+			logger: null,
+		});
+		new CognitoUserPool({ ...minimalData, logger });
+		expect(consoleWarn).toHaveBeenCalledTimes(1);
+		expect(logger.warn).toHaveBeenCalledTimes(2);
+		consoleWarn.mockRestore();
+	});
+
 	test('Getting clientId from CognitoUserPool', () => {
 		expect(cognitoUserPool.getClientId()).toBe(clientId);
 	});
@@ -25,6 +58,23 @@ describe('Constructor and accessor methods', () => {
 		expect(cognitoUserPool.getUserPoolId()).toBe(userPoolId);
 	});
 
+	test('Request interceptors and timeout are passed to the client', () => {
+		const interceptor = { beforeRequest: () => {} };
+		const pool = new CognitoUserPool({
+			...minimalData,
+			interceptors: [interceptor],
+			requestTimeout: 5000,
+		});
+		const other = { afterResponse: () => {} };
+
+		const remove = pool.addRequestInterceptor(other);
+		expect(pool.client.interceptors).toEqual([interceptor, other]);
+		expect(pool.client.timeout).toBe(5000);
+
+		remove();
+		expect(pool.client.interceptors).toEqual([interceptor]);
+	});
+
 	test('Getting user context data without advancedSecurityData', () => {
 		const cognitoUserPool = new CognitoUserPool(minimalData);
 		expect(cognitoUserPool.getUserContextData(userName)).toBe(undefined);
@@ -80,3 +130,505 @@ describe('Testing signUp of a user into a user pool', () => {
 		expect(callback.mock.calls.length).toBe(1);
 	});
 });
+
+describe('Testing signUpAsync of a user into a user pool', () => {
+	const minimalData = { UserPoolId: userPoolId, ClientId: clientId };
+	const cognitoUserPool = new CognitoUserPool(minimalData);
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test('resolves with the new user', async () => {
+		jest.spyOn(Client.prototype, 'request').mockImplementation((...args) => {
+			args[2](null, { UserConfirmed: false, UserSub: 'sub' });
+		});
+
+		const result = await cognitoUserPool.signUpAsync(
+			userName,
+			password,
+			[],
+			[]
+		);
+		expect(result).toMatchObject({
+			user: { username: userName },
+			userConfirmed: false,
+			userSub: 'sub',
+		});
+	});
+
+	test('rejects with the service error', async () => {
+		const err = { code: 'UsernameExistsException' };
+		jest.spyOn(Client.prototype, 'request').mockImplementation((...args) => {
+			args[2](err, null);
+		});
+
+		await expect(
+			cognitoUserPool.signUpAsync(userName, password, [], [])
+		).rejects.toBe(err);
+	});
+});
+
+describe('Getting the current user from an asynchronous storage', () => {
+	const lastUserKey = `CognitoIdentityServiceProvider.${clientId}.LastAuthUser`;
+	const storage = createAsyncStorage({ [lastUserKey]: 'username' });
+	const cognitoUserPool = new CognitoUserPool({
+		UserPoolId: userPoolId,
+		ClientId: clientId,
+		Storage: storage,
+	});
+
+	test('getCurrentUserAsync resolves the last authenticated user', async () => {
+		const user = await cognitoUserPool.getCurrentUserAsync();
+		expect(user).toMatchObject({ username: 'username' });
+		expect(user.storage).toBe(storage);
+	});
+
+	test('getCurrentUserAsync resolves null without a cached user', async () => {
+		const emptyPool = new CognitoUserPool({
+			UserPoolId: userPoolId,
+			ClientId: 'otherClientId',
+			Storage: storage,
+		});
+		await expect(emptyPool.getCurrentUserAsync()).resolves.toBe(null);
+	});
+
+	test('getCurrentUser throws for an asynchronous storage', () => {
+		expect(() => cognitoUserPool.getCurrentUser()).toThrowError(
+			'The configured storage is asynchronous, use getCurrentUserAsync instead.'
+		);
+	});
+});
+
+describe('Several signed in users', () => {
+	const keyPrefix = `CognitoIdentityServiceProvider.${clientId}`;
+	let items;
+	let cognitoUserPool;
+
+	const signIn = username => {
+		const user = new CognitoUser({
+			Username: username,
+			Pool: cognitoUserPool,
+			Storage: cognitoUserPool.storage,
+		});
+		user.setSignInUserSession(vCognitoUserSession);
+		return user;
+	};
+	const usernames = users => users.map(user => user.getUsername());
+
+	beforeEach(() => {
+		const storage = createStorage();
+		items = storage.items;
+		cognitoUserPool = new CognitoUserPool({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			Storage: storage,
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test('getCachedUsers lists the users in sign in order', () => {
+		signIn('first');
+		signIn('second');
+		signIn('first');
+
+		expect(usernames(cognitoUserPool.getCachedUsers())).toEqual([
+			'first',
+			'second',
+		]);
+		expect(cognitoUserPool.getCurrentUser().getUsername()).toBe('first');
+	});
+
+	test('getCachedUsers reads the last user of a storage written before', () => {
+		items[`${keyPrefix}.LastAuthUser`] = 'legacy';
+
+		expect(usernames(cognitoUserPool.getCachedUsers())).toEqual(['legacy']);
+	});
+
+	test('switchUser changes the current user', async () => {
+		signIn('first');
+		signIn('second');
+
+		const user = await cognitoUserPool.switchUserAsync('first');
+
+		expect(user.getUsername()).toBe('first');
+		expect(cognitoUserPool.getCurrentUser().getUsername()).toBe('first');
+	});
+
+	test('switchUser rejects a user who is not signed in', async () => {
+		signIn('first');
+
+		await expect(cognitoUserPool.switchUserAsync('unknown')).rejects.toThrow(
+			'The user unknown is not signed in.'
+		);
+		expect(cognitoUserPool.getCurrentUser().getUsername()).toBe('first');
+	});
+
+	test('signing out a user keeps the other users', () => {
+		signIn('first');
+		const second = signIn('second');
+		items[`${keyPrefix}.first.deviceKey`] = 'firstDevice';
+		items[`${keyPrefix}.first.userData`] = '{}';
+		cognitoUserPool.switchUser('first', () => {});
+
+		second.signOut();
+
+		expect(usernames(cognitoUserPool.getCachedUsers())).toEqual(['first']);
+		expect(cognitoUserPool.getCurrentUser().getUsername()).toBe('first');
+		expect(items[`${keyPrefix}.first.idToken`]).toBeDefined();
+		expect(items[`${keyPrefix}.first.deviceKey`]).toBe('firstDevice');
+		expect(items[`${keyPrefix}.first.userData`]).toBe('{}');
+		expect(items[`${keyPrefix}.second.idToken`]).toBeUndefined();
+	});
+
+	test('signing out the current user leaves no current user', () => {
+		signIn('first');
+		signIn('second').signOut();
+
+		expect(cognitoUserPool.getCurrentUser()).toBe(null);
+		expect(usernames(cognitoUserPool.getCachedUsers())).toEqual(['first']);
+	});
+
+	test('refreshing a session uses the device key of its own user', done => {
+		const first = signIn('first');
+		signIn('second');
+		items[`${keyPrefix}.first.deviceKey`] = 'firstDevice';
+		items[`${keyPrefix}.second.deviceKey`] = 'secondDevice';
+		const requestSpy = jest
+			.spyOn(Client.prototype, 'request')
+			.mockImplementation((operation, params, callback) =>
+				callback(null, {
+					AuthenticationResult: {
+						IdToken: vCognitoUserSession.getIdToken().getJwtToken(),
+						AccessToken: vCognitoUserSession.getAccessToken().getJwtToken(),
+					},
+				})
+			);
+
+		first.refreshSession(vCognitoUserSession.getRefreshToken(), err => {
+			expect(err).toBe(null);
+			expect(requestSpy.mock.calls[0][1].AuthParameters.DEVICE_KEY).toBe(
+				'firstDevice'
+			);
+			expect(first.getUsername()).toBe('first');
+			expect(cognitoUserPool.getCurrentUser().getUsername()).toBe('second');
+			done();
+		});
+	});
+
+	test('refreshing a session does not write the current user', done => {
+		const first = signIn('first');
+		signIn('second');
+		const setItem = jest.spyOn(cognitoUserPool.storage, 'setItem');
+		jest
+			.spyOn(Client.prototype, 'request')
+			.mockImplementation((operation, params, callback) =>
+				callback(null, {
+					AuthenticationResult: {
+						IdToken: vCognitoUserSession.getIdToken().getJwtToken(),
+						AccessToken: vCognitoUserSession.getAccessToken().getJwtToken(),
+					},
+				})
+			);
+
+		first.refreshSession(vCognitoUserSession.getRefreshToken(), err => {
+			expect(err).toBe(null);
+			expect(setItem).toHaveBeenCalledWith(
+				`${keyPrefix}.first.accessToken`,
+				expect.any(String)
+			);
+			expect(setItem.mock.calls.map(([key]) => key)).not.toContain(
+				`${keyPrefix}.LastAuthUser`
+			);
+			expect(items[`${keyPrefix}.LastAuthUser`]).toBe('second');
+			done();
+		});
+	});
+
+	test('concurrent sign ins keep every user of an asynchronous storage', async () => {
+		const delayed = value =>
+			new Promise(resolve => setTimeout(() => resolve(value), 5));
+		const asyncPool = new CognitoUserPool({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			Storage: {
+				getItem: key => delayed(key in items ? items[key] : null),
+				setItem: (key, value) => {
+					items[key] = value;
+					return delayed();
+				},
+				removeItem: key => {
+					delete items[key];
+					return delayed();
+				},
+			},
+		});
+		const users = ['first', 'second', 'third'].map(
+			username =>
+				new CognitoUser({
+					Username: username,
+					Pool: asyncPool,
+					Storage: asyncPool.storage,
+				})
+		);
+
+		await Promise.all(
+			users.map(
+				user =>
+					new Promise((resolve, reject) => {
+						user.signInUserSession = vCognitoUserSession;
+						user.cacheTokens(err => (err ? reject(err) : resolve()));
+					})
+			)
+		);
+
+		expect(usernames(await asyncPool.getCachedUsersAsync()).sort()).toEqual([
+			'first',
+			'second',
+			'third',
+		]);
+	});
+
+	test('getCachedUsersAsync reads an asynchronous storage', async () => {
+		const asyncPool = new CognitoUserPool({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			Storage: createAsyncStorage(items),
+		});
+		items[`${keyPrefix}.CachedUsers`] = JSON.stringify(['first', 'second']);
+
+		expect(usernames(await asyncPool.getCachedUsersAsync())).toEqual([
+			'first',
+			'second',
+		]);
+		expect(() => asyncPool.getCachedUsers()).toThrowError(
+			'The configured storage is asynchronous, use getCachedUsersAsync instead.'
+		);
+	});
+});
+
+describe('Events and logging', () => {
+	jest.setTimeout(60 * 1000);
+
+	let emulator;
+	let ids;
+	let pool;
+	let events;
+
+	const setUp = (poolOptions, logger) => {
+		({ emulator, ids, pool } = createEmulatedPool(poolOptions, { logger }));
+		events = [];
+		[
+			'requestStart',
+			'requestEnd',
+			'challengeReceived',
+			'tokensCached',
+			'tokensCleared',
+			'deviceConfirmed',
+		].forEach(event =>
+			pool.on(event, details => events.push([event, details]))
+		);
+	};
+
+	const signIn = username => {
+		const user = new CognitoUser({
+			Username: username,
+			Pool: pool,
+			Storage: pool.storage,
+		});
+		return user
+			.authenticateUserAsync(
+				new AuthenticationDetails({ Username: username, Password: password })
+			)
+			.then(result => ({ user, result }));
+	};
+
+	const named = name => events.filter(([event]) => event === name);
+
+	test('reports the requests, challenges, tokens and devices', async () => {
+		setUp({
+			mfaConfiguration: 'ON',
+			deviceTracking: { DeviceOnlyRememberedOnUserPrompt: false },
+		});
+		emulator.createUser(ids.UserPoolId, 'alice', {
+			password,
+			attributes: { phone_number: '+15555550100' },
+		});
+
+		const { user } = await signIn('alice');
+		await user.sendMFACodeAsync(emulator.getLastCode(ids.UserPoolId, 'alice'));
+
+		expect(
+			named('requestEnd').map(([, details]) => details.operation)
+		).toEqual([
+			'InitiateAuth',
+			'RespondToAuthChallenge',
+			'RespondToAuthChallenge',
+			'ConfirmDevice',
+		]);
+		named('requestEnd').forEach(([, details]) => {
+			expect(details.duration).toBeGreaterThanOrEqual(0);
+			expect(details.error).toBeNull();
+		});
+		const [, start] = named('requestStart')[0];
+		expect(start.params.AuthParameters).toEqual({
+			USERNAME: 'alice',
+			SRP_A: REDACTED,
+		});
+		expect(named('challengeReceived')).toEqual([
+			[
+				'challengeReceived',
+				{
+					username: 'alice',
+					challengeName: 'SMS_MFA',
+					challengeParameters: expect.objectContaining({
+						CODE_DELIVERY_DELIVERY_MEDIUM: 'SMS',
+					}),
+				},
+			],
+		]);
+		expect(named('tokensCached')).toEqual([
+			['tokensCached', { username: 'alice', refreshed: false }],
+		]);
+		expect(named('deviceConfirmed')).toEqual([
+			[
+				'deviceConfirmed',
+				{
+					username: 'alice',
+					deviceKey: expect.any(String),
+					userConfirmationNecessary: false,
+				},
+			],
+		]);
+	});
+
+	test('reports why the tokens were cleared', async () => {
+		setUp();
+		emulator.createUser(ids.UserPoolId, 'bob', { password });
+		const { user, result } = await signIn('bob');
+
+		await user.globalSignOutAsync();
+		await expect(
+			user.refreshSessionAsync(result.session.getRefreshToken())
+		).rejects.toMatchObject({ code: 'NotAuthorizedException' });
+		user.signOut();
+
+		expect(named('tokensCleared').map(([, details]) => details)).toEqual([
+			{ username: 'bob', reason: 'globalSignOut', error: null },
+			{
+				username: 'bob',
+				reason: 'refreshFailed',
+				error: expect.objectContaining({ code: 'NotAuthorizedException' }),
+			},
+			{ username: 'bob', reason: 'signOut', error: null },
+		]);
+		expect(named('requestEnd').pop()[1]).toMatchObject({
+			operation: 'InitiateAuth',
+			error: expect.objectContaining({ code: 'NotAuthorizedException' }),
+		});
+	});
+
+	test('logs the events without their secrets', async () => {
+		const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn() };
+		setUp({}, logger);
+		emulator.createUser(ids.UserPoolId, 'carol', { password });
+		const { user } = await signIn('carol');
+		await expect(
+			user.changePasswordAsync('wrong password', 'N3w Passw0rd!')
+		).rejects.toMatchObject({ code: 'NotAuthorizedException' });
+
+		const logged = JSON.stringify(
+			[].concat(
+				logger.debug.mock.calls,
+				logger.info.mock.calls,
+				logger.warn.mock.calls
+			)
+		);
+		const tokens = user.getSignInUserSession();
+		[
+			password,
+			'wrong password',
+			'N3w Passw0rd!',
+			tokens.getAccessToken().getJwtToken(),
+			tokens.getRefreshToken().getToken(),
+		].forEach(secret => expect(logged).not.toContain(secret));
+		expect(logger.debug).toHaveBeenCalledWith('CognitoUserPool requestStart', {
+			operation: 'ChangePassword',
+			params: {
+				PreviousPassword: REDACTED,
+				ProposedPassword: REDACTED,
+				AccessToken: REDACTED,
+			},
+		});
+		expect(logger.warn).toHaveBeenCalledWith('CognitoUserPool requestEnd', {
+			operation: 'ChangePassword',
+			duration: expect.any(Number),
+			error: expect.objectContaining({ code: 'NotAuthorizedException' }),
+		});
+	});
+
+	test('reports the listeners and loggers that throw without failing the sign in', async () => {
+		const failure = new Error('listener failed');
+		const logger = {
+			debug: jest.fn(() => {
+				throw new Error('logger failed');
+			}),
+			error: jest.fn(),
+		};
+		setUp({}, logger);
+		emulator.createUser(ids.UserPoolId, 'dave', { password });
+		const throwing = jest.fn(() => {
+			throw failure;
+		});
+		pool.on('requestStart', throwing);
+		pool.on('requestEnd', throwing);
+
+		const { result } = await signIn('dave');
+
+		expect(result.type).toBe('success');
+		expect(throwing).toHaveBeenCalledTimes(4);
+		expect(named('requestEnd')).toHaveLength(2);
+		expect(logger.error).toHaveBeenCalledWith(
+			'CognitoUserPool requestStart handler failed',
+			failure
+		);
+		expect(logger.error).toHaveBeenCalledWith(
+			'CognitoUserPool requestEnd handler failed',
+			failure
+		);
+		expect(logger.error).toHaveBeenCalledWith(
+			'CognitoUserPool requestEnd handler failed',
+			expect.objectContaining({ message: 'logger failed' })
+		);
+	});
+	test('reports the storage writes failing without a callback', async () => {
+		const failure = new Error('Quota exceeded');
+		const logger = { error: jest.fn() };
+		const failingPool = new CognitoUserPool({
+			UserPoolId: userPoolId,
+			ClientId: clientId,
+			logger,
+			Storage: {
+				getItem: () => Promise.resolve(null),
+				setItem: () => Promise.reject(failure),
+				removeItem: () => Promise.resolve(),
+			},
+		});
+		const user = new CognitoUser({
+			Username: 'username',
+			Pool: failingPool,
+			Storage: failingPool.storage,
+		});
+
+		user.setSignInUserSession(vCognitoUserSession);
+		await new Promise(resolve => setTimeout(resolve, 0));
+
+		expect(logger.error).toHaveBeenCalledWith(
+			'CognitoUser cacheTokens failed for username',
+			failure
+		);
+	});
+});
@@ -5,10 +5,28 @@ import { cookieStorageDomain } from './constants';
  * @jest-environment jsdom
  */
 
-describe('Cookie Storage Unit Tests', () => {
-	//defining a DOM to attach a cookie to
-	Object.defineProperty(document, 'cookie', { writable: true });
+// A cookie jar keeping several cookies, with their size
+const jar = {};
+Object.defineProperty(document, 'cookie', {
+	configurable: true,
+	get: () =>
+		Object.keys(jar)
+			.map(name => `${name}=${jar[name]}`)
+			.join('; '),
+	set: cookie => {
+		const [pair, ...attributes] = cookie.split('; ');
+		const index = pair.indexOf('=');
+		const name = pair.slice(0, index);
+		const expires = attributes.find(attribute => /^expires=/.test(attribute));
+		if (expires && new Date(expires.slice(8)) < new Date()) {
+			delete jar[name];
+		} else if (pair.length <= 4096) {
+			jar[name] = pair.slice(index + 1);
+		}
+	},
+});
 
+describe('Cookie Storage Unit Tests', () => {
 	describe('Constructor methods', () => {
 		test('Domain not supplied', () => {
 			expect(() => {
@@ -70,3 +88,114 @@ describe('Cookie Storage Unit Tests', () => {
 		});
 	});
 });
+
+describe('Cookies split in chunks', () => {
+	const key = 'CognitoIdentityServiceProvider.client.alice.idToken';
+	const token = `eyJhbGciOiJSUzI1NiJ9.${'a'.repeat(9000)}.signature`;
+	let cookieStore;
+
+	beforeEach(() => {
+		Object.keys(jar).forEach(name => delete jar[name]);
+		cookieStore = new CookieStorage({ domain: cookieStorageDomain });
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test('splits a value over the cookie size limit and joins it back', () => {
+		expect(cookieStore.setItem(key, token)).toBe(token);
+
+		expect(Object.keys(jar).sort()).toEqual([
+			`${key}.0`,
+			`${key}.1`,
+			`${key}.2`,
+			`${key}.chunks`,
+		]);
+		Object.keys(jar).forEach(name =>
+			expect(`${name}=${jar[name]}`.length).toBeLessThanOrEqual(4000)
+		);
+		expect(cookieStore.getItem(key)).toBe(token);
+		expect(
+			new CookieStorage({ domain: cookieStorageDomain }).getItem(key)
+		).toBe(token);
+	});
+
+	test('keeps the characters encoded on several bytes whole', () => {
+		const value = '😀é'.repeat(1000);
+		const store = new CookieStorage({
+			domain: cookieStorageDomain,
+			maxCookieSize: 1000,
+		});
+
+		store.setItem('emoji', value);
+
+		expect(Object.keys(jar).length).toBeGreaterThan(10);
+		expect(store.getItem('emoji')).toBe(value);
+	});
+
+	test('removes the chunks left over by a previous value', () => {
+		cookieStore.setItem(key, token);
+		cookieStore.setItem(key, token.slice(0, 5000));
+		expect(Object.keys(jar).sort()).toEqual([
+			`${key}.0`,
+			`${key}.1`,
+			`${key}.chunks`,
+		]);
+
+		cookieStore.setItem(key, 'short');
+		expect(jar).toEqual({ [key]: 'short' });
+
+		cookieStore.setItem(key, token);
+		jar[`${key}.7`] = 'orphan';
+		cookieStore.removeItem(key);
+		expect(jar).toEqual({});
+		expect(cookieStore.getItem(key)).toBeUndefined();
+	});
+
+	test('reads nothing when a chunk is missing', () => {
+		cookieStore.setItem(key, token);
+		delete jar[`${key}.1`];
+
+		expect(cookieStore.getItem(key)).toBeUndefined();
+	});
+
+	test('warns once the cookies get close to the budget', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const store = new CookieStorage({
+			domain: cookieStorageDomain,
+			cookieBudget: 10000,
+		});
+
+		store.setItem('accessToken', 'a'.repeat(3000));
+		store.setItem('refreshToken', 'r'.repeat(3000));
+		expect(warn).not.toHaveBeenCalled();
+
+		store.setItem(key, 'i'.repeat(3500));
+		store.setItem('clockDrift', '0');
+		expect(warn).toHaveBeenCalledTimes(1);
+		expect(warn.mock.calls[0][0]).toMatch(
+			/^The cookies of https:\/\/testdomain.com take \d+ of the 10000 bytes/
+		);
+
+		store.removeItem(key);
+		store.setItem(key, 'i'.repeat(3500));
+		expect(warn).toHaveBeenCalledTimes(2);
+	});
+
+	test('logs the budget warning with the logger given', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const logger = { warn: jest.fn() };
+		const options = { domain: cookieStorageDomain, cookieBudget: 1000 };
+
+		new CookieStorage({ ...options, logger }).setItem(key, 'i'.repeat(950));
+		expect(logger.warn).toHaveBeenCalledTimes(1);
+		expect(logger.warn.mock.calls[0][0]).toMatch(/^The cookies of /);
+
+		new CookieStorage({ ...options, logger: null }).setItem(
+			key,
+			'j'.repeat(950)
+		);
+		expect(warn).not.toHaveBeenCalled();
+	});
+});
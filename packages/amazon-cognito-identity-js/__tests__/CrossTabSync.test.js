@@ -0,0 +1,343 @@
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserPool from '../src/CognitoUserPool';
+import CognitoUserSession from '../src/CognitoUserSession';
+import CognitoIdToken from '../src/CognitoIdToken';
+import CognitoAccessToken from '../src/CognitoAccessToken';
+import CognitoRefreshToken from '../src/CognitoRefreshToken';
+import { clientId, userPoolId } from './constants';
+import { createStorage } from './util';
+
+const base64 = value => Buffer.from(JSON.stringify(value)).toString('base64');
+const jwt = payload => `${base64({ alg: 'none' })}.${base64(payload)}.sig`;
+
+let sessionCount = 0;
+const makeSession = () => {
+	sessionCount += 1;
+	const iat = Math.floor(Date.now() / 1000);
+	const payload = { iat, exp: iat + 3600, jti: `session-${sessionCount}` };
+	return new CognitoUserSession({
+		IdToken: new CognitoIdToken({ IdToken: jwt(payload) }),
+		AccessToken: new CognitoAccessToken({ AccessToken: jwt(payload) }),
+		RefreshToken: new CognitoRefreshToken({ RefreshToken: 'refresh' }),
+		ClockDrift: 0,
+	});
+};
+
+const accessToken = user =>
+	user.signInUserSession &&
+	user.signInUserSession.getAccessToken().getJwtToken();
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delivers the messages to the other channels of the same name, as browsers do
+class FakeBroadcastChannel {
+	constructor(name) {
+		this.name = name;
+		this.onmessage = null;
+		FakeBroadcastChannel.channels.push(this);
+	}
+
+	postMessage(data) {
+		FakeBroadcastChannel.channels
+			.filter(channel => channel !== this && channel.name === this.name)
+			.forEach(channel =>
+				setTimeout(() => channel.onmessage && channel.onmessage({ data }), 0)
+			);
+	}
+
+	close() {
+		FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(
+			channel => channel !== this
+		);
+	}
+}
+FakeBroadcastChannel.channels = [];
+
+describe('Cross-tab session synchronization', () => {
+	const pool = new CognitoUserPool({
+		UserPoolId: userPoolId,
+		ClientId: clientId,
+	});
+	let storage;
+	let tabs;
+	let events;
+
+	const openTab = options => {
+		const user = new CognitoUser({
+			Username: 'username',
+			Pool: pool,
+			Storage: storage,
+		});
+		const tabEvents = [];
+		['tokenRefreshed', 'signedOut'].forEach(event =>
+			user.on(event, (...args) => tabEvents.push([event, ...args]))
+		);
+		user.startCrossTabSync(options);
+		tabs.push(user);
+		events.push(tabEvents);
+		return user;
+	};
+
+	// Refreshes after a delay, as a request to the user pool would
+	const mockRequestNewSession = user =>
+		jest
+			.spyOn(user, 'requestNewSession')
+			.mockImplementation((refreshToken, callback) =>
+				setTimeout(() => {
+					user.signInUserSession = makeSession();
+					user.cacheTokens(() => {
+						user.emit('tokenRefreshed', user.signInUserSession, {
+							remote: false,
+						});
+						callback(null, user.signInUserSession);
+					});
+				}, 30)
+			);
+
+	beforeEach(() => {
+		storage = createStorage();
+		tabs = [];
+		events = [];
+		global.BroadcastChannel = FakeBroadcastChannel;
+	});
+
+	afterEach(() => {
+		tabs.forEach(user => user.stopCrossTabSync());
+		delete global.BroadcastChannel;
+		jest.restoreAllMocks();
+	});
+
+	const signIn = user =>
+		new Promise(resolve => {
+			user.setSignInUserSession(makeSession());
+			user.cacheTokens(resolve);
+		});
+
+	test('a refresh in one tab is adopted by the other tabs', async () => {
+		const tabA = openTab();
+		const tabB = openTab();
+		await signIn(tabA);
+		await wait(10);
+		events[1].length = 0;
+		mockRequestNewSession(tabA);
+
+		const session = await new Promise((resolve, reject) =>
+			tabA.refreshSession(tabA.signInUserSession.getRefreshToken(), (err, s) =>
+				err ? reject(err) : resolve(s)
+			)
+		);
+		await wait(10);
+
+		expect(accessToken(tabB)).toBe(session.getAccessToken().getJwtToken());
+		expect(events[1]).toEqual([
+			['tokenRefreshed', tabB.signInUserSession, { remote: true }],
+		]);
+		expect(events[0]).toEqual([['tokenRefreshed', session, { remote: false }]]);
+	});
+
+	test('a sign out in one tab signs out the other tabs', async () => {
+		const tabA = openTab();
+		const tabB = openTab();
+		await signIn(tabA);
+		tabB.setSignInUserSession(tabA.signInUserSession);
+		const stopAutoRefresh = jest.spyOn(tabB, 'stopAutoRefresh');
+
+		tabA.signOut();
+		await wait(10);
+
+		expect(tabB.signInUserSession).toBeNull();
+		expect(stopAutoRefresh).toHaveBeenCalled();
+		expect(events[1][events[1].length - 1]).toEqual([
+			'signedOut',
+			{ remote: true },
+		]);
+		expect(events[0][events[0].length - 1]).toEqual([
+			'signedOut',
+			{ remote: false },
+		]);
+	});
+
+	test('follows storage events when BroadcastChannel is not available', async () => {
+		delete global.BroadcastChannel;
+		const tabB = openTab();
+		tabB.setSignInUserSession(makeSession());
+		const session = makeSession();
+		const writer = new CognitoUser({
+			Username: 'username',
+			Pool: pool,
+			Storage: storage,
+		});
+		writer.setSignInUserSession(session);
+		await new Promise(resolve => writer.cacheTokens(resolve));
+
+		window.dispatchEvent(
+			Object.assign(new Event('storage'), {
+				key: `CognitoIdentityServiceProvider.${clientId}.username.accessToken`,
+			})
+		);
+
+		expect(accessToken(tabB)).toBe(session.getAccessToken().getJwtToken());
+		expect(events[0]).toEqual([
+			['tokenRefreshed', tabB.signInUserSession, { remote: true }],
+		]);
+	});
+
+	test('a single tab refreshes a session refreshed concurrently', async () => {
+		const tabA = openTab();
+		const tabB = openTab();
+		await signIn(tabA);
+		tabB.setSignInUserSession(tabA.signInUserSession);
+		const requestA = mockRequestNewSession(tabA);
+		const requestB = mockRequestNewSession(tabB);
+		const refresh = user =>
+			new Promise((resolve, reject) =>
+				user.refreshSession(
+					user.signInUserSession.getRefreshToken(),
+					(err, s) => (err ? reject(err) : resolve(s))
+				)
+			);
+
+		const [sessionA, sessionB] = await Promise.all([
+			refresh(tabA),
+			refresh(tabB),
+		]);
+
+		expect(requestA.mock.calls.length + requestB.mock.calls.length).toBe(1);
+		expect(sessionA.getAccessToken().getJwtToken()).toBe(
+			sessionB.getAccessToken().getJwtToken()
+		);
+		expect(
+			storage.getItem(
+				`CognitoIdentityServiceProvider.${clientId}.username.refreshLock`
+			)
+		).toBeNull();
+	});
+
+	test('ignores the expired refresh lock of a closed tab', async () => {
+		const tabA = openTab();
+		await signIn(tabA);
+		storage.setItem(
+			`CognitoIdentityServiceProvider.${clientId}.username.refreshLock`,
+			`closed-tab|${Date.now() - 1}`
+		);
+		const request = mockRequestNewSession(tabA);
+
+		await new Promise((resolve, reject) =>
+			tabA.refreshSession(tabA.signInUserSession.getRefreshToken(), err =>
+				err ? reject(err) : resolve()
+			)
+		);
+
+		expect(request).toHaveBeenCalledTimes(1);
+	});
+
+	test('uses the Web Locks API when available', async () => {
+		const request = jest.fn((name, callback) => callback());
+		global.navigator.locks = { request };
+		try {
+			const tabA = openTab();
+			await signIn(tabA);
+			mockRequestNewSession(tabA);
+
+			await new Promise(resolve =>
+				tabA.refreshSession(tabA.signInUserSession.getRefreshToken(), resolve)
+			);
+
+			expect(request).toHaveBeenCalledWith(
+				`CognitoIdentityServiceProvider.${clientId}.username.refreshLock`,
+				expect.any(Function)
+			);
+		} finally {
+			delete global.navigator.locks;
+		}
+	});
+
+	test('releases the lock and fails the refresh when it throws', async () => {
+		const failure = new Error('Storage failure');
+		const released = [];
+		const request = jest.fn((name, callback) => {
+			const granted = callback();
+			released.push(granted);
+			return granted;
+		});
+		global.navigator.locks = { request };
+		try {
+			const tabA = openTab();
+			await signIn(tabA);
+			jest.spyOn(tabA, 'getCachedSession').mockImplementation(() => {
+				throw failure;
+			});
+
+			const err = await new Promise(resolve =>
+				tabA.refreshSession(tabA.signInUserSession.getRefreshToken(), resolve)
+			);
+			delete global.navigator.locks;
+			const errStorageLock = await new Promise(resolve =>
+				tabA.refreshSession(tabA.signInUserSession.getRefreshToken(), resolve)
+			);
+
+			expect(err).toBe(failure);
+			await expect(released[0]).resolves.toBeUndefined();
+			expect(errStorageLock).toBe(failure);
+			expect(
+				storage.getItem(
+					`CognitoIdentityServiceProvider.${clientId}.username.refreshLock`
+				)
+			).toBeNull();
+		} finally {
+			delete global.navigator.locks;
+		}
+	});
+
+	test('expires the Web Locks lock of a tab that never releases it', async () => {
+		// Grants the locks of the same name one at a time, as browsers do
+		const queues = {};
+		const request = jest.fn((name, callback) => {
+			const granted = (queues[name] || Promise.resolve()).then(() =>
+				callback()
+			);
+			queues[name] = granted.catch(() => {});
+			return granted;
+		});
+		global.navigator.locks = { request };
+		try {
+			const tabA = openTab({ lockTimeout: 50 });
+			const tabB = openTab({ lockTimeout: 50 });
+			await signIn(tabA);
+			tabB.setSignInUserSession(tabA.signInUserSession);
+			// A request to the user pool that never completes
+			const requestA = jest
+				.spyOn(tabA, 'requestNewSession')
+				.mockImplementation(() => {});
+			const requestB = mockRequestNewSession(tabB);
+
+			tabA.refreshSession(tabA.signInUserSession.getRefreshToken(), () => {});
+			const session = await new Promise((resolve, reject) =>
+				tabB.refreshSession(
+					tabB.signInUserSession.getRefreshToken(),
+					(err, s) => (err ? reject(err) : resolve(s))
+				)
+			);
+
+			expect(requestA).toHaveBeenCalledTimes(1);
+			expect(requestB).toHaveBeenCalledTimes(1);
+			expect(session.isValid()).toBe(true);
+		} finally {
+			delete global.navigator.locks;
+		}
+	});
+
+	test('stopCrossTabSync stops following the other tabs', async () => {
+		const tabA = openTab();
+		const tabB = openTab();
+		await signIn(tabA);
+		tabB.setSignInUserSession(tabA.signInUserSession);
+		tabB.stopCrossTabSync();
+
+		tabA.signOut();
+		await wait(10);
+
+		expect(tabB.crossTabSync).toBeNull();
+		expect(tabB.signInUserSession).not.toBeNull();
+	});
+});
@@ -0,0 +1,119 @@
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserPool from '../src/CognitoUserPool';
+import DeviceManager from '../src/DeviceManager';
+import { UserNotAuthenticatedError } from '../src/CognitoError';
+import { createEmulatedPool, createPoolFor, createStorage } from './util';
+
+const password = 'Passw0rd!';
+
+describe('DeviceManager', () => {
+	jest.setTimeout(60 * 1000);
+
+	let emulator;
+	let ids;
+
+	// Every browser has its own storage, hence its own device
+	const signInFromNewBrowser = () => {
+		const pool = createPoolFor(emulator, ids);
+		const user = new CognitoUser({
+			Username: 'alice',
+			Pool: pool,
+			Storage: pool.storage,
+		});
+		return user
+			.authenticateUserAsync(
+				new AuthenticationDetails({ Username: 'alice', Password: password })
+			)
+			.then(() => user);
+	};
+
+	beforeEach(() => {
+		({ emulator, ids } = createEmulatedPool({
+			deviceTracking: { DeviceOnlyRememberedOnUserPrompt: false },
+		}));
+		emulator.createUser(ids.UserPoolId, 'alice', { password });
+	});
+
+	test('iterates over the pages of parsed devices', async () => {
+		await signInFromNewBrowser();
+		await signInFromNewBrowser();
+		const user = await signInFromNewBrowser();
+		const listDevices = jest.spyOn(user, 'listDevicesAsync');
+
+		const devices = [];
+		for await (const device of new DeviceManager(user, {
+			pageSize: 2,
+		}).devices()) {
+			devices.push(device);
+		}
+
+		expect(listDevices.mock.calls.map(([limit]) => limit)).toEqual([2, 2]);
+		expect(devices).toHaveLength(3);
+		expect(devices.filter(device => device.isCurrent)).toEqual([
+			expect.objectContaining({ key: user.deviceKey }),
+		]);
+		expect(devices[0]).toEqual({
+			key: expect.any(String),
+			name: expect.any(String),
+			lastIp: '127.0.0.1',
+			remembered: true,
+			createDate: expect.any(Date),
+			lastModifiedDate: expect.any(Date),
+			lastAuthenticatedDate: expect.any(Date),
+			isCurrent: false,
+			attributes: expect.objectContaining({ device_status: 'remembered' }),
+		});
+	});
+
+	test('marks the current device from the storage', async () => {
+		const user = await signInFromNewBrowser();
+		const restored = user.pool.getCurrentUser();
+		await restored.getSessionAsync();
+
+		const current = await new DeviceManager(restored).getCurrentDevice();
+
+		expect(current).toMatchObject({ key: user.deviceKey, isCurrent: true });
+	});
+
+	test('forgets all other devices', async () => {
+		const other = await signInFromNewBrowser();
+		await signInFromNewBrowser();
+		const user = await signInFromNewBrowser();
+		const manager = new DeviceManager(user, { pageSize: 1 });
+
+		const forgotten = await manager.forgetAllOtherDevices();
+
+		expect(forgotten).toHaveLength(2);
+		expect(forgotten).toContain(other.deviceKey);
+		expect((await manager.listAll()).map(device => device.key)).toEqual([
+			user.deviceKey,
+		]);
+	});
+
+	test('forgets the current device and its cached key', async () => {
+		const user = await signInFromNewBrowser();
+		const manager = new DeviceManager(user);
+
+		await manager.forget(user.deviceKey);
+
+		expect(user.deviceKey).toBeNull();
+		expect(await manager.listAll()).toEqual([]);
+		expect(await manager.getCurrentDevice()).toBeNull();
+	});
+
+	test('requires a signed in user', async () => {
+		const user = new CognitoUser({
+			Username: 'alice',
+			Pool: new CognitoUserPool({
+				UserPoolId: ids.UserPoolId,
+				ClientId: ids.ClientId,
+				Storage: createStorage(),
+			}),
+		});
+
+		await expect(new DeviceManager(user).listAll()).rejects.toThrow(
+			UserNotAuthenticatedError
+		);
+	});
+});
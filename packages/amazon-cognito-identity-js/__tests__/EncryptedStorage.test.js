@@ -0,0 +1,243 @@
+import EncryptedStorage from '../src/EncryptedStorage';
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserPool from '../src/CognitoUserPool';
+import { clientId, userPoolId, vCognitoUserSession } from './constants';
+import { createStorage } from './util';
+
+const nodeCrypto = require('crypto');
+
+const keys = [{ id: 'k1', secret: 'first secret' }];
+const iterations = 1000;
+const token = 'eyJraWQiOiJrMSJ9.payload.signature';
+
+const backends = {
+	WebCrypto: nodeCrypto.webcrypto,
+	'NodeJS crypto': {
+		randomBytes: nodeCrypto.randomBytes,
+		pbkdf2: nodeCrypto.pbkdf2,
+		createCipheriv: nodeCrypto.createCipheriv,
+		createDecipheriv: nodeCrypto.createDecipheriv,
+	},
+};
+
+describe('EncryptedStorage constructor', () => {
+	test('requires a storage', () => {
+		expect(() => new EncryptedStorage({ keys })).toThrowError(
+			'The storage of EncryptedStorage can not be undefined.'
+		);
+	});
+
+	test('requires at least one key', () => {
+		expect(
+			() => new EncryptedStorage({ storage: createStorage(), keys: [] })
+		).toThrowError('EncryptedStorage requires at least one encryption key.');
+	});
+
+	test('rejects invalid and duplicated key ids', () => {
+		const storage = createStorage();
+		expect(
+			() =>
+				new EncryptedStorage({ storage, keys: [{ id: 'a:b', secret: 's' }] })
+		).toThrowError('Encryption key ids must be non empty without ":".');
+		expect(
+			() =>
+				new EncryptedStorage({
+					storage,
+					keys: [
+						{ id: 'a', secret: 's' },
+						{ id: 'a', secret: 't' },
+					],
+				})
+		).toThrowError('The encryption key id a is used twice.');
+	});
+
+	test('requires a usable crypto implementation', () => {
+		expect(
+			() => new EncryptedStorage({ storage: createStorage(), keys, crypto: {} })
+		).toThrowError(
+			'Native crypto module could not be used to encrypt the storage.'
+		);
+	});
+});
+
+Object.keys(backends).forEach(name => {
+	describe(`EncryptedStorage with ${name}`, () => {
+		const crypto = backends[name];
+		let storage;
+		let encryptedStorage;
+
+		beforeEach(() => {
+			storage = createStorage();
+			encryptedStorage = new EncryptedStorage({
+				storage,
+				keys,
+				iterations,
+				crypto,
+			});
+		});
+
+		test('writes encrypted values and reads them back', async () => {
+			await encryptedStorage.setItem('idToken', token);
+
+			expect(storage.items.idToken).toMatch(/^enc\.v1:k1:/);
+			expect(storage.items.idToken).not.toContain(token);
+			await expect(encryptedStorage.getItem('idToken')).resolves.toEqual(token);
+		});
+
+		test('reads missing values as null', async () => {
+			await expect(encryptedStorage.getItem('missing')).resolves.toBe(null);
+		});
+
+		test('removes items and clears the storage', async () => {
+			await encryptedStorage.setItem('a', '1');
+			await encryptedStorage.setItem('b', '2');
+			await encryptedStorage.removeItem('a');
+			expect(Object.keys(storage.items)).toEqual(['b']);
+			await encryptedStorage.clear();
+			expect(storage.items).toEqual({});
+		});
+
+		test('detects a modified value', async () => {
+			const onTamper = jest.fn();
+			encryptedStorage.onTamper = onTamper;
+			await encryptedStorage.setItem('idToken', token);
+
+			const [
+				prefix,
+				version,
+				keyId,
+				iv,
+				encrypted,
+			] = storage.items.idToken.split(/[.:]/);
+			const bytes = Buffer.from(encrypted, 'base64');
+			bytes[0] ^= 1;
+			storage.items.idToken = `${prefix}.${version}:${keyId}:${iv}:${bytes.toString(
+				'base64'
+			)}`;
+
+			await expect(encryptedStorage.getItem('idToken')).resolves.toBe(null);
+			expect(onTamper).toBeCalledWith('idToken', expect.any(Error));
+			expect(onTamper.mock.calls[0][1].message).toEqual(
+				'The value of idToken failed its integrity check.'
+			);
+			expect(storage.items.idToken).toBeUndefined();
+		});
+
+		test('detects a value moved to another key', async () => {
+			await encryptedStorage.setItem('accessToken', token);
+			storage.items.idToken = storage.items.accessToken;
+
+			await expect(encryptedStorage.getItem('idToken')).resolves.toBe(null);
+			await expect(encryptedStorage.getItem('accessToken')).resolves.toEqual(
+				token
+			);
+		});
+
+		test('rejects malformed and plaintext values', async () => {
+			const onTamper = jest.fn();
+			encryptedStorage.onTamper = onTamper;
+			storage.items.malformed = 'enc.v1:k1:abc';
+			storage.items.plaintext = token;
+
+			await expect(encryptedStorage.getItem('malformed')).resolves.toBe(null);
+			await expect(encryptedStorage.getItem('plaintext')).resolves.toBe(null);
+			expect(onTamper.mock.calls.map(([, err]) => err.message)).toEqual([
+				'The value of malformed is malformed.',
+				'The value of plaintext is not encrypted.',
+			]);
+		});
+
+		test('encrypts plaintext values when they are allowed', async () => {
+			encryptedStorage.allowPlaintext = true;
+			storage.items.idToken = token;
+
+			await expect(encryptedStorage.getItem('idToken')).resolves.toEqual(token);
+			expect(storage.items.idToken).toMatch(/^enc\.v1:k1:/);
+		});
+
+		test('encrypts again values written with a rotated key', async () => {
+			await encryptedStorage.setItem('idToken', token);
+
+			const rotatedStorage = new EncryptedStorage({
+				storage,
+				keys: [{ id: 'k2', secret: 'second secret' }, ...keys],
+				iterations,
+				crypto,
+			});
+			await expect(rotatedStorage.getItem('idToken')).resolves.toEqual(token);
+			expect(storage.items.idToken).toMatch(/^enc\.v1:k2:/);
+
+			const onTamper = jest.fn();
+			const retiredStorage = new EncryptedStorage({
+				storage,
+				keys,
+				iterations,
+				crypto,
+				onTamper,
+			});
+			await expect(retiredStorage.getItem('idToken')).resolves.toBe(null);
+			expect(onTamper.mock.calls[0][1].message).toEqual(
+				'The value of idToken uses the unknown key k2.'
+			);
+		});
+
+		test('works with an asynchronous storage', async () => {
+			const asyncStorage = {
+				setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+				getItem: key => Promise.resolve(storage.getItem(key)),
+				removeItem: key => Promise.resolve(storage.removeItem(key)),
+			};
+			encryptedStorage = new EncryptedStorage({
+				storage: asyncStorage,
+				keys,
+				iterations,
+				crypto,
+			});
+
+			await encryptedStorage.setItem('idToken', token);
+			await expect(encryptedStorage.getItem('idToken')).resolves.toEqual(token);
+			await expect(encryptedStorage.clear()).resolves.toBeUndefined();
+		});
+	});
+});
+
+test('values can be read with another crypto backend', async () => {
+	const storage = createStorage();
+	await new EncryptedStorage({
+		storage,
+		keys,
+		iterations,
+		crypto: backends.WebCrypto,
+	}).setItem('idToken', token);
+
+	await expect(
+		new EncryptedStorage({
+			storage,
+			keys,
+			iterations,
+			crypto: backends['NodeJS crypto'],
+		}).getItem('idToken')
+	).resolves.toEqual(token);
+});
+
+test('CognitoUser caches its session in an encrypted storage', async () => {
+	const storage = createStorage();
+	const Storage = new EncryptedStorage({ storage, keys, iterations });
+	const Pool = new CognitoUserPool({
+		UserPoolId: userPoolId,
+		ClientId: clientId,
+		Storage,
+	});
+	const user = new CognitoUser({ Username: 'username', Pool, Storage });
+	user.signInUserSession = vCognitoUserSession;
+	await user.cacheTokens();
+
+	const refreshToken = vCognitoUserSession.getRefreshToken().getToken();
+	Object.keys(storage.items).forEach(key =>
+		expect(storage.items[key]).not.toContain(refreshToken)
+	);
+
+	const currentUser = await Pool.getCurrentUserAsync();
+	const session = await currentUser.getSessionAsync();
+	expect(session.getRefreshToken().getToken()).toEqual(refreshToken);
+});
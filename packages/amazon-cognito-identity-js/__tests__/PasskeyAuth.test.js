@@ -0,0 +1,290 @@
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import PasskeyAttributeStore from '../src/PasskeyAttributeStore';
+import PasskeyAuth from '../src/PasskeyAuth';
+import {
+	InvalidParameterError,
+	NotAuthorizedError,
+	UserNotAuthenticatedError,
+} from '../src/CognitoError';
+import { createEmulatedPool } from './util';
+
+const nodeCrypto = require('crypto');
+
+const rpId = 'app.example.com';
+const password = 'Passw0rd!';
+
+const sha256 = data =>
+	nodeCrypto
+		.createHash('sha256')
+		.update(data)
+		.digest();
+const base64Url = bytes =>
+	Buffer.from(bytes)
+		.toString('base64')
+		.replace(/=+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+const fromBase64Url = value => Buffer.from(value, 'base64');
+
+// A platform authenticator signing ES256 assertions
+const createAuthenticator = () => {
+	const keys = {};
+	return {
+		create: jest.fn(({ publicKey }) => {
+			const pair = nodeCrypto.generateKeyPairSync('ec', {
+				namedCurve: 'P-256',
+			});
+			const rawId = nodeCrypto.randomBytes(16);
+			keys[base64Url(rawId)] = {
+				privateKey: pair.privateKey,
+				userHandle: Buffer.from(publicKey.user.id),
+			};
+			return Promise.resolve({
+				rawId,
+				response: {
+					getPublicKey: () =>
+						pair.publicKey.export({ type: 'spki', format: 'der' }),
+					getPublicKeyAlgorithm: () => -7,
+					getTransports: () => ['internal'],
+				},
+			});
+		}),
+		get: jest.fn(({ publicKey }) => {
+			const id = publicKey.allowCredentials
+				.map(credential => base64Url(credential.id))
+				.find(candidate => keys[candidate]);
+			if (!id) {
+				return Promise.reject(new Error('NotAllowedError'));
+			}
+			const clientDataJSON = Buffer.from(
+				JSON.stringify({
+					type: 'webauthn.get',
+					challenge: base64Url(publicKey.challenge),
+					origin: `https://${publicKey.rpId}`,
+				})
+			);
+			const authenticatorData = Buffer.concat([
+				sha256(publicKey.rpId),
+				Buffer.from([0x05, 0, 0, 0, 1]),
+			]);
+			return Promise.resolve({
+				rawId: fromBase64Url(id),
+				response: {
+					clientDataJSON,
+					authenticatorData,
+					signature: nodeCrypto.sign(
+						'sha256',
+						Buffer.concat([authenticatorData, sha256(clientDataJSON)]),
+						keys[id].privateKey
+					),
+					userHandle: keys[id].userHandle,
+				},
+			});
+		}),
+	};
+};
+
+const passkeysOf = event =>
+	JSON.parse(event.request.userAttributes['custom:passkeys'] || '[]');
+
+// Password first, then a passkey assertion when the user has a passkey
+const triggers = {
+	defineAuthChallenge: event => {
+		const { session } = event.request;
+		const last = session[session.length - 1];
+		if (last.challengeName === 'SRP_A') {
+			event.response.challengeName = 'PASSWORD_VERIFIER';
+		} else if (last.challengeName === 'PASSWORD_VERIFIER') {
+			if (passkeysOf(event).length > 0) {
+				event.response.challengeName = 'CUSTOM_CHALLENGE';
+			} else {
+				event.response.issueTokens = true;
+			}
+		} else if (last.challengeResult) {
+			event.response.issueTokens = true;
+		} else {
+			event.response.failAuthentication = true;
+		}
+		return event;
+	},
+	createAuthChallenge: event => {
+		const challenge = base64Url(nodeCrypto.randomBytes(32));
+		event.response.publicChallengeParameters = {
+			type: 'PASSKEY',
+			challenge,
+			rpId,
+			allowCredentials: JSON.stringify(
+				passkeysOf(event).map(credential => credential.id)
+			),
+		};
+		event.response.privateChallengeParameters = { challenge };
+		return event;
+	},
+	verifyAuthChallengeResponse: event => {
+		const answer = JSON.parse(event.request.challengeAnswer);
+		const credential = passkeysOf(event).find(
+			candidate => candidate.id === answer.id
+		);
+		const clientData = JSON.parse(
+			fromBase64Url(answer.clientDataJSON).toString('utf8')
+		);
+		const authenticatorData = fromBase64Url(answer.authenticatorData);
+		event.response.answerCorrect =
+			!!credential &&
+			clientData.type === 'webauthn.get' &&
+			clientData.challenge ===
+				event.request.privateChallengeParameters.challenge &&
+			authenticatorData.slice(0, 32).equals(sha256(rpId)) &&
+			nodeCrypto.verify(
+				'sha256',
+				Buffer.concat([
+					authenticatorData,
+					sha256(fromBase64Url(answer.clientDataJSON)),
+				]),
+				nodeCrypto.createPublicKey({
+					key: fromBase64Url(credential.publicKey),
+					format: 'der',
+					type: 'spki',
+				}),
+				fromBase64Url(answer.signature)
+			);
+		return event;
+	},
+};
+
+describe('PasskeyAuth', () => {
+	jest.setTimeout(60 * 1000);
+
+	let emulator;
+	let pool;
+	let authenticator;
+	let passkeys;
+
+	const details = () =>
+		new AuthenticationDetails({ Username: 'alice', Password: password });
+
+	beforeEach(() => {
+		({ emulator, pool } = createEmulatedPool({ triggers }));
+		emulator.createUser(pool.getUserPoolId(), 'alice', { password });
+		authenticator = createAuthenticator();
+		passkeys = new PasskeyAuth({
+			Pool: pool,
+			rpId,
+			rpName: 'Example',
+			credentials: authenticator,
+			// The emulated custom attributes are writable by the app client
+			store: new PasskeyAttributeStore(),
+		});
+	});
+
+	test('registers a passkey and signs in with it', async () => {
+		const first = await passkeys.authenticateUser(details());
+		expect(first.type).toBe('success');
+
+		const passkey = await passkeys.register(first.user, { name: 'Laptop' });
+		const { publicKey } = authenticator.create.mock.calls[0][0];
+		expect(publicKey).toMatchObject({
+			rp: { id: rpId, name: 'Example' },
+			user: { name: 'alice', displayName: 'alice' },
+			excludeCredentials: [],
+			attestation: 'none',
+		});
+		expect(Buffer.from(publicKey.user.id).toString('utf8')).toBe(
+			emulator.getUser(pool.getUserPoolId(), 'alice').attributes.sub
+		);
+		expect(passkey).toMatchObject({
+			name: 'Laptop',
+			algorithm: -7,
+			transports: ['internal'],
+		});
+		expect(await passkeys.listPasskeys(first.user)).toEqual([passkey]);
+
+		const second = await passkeys.authenticateUser(details());
+
+		expect(second.type).toBe('success');
+		expect(second.user.getUsername()).toBe('alice');
+		const { publicKey: request } = authenticator.get.mock.calls[0][0];
+		expect(request.rpId).toBe(rpId);
+		expect(request.allowCredentials.map(({ id }) => base64Url(id))).toEqual([
+			passkey.id,
+		]);
+	});
+
+	test('rejects an assertion of another authenticator', async () => {
+		const { user } = await passkeys.authenticateUser(details());
+		await passkeys.register(user);
+		const otherKey = nodeCrypto.generateKeyPairSync('ec', {
+			namedCurve: 'P-256',
+		});
+		const get = authenticator.get.getMockImplementation();
+		authenticator.get.mockImplementation(options =>
+			get(options).then(credential => {
+				const { response } = credential;
+				response.signature = nodeCrypto.sign(
+					'sha256',
+					Buffer.concat([
+						response.authenticatorData,
+						sha256(response.clientDataJSON),
+					]),
+					otherKey.privateKey
+				);
+				return credential;
+			})
+		);
+
+		await expect(passkeys.authenticateUser(details())).rejects.toThrow(
+			NotAuthorizedError
+		);
+	});
+
+	test('removes passkeys', async () => {
+		const { user } = await passkeys.authenticateUser(details());
+		const passkey = await passkeys.register(user);
+
+		await passkeys.removePasskey(user, passkey.id);
+
+		expect(await passkeys.listPasskeys(user)).toEqual([]);
+	});
+
+	test('requires a signed in user and a passkey challenge', async () => {
+		const user = new CognitoUser({ Username: 'alice', Pool: pool });
+		await expect(passkeys.register(user)).rejects.toThrow(
+			UserNotAuthenticatedError
+		);
+		await expect(
+			passkeys.answerChallenge(user, { type: 'EMAIL_OTP' })
+		).rejects.toThrow(InvalidParameterError);
+		expect(() => new PasskeyAuth({ Pool: pool })).toThrow(
+			'Both Pool and rpName are required.'
+		);
+		expect(() => new PasskeyAuth({ Pool: pool, rpName: 'Example' })).toThrow(
+			'A store of the passkeys is required.'
+		);
+	});
+
+	test('keeps the passkeys in a pluggable store', async () => {
+		const store = {
+			list: jest.fn(() => Promise.resolve([{ id: 'AAAA' }])),
+			add: jest.fn(() => Promise.resolve()),
+			remove: jest.fn(() => Promise.resolve()),
+		};
+		passkeys = new PasskeyAuth({
+			Pool: pool,
+			rpName: 'Example',
+			credentials: authenticator,
+			store,
+		});
+		const { user } = await passkeys.authenticateUser(details());
+
+		const passkey = await passkeys.register(user);
+
+		expect(
+			authenticator.create.mock.calls[0][0].publicKey.excludeCredentials
+		).toEqual([{ type: 'public-key', id: new Uint8Array([0, 0, 0]) }]);
+		expect(store.add).toHaveBeenCalledWith(user, passkey);
+		expect(
+			emulator.getUser(pool.getUserPoolId(), 'alice').attributes
+		).not.toHaveProperty('custom:passkeys');
+	});
+});
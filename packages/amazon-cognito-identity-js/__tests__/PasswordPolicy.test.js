@@ -0,0 +1,247 @@
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import PasswordPolicy from '../src/PasswordPolicy';
+import { InvalidPasswordError } from '../src/CognitoError';
+import { createEmulatedPool, createPoolFor } from './util';
+
+const password = 'Passw0rd!';
+
+const failedRules = result =>
+	result.rules.filter(rule => !rule.passed).map(({ rule }) => rule);
+
+describe('PasswordPolicy', () => {
+	test('checks each rule of the default policy', () => {
+		const policy = new PasswordPolicy();
+
+		expect(policy.validate('abc')).toEqual({
+			valid: false,
+			rules: [
+				{
+					rule: 'minimumLength',
+					passed: false,
+					message: 'Password not long enough',
+				},
+				{
+					rule: 'maximumLength',
+					passed: true,
+					message: 'Password is too long',
+				},
+				{
+					rule: 'requireLowercase',
+					passed: true,
+					message: 'Password must have lowercase characters',
+				},
+				{
+					rule: 'requireUppercase',
+					passed: false,
+					message: 'Password must have uppercase characters',
+				},
+				{
+					rule: 'requireNumbers',
+					passed: false,
+					message: 'Password must have numeric characters',
+				},
+				{
+					rule: 'requireSymbols',
+					passed: false,
+					message: 'Password must have symbol characters',
+				},
+				{
+					rule: 'noSurroundingSpaces',
+					passed: true,
+					message: 'Password can not begin or end with a space',
+				},
+			],
+		});
+		expect(policy.validate(password).valid).toBe(true);
+		expect(policy.validate('Pass w0rd').valid).toBe(true);
+		expect(failedRules(policy.validate(' Passw0rd!'))).toEqual([
+			'noSurroundingSpaces',
+		]);
+		expect(failedRules(policy.validate('Passw0rdé'))).toEqual([
+			'requireSymbols',
+		]);
+		expect(
+			failedRules(policy.validate(`${password}${'a'.repeat(250)}`))
+		).toEqual(['maximumLength']);
+	});
+
+	test('follows the configured rules only', () => {
+		const policy = new PasswordPolicy({
+			minimumLength: 12,
+			requireUppercase: false,
+			requireSymbols: false,
+		});
+
+		expect(failedRules(policy.validate('passw0rd'))).toEqual(['minimumLength']);
+		expect(policy.validate('passw0rdpassw0rd').valid).toBe(true);
+		expect(
+			policy.validate('passw0rdpassw0rd').rules.map(({ rule }) => rule)
+		).toEqual([
+			'minimumLength',
+			'maximumLength',
+			'requireLowercase',
+			'requireNumbers',
+			'noSurroundingSpaces',
+		]);
+	});
+
+	test('returns the error of the user pool for a broken policy', () => {
+		const policy = new PasswordPolicy();
+
+		const error = policy.check('password');
+
+		expect(error).toBeInstanceOf(InvalidPasswordError);
+		expect(error.code).toBe('InvalidPasswordException');
+		expect(error.message).toBe(
+			'Password did not conform with policy: Password must have uppercase characters'
+		);
+		expect(error.rules.map(({ rule }) => rule)).toEqual([
+			'requireUppercase',
+			'requireNumbers',
+			'requireSymbols',
+		]);
+		expect(policy.check(password)).toBeNull();
+	});
+
+	test('reads the descriptors of the user pool and of Amplify', () => {
+		const described = PasswordPolicy.fromJSON(
+			JSON.stringify({
+				UserPool: {
+					Policies: {
+						PasswordPolicy: {
+							MinimumLength: 10,
+							RequireUppercase: false,
+							RequireLowercase: true,
+							RequireNumbers: true,
+							RequireSymbols: false,
+							TemporaryPasswordValidityDays: 7,
+						},
+					},
+				},
+			})
+		);
+		const amplify = PasswordPolicy.fromJSON({
+			passwordProtectionSettings: {
+				passwordPolicyMinLength: 6,
+				passwordPolicyCharacters: ['REQUIRES_NUMBERS'],
+			},
+		});
+
+		expect(described).toMatchObject({
+			minimumLength: 10,
+			requireUppercase: false,
+			requireLowercase: true,
+			requireNumbers: true,
+			requireSymbols: false,
+		});
+		expect(amplify).toMatchObject({
+			minimumLength: 6,
+			requireUppercase: false,
+			requireLowercase: false,
+			requireNumbers: true,
+			requireSymbols: false,
+		});
+		expect(
+			PasswordPolicy.fromJSON({ MinimumLength: 8 }).validate('12345678').valid
+		).toBe(true);
+		expect(() => PasswordPolicy.fromJSON({ Policies: {} })).toThrow(
+			'The descriptor has no password policy.'
+		);
+	});
+
+	test('estimates the strength of passwords', () => {
+		const policy = new PasswordPolicy();
+
+		const common = policy.estimateStrength('Password1!');
+		const predictable = policy.estimateStrength('Abc123456!');
+		const random = policy.estimateStrength('k8#Vq2!mZr7$wL');
+
+		expect(common.score).toBeLessThan(2);
+		expect(common.suggestions).toContain(
+			'Avoid common words such as "password"'
+		);
+		expect(predictable.score).toBeLessThan(2);
+		expect(predictable.suggestions).toContain(
+			'Avoid repeated characters and sequences'
+		);
+		expect(random).toEqual({ score: 4, entropy: 92, suggestions: [] });
+		expect(policy.estimateStrength('')).toEqual({
+			score: 0,
+			entropy: 0,
+			suggestions: [
+				'Add lowercase letters',
+				'Add uppercase letters',
+				'Add numbers',
+				'Add symbols',
+				'Use 12 characters or more',
+			],
+		});
+	});
+});
+
+describe('Password pre-validation', () => {
+	let emulator;
+	let ids;
+	let handle;
+
+	const createPool = passwordPolicy =>
+		createPoolFor(emulator, ids, { passwordPolicy });
+
+	beforeEach(() => {
+		({ emulator, ids } = createEmulatedPool());
+		emulator.createUser(ids.UserPoolId, 'alice', { password });
+		handle = jest.spyOn(emulator, 'handle');
+	});
+
+	test('rejects the passwords breaking the policy without a request', async () => {
+		const pool = createPool({ minimumLength: 10 });
+		const user = new CognitoUser({
+			Username: 'alice',
+			Pool: pool,
+			Storage: pool.storage,
+		});
+		await user.authenticateUserAsync(
+			new AuthenticationDetails({ Username: 'alice', Password: password })
+		);
+		handle.mockClear();
+
+		await expect(pool.signUpAsync('bob', password)).rejects.toMatchObject({
+			code: 'InvalidPasswordException',
+			rules: [expect.objectContaining({ rule: 'minimumLength' })],
+		});
+		await expect(
+			user.changePasswordAsync(password, 'short')
+		).rejects.toBeInstanceOf(InvalidPasswordError);
+		await expect(
+			user.confirmPasswordAsync('123456', 'short')
+		).rejects.toBeInstanceOf(InvalidPasswordError);
+		await expect(
+			new Promise((resolve, reject) =>
+				user.completeNewPasswordChallenge(
+					'short',
+					{},
+					{
+						onSuccess: resolve,
+						onFailure: reject,
+					}
+				)
+			)
+		).rejects.toBeInstanceOf(InvalidPasswordError);
+		expect(handle).not.toHaveBeenCalled();
+
+		await user.changePasswordAsync(password, 'Passw0rd!!!');
+		expect(handle).toHaveBeenCalledWith('ChangePassword', expect.anything());
+	});
+
+	test('sends the passwords as is without a policy', async () => {
+		const pool = createPool();
+
+		await expect(pool.signUpAsync('bob', 'short')).rejects.toMatchObject({
+			code: 'InvalidPasswordException',
+			message: 'Password did not conform with policy: Password not long enough',
+		});
+		expect(pool.getPasswordPolicy()).toBeNull();
+		expect(handle).toHaveBeenCalledWith('SignUp', expect.anything());
+	});
+});
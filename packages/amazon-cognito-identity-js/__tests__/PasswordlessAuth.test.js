@@ -0,0 +1,245 @@
+import PasswordlessAuth from '../src/PasswordlessAuth';
+import {
+	LimitExceededError,
+	NotAuthorizedError,
+	TooManyFailedAttemptsError,
+} from '../src/CognitoError';
+import { createEmulatedPool } from './util';
+
+const nodeCrypto = require('crypto');
+
+const linkSecret = 'magic-link-secret';
+
+const magicLinkFragment = username => {
+	const payload = Buffer.from(JSON.stringify({ username }))
+		.toString('base64')
+		.replace(/=+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+	const signature = nodeCrypto
+		.createHmac('sha256', linkSecret)
+		.update(payload)
+		.digest('hex');
+	return `${payload}.${signature}`;
+};
+
+// Triggers in the style of the passwordless samples: three answers per sign
+// in, a new code for every InitiateAuth, no delivery when the link is at hand
+const createTriggers = sent => ({
+	defineAuthChallenge: event => {
+		const { session } = event.request;
+		const last = session[session.length - 1];
+		if (last && last.challengeResult) {
+			event.response.issueTokens = true;
+		} else if (session.length >= 3) {
+			event.response.failAuthentication = true;
+		} else {
+			event.response.challengeName = 'CUSTOM_CHALLENGE';
+		}
+		return event;
+	},
+	createAuthChallenge: event => {
+		const { session, clientMetadata, userAttributes } = event.request;
+		let secret;
+		if (session.length > 0) {
+			secret = session[session.length - 1].challengeMetadata.slice(5);
+		} else if (clientMetadata.signInMethod === 'MAGIC_LINK') {
+			secret = magicLinkFragment(event.userName);
+		} else {
+			secret = `${nodeCrypto.randomInt(100000, 1000000)}`;
+		}
+		if (session.length === 0 && clientMetadata.action !== 'link') {
+			sent.push({ username: event.userName, secret, clientMetadata });
+		}
+		event.response.publicChallengeParameters = {
+			email: userAttributes.email.replace(/^(.).*@/, '$1***@'),
+			deliveryMedium: 'EMAIL',
+		};
+		event.response.privateChallengeParameters = { secret };
+		event.response.challengeMetadata = `CODE-${secret}`;
+		return event;
+	},
+	verifyAuthChallengeResponse: event =>
+		Promise.resolve(
+			Object.assign({}, event, {
+				response: {
+					answerCorrect:
+						event.request.challengeAnswer ===
+						event.request.privateChallengeParameters.secret,
+				},
+			})
+		),
+});
+
+describe('PasswordlessAuth', () => {
+	let emulator;
+	let pool;
+	let sent;
+	let triggers;
+
+	beforeEach(() => {
+		sent = [];
+		triggers = createTriggers(sent);
+		({ emulator, pool } = createEmulatedPool({ triggers }));
+		emulator.createUser(pool.getUserPoolId(), 'alice', {
+			attributes: { email: 'alice@example.com' },
+		});
+	});
+
+	test('validates its options', () => {
+		expect(() => new PasswordlessAuth({})).toThrow('Pool is required.');
+		expect(() => new PasswordlessAuth({ Pool: pool, method: 'SMS' })).toThrow(
+			'method must be one of EMAIL_OTP, SMS_OTP, MAGIC_LINK.'
+		);
+	});
+
+	test('signs in with an email code after a wrong one', async () => {
+		const passwordless = new PasswordlessAuth({ Pool: pool });
+		const states = [];
+		passwordless.on('stateChange', state => states.push(state.state));
+
+		const challenged = await passwordless.start('alice');
+		expect(challenged).toMatchObject({
+			state: 'challenged',
+			username: 'alice',
+			destination: 'a***@example.com',
+			deliveryMedium: 'EMAIL',
+			attempts: 0,
+			attemptsLeft: 3,
+		});
+		expect(sent[0].clientMetadata).toEqual({
+			signInMethod: 'EMAIL_OTP',
+			action: 'start',
+		});
+
+		const retry = await passwordless.answer('000000');
+		expect(retry).toMatchObject({
+			state: 'challenged',
+			attempts: 1,
+			attemptsLeft: 2,
+		});
+
+		const signedIn = await passwordless.answer(sent[0].secret);
+		expect(signedIn.state).toBe('signedIn');
+		expect(signedIn.session.isValid()).toBe(true);
+		expect(pool.getCurrentUser().getUsername()).toBe('alice');
+		expect(states).toEqual([
+			'idle',
+			'sending',
+			'challenged',
+			'answering',
+			'challenged',
+			'answering',
+			'signedIn',
+		]);
+	});
+
+	test('fails once the triggers reject the last answer', async () => {
+		const passwordless = new PasswordlessAuth({ Pool: pool });
+		await passwordless.start('alice');
+		await passwordless.answer('000001');
+		await passwordless.answer('000002');
+
+		await expect(passwordless.answer('000003')).rejects.toThrow(
+			NotAuthorizedError
+		);
+		expect(passwordless.getState().state).toBe('failed');
+		expect(passwordless.getState().error.code).toBe('NotAuthorizedException');
+	});
+
+	test('stops answering after maxAttempts without asking the service', async () => {
+		const passwordless = new PasswordlessAuth({ Pool: pool, maxAttempts: 1 });
+		await passwordless.start('alice');
+		await passwordless.answer('000001');
+
+		const fetchSpy = jest.spyOn(emulator, 'handle');
+		await expect(passwordless.answer(sent[0].secret)).rejects.toThrow(
+			TooManyFailedAttemptsError
+		);
+		expect(fetchSpy).not.toHaveBeenCalled();
+	});
+
+	test('resends a new code up to maxResends times', async () => {
+		const passwordless = new PasswordlessAuth({ Pool: pool, maxResends: 1 });
+		await passwordless.start('alice');
+		await passwordless.answer('000001');
+
+		const resent = await passwordless.resend();
+		expect(resent).toMatchObject({
+			state: 'challenged',
+			attempts: 0,
+			resends: 1,
+		});
+		expect(sent[1].clientMetadata.action).toBe('resend');
+		await expect(passwordless.resend()).rejects.toThrow(LimitExceededError);
+
+		await expect(passwordless.answer(sent[0].secret)).resolves.toMatchObject({
+			state: 'challenged',
+		});
+		await expect(passwordless.answer(sent[1].secret)).resolves.toMatchObject({
+			state: 'signedIn',
+		});
+	});
+
+	test('signs in with a magic link opened in another tab', async () => {
+		await new PasswordlessAuth({
+			Pool: pool,
+			method: 'MAGIC_LINK',
+			redirectUri: 'https://app.example.com/signin',
+		}).start('alice');
+		expect(sent[0].clientMetadata).toEqual({
+			signInMethod: 'MAGIC_LINK',
+			action: 'start',
+			redirectUri: 'https://app.example.com/signin',
+		});
+
+		const otherTab = new PasswordlessAuth({ Pool: pool, method: 'MAGIC_LINK' });
+		expect(
+			await otherTab.signInWithLink('https://app.example.com/signin')
+		).toBeNull();
+		const signedIn = await otherTab.signInWithLink(
+			`https://app.example.com/signin#${sent[0].secret}`
+		);
+
+		expect(signedIn.state).toBe('signedIn');
+		expect(sent).toHaveLength(1);
+	});
+
+	test('follows the conventions of custom triggers', async () => {
+		const passwordless = new PasswordlessAuth({
+			Pool: pool,
+			clientMetadata: { locale: 'fr' },
+			conventions: {
+				getClientMetadata: ({ method, action }) => ({
+					authMethod: method,
+					step: action,
+				}),
+				parseChallenge: parameters => ({
+					destination: parameters.email.toUpperCase(),
+					attemptsLeft: 5,
+				}),
+				formatAnswer: code => code.trim(),
+			},
+		});
+		triggers.createAuthChallenge = jest.fn(event => {
+			event.response.publicChallengeParameters = { email: 'a***@example.com' };
+			event.response.privateChallengeParameters = { secret: '123456' };
+			return event;
+		});
+
+		expect(await passwordless.start('alice')).toMatchObject({
+			destination: 'A***@EXAMPLE.COM',
+			attemptsLeft: 5,
+		});
+		expect(
+			triggers.createAuthChallenge.mock.calls[0][0].request.clientMetadata
+		).toEqual({
+			locale: 'fr',
+			authMethod: 'EMAIL_OTP',
+			step: 'start',
+		});
+		await expect(passwordless.answer(' 123456 ')).resolves.toMatchObject({
+			state: 'signedIn',
+		});
+	});
+});
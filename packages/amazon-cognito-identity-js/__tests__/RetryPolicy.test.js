@@ -0,0 +1,102 @@
+import RetryPolicy from '../src/RetryPolicy';
+
+describe('RetryPolicy', () => {
+	beforeEach(() => {
+		jest.spyOn(Math, 'random').mockReturnValue(0);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test.each([
+		[{ code: 'TooManyRequestsException' }, true],
+		[{ code: 'ThrottlingException' }, true],
+		[{ code: 'NetworkError' }, true],
+		[{ code: 'InternalErrorException', statusCode: 500 }, true],
+		[{ code: 'ServiceUnavailable', statusCode: 503 }, true],
+		[{ code: 'NotAuthorizedException', statusCode: 400 }, false],
+		[{ code: 'CodeMismatchException', statusCode: 400 }, false],
+		[{ code: 'NotAuthorizedException', statusCode: 500 }, false],
+		[{ code: 'AbortError' }, false],
+		[{ code: 'InvalidParameterException', statusCode: 400 }, false],
+		[null, false],
+	])('classifies %p as retryable: %p', (err, retryable) => {
+		expect(RetryPolicy.isRetryableError(err)).toBe(retryable);
+	});
+
+	test('backs off exponentially up to the maximum delay', () => {
+		const policy = new RetryPolicy({
+			maxAttempts: 10,
+			baseDelay: 100,
+			maxDelay: 500,
+		});
+		const err = { code: 'ThrottlingException' };
+
+		expect(
+			[1, 2, 3, 4].map(attempt => policy.getRetryDelay(err, attempt))
+		).toEqual([100, 200, 400, 500]);
+	});
+
+	test('adds a jitter of up to the base delay', () => {
+		Math.random.mockReturnValue(0.5);
+		const policy = new RetryPolicy({ baseDelay: 100 });
+
+		expect(policy.getRetryDelay({ code: 'NetworkError' }, 1)).toBe(150);
+	});
+
+	test('stops after the maximum attempts', () => {
+		const policy = new RetryPolicy({ maxAttempts: 2 });
+		const err = { code: 'ThrottlingException' };
+
+		expect(policy.getRetryDelay(err, 1)).toBe(100);
+		expect(policy.getRetryDelay(err, 2)).toBe(-1);
+	});
+
+	test('uses a custom classifier', () => {
+		const isRetryable = jest.fn(err => err.code === 'LimitExceededException');
+		const policy = new RetryPolicy({ isRetryable });
+
+		expect(policy.getRetryDelay({ code: 'LimitExceededException' }, 1)).toBe(
+			100
+		);
+		expect(policy.getRetryDelay({ code: 'NetworkError' }, 1)).toBe(-1);
+	});
+
+	test('honors a Retry-After header in seconds or as a date', () => {
+		const now = Date.parse('2020-01-01T00:00:00Z');
+		const policy = new RetryPolicy({
+			clock: { now: () => now, setTimeout: jest.fn() },
+		});
+		const err = retryAfter => ({
+			code: 'TooManyRequestsException',
+			retryAfter,
+		});
+
+		expect(policy.getRetryDelay(err('3'), 1)).toBe(3000);
+		expect(policy.getRetryDelay(err('Wed, 01 Jan 2020 00:00:04 GMT'), 1)).toBe(
+			4000
+		);
+		expect(policy.getRetryDelay(err('not a date'), 1)).toBe(100);
+	});
+
+	test('does not retry when Retry-After exceeds the maximum delay', () => {
+		const policy = new RetryPolicy({ maxDelay: 1000 });
+
+		expect(
+			policy.getRetryDelay(
+				{ code: 'TooManyRequestsException', retryAfter: '60' },
+				1
+			)
+		).toBe(-1);
+	});
+
+	test('waits with the injected clock', () => {
+		const clock = { now: () => 0, setTimeout: jest.fn() };
+		const callback = jest.fn();
+
+		new RetryPolicy({ clock }).wait(250, callback);
+
+		expect(clock.setTimeout).toHaveBeenCalledWith(callback, 250);
+	});
+});
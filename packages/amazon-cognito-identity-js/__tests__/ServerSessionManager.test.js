@@ -0,0 +1,227 @@
+import { CognitoEmulator } from '../src/emulator';
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import MemorySessionStore from '../src/MemorySessionStore';
+import ServerSessionManager from '../src/ServerSessionManager';
+
+const password = 'Passw0rd!';
+
+// The Cookie header a browser sends back after the Set-Cookie headers
+const cookieHeader = setCookies =>
+	setCookies
+		.filter(header => header.indexOf('Max-Age=0') === -1)
+		.map(header => header.split(';')[0])
+		.join('; ');
+
+describe('ServerSessionManager', () => {
+	let emulator;
+	let ids;
+
+	const signIn = (context, username) => {
+		const user = new CognitoUser({
+			Username: username,
+			Pool: context.pool,
+			Storage: context.storage,
+		});
+		user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+		return user.authenticateUserAsync(
+			new AuthenticationDetails({ Username: username, Password: password })
+		);
+	};
+
+	const createManager = options =>
+		new ServerSessionManager(
+			Object.assign(
+				{
+					PoolData: {
+						UserPoolId: ids.UserPoolId,
+						ClientId: ids.ClientId,
+						fetch: emulator.fetch,
+					},
+				},
+				options
+			)
+		);
+
+	beforeEach(() => {
+		emulator = new CognitoEmulator();
+		ids = emulator.createUserPool();
+		emulator.createUser(ids.UserPoolId, 'alice', { password });
+		emulator.createUser(ids.UserPoolId, 'bob', {
+			password,
+			attributes: { 'custom:bio': 'b'.repeat(3000) },
+		});
+	});
+
+	test('validates its options', () => {
+		expect(() => new ServerSessionManager({ secret: 's' })).toThrow(
+			'PoolData is required.'
+		);
+		expect(() => createManager()).toThrow(
+			'Either a secret or a store is required.'
+		);
+	});
+
+	test('keeps the sessions of concurrent requests apart in signed cookies', async () => {
+		const manager = createManager({ secret: 'cookie-secret' });
+		const [first, second] = await Promise.all([
+			manager.load(undefined),
+			manager.load('theme=dark'),
+		]);
+		expect(first.user).toBeNull();
+		await Promise.all([signIn(first, 'alice'), signIn(second, 'bob')]);
+
+		const aliceCookies = await manager.save(first);
+		const bobCookies = await manager.save(second);
+
+		expect(aliceCookies).toEqual([
+			expect.stringMatching(
+				/^cognito-session=[\w-]+\.[\w-]+; Path=\/; Max-Age=2592000; Secure; HttpOnly; SameSite=Lax$/
+			),
+		]);
+		// The long id token of bob does not fit in one cookie
+		expect(bobCookies.map(header => header.split('=')[0])).toEqual([
+			'cognito-session',
+			'cognito-session.1',
+			'cognito-session.2',
+		]);
+		bobCookies.forEach(header => expect(header.length).toBeLessThan(4096));
+		const alice = await manager.load(cookieHeader(aliceCookies));
+		const bob = await manager.load(cookieHeader(bobCookies));
+		expect(alice.user.getUsername()).toBe('alice');
+		expect(alice.session.isValid()).toBe(true);
+		expect(alice.pool.getCurrentUser().getUsername()).toBe('alice');
+		expect(bob.user.getUsername()).toBe('bob');
+		expect(bob.session.getIdToken().decodePayload()['custom:bio']).toHaveLength(
+			3000
+		);
+	});
+
+	test('ignores cookies with a wrong signature', async () => {
+		const manager = createManager({ secret: 'cookie-secret' });
+		const context = await manager.load();
+		await signIn(context, 'alice');
+		const cookie = cookieHeader(await manager.save(context));
+
+		const forged = await createManager({ secret: 'other-secret' }).load(cookie);
+		const tampered = await manager.load(cookie.replace(/.\./, 'A.'));
+
+		expect(forged.user).toBeNull();
+		expect(tampered.user).toBeNull();
+	});
+
+	test('ignores sessions which can not be parsed', async () => {
+		const manager = createManager({ secret: 'cookie-secret' });
+		const payload = Buffer.from('not json')
+			.toString('base64')
+			.replace(/=+$/, '');
+		const store = new MemorySessionStore();
+		await store.set('sid1', '{"broken', 60);
+
+		const signed = await manager.load(
+			`cognito-session=${payload}.${manager.sign(payload)}`
+		);
+		const stored = await createManager({ store, cookieName: 'sid' }).load(
+			'sid=sid1'
+		);
+
+		expect(signed.user).toBeNull();
+		expect(stored).toMatchObject({ user: null, session: null, id: 'sid1' });
+	});
+
+	test('keeps an expired session when its refresh fails with a network error', async () => {
+		let offline = true;
+		const store = new MemorySessionStore();
+		const manager = createManager({
+			PoolData: {
+				UserPoolId: ids.UserPoolId,
+				ClientId: ids.ClientId,
+				retryPolicy: { maxAttempts: 1 },
+				fetch: (url, options) =>
+					offline && JSON.parse(options.body).AuthFlow === 'REFRESH_TOKEN_AUTH'
+						? Promise.reject(new TypeError('Failed to fetch'))
+						: emulator.fetch(url, options),
+			},
+			store,
+			cookieName: 'sid',
+		});
+		const context = await manager.load();
+		await signIn(context, 'alice');
+		const cookie = cookieHeader(await manager.save(context));
+		const id = cookie.slice('sid='.length);
+		const stored = JSON.parse(await store.get(id));
+		await store.set(
+			id,
+			JSON.stringify(Object.assign({}, stored, { clockDrift: -2 * 3600 })),
+			60
+		);
+
+		const failed = await manager.load(cookie);
+		expect(failed.user).toBeNull();
+		expect(failed.error).toMatchObject({ code: 'NetworkError' });
+		expect(failed.session.isValid()).toBe(false);
+		expect(cookieHeader(await manager.save(failed))).toBe(cookie);
+		expect(JSON.parse(await store.get(id)).refreshToken).toBe(
+			stored.refreshToken
+		);
+
+		offline = false;
+		const refreshed = await manager.load(cookie);
+		expect(refreshed.user.getUsername()).toBe('alice');
+		expect(refreshed.session.isValid()).toBe(true);
+		expect(refreshed.error).toBeNull();
+	});
+
+	test('refreshes an expired session once for concurrent requests', async () => {
+		const store = new MemorySessionStore();
+		const manager = createManager({ store, cookieName: 'sid' });
+		const context = await manager.load();
+		await signIn(context, 'alice');
+		const setCookies = await manager.save(context);
+		const [, id] = setCookies[0].match(/^sid=(\w+);/);
+		const stored = JSON.parse(await store.get(id));
+		await store.set(
+			id,
+			JSON.stringify(Object.assign({}, stored, { clockDrift: -2 * 3600 })),
+			60
+		);
+		const handle = jest.spyOn(emulator, 'handle');
+
+		const requests = await Promise.all([
+			manager.load(`sid=${id}`),
+			manager.load(`sid=${id}`),
+		]);
+
+		expect(
+			handle.mock.calls.filter(([operation]) => operation === 'InitiateAuth')
+		).toHaveLength(1);
+		requests.forEach(request => {
+			expect(request.session.isValid()).toBe(true);
+			expect(request.session.getAccessToken().getJwtToken()).not.toBe(
+				stored.accessToken
+			);
+		});
+		expect(JSON.parse(await store.get(id)).accessToken).toBe(
+			requests[0].session.getAccessToken().getJwtToken()
+		);
+	});
+
+	test('removes the session and clears the cookies on sign out', async () => {
+		const store = new MemorySessionStore();
+		const manager = createManager({ store });
+		const context = await manager.load();
+		await signIn(context, 'alice');
+		const cookie = cookieHeader(await manager.save(context));
+
+		const loaded = await manager.load(cookie);
+		expect(loaded.id).toEqual(expect.stringMatching(/^[0-9a-f]{64}$/));
+		await loaded.user.globalSignOutAsync();
+		const cleared = await manager.save(loaded);
+
+		expect(cleared).toEqual([
+			'cognito-session=; Path=/; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Secure; HttpOnly; SameSite=Lax',
+		]);
+		expect(await store.get(loaded.id)).toBeNull();
+		expect((await manager.load(cookie)).user).toBeNull();
+	});
+});
@@ -0,0 +1,158 @@
+import { generateTotp } from '../src/emulator';
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import SignInFlow from '../src/SignInFlow';
+import { ExpiredCodeError, InvalidParameterError } from '../src/CognitoError';
+import { createEmulatedPool } from './util';
+
+const password = 'Passw0rd!';
+
+describe('SignInFlow', () => {
+	jest.setTimeout(60 * 1000);
+
+	let emulator;
+	let ids;
+	let pool;
+	let saved;
+
+	const setUp = poolOptions => {
+		({ emulator, ids, pool } = createEmulatedPool(poolOptions));
+	};
+
+	// A flow persisting its state as JSON, as an app would on a reload
+	const flowFor = (username, state) => {
+		const flow = new SignInFlow({
+			User: new CognitoUser({
+				Username: username,
+				Pool: pool,
+				Storage: pool.storage,
+			}),
+			State: state,
+		});
+		flow.on('stateChange', next => {
+			saved = JSON.stringify(next);
+		});
+		return flow;
+	};
+
+	const resume = username => flowFor(username, JSON.parse(saved));
+
+	const details = username =>
+		new AuthenticationDetails({ Username: username, Password: password });
+
+	beforeEach(() => {
+		saved = null;
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test('resumes the new password and SMS MFA challenges after a reload', async () => {
+		setUp({ mfaConfiguration: 'ON', requiredAttributes: ['name'] });
+		emulator.createUser(ids.UserPoolId, 'alice', {
+			password,
+			status: 'FORCE_CHANGE_PASSWORD',
+			attributes: { phone_number: '+15555550100' },
+		});
+
+		const first = await flowFor('alice').signIn(details('alice'));
+		expect(first.type).toBe('newPasswordRequired');
+		expect(JSON.parse(saved)).toMatchObject({
+			username: 'alice',
+			challengeName: 'NEW_PASSWORD_REQUIRED',
+			session: expect.any(String),
+			challengeParameters: { requiredAttributes: ['name'] },
+			expiresAt: expect.any(Number),
+		});
+
+		const second = await resume('alice').completeNewPassword('N3w Passw0rd!', {
+			name: 'Alice',
+		});
+		expect(second).toMatchObject({
+			type: 'mfaRequired',
+			challengeName: 'SMS_MFA',
+		});
+		expect(JSON.parse(saved)).toMatchObject({
+			challengeName: 'SMS_MFA',
+			challengeParameters: { CODE_DELIVERY_DESTINATION: '+*******0100' },
+		});
+
+		const flow = resume('alice');
+		expect(flow.getTransitions()).toEqual(['sendSmsMfaCode']);
+		const result = await flow.sendSmsMfaCode(
+			emulator.getLastCode(ids.UserPoolId, 'alice')
+		);
+		expect(result.type).toBe('success');
+		expect(result.session.isValid()).toBe(true);
+		expect(flow.getUser().getSignInUserSession()).toBe(result.session);
+		expect(flow.getState()).toBeNull();
+		expect(saved).toBe('null');
+	});
+
+	test('resumes an authenticator app setup with the new session', async () => {
+		setUp({ mfaConfiguration: 'ON' });
+		emulator.createUser(ids.UserPoolId, 'bob', { password });
+
+		const first = await flowFor('bob').signIn(details('bob'));
+		expect(first.challengeName).toBe('MFA_SETUP');
+		const secretCode = await resume('bob').associateSoftwareToken();
+
+		const result = await resume('bob').verifySoftwareToken(
+			generateTotp(secretCode),
+			'phone'
+		);
+		expect(result.type).toBe('success');
+		expect(saved).toBe('null');
+	});
+
+	test('rejects the transitions not answering the pending challenge', async () => {
+		setUp({ mfaConfiguration: 'ON' });
+		emulator.createUser(ids.UserPoolId, 'carol', {
+			password,
+			attributes: { phone_number: '+15555550101' },
+		});
+		const flow = flowFor('carol');
+		const handle = jest.spyOn(emulator, 'handle');
+
+		await expect(flow.sendCustomChallengeAnswer('42')).rejects.toThrow(
+			'There is no challenge to answer.'
+		);
+		await flow.signIn(details('carol'));
+		handle.mockClear();
+
+		await expect(flow.sendTotpCode('123456')).rejects.toThrow(
+			'sendTotpCode does not answer the SMS_MFA challenge.'
+		);
+		await expect(flow.completeNewPassword('N3w Passw0rd!')).rejects.toThrow(
+			InvalidParameterError
+		);
+		expect(handle).not.toHaveBeenCalled();
+		expect(flow.getState().challengeName).toBe('SMS_MFA');
+
+		expect(() => flowFor('dave', JSON.parse(saved))).toThrow(
+			'The sign in state belongs to another user.'
+		);
+		expect(() =>
+			flowFor('carol', { username: 'carol', challengeName: 'PASSWORD' })
+		).toThrow('Invalid sign in state.');
+	});
+
+	test('drops the state once the session expired', async () => {
+		setUp({ mfaConfiguration: 'ON' });
+		emulator.createUser(ids.UserPoolId, 'erin', {
+			password,
+			attributes: { phone_number: '+15555550102' },
+		});
+		await flowFor('erin').signIn(details('erin'));
+		const code = emulator.getLastCode(ids.UserPoolId, 'erin');
+		const now = Date.now();
+		jest.spyOn(Date, 'now').mockReturnValue(now + 3 * 60 * 1000);
+
+		const flow = resume('erin');
+		expect(flow.isExpired()).toBe(true);
+		await expect(flow.sendSmsMfaCode(code)).rejects.toThrow(ExpiredCodeError);
+		expect(flow.getState()).toBeNull();
+		expect(saved).toBe('null');
+	});
+});
@@ -0,0 +1,240 @@
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserPool from '../src/CognitoUserPool';
+import CognitoUserSession from '../src/CognitoUserSession';
+import CognitoIdToken from '../src/CognitoIdToken';
+import CognitoAccessToken from '../src/CognitoAccessToken';
+import CognitoRefreshToken from '../src/CognitoRefreshToken';
+import { clientId, userPoolId } from './constants';
+
+const base64 = value => Buffer.from(JSON.stringify(value)).toString('base64');
+const jwt = payload => `${base64({ alg: 'none' })}.${base64(payload)}.sig`;
+
+let now;
+
+const makeSession = ({
+	lifetime = 3600,
+	clockDrift = 0,
+	refresh = 'r',
+} = {}) => {
+	const iat = Math.floor(now / 1000) - clockDrift;
+	const payload = { iat, exp: iat + lifetime };
+	return new CognitoUserSession({
+		IdToken: new CognitoIdToken({ IdToken: jwt(payload) }),
+		AccessToken: new CognitoAccessToken({ AccessToken: jwt(payload) }),
+		RefreshToken: new CognitoRefreshToken({ RefreshToken: refresh }),
+		ClockDrift: clockDrift,
+	});
+};
+
+const advance = ms => {
+	now += ms;
+	jest.advanceTimersByTime(ms);
+};
+
+describe('Background token refresh', () => {
+	const pool = new CognitoUserPool({
+		UserPoolId: userPoolId,
+		ClientId: clientId,
+	});
+	let user;
+	let events;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		now = 1600000000000;
+		jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+		user = new CognitoUser({ Username: 'username', Pool: pool });
+		user.signInUserSession = makeSession();
+		events = [];
+		['tokenRefreshed', 'refreshFailed', 'sessionExpired'].forEach(event =>
+			user.on(event, (...args) => events.push([event, ...args]))
+		);
+	});
+
+	afterEach(() => {
+		user.stopAutoRefresh();
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+	});
+
+	// Each result is either an error or null for a new session
+	const mockRefresh = (...results) => {
+		const refreshSpy = jest.spyOn(user, 'refreshSession');
+		results.forEach(err =>
+			refreshSpy.mockImplementationOnce((refreshToken, callback) => {
+				if (err) {
+					callback(err, null);
+					return;
+				}
+				user.signInUserSession = makeSession({ refresh: 'refreshed' });
+				user.emit('tokenRefreshed', user.signInUserSession, { remote: false });
+				callback(null, user.signInUserSession);
+			})
+		);
+		return refreshSpy;
+	};
+
+	test('refreshes the session before it expires', () => {
+		const refreshSpy = mockRefresh(null);
+
+		user.startAutoRefresh({ refreshBeforeExpiry: 300 });
+		advance(3299 * 1000);
+		expect(refreshSpy).not.toBeCalled();
+
+		advance(1000);
+		expect(refreshSpy).toBeCalledTimes(1);
+		expect(refreshSpy.mock.calls[0][0].getToken()).toEqual('r');
+		expect(events).toEqual([
+			['tokenRefreshed', user.signInUserSession, { remote: false }],
+		]);
+		expect(jest.getTimerCount()).toBe(1);
+	});
+
+	test('adjusts the refresh time by the clock drift', () => {
+		user.signInUserSession = makeSession({ clockDrift: 100 });
+		const refreshSpy = mockRefresh(null);
+
+		user.startAutoRefresh({ refreshBeforeExpiry: 300 });
+		// Without the drift the tokens would look like expiring 100 seconds earlier
+		advance(3299 * 1000);
+		expect(refreshSpy).not.toBeCalled();
+
+		advance(1000);
+		expect(refreshSpy).toBeCalledTimes(1);
+	});
+
+	test('refreshes short lived tokens at half of their lifetime', () => {
+		user.signInUserSession = makeSession({ lifetime: 300 });
+		const refreshSpy = mockRefresh(null);
+
+		user.startAutoRefresh({ refreshBeforeExpiry: 300 });
+		advance(149 * 1000);
+		expect(refreshSpy).not.toBeCalled();
+
+		advance(1000);
+		expect(refreshSpy).toBeCalledTimes(1);
+	});
+
+	test('retries network errors with a backoff', () => {
+		const networkError = { code: 'NetworkError', message: 'Network error' };
+		const refreshSpy = mockRefresh(networkError, networkError, null);
+
+		user.startAutoRefresh({ refreshBeforeExpiry: 300, retryDelay: 1000 });
+		advance(3300 * 1000);
+		expect(events).toEqual([
+			[
+				'refreshFailed',
+				networkError,
+				{ willRetry: true, attempt: 1, retryIn: 1000 },
+			],
+		]);
+
+		advance(1000);
+		expect(events[1]).toEqual([
+			'refreshFailed',
+			networkError,
+			{ willRetry: true, attempt: 2, retryIn: 2000 },
+		]);
+
+		advance(1999);
+		expect(refreshSpy).toBeCalledTimes(2);
+		advance(1);
+		expect(refreshSpy).toBeCalledTimes(3);
+		expect(events[2]).toEqual([
+			'tokenRefreshed',
+			user.signInUserSession,
+			{ remote: false },
+		]);
+	});
+
+	test('caps the retry delay', () => {
+		const networkError = { code: 'NetworkError' };
+		mockRefresh(networkError, networkError, networkError);
+
+		user.startAutoRefresh({ retryDelay: 1000, maxRetryDelay: 1500 });
+		advance(3300 * 1000);
+		advance(1000);
+		advance(1500);
+		expect(events.map(([, , info]) => info.retryIn)).toEqual([
+			1000,
+			1500,
+			1500,
+		]);
+	});
+
+	test('stops when the refresh token is rejected', () => {
+		const err = {
+			code: 'NotAuthorizedException',
+			message: 'Refresh Token has expired',
+		};
+		mockRefresh(err);
+
+		user.startAutoRefresh();
+		advance(3300 * 1000);
+		expect(events).toEqual([
+			['refreshFailed', err, { willRetry: false }],
+			['sessionExpired', err],
+		]);
+		expect(jest.getTimerCount()).toBe(0);
+	});
+
+	test('does not refresh a session refreshed in the meantime', () => {
+		const refreshSpy = mockRefresh(null);
+
+		user.startAutoRefresh();
+		advance(1000 * 1000);
+		user.signInUserSession = makeSession();
+		advance(2300 * 1000);
+		expect(refreshSpy).not.toBeCalled();
+
+		advance(1000 * 1000);
+		expect(refreshSpy).toBeCalledTimes(1);
+	});
+
+	test('stops on stopAutoRefresh and on sign out', () => {
+		const refreshSpy = mockRefresh(null);
+
+		user.startAutoRefresh();
+		user.stopAutoRefresh();
+		advance(3600 * 1000);
+		expect(refreshSpy).not.toBeCalled();
+
+		user.signInUserSession = makeSession();
+		user.startAutoRefresh();
+		user.signOut();
+		advance(3600 * 1000);
+		expect(refreshSpy).not.toBeCalled();
+		expect(events).toEqual([]);
+	});
+
+	test('reports a session that can not be restored', () => {
+		const err = new Error(
+			'Local storage is missing an ID Token, Please authenticate'
+		);
+		user.signInUserSession = null;
+		jest
+			.spyOn(user, 'getSession')
+			.mockImplementation(callback => callback(err));
+
+		user.startAutoRefresh();
+		expect(events).toEqual([['sessionExpired', err]]);
+	});
+
+	test('listeners can unsubscribe', () => {
+		const listener = jest.fn();
+		const unsubscribe = user.on('tokenRefreshed', listener);
+		const otherListener = jest.fn();
+		user.on('tokenRefreshed', otherListener);
+		mockRefresh(null, null);
+
+		user.startAutoRefresh();
+		advance(3300 * 1000);
+		unsubscribe();
+		user.off('tokenRefreshed', otherListener);
+		advance(3300 * 1000);
+
+		expect(listener).toBeCalledTimes(1);
+		expect(otherListener).toBeCalledTimes(1);
+	});
+});
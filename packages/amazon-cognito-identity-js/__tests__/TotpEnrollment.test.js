@@ -0,0 +1,159 @@
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import TotpEnrollment from '../src/TotpEnrollment';
+import { CodeMismatchError, InvalidParameterError } from '../src/CognitoError';
+import { encodeQrCode } from '../src/utils/qrcode';
+import { createEmulatedPool } from './util';
+
+const password = 'Passw0rd!';
+
+describe('TotpEnrollment', () => {
+	let emulator;
+	let pool;
+
+	const setUp = poolOptions => {
+		({ emulator, pool } = createEmulatedPool(poolOptions));
+		emulator.createUser(pool.getUserPoolId(), 'alice', { password });
+	};
+
+	const signIn = () => {
+		const user = new CognitoUser({
+			Username: 'alice',
+			Pool: pool,
+			Storage: pool.storage,
+		});
+		user.setAuthenticationFlowType('USER_PASSWORD_AUTH');
+		return user
+			.authenticateUserAsync(
+				new AuthenticationDetails({ Username: 'alice', Password: password })
+			)
+			.then(result => Object.assign({ user }, result));
+	};
+
+	test('builds the otpauth URI', () => {
+		expect(
+			TotpEnrollment.buildUri('JBSWY3DPEHPK3PXP', {
+				issuer: 'Example Co',
+				accountName: 'alice@example.com',
+			})
+		).toBe(
+			'otpauth://totp/Example%20Co:alice%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Example%20Co&algorithm=SHA1&digits=6&period=30'
+		);
+		expect(() =>
+			TotpEnrollment.buildUri('JBSWY3DPEHPK3PXP', {
+				issuer: 'Example:Co',
+				accountName: 'alice',
+			})
+		).toThrow(InvalidParameterError);
+	});
+
+	test('enrolls a signed in user and makes TOTP the preferred MFA', async () => {
+		setUp();
+		const { user } = await signIn();
+		const enrollment = new TotpEnrollment(user, { issuer: 'Example' });
+		expect(() => enrollment.getUri()).toThrow(InvalidParameterError);
+
+		const { secret, uri } = await enrollment.start();
+
+		expect(uri).toBe(
+			`otpauth://totp/Example:alice?secret=${secret}&issuer=Example&algorithm=SHA1&digits=6&period=30`
+		);
+		expect(enrollment.getQrCodeSvg()).toMatch(
+			/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 (\d+) \1" .*<\/svg>$/
+		);
+		expect(enrollment.getQrCodeDataUrl()).toMatch(
+			/^data:image\/svg\+xml;base64,[A-Za-z0-9+/]+=*$/
+		);
+		const time = Date.now();
+		expect(enrollment.validateCode(enrollment.generateCode(time), time)).toBe(
+			true
+		);
+		expect(
+			enrollment.validateCode(enrollment.generateCode(time), time + 90 * 1000)
+		).toBe(false);
+
+		const handle = jest.spyOn(emulator, 'handle');
+		const wrongCode = `${(Number(enrollment.generateCode()) + 1) % 1000000}`;
+		await expect(enrollment.complete(wrongCode)).rejects.toThrow(
+			CodeMismatchError
+		);
+		expect(handle).not.toHaveBeenCalled();
+
+		await expect(
+			enrollment.complete(enrollment.generateCode(), {
+				friendlyDeviceName: 'phone',
+			})
+		).resolves.toBeNull();
+		expect((await signIn()).type).toBe('totpRequired');
+	});
+
+	test('answers the MFA_SETUP challenge', async () => {
+		setUp({ mfaConfiguration: 'ON' });
+		const challenge = await signIn();
+		expect(challenge.type).toBe('mfaSetup');
+		const enrollment = new TotpEnrollment(challenge.user, {
+			issuer: 'Example',
+			accountName: 'Alice',
+		});
+		await enrollment.start();
+
+		const session = await enrollment.complete(enrollment.generateCode());
+
+		expect(session.isValid()).toBe(true);
+		expect(challenge.user.getSignInUserSession()).toBe(session);
+		expect(enrollment.getUri()).toMatch(/^otpauth:\/\/totp\/Example:Alice\?/);
+	});
+
+	test('leaves the code check to the user pool when asked', async () => {
+		setUp();
+		const { user } = await signIn();
+		const enrollment = new TotpEnrollment(user, { issuer: 'Example' });
+		await enrollment.start();
+
+		await expect(
+			enrollment.complete('000000', { validateLocally: false })
+		).rejects.toMatchObject({ code: 'EnableSoftwareTokenMFAException' });
+	});
+});
+
+describe('QR codes', () => {
+	// Dark modules of a finder pattern, by distance from its center
+	const finderAt = (modules, x, y) => {
+		for (let dy = -3; dy <= 3; dy++) {
+			for (let dx = -3; dx <= 3; dx++) {
+				const distance = Math.max(Math.abs(dx), Math.abs(dy));
+				if (modules[y + dy][x + dx] !== (distance !== 2)) {
+					return false;
+				}
+			}
+		}
+		return true;
+	};
+
+	test.each([
+		['L', 21, 'hello'],
+		['M', 33, 'otpauth://totp/Example:alice?secret=JBSWY3DPEHPK3PXP'],
+		['Q', 81, 'x'.repeat(300)],
+	])('encodes at level %s in %i modules', (level, size, text) => {
+		const modules = encodeQrCode(text, { errorCorrectionLevel: level });
+
+		expect(modules).toHaveLength(size);
+		modules.forEach(row => expect(row).toHaveLength(size));
+		expect(finderAt(modules, 3, 3)).toBe(true);
+		expect(finderAt(modules, size - 4, 3)).toBe(true);
+		expect(finderAt(modules, 3, size - 4)).toBe(true);
+		for (let i = 8; i < size - 8; i++) {
+			expect(modules[6][i]).toBe(i % 2 === 0);
+			expect(modules[i][6]).toBe(i % 2 === 0);
+		}
+	});
+
+	test('rejects texts too long and unknown levels', () => {
+		expect(() =>
+			encodeQrCode('x'.repeat(3000), { errorCorrectionLevel: 'L' })
+		).toThrow('The text is too long for a QR code.');
+		expect(() => encodeQrCode('x', { errorCorrectionLevel: 'X' })).toThrow(
+			'Invalid error correction level: X'
+		);
+	});
+});
@@ -0,0 +1,221 @@
+import AuthenticationDetails from '../src/AuthenticationDetails';
+import CognitoUser from '../src/CognitoUser';
+import CognitoUserAttribute from '../src/CognitoUserAttribute';
+import UserAttributeSchema from '../src/UserAttributeSchema';
+import { InvalidParameterError } from '../src/CognitoError';
+import { createEmulatedPool } from './util';
+
+const password = 'Passw0rd!';
+
+const createSchema = () =>
+	new UserAttributeSchema({
+		custom: {
+			plan: { type: 'String', maxLength: 8 },
+			seats: { type: 'Number', minValue: 1 },
+			beta: { type: 'Boolean' },
+			'custom:renewal': { type: 'DateTime' },
+			tenant: { type: 'String', mutable: false },
+		},
+	});
+
+describe('UserAttributeSchema', () => {
+	test('converts the values to and from their types', () => {
+		const schema = createSchema();
+		const renewal = new Date('2026-01-31T00:00:00.000Z');
+		const address = { street_address: '1 Main St', country: 'US' };
+
+		expect(schema.parse('email_verified', 'true')).toBe(true);
+		expect(schema.parse('custom:seats', '12')).toBe(12);
+		expect(schema.parse('custom:renewal', renewal.toISOString())).toEqual(
+			renewal
+		);
+		expect(schema.parse('address', JSON.stringify(address))).toEqual(address);
+		expect(schema.parse('address', '1 Main St')).toEqual({
+			formatted: '1 Main St',
+		});
+		expect(schema.parse('custom:unknown', 'value')).toBe('value');
+		expect(schema.format('custom:renewal', renewal)).toBe(
+			'2026-01-31T00:00:00.000Z'
+		);
+		expect(schema.format('custom:beta', false)).toBe('false');
+
+		const attribute = CognitoUserAttribute.fromTypedValue(
+			'custom:seats',
+			3,
+			schema
+		);
+		expect(attribute.toJSON()).toEqual({ Name: 'custom:seats', Value: '3' });
+		expect(attribute.getTypedValue(schema)).toBe(3);
+		expect(
+			schema.toProfile([
+				attribute,
+				{ Name: 'phone_number_verified', Value: 'false' },
+			])
+		).toEqual({ 'custom:seats': 3, phone_number_verified: false });
+	});
+
+	test('reports the values not fitting the schema', () => {
+		const schema = createSchema();
+
+		expect(() => schema.format('custom:seats', '3')).toThrow(
+			InvalidParameterError
+		);
+		expect(() => schema.format('email', 'alice')).toThrow(
+			'Invalid attributes: email must be an email address.'
+		);
+		expect(() =>
+			schema.diff([], {
+				'custom:plan': 'enterprise',
+				'custom:seats': 0,
+				phone_number: '555-0100',
+				birthdate: '01/31/1990',
+				address: { city: 'Seattle' },
+				'custom:renewal': new Date('never'),
+			})
+		).toThrow(
+			expect.objectContaining({
+				attributes: {
+					'custom:plan': 'must have at most 8 characters',
+					'custom:seats': 'must be at least 1',
+					phone_number: 'must be an E.164 phone number',
+					birthdate: 'must be a YYYY-MM-DD date',
+					address: 'has unknown fields: city',
+					'custom:renewal': 'must be a valid Date',
+				},
+			})
+		);
+		expect(() => new UserAttributeSchema({ custom: { x: {} } })).not.toThrow();
+		expect(
+			() => new UserAttributeSchema({ custom: { x: { type: 'Object' } } })
+		).toThrow('Invalid type of custom:x: Object');
+	});
+
+	test('computes the fewest changes to reach a profile', () => {
+		const schema = createSchema();
+		const current = [
+			{ Name: 'sub', Value: 'b1f1e2a0' },
+			{ Name: 'email', Value: 'alice@example.com' },
+			{ Name: 'email_verified', Value: 'true' },
+			{ Name: 'nickname', Value: 'Al' },
+			{ Name: 'custom:seats', Value: '5' },
+			{ Name: 'custom:tenant', Value: 'acme' },
+		];
+
+		const changes = schema.diff(current, {
+			email: 'alice@example.com',
+			email_verified: true,
+			nickname: null,
+			given_name: '',
+			'custom:seats': 6,
+			'custom:beta': true,
+			'custom:plan': undefined,
+			'custom:tenant': 'acme',
+		});
+
+		expect(changes.update.map(attribute => attribute.toJSON())).toEqual([
+			{ Name: 'custom:seats', Value: '6' },
+			{ Name: 'custom:beta', Value: 'true' },
+		]);
+		expect(changes.delete).toEqual(['nickname']);
+		expect(() =>
+			schema.diff(current, {
+				sub: 'c2a0',
+				'custom:tenant': 'globex',
+				'custom:color': 'blue',
+			})
+		).toThrow(
+			expect.objectContaining({
+				attributes: {
+					sub: 'can not be changed',
+					'custom:tenant': 'can not be changed',
+					'custom:color': 'is not in the schema',
+				},
+			})
+		);
+	});
+
+	test('reads the schema attributes of the user pool', () => {
+		const schema = UserAttributeSchema.fromSchemaAttributes({
+			UserPool: {
+				SchemaAttributes: [
+					{ Name: 'sub', AttributeDataType: 'String', Mutable: false },
+					{ Name: 'email', AttributeDataType: 'String', Mutable: false },
+					{
+						Name: 'custom:seats',
+						AttributeDataType: 'Number',
+						Mutable: true,
+						NumberAttributeConstraints: { MinValue: '1', MaxValue: '100' },
+					},
+					{
+						Name: 'custom:plan',
+						AttributeDataType: 'String',
+						Mutable: true,
+						StringAttributeConstraints: { MinLength: '1', MaxLength: '8' },
+					},
+				],
+			},
+		});
+
+		expect(schema.getDefinition('email')).toMatchObject({ mutable: false });
+		expect(schema.getDefinition('nickname')).toMatchObject({ mutable: true });
+		expect(schema.getDefinition('custom:seats')).toEqual({
+			type: 'Number',
+			mutable: true,
+			minValue: 1,
+			maxValue: 100,
+		});
+		expect(schema.getDefinition('custom:plan')).toEqual({
+			type: 'String',
+			mutable: true,
+			minLength: 1,
+			maxLength: 8,
+		});
+		expect(schema.getDefinition('custom:color')).toBeNull();
+	});
+
+	test('applies a profile with one update and one delete request', async () => {
+		const { emulator, ids, pool } = createEmulatedPool();
+		emulator.createUser(ids.UserPoolId, 'alice', {
+			password,
+			attributes: { nickname: 'Al', 'custom:seats': '5' },
+		});
+		const user = new CognitoUser({
+			Username: 'alice',
+			Pool: pool,
+			Storage: pool.storage,
+		});
+		await user.authenticateUserAsync(
+			new AuthenticationDetails({ Username: 'alice', Password: password })
+		);
+		const handle = jest.spyOn(emulator, 'handle');
+		const schema = createSchema();
+		const writes = () =>
+			handle.mock.calls
+				.map(([operation]) => operation)
+				.filter(operation => operation !== 'GetUser');
+
+		await schema.apply(user, {
+			given_name: 'Alice',
+			nickname: null,
+			'custom:seats': 5,
+			'custom:beta': true,
+		});
+
+		expect(writes()).toEqual(['UpdateUserAttributes', 'DeleteUserAttributes']);
+		const { attributes } = emulator.getUser(ids.UserPoolId, 'alice');
+		expect(attributes).toMatchObject({
+			given_name: 'Alice',
+			'custom:seats': '5',
+			'custom:beta': 'true',
+		});
+		expect(attributes.nickname).toBeUndefined();
+
+		handle.mockClear();
+		await expect(schema.apply(user, { given_name: 'Alice' })).resolves.toEqual({
+			update: [],
+			delete: [],
+		});
+		expect(handle).toHaveBeenCalledTimes(1);
+		expect(writes()).toEqual([]);
+	});
+});
@@ -10,6 +10,7 @@ describe('cryptoSecureRandomInt test', () => {
 
 	afterEach(() => {
 		windowSpy.mockRestore();
+		jest.restoreAllMocks();
 	});
 
 	test('crypto is set for window (browser)', () => {
@@ -7,7 +7,29 @@ describe('import * keys', () => {
 		  "AuthenticationDetails",
 		  "AuthenticationHelper",
 		  "CognitoAccessToken",
+		  "CognitoError",
+		  "UserNotFoundError",
+		  "UserNotAuthenticatedError",
+		  "UserNotConfirmedError",
+		  "UsernameExistsError",
+		  "NotAuthorizedError",
+		  "PasswordResetRequiredError",
+		  "InvalidPasswordError",
+		  "InvalidParameterError",
+		  "CodeMismatchError",
+		  "ExpiredCodeError",
+		  "LimitExceededError",
+		  "TooManyFailedAttemptsError",
+		  "TooManyRequestsError",
+		  "InternalServiceError",
+		  "InvalidDeviceCredentialsError",
+		  "NetworkError",
+		  "RequestTimeoutError",
+		  "RequestAbortedError",
+		  "JwtVerificationError",
 		  "CognitoIdToken",
+		  "CognitoJwtVerifier",
+		  "CognitoOAuthClient",
 		  "CognitoRefreshToken",
 		  "CognitoUser",
 		  "CognitoUserAttribute",
@@ -15,8 +37,23 @@ describe('import * keys', () => {
 		  "CognitoUserSession",
 		  "CookieStorage",
 		  "DateHelper",
+		  "DeviceManager",
+		  "EncryptedStorage",
+		  "MemorySessionStore",
+		  "PasskeyAttributeStore",
+		  "PasskeyAuth",
+		  "PasswordPolicy",
+		  "PasswordlessAuth",
+		  "RequestStorage",
+		  "RetryPolicy",
+		  "ServerSessionManager",
+		  "SignInFlow",
+		  "TotpEnrollment",
 		  "appendToCognitoUserAgent",
+		  "UserAttributeSchema",
 		  "WordArray",
+		  "getSrpBackend",
+		  "setSrpBackend",
 		]
 	`);
 	});
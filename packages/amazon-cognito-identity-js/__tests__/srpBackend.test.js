@@ -0,0 +1,130 @@
+import AuthenticationHelper from '../src/AuthenticationHelper';
+import BigInteger from '../src/BigInteger';
+import {
+	bigIntegerBackend,
+	getSrpBackend,
+	nativeBigIntBackend,
+	setSrpBackend,
+} from '../src/utils/srpBackend';
+
+const modPow = (backend, base, exponent, modulus) => {
+	let output;
+	backend.modPow(base, exponent, modulus, (err, result) => {
+		output = err || result;
+	});
+	return output;
+};
+
+/*
+Keys checked with an independent implementation in Python:
+
+	a = int(sha256(f'{seed}:a') * 4, 16)
+	B = int(sha256(f'{seed}:B') * 12, 16)
+	salt = int(sha256(f'{seed}:salt')[:32], 16)
+	u = H(padHex(A) + padHex(B))
+	x = H(padHex(salt) + sha256(f'{poolName}{username}:{password}'))
+	S = pow(B - k * pow(g, x, N), a + u * x, N)
+	key = HKDF(padHex(S), salt=padHex(u), info='Caldera Derived Key')[:16]
+*/
+const vectors = [
+	['Example', 'alice', 'Passw0rd!', 'a1', '48dc9c632cb036ea6668fc5c2d1bc410'],
+	[
+		'Pool',
+		'bob@example.com',
+		'correct horse battery staple',
+		'b2',
+		'41f820a63017e8cbfa7c9cb64e2dcfd0',
+	],
+	[
+		'X',
+		'9b7d3c1e-0000-4a6f-8e2d-5c4b3a291807',
+		'ünïcødé P4ss!',
+		'c3',
+		'acaae5b07e74da9a6c76245a01569ae5',
+	],
+];
+
+describe('SRP backends', () => {
+	const defaultBackend = getSrpBackend();
+
+	afterEach(() => {
+		setSrpBackend(defaultBackend);
+	});
+
+	test('uses the native BigInt when available', () => {
+		expect(defaultBackend).toBe(nativeBigIntBackend);
+	});
+
+	describe.each([['BigInteger'], ['BigInt']])('%s', name => {
+		test.each(vectors)(
+			'derives the password authentication key of %s/%s',
+			(poolName, username, password, seed, expected) => {
+				setSrpBackend(name);
+				const helper = new AuthenticationHelper(poolName);
+				const repeatHash = (text, count) => helper.hash(text).repeat(count);
+				helper.smallAValue = new BigInteger(repeatHash(`${seed}:a`, 4), 16);
+				helper.largeAValue = null;
+				helper.getLargeAValue(() => {});
+				let key;
+
+				helper.getPasswordAuthenticationKey(
+					username,
+					password,
+					new BigInteger(repeatHash(`${seed}:B`, 12), 16),
+					new BigInteger(repeatHash(`${seed}:salt`, 1).slice(0, 32), 16),
+					(err, hkdf) => {
+						key = err || hkdf.toString('hex');
+					}
+				);
+
+				expect(key).toBe(expected);
+			}
+		);
+	});
+
+	test('computes the same powers with both backends', () => {
+		const helper = new AuthenticationHelper('Pool');
+		const cases = [
+			[helper.g, new BigInteger('1', 16)],
+			[new BigInteger('deadbeef', 16), helper.N.subtract(BigInteger.ONE)],
+			// Negative, as B - k * g^x in calculateS
+			[
+				new BigInteger('deadbeef', 16).subtract(helper.k.multiply(helper.N)),
+				new BigInteger(helper.hash('exponent'), 16),
+			],
+			[helper.N.add(helper.g), new BigInteger(helper.hash('other'), 16)],
+		];
+
+		cases.forEach(([base, exponent]) => {
+			const reference = modPow(bigIntegerBackend, base, exponent, helper.N);
+			const native = modPow(nativeBigIntBackend, base, exponent, helper.N);
+
+			expect(native).toBeInstanceOf(BigInteger);
+			expect(native.toString(16)).toBe(reference.mod(helper.N).toString(16));
+		});
+		expect(
+			modPow(nativeBigIntBackend, helper.g, new BigInteger('-1', 16), helper.N)
+		).toEqual(new Error('The exponent can not be negative.'));
+	});
+
+	test('accepts a backend of its own', () => {
+		const backend = {
+			name: 'Custom',
+			modPow: jest.fn((base, exponent, modulus, callback) =>
+				bigIntegerBackend.modPow(base, exponent, modulus, callback)
+			),
+		};
+		setSrpBackend(backend);
+
+		const helper = new AuthenticationHelper('Pool');
+
+		expect(getSrpBackend()).toBe(backend);
+		expect(backend.modPow).toHaveBeenCalledWith(
+			helper.g,
+			helper.smallAValue,
+			helper.N,
+			expect.any(Function)
+		);
+		expect(() => setSrpBackend('Wasm')).toThrow('Invalid SRP backend: Wasm');
+	});
+});
@@ -22,3 +22,89 @@ async function promisifyCallback(obj, fn, ...args) {
 }
 
 exports.promisifyCallback = promisifyCallback;
+
+const { CognitoEmulator } = require('../src/emulator');
+const CognitoUserPool = require('../src/CognitoUserPool').default;
+
+/**
+ * Creates an in-memory storage, exposing its items to the tests
+ * @returns {object} a synchronous storage, like localStorage
+ */
+function createStorage() {
+	const items = {};
+	return {
+		items,
+		getItem: key => (key in items ? items[key] : null),
+		setItem: (key, value) => {
+			items[key] = `${value}`;
+		},
+		removeItem: key => {
+			delete items[key];
+		},
+		clear: () => Object.keys(items).forEach(key => delete items[key]),
+	};
+}
+
+/**
+ * Creates an in-memory storage whose methods return promises, exposing its
+ * items to the tests
+ * @param {object} items - the initial items
+ * @returns {object} an asynchronous storage, like AsyncStorage
+ */
+function createAsyncStorage(items = {}) {
+	return {
+		items,
+		getItem: key => Promise.resolve(key in items ? items[key] : null),
+		setItem: (key, value) => {
+			items[key] = `${value}`;
+			return Promise.resolve();
+		},
+		removeItem: key => {
+			delete items[key];
+			return Promise.resolve();
+		},
+		clear: () => {
+			Object.keys(items).forEach(key => delete items[key]);
+			return Promise.resolve();
+		},
+	};
+}
+
+/**
+ * Creates a CognitoUserPool sending its requests to an emulated user pool,
+ * with a storage of its own, as a new browser would
+ * @param {CognitoEmulator} emulator - the emulator of the user pool
+ * @param {object} ids - the UserPoolId and ClientId of the user pool
+ * @param {object} options - other options of the CognitoUserPool
+ * @returns {CognitoUserPool} the pool
+ */
+function createPoolFor(emulator, ids, options = {}) {
+	return new CognitoUserPool(
+		Object.assign(
+			{
+				UserPoolId: ids.UserPoolId,
+				ClientId: ids.ClientId,
+				Storage: createStorage(),
+				fetch: emulator.fetch,
+			},
+			options
+		)
+	);
+}
+
+/**
+ * Creates a user pool in a new emulator, and a CognitoUserPool using it
+ * @param {object} poolOptions - the options of the emulated user pool
+ * @param {object} options - other options of the CognitoUserPool
+ * @returns {object} the emulator, the ids of the user pool and the pool
+ */
+function createEmulatedPool(poolOptions, options) {
+	const emulator = new CognitoEmulator();
+	const ids = emulator.createUserPool(poolOptions);
+	return { emulator, ids, pool: createPoolFor(emulator, ids, options) };
+}
+
+exports.createStorage = createStorage;
+exports.createAsyncStorage = createAsyncStorage;
+exports.createPoolFor = createPoolFor;
+exports.createEmulatedPool = createEmulatedPool;
@@ -0,0 +1,65 @@
+/*
+ * Times the SRP computations of a sign in with each backend:
+ *
+ *   npm run benchmark
+ *
+ * It runs on the CommonJS build, built first by the script.
+ */
+
+const AuthenticationHelper = require('../lib/AuthenticationHelper').default;
+const BigInteger = require('../lib/BigInteger').default;
+const { isBigIntSupported, setSrpBackend } = require('../lib/utils/srpBackend');
+
+const ITERATIONS = Number(process.env.ITERATIONS) || 20;
+
+const serverB = new BigInteger(
+	new AuthenticationHelper('Benchmark').hash('B').repeat(12),
+	16
+);
+const salt = new BigInteger('8f1e6d1a9b3c2e4f5a6b7c8d9e0f1a2b', 16);
+
+/**
+ * Runs the client side of a sign in: A, then the password key.
+ * @returns {void}
+ */
+function signIn() {
+	const helper = new AuthenticationHelper('Benchmark');
+	helper.getPasswordAuthenticationKey(
+		'alice',
+		'Passw0rd!',
+		serverB,
+		salt,
+		err => {
+			if (err) {
+				throw err;
+			}
+		}
+	);
+}
+
+/**
+ * @param {string} backend The name of the backend.
+ * @returns {number} the mean duration of a sign in, in milliseconds
+ */
+function measure(backend) {
+	setSrpBackend(backend);
+	signIn();
+	const start = process.hrtime();
+	for (let i = 0; i < ITERATIONS; i++) {
+		signIn();
+	}
+	const [seconds, nanoseconds] = process.hrtime(start);
+	return (seconds * 1e3 + nanoseconds / 1e6) / ITERATIONS;
+}
+
+const backends = isBigIntSupported()
+	? ['BigInteger', 'BigInt']
+	: ['BigInteger'];
+const results = backends.map(backend => [backend, measure(backend)]);
+
+results.forEach(([backend, duration]) => {
+	console.log(
+		`${backend.padEnd(10)} ${duration.toFixed(1).padStart(8)} ms per sign in` +
+			` (x${(results[0][1] / duration).toFixed(1)})`
+	);
+});
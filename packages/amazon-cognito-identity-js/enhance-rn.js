@@ -1,5 +1,6 @@
 import { NativeModules } from 'react-native';
 import * as src from './src';
+import { getSrpBackend, setSrpBackend } from './src/utils/srpBackend';
 
 import UserAgent from './src/UserAgent';
 UserAgent.prototype.userAgent = 'aws-amplify/0.1.x react-native';
@@ -27,11 +28,17 @@ BigInteger.prototype.modPow = function nativeModPow(e, m, callback) {
 	);
 };
 
+const { calculateS } = src.AuthenticationHelper.prototype;
+
 src.AuthenticationHelper.prototype.calculateS = function nativeComputeS(
 	xValue,
 	serverBValue,
 	callback
 ) {
+	// Another backend selected with setSrpBackend, e.g. BigInt, computes S
+	if (getSrpBackend().name !== 'BigInteger') {
+		return calculateS.call(this, xValue, serverBValue, callback);
+	}
 	RNAWSCognito.computeS(
 		{
 			g: this.g.toString(16),
@@ -51,3 +58,7 @@ src.AuthenticationHelper.prototype.calculateS = function nativeComputeS(
 	);
 	return undefined;
 };
+
+// The native module stays the default, engines with a BigInt, e.g. Hermes,
+// opt in to it with setSrpBackend('BigInt')
+setSrpBackend('BigInteger');
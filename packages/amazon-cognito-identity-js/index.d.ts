@@ -14,6 +14,14 @@ declare module 'amazon-cognito-identity-js' {
 
 	export type ClientMetadata = { [key: string]: string } | undefined;
 
+	export type ChallengeName =
+		| 'CUSTOM_CHALLENGE'
+		| 'MFA_SETUP'
+		| 'NEW_PASSWORD_REQUIRED'
+		| 'SELECT_MFA_TYPE'
+		| 'SMS_MFA'
+		| 'SOFTWARE_TOKEN_MFA';
+
 	export interface IAuthenticationCallback {
 		onSuccess: (
 			session: CognitoUserSession,
@@ -31,6 +39,61 @@ declare module 'amazon-cognito-identity-js' {
 		selectMFAType?: (challengeName: any, challengeParameters: any) => void;
 	}
 
+	export interface AuthSuccessResult {
+		type: 'success';
+		session: CognitoUserSession;
+		userConfirmationNecessary: boolean;
+	}
+
+	export interface NewPasswordRequiredResult {
+		type: 'newPasswordRequired';
+		challengeName: 'NEW_PASSWORD_REQUIRED';
+		userAttributes: any;
+		requiredAttributes: string[];
+	}
+
+	export interface MfaRequiredResult {
+		type: 'mfaRequired';
+		challengeName: 'SMS_MFA';
+		challengeParameters: any;
+	}
+
+	export interface TotpRequiredResult {
+		type: 'totpRequired';
+		challengeName: 'SOFTWARE_TOKEN_MFA';
+		challengeParameters: any;
+	}
+
+	export interface MfaSetupResult {
+		type: 'mfaSetup';
+		challengeName: 'MFA_SETUP';
+		challengeParameters: any;
+	}
+
+	export interface SelectMfaTypeResult {
+		type: 'selectMFAType';
+		challengeName: 'SELECT_MFA_TYPE';
+		challengeParameters: any;
+	}
+
+	export type MfaChallengeResult =
+		| MfaRequiredResult
+		| TotpRequiredResult
+		| MfaSetupResult
+		| SelectMfaTypeResult;
+
+	export interface CustomChallengeResult {
+		type: 'customChallenge';
+		challengeName: 'CUSTOM_CHALLENGE';
+		challengeParameters: any;
+	}
+
+	export type AuthResult =
+		| AuthSuccessResult
+		| NewPasswordRequiredResult
+		| MfaChallengeResult
+		| CustomChallengeResult;
+
 	export interface IMfaSettings {
 		PreferredMfa: boolean;
 		Enabled: boolean;
@@ -57,10 +120,42 @@ declare module 'amazon-cognito-identity-js' {
 		clear(): void;
 	}
 
+	export interface ICognitoAsyncStorage {
+		setItem(key: string, value: string): Promise<void>;
+		getItem(key: string): Promise<string | null>;
+		removeItem(key: string): Promise<void>;
+		clear?(): Promise<void>;
+	}
+
 	export interface ICognitoUserData {
 		Username: string;
 		Pool: CognitoUserPool;
-		Storage?: ICognitoStorage;
+		Storage?: ICognitoStorage | ICognitoAsyncStorage;
+	}
+
+	export interface AutoRefreshOptions {
+		refreshBeforeExpiry?: number;
+		retryDelay?: number;
+		maxRetryDelay?: number;
+	}
+
+	export interface DeviceInvalidatedInfo {
+		deviceKey: string;
+		error: any;
+	}
+
+	export interface RefreshFailedInfo {
+		willRetry: boolean;
+		attempt?: number;
+		retryIn?: number;
+	}
+
+	export interface CrossTabSyncOptions {
+		lockTimeout?: number;
+	}
+
+	export interface SessionChangeInfo {
+		remote: boolean;
 	}
 
 	export interface GetSessionOptions {
@@ -75,6 +170,10 @@ declare module 'amazon-cognito-identity-js' {
 		public getUsername(): string;
 
 		public getAuthenticationFlowType(): string;
+		public setRequestOptions(
+			requestOptions: CognitoRequestOptions | null
+		): void;
+		public getRequestOptions(): CognitoRequestOptions | null;
 		public setAuthenticationFlowType(authenticationFlowType: string): string;
 		public getCachedDeviceKeyAndPassword(): void;
 
@@ -255,6 +354,120 @@ declare module 'amazon-cognito-identity-js' {
 				totpRequired?: (challengeName: any, challengeParameters: any) => void;
 			}
 		): void;
+
+		public authenticateUserAsync(
+			authenticationDetails: AuthenticationDetails
+		): Promise<AuthResult>;
+		public initiateAuthAsync(
+			authenticationDetails: AuthenticationDetails
+		): Promise<AuthResult>;
+		public completeNewPasswordChallengeAsync(
+			newPassword: string,
+			requiredAttributeData: any,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+		public sendCustomChallengeAnswerAsync(
+			answerChallenge: any,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+		public sendMFACodeAsync(
+			confirmationCode: string,
+			mfaType?: string,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+		public sendMFASelectionAnswerAsync(
+			answerChallenge: 'SMS_MFA' | 'SOFTWARE_TOKEN_MFA'
+		): Promise<AuthResult>;
+		public confirmRegistrationAsync(
+			code: string,
+			forceAliasCreation: boolean,
+			clientMetadata?: ClientMetadata
+		): Promise<'SUCCESS'>;
+		public resendConfirmationCodeAsync(
+			clientMetadata?: ClientMetadata
+		): Promise<{ CodeDeliveryDetails: CodeDeliveryDetails }>;
+		public getSessionAsync(
+			options?: GetSessionOptions
+		): Promise<CognitoUserSession>;
+		public refreshSessionAsync(
+			refreshToken: CognitoRefreshToken,
+			clientMetadata?: ClientMetadata
+		): Promise<CognitoUserSession>;
+		public changePasswordAsync(
+			oldPassword: string,
+			newPassword: string,
+			clientMetadata?: ClientMetadata
+		): Promise<'SUCCESS'>;
+		public forgotPasswordAsync(
+			clientMetadata?: ClientMetadata
+		): Promise<{ CodeDeliveryDetails: CodeDeliveryDetails }>;
+		public confirmPasswordAsync(
+			verificationCode: string,
+			newPassword: string,
+			clientMetadata?: ClientMetadata
+		): Promise<void>;
+		public getUserAttributesAsync(): Promise<CognitoUserAttribute[]>;
+		public updateAttributesAsync(
+			attributes: (CognitoUserAttribute | ICognitoUserAttributeData)[],
+			clientMetadata?: ClientMetadata
+		): Promise<'SUCCESS'>;
+		public deleteAttributesAsync(attributeList: string[]): Promise<'SUCCESS'>;
+		public getAttributeVerificationCodeAsync(
+			name: string,
+			clientMetadata?: ClientMetadata
+		): Promise<{ CodeDeliveryDetails: CodeDeliveryDetails }>;
+		public verifyAttributeAsync(
+			attributeName: string,
+			confirmationCode: string
+		): Promise<'SUCCESS'>;
+		public getUserDataAsync(params?: any): Promise<UserData>;
+		public deleteUserAsync(clientMetadata?: ClientMetadata): Promise<'SUCCESS'>;
+		public setUserMfaPreferenceAsync(
+			smsMfaSettings: IMfaSettings | null,
+			softwareTokenMfaSettings: IMfaSettings | null
+		): Promise<'SUCCESS'>;
+		public associateSoftwareTokenAsync(): Promise<string>;
+		public verifySoftwareTokenAsync(
+			totpCode: string,
+			friendlyDeviceName: string
+		): Promise<any>;
+		public getDeviceAsync(): Promise<any>;
+		public listDevicesAsync(
+			limit: number,
+			paginationToken: string | null
+		): Promise<any>;
+		public setDeviceStatusRememberedAsync(): Promise<'SUCCESS'>;
+		public setDeviceStatusNotRememberedAsync(): Promise<'SUCCESS'>;
+		public forgetDeviceAsync(): Promise<'SUCCESS'>;
+		public forgetSpecificDeviceAsync(deviceKey: string): Promise<'SUCCESS'>;
+		public globalSignOutAsync(): Promise<'SUCCESS'>;
+		public signOutAsync(): Promise<void>;
+
+		public on(
+			event: 'tokenRefreshed',
+			listener: (session: CognitoUserSession, info: SessionChangeInfo) => void
+		): () => void;
+		public on(
+			event: 'signedOut',
+			listener: (info: SessionChangeInfo) => void
+		): () => void;
+		public on(
+			event: 'refreshFailed',
+			listener: (err: any, info: RefreshFailedInfo) => void
+		): () => void;
+		public on(
+			event: 'sessionExpired',
+			listener: (err: any) => void
+		): () => void;
+		public on(
+			event: 'deviceInvalidated',
+			listener: (info: DeviceInvalidatedInfo) => void
+		): () => void;
+		public off(event: string, listener: (...args: any[]) => void): void;
+		public startAutoRefresh(options?: AutoRefreshOptions): void;
+		public stopAutoRefresh(): void;
+		public startCrossTabSync(options?: CrossTabSyncOptions): void;
+		public stopCrossTabSync(): void;
 	}
 
 	export interface MFAOption {
@@ -287,6 +500,57 @@ declare module 'amazon-cognito-identity-js' {
 		public setName(name: string): CognitoUserAttribute;
 		public toString(): string;
 		public toJSON(): Object;
+
+		static fromTypedValue(
+			name: string,
+			value: any,
+			schema: UserAttributeSchema
+		): CognitoUserAttribute;
+		public getTypedValue(schema: UserAttributeSchema): any;
+	}
+
+	export interface IAttributeDefinition {
+		type: 'String' | 'Number' | 'Boolean' | 'DateTime' | 'Address';
+		mutable?: boolean;
+		format?: string;
+		minLength?: number;
+		maxLength?: number;
+		minValue?: number;
+		maxValue?: number;
+	}
+
+	export interface IUserAttributeSchemaOptions {
+		custom?: { [name: string]: IAttributeDefinition };
+		immutable?: string[];
+	}
+
+	export interface IAttributeDiff {
+		update: CognitoUserAttribute[];
+		delete: string[];
+	}
+
+	export class UserAttributeSchema {
+		static fromSchemaAttributes(
+			schemaAttributes: object | object[]
+		): UserAttributeSchema;
+		constructor(options?: IUserAttributeSchemaOptions);
+		public getDefinition(name: string): IAttributeDefinition | null;
+		public parse(name: string, value: string): any;
+		public format(name: string, value: any): string;
+		public toProfile(
+			attributes: (CognitoUserAttribute | ICognitoUserAttributeData)[]
+		): { [name: string]: any };
+		public diff(
+			current:
+				| (CognitoUserAttribute | ICognitoUserAttributeData)[]
+				| { [name: string]: any },
+			desired: { [name: string]: any }
+		): IAttributeDiff;
+		public apply(
+			user: CognitoUser,
+			desired: { [name: string]: any },
+			clientMetadata?: ClientMetadata
+		): Promise<IAttributeDiff>;
 	}
 
 	export interface ISignUpResult {
@@ -299,9 +563,187 @@ declare module 'amazon-cognito-identity-js' {
 	export interface ICognitoUserPoolData {
 		UserPoolId: string;
 		ClientId: string;
+		ClientSecret?: string;
 		endpoint?: string;
-		Storage?: ICognitoStorage;
+		Storage?: ICognitoStorage | ICognitoAsyncStorage;
 		AdvancedSecurityDataCollectionFlag?: boolean;
+		interceptors?: CognitoRequestInterceptor[];
+		requestTimeout?: number;
+		retryPolicy?: ICognitoRetryPolicy | IRetryPolicyOptions;
+		passwordPolicy?: PasswordPolicy | IPasswordPolicyOptions;
+		fetch?: (url: string, options: any) => Promise<any>;
+		logger?: ICognitoLogger;
+	}
+
+	export interface ICognitoLogger {
+		debug?(message: string, details: any): void;
+		info?(message: string, details: any): void;
+		warn?(message: string, details: any): void;
+		error?(message: string, error: any): void;
+	}
+
+	export type TokensClearedReason =
+		| 'signOut'
+		| 'globalSignOut'
+		| 'userDeleted'
+		| 'refreshFailed';
+
+	export interface ICognitoUserPoolEvents {
+		requestStart: { operation: string; params: any };
+		requestEnd: { operation: string; duration: number; error: any | null };
+		challengeReceived: {
+			username: string;
+			challengeName: ChallengeName;
+			challengeParameters: any;
+		};
+		tokensCached: { username: string; refreshed: boolean };
+		tokensCleared: {
+			username: string;
+			reason: TokensClearedReason;
+			error: any | null;
+		};
+		deviceConfirmed: {
+			username: string;
+			deviceKey: string;
+			userConfirmationNecessary: boolean;
+		};
+	}
+
+	export interface IRetryClock {
+		now(): number;
+		setTimeout(callback: () => void, delay: number): any;
+	}
+
+	export interface IRetryPolicyOptions {
+		maxAttempts?: number;
+		baseDelay?: number;
+		maxDelay?: number;
+		isRetryable?: (err: any) => boolean;
+		clock?: IRetryClock;
+	}
+
+	export interface ICognitoRetryPolicy {
+		getRetryDelay(err: any, attempt: number): number;
+		wait(delay: number, callback: () => void): void;
+	}
+
+	export class RetryPolicy implements ICognitoRetryPolicy {
+		static isRetryableError(err: any): boolean;
+		constructor(options?: IRetryPolicyOptions);
+		public getRetryDelay(err: any, attempt: number): number;
+		public wait(delay: number, callback: () => void): void;
+	}
+
+	export interface IPasswordPolicyOptions {
+		minimumLength?: number;
+		requireLowercase?: boolean;
+		requireUppercase?: boolean;
+		requireNumbers?: boolean;
+		requireSymbols?: boolean;
+	}
+
+	export interface IPasswordRuleResult {
+		rule:
+			| 'minimumLength'
+			| 'maximumLength'
+			| 'requireLowercase'
+			| 'requireUppercase'
+			| 'requireNumbers'
+			| 'requireSymbols'
+			| 'noSurroundingSpaces';
+		passed: boolean;
+		message: string;
+	}
+
+	export interface IPasswordStrength {
+		score: 0 | 1 | 2 | 3 | 4;
+		entropy: number;
+		suggestions: string[];
+	}
+
+	export class PasswordPolicy {
+		static fromJSON(descriptor: string | object): PasswordPolicy;
+		constructor(options?: IPasswordPolicyOptions);
+		public validate(
+			password: string
+		): { valid: boolean; rules: IPasswordRuleResult[] };
+		public check(password: string): InvalidPasswordError | null;
+		public estimateStrength(password: string): IPasswordStrength;
+	}
+
+	export interface ICognitoErrorDetails {
+		code?: string;
+		statusCode?: number;
+		requestId?: string;
+		retryAfter?: string;
+	}
+
+	export class CognitoError extends Error {
+		static code: string;
+		constructor(message: string, details?: ICognitoErrorDetails);
+		public code: string;
+		public statusCode?: number;
+		public requestId?: string;
+		public retryAfter?: string;
+		public retryable: boolean;
+	}
+	export class UserNotFoundError extends CognitoError {}
+	export class UserNotAuthenticatedError extends CognitoError {}
+	export class UserNotConfirmedError extends CognitoError {}
+	export class UsernameExistsError extends CognitoError {}
+	export class NotAuthorizedError extends CognitoError {}
+	export class PasswordResetRequiredError extends CognitoError {}
+	export class InvalidPasswordError extends CognitoError {
+		public rules?: IPasswordRuleResult[];
+	}
+	export class InvalidParameterError extends CognitoError {
+		public attributes?: { [name: string]: string };
+	}
+	export class CodeMismatchError extends CognitoError {}
+	export class ExpiredCodeError extends CognitoError {}
+	export class LimitExceededError extends CognitoError {}
+	export class TooManyFailedAttemptsError extends CognitoError {}
+	export class TooManyRequestsError extends CognitoError {}
+	export class InternalServiceError extends CognitoError {}
+	export class InvalidDeviceCredentialsError extends CognitoError {}
+	export class NetworkError extends CognitoError {}
+	export class RequestTimeoutError extends CognitoError {}
+	export class RequestAbortedError extends CognitoError {}
+	export class JwtVerificationError extends CognitoError {
+		constructor(message: string, reason: string);
+	}
+
+	export interface CognitoRequest {
+		operation: string;
+		params: any;
+		url: string;
+		options: { headers: Record<string, string>; [key: string]: any };
+	}
+
+	export interface CognitoResponse {
+		error?: any;
+		data?: any;
+	}
+
+	export interface CognitoRequestInterceptor {
+		beforeRequest?: (
+			request: CognitoRequest
+		) => CognitoRequest | void | Promise<CognitoRequest | void>;
+		afterResponse?: (
+			response: CognitoResponse,
+			request: CognitoRequest
+		) => CognitoResponse | void | Promise<CognitoResponse | void>;
+	}
+
+	export interface ICognitoAbortSignal {
+		readonly aborted: boolean;
+		addEventListener(type: 'abort', listener: () => void): void;
+		removeEventListener(type: 'abort', listener: () => void): void;
+	}
+
+	export interface CognitoRequestOptions {
+		timeout?: number;
+		signal?: ICognitoAbortSignal;
 	}
 
 	export class CognitoUserPool {
@@ -314,6 +756,19 @@ declare module 'amazon-cognito-identity-js' {
 
 		public getUserPoolId(): string;
 		public getClientId(): string;
+		public getSecretHash(username: string): string | null;
+		public getPasswordPolicy(): PasswordPolicy | null;
+		public addRequestInterceptor(
+			interceptor: CognitoRequestInterceptor
+		): () => void;
+		public on<K extends keyof ICognitoUserPoolEvents>(
+			event: K,
+			listener: (details: ICognitoUserPoolEvents[K]) => void
+		): () => void;
+		public off<K extends keyof ICognitoUserPoolEvents>(
+			event: K,
+			listener: (details: ICognitoUserPoolEvents[K]) => void
+		): void;
 
 		public signUp(
 			username: string,
@@ -323,8 +778,24 @@ declare module 'amazon-cognito-identity-js' {
 			callback: NodeCallback<Error, ISignUpResult>,
 			clientMetadata?: ClientMetadata
 		): void;
+		public signUpAsync(
+			username: string,
+			password: string,
+			userAttributes: CognitoUserAttribute[],
+			validationData: CognitoUserAttribute[],
+			clientMetadata?: ClientMetadata
+		): Promise<ISignUpResult>;
 
 		public getCurrentUser(): CognitoUser | null;
+		public getCurrentUserAsync(): Promise<CognitoUser | null>;
+		/** Throws with an asynchronous storage, use getCachedUsersAsync there. */
+		public getCachedUsers(): CognitoUser[];
+		public getCachedUsersAsync(): Promise<CognitoUser[]>;
+		public switchUser(
+			username: string,
+			callback: NodeCallback<Error, CognitoUser>
+		): void;
+		public switchUserAsync(username: string): Promise<CognitoUser>;
 	}
 
 	export interface ICognitoUserSessionData {
@@ -368,6 +839,105 @@ declare module 'amazon-cognito-identity-js' {
 		public decodePayload(): { [id: string]: any };
 	}
 
+	export interface CognitoJwtPayload {
+		sub: string;
+		iss: string;
+		exp: number;
+		iat: number;
+		auth_time: number;
+		nbf?: number;
+		'cognito:groups'?: string[];
+		[claim: string]: any;
+	}
+
+	export interface CognitoIdTokenPayload extends CognitoJwtPayload {
+		token_use: 'id';
+		aud: string;
+		'cognito:username': string;
+		email?: string;
+		email_verified?: boolean;
+		phone_number?: string;
+		phone_number_verified?: boolean;
+		nonce?: string;
+	}
+
+	export interface CognitoAccessTokenPayload extends CognitoJwtPayload {
+		token_use: 'access';
+		client_id: string;
+		username: string;
+		scope: string;
+		jti: string;
+		origin_jti?: string;
+		event_id?: string;
+		version: number;
+	}
+
+	export interface ICognitoJsonWebKey {
+		kid: string;
+		kty: string;
+		n: string;
+		e: string;
+		alg?: string;
+		use?: string;
+	}
+
+	export interface ICognitoJwtVerifierData {
+		UserPoolId: string;
+		ClientId: string | string[];
+		tokenUse?: 'id' | 'access';
+		clockTolerance?: number;
+		jwks?: { keys: ICognitoJsonWebKey[] };
+		issuer?: string;
+		jwksUri?: string;
+		jwksRefreshCooldown?: number;
+		crypto?: any;
+	}
+
+	export class CognitoJwtVerifier {
+		constructor(data: ICognitoJwtVerifierData);
+
+		public verify(
+			token: string | CognitoIdToken | CognitoAccessToken,
+			tokenUse?: 'id' | 'access'
+		): Promise<CognitoIdTokenPayload | CognitoAccessTokenPayload>;
+		public verifyIdToken(
+			token: string | CognitoIdToken
+		): Promise<CognitoIdTokenPayload>;
+		public verifyAccessToken(
+			token: string | CognitoAccessToken
+		): Promise<CognitoAccessTokenPayload>;
+	}
+
+	export interface ICognitoOAuthClientData {
+		Pool: CognitoUserPool;
+		Domain: string;
+		RedirectSignIn: string;
+		RedirectSignOut?: string;
+		Scopes?: string[];
+		ResponseType?: 'code' | 'token';
+		fetch?: (url: string, options: any) => Promise<any>;
+	}
+
+	export interface IOAuthAuthorizeOptions {
+		identityProvider?: string;
+		idpIdentifier?: string;
+		customState?: string;
+	}
+
+	export interface IOAuthSignInResult {
+		user: CognitoUser;
+		session: CognitoUserSession;
+		customState?: string;
+	}
+
+	export class CognitoOAuthClient {
+		constructor(data: ICognitoOAuthClientData);
+
+		public getAuthorizeUrl(options?: IOAuthAuthorizeOptions): Promise<string>;
+		public handleRedirect(url: string): Promise<IOAuthSignInResult | null>;
+		public getSignOutUrl(): string;
+	}
+
 	export class CognitoRefreshToken {
 		constructor({ RefreshToken }: { RefreshToken: string });
 
@@ -380,6 +950,9 @@ declare module 'amazon-cognito-identity-js' {
 		expires?: number;
 		secure?: boolean;
 		sameSite?: 'strict' | 'lax' | 'none';
+		maxCookieSize?: number;
+		cookieBudget?: number;
+		logger?: ICognitoLogger | null;
 	}
 	export class CookieStorage implements ICognitoStorage {
 		constructor(data: ICookieStorageData);
@@ -389,6 +962,326 @@ declare module 'amazon-cognito-identity-js' {
 		clear(): void;
 	}
 
+	export class RequestStorage implements ICognitoStorage {
+		constructor();
+		setItem(key: string, value: string): string;
+		getItem(key: string): string | null;
+		removeItem(key: string): boolean;
+		clear(): {};
+	}
+
+	export interface IServerSessionStore {
+		get(key: string): Promise<string | null>;
+		set(key: string, value: string, ttl?: number): Promise<void>;
+		del(key: string): Promise<void>;
+	}
+
+	export class MemorySessionStore implements IServerSessionStore {
+		constructor();
+		get(key: string): Promise<string | null>;
+		set(key: string, value: string, ttl?: number): Promise<void>;
+		del(key: string): Promise<void>;
+	}
+
+	export interface IServerSessionManagerData {
+		PoolData: ICognitoUserPoolData;
+		secret?: string;
+		store?: IServerSessionStore;
+		cookieName?: string;
+		cookieOptions?: {
+			path?: string;
+			domain?: string;
+			maxAge?: number;
+			secure?: boolean;
+			httpOnly?: boolean;
+			sameSite?: 'Strict' | 'Lax' | 'None';
+		};
+	}
+
+	export interface IServerSessionContext {
+		pool: CognitoUserPool;
+		storage: RequestStorage;
+		user: CognitoUser | null;
+		session: CognitoUserSession | null;
+		error: Error | null;
+		id: string | null;
+		cookieNames: string[];
+	}
+
+	export class ServerSessionManager {
+		constructor(data: IServerSessionManagerData);
+
+		public load(cookieHeader?: string): Promise<IServerSessionContext>;
+		public save(context: IServerSessionContext): Promise<string[]>;
+	}
+
+	export interface ISignInState {
+		username: string;
+		challengeName: ChallengeName;
+		session: string;
+		challengeParameters: any;
+		expiresAt: number;
+	}
+
+	export type SignInTransition =
+		| 'sendSmsMfaCode'
+		| 'sendTotpCode'
+		| 'selectMfaType'
+		| 'associateSoftwareToken'
+		| 'verifySoftwareToken'
+		| 'completeNewPassword'
+		| 'sendCustomChallengeAnswer';
+
+	export interface ISignInFlowData {
+		User: CognitoUser;
+		State?: ISignInState | null;
+		AuthSessionValidity?: number;
+	}
+
+	export class SignInFlow {
+		static TRANSITIONS: { [challengeName: string]: SignInTransition[] };
+		constructor(data: ISignInFlowData);
+
+		public getState(): ISignInState | null;
+		public getUser(): CognitoUser;
+		public getTransitions(): SignInTransition[];
+		public isExpired(): boolean;
+		public on(
+			event: 'stateChange',
+			listener: (state: ISignInState | null) => void
+		): () => void;
+		public signIn(authDetails: AuthenticationDetails): Promise<AuthResult>;
+		public sendSmsMfaCode(
+			code: string,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+		public sendTotpCode(
+			code: string,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+		public selectMfaType(
+			mfaType: 'SMS_MFA' | 'SOFTWARE_TOKEN_MFA'
+		): Promise<AuthResult>;
+		public associateSoftwareToken(): Promise<string>;
+		public verifySoftwareToken(
+			code: string,
+			friendlyDeviceName: string
+		): Promise<AuthResult>;
+		public completeNewPassword(
+			newPassword: string,
+			requiredAttributeData?: any,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+		public sendCustomChallengeAnswer(
+			answer: string,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+	}
+
+	export interface IRememberedDevice {
+		key: string;
+		name: string | null;
+		lastIp: string | null;
+		remembered: boolean;
+		createDate: Date | null;
+		lastModifiedDate: Date | null;
+		lastAuthenticatedDate: Date | null;
+		isCurrent: boolean;
+		attributes: { [name: string]: string };
+	}
+
+	export class DeviceManager {
+		static parseDevice(
+			device: any,
+			currentDeviceKey?: string
+		): IRememberedDevice;
+		constructor(user: CognitoUser, options?: { pageSize?: number });
+
+		public devices(): {
+			next(): Promise<IteratorResult<IRememberedDevice>>;
+		};
+		public listAll(): Promise<IRememberedDevice[]>;
+		public getCurrentDevice(): Promise<IRememberedDevice | null>;
+		public forget(deviceKey: string): Promise<void>;
+		public forgetAllOtherDevices(): Promise<string[]>;
+	}
+
+	export interface ITotpEnrollmentOptions {
+		issuer: string;
+		accountName?: string;
+		window?: number;
+	}
+
+	export interface IQrCodeOptions {
+		errorCorrectionLevel?: 'L' | 'M' | 'Q' | 'H';
+		margin?: number;
+		dark?: string;
+		light?: string;
+	}
+
+	export class TotpEnrollment {
+		static buildUri(
+			secret: string,
+			options: { issuer: string; accountName: string }
+		): string;
+
+		constructor(user: CognitoUser, options: ITotpEnrollmentOptions);
+
+		public start(): Promise<{ secret: string; uri: string }>;
+		public getSecret(): string;
+		public getUri(): string;
+		public getQrCodeSvg(options?: IQrCodeOptions): string;
+		public getQrCodeDataUrl(options?: IQrCodeOptions): string;
+		public generateCode(time?: number): string;
+		public validateCode(code: string, time?: number): boolean;
+		public complete(
+			code: string,
+			options?: {
+				friendlyDeviceName?: string;
+				preferred?: boolean;
+				validateLocally?: boolean;
+			}
+		): Promise<CognitoUserSession | null>;
+	}
+
+	export interface IEncryptionKey {
+		id: string;
+		secret: string | Uint8Array | object;
+	}
+	export interface IEncryptedStorageData {
+		storage: ICognitoStorage | ICognitoAsyncStorage;
+		keys: IEncryptionKey[];
+		salt?: string;
+		iterations?: number;
+		allowPlaintext?: boolean;
+		onTamper?: (key: string, error: Error) => void;
+		crypto?: any;
+	}
+	export class EncryptedStorage implements ICognitoAsyncStorage {
+		constructor(data: IEncryptedStorageData);
+		setItem(key: string, value: string): Promise<void>;
+		getItem(key: string): Promise<string | null>;
+		removeItem(key: string): Promise<void>;
+		clear(): Promise<void>;
+	}
+
+	export interface PasskeyCredential {
+		id: string;
+		publicKey: string;
+		algorithm: number;
+		transports: string[];
+		name?: string;
+		createdAt: number;
+	}
+
+	export interface IPasskeyStore {
+		list(user: CognitoUser): Promise<PasskeyCredential[]>;
+		add(user: CognitoUser, credential: PasskeyCredential): Promise<void>;
+		remove(user: CognitoUser, credentialId: string): Promise<void>;
+	}
+
+	export class PasskeyAttributeStore implements IPasskeyStore {
+		constructor(options?: { attributeName?: string });
+
+		public list(user: CognitoUser): Promise<PasskeyCredential[]>;
+		public add(user: CognitoUser, credential: PasskeyCredential): Promise<void>;
+		public remove(user: CognitoUser, credentialId: string): Promise<void>;
+	}
+
+	export interface IPasskeyAuthData {
+		Pool: CognitoUserPool;
+		rpId?: string;
+		rpName: string;
+		credentials?: CredentialsContainer;
+		store: IPasskeyStore;
+		timeout?: number;
+		userVerification?: UserVerificationRequirement;
+	}
+
+	export class PasskeyAuth {
+		constructor(data: IPasskeyAuthData);
+
+		public register(
+			user: CognitoUser,
+			options?: { name?: string; displayName?: string }
+		): Promise<PasskeyCredential>;
+		public listPasskeys(user: CognitoUser): Promise<PasskeyCredential[]>;
+		public removePasskey(
+			user: CognitoUser,
+			credentialId: string
+		): Promise<void>;
+		public authenticateUser(
+			authDetails: AuthenticationDetails,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult & { user: CognitoUser }>;
+		public isPasskeyChallenge(challengeParameters: any): boolean;
+		public answerChallenge(
+			user: CognitoUser,
+			challengeParameters: any,
+			clientMetadata?: ClientMetadata
+		): Promise<AuthResult>;
+	}
+
+	export type PasswordlessMethod = 'EMAIL_OTP' | 'SMS_OTP' | 'MAGIC_LINK';
+
+	export interface IPasswordlessChallenge {
+		destination?: string;
+		deliveryMedium?: string;
+		attemptsLeft?: number;
+	}
+
+	export interface IPasswordlessConventions {
+		getClientMetadata(context: {
+			method: PasswordlessMethod;
+			action: 'start' | 'resend' | 'answer' | 'link';
+			redirectUri?: string;
+		}): ClientMetadata;
+		parseChallenge(challengeParameters: any): IPasswordlessChallenge;
+		formatAnswer(answer: string): string;
+		parseMagicLink(url: string): { username: string; answer: string } | null;
+	}
+
+	export interface IPasswordlessAuthData {
+		Pool: CognitoUserPool;
+		method?: PasswordlessMethod;
+		redirectUri?: string;
+		maxAttempts?: number;
+		maxResends?: number;
+		conventions?: Partial<IPasswordlessConventions>;
+		clientMetadata?: ClientMetadata;
+	}
+
+	export interface IPasswordlessState extends IPasswordlessChallenge {
+		state:
+			| 'idle'
+			| 'sending'
+			| 'challenged'
+			| 'answering'
+			| 'signedIn'
+			| 'failed';
+		username: string | null;
+		attempts: number;
+		resends: number;
+		session?: CognitoUserSession;
+		error?: Error;
+	}
+
+	export class PasswordlessAuth {
+		static DEFAULT_CONVENTIONS: IPasswordlessConventions;
+		constructor(data: IPasswordlessAuthData);
+
+		public getState(): IPasswordlessState;
+		public getUser(): CognitoUser | null;
+		public on(
+			event: 'stateChange',
+			listener: (state: IPasswordlessState) => void
+		): () => void;
+		public start(username: string): Promise<IPasswordlessState>;
+		public resend(): Promise<IPasswordlessState>;
+		public answer(code: string): Promise<IPasswordlessState>;
+		public signInWithLink(url: string): Promise<IPasswordlessState | null>;
+	}
+
 	export class UserAgent {
 		constructor();
 	}
@@ -400,4 +1293,107 @@ declare module 'amazon-cognito-identity-js' {
 		random(nBytes: number): WordArray;
 		toString(): string;
 	}
+
+	export interface ISrpBackend {
+		name: string;
+		modPow(
+			base: any,
+			exponent: any,
+			modulus: any,
+			callback: NodeCallback<Error, any>
+		): void;
+	}
+
+	export const getSrpBackend: () => ISrpBackend;
+	export const setSrpBackend: (
+		backend: 'BigInt' | 'BigInteger' | ISrpBackend
+	) => void;
+}
+
+declare module 'amazon-cognito-identity-js/lib/emulator' {
+	export interface IEmulatorOptions {
+		region?: string;
+		now?: () => number;
+	}
+
+	export interface IEmulatedUserPoolOptions {
+		clientId?: string;
+		mfaConfiguration?: 'OFF' | 'OPTIONAL' | 'ON';
+		deviceTracking?: {
+			DeviceOnlyRememberedOnUserPrompt?: boolean;
+		} | null;
+		autoVerifiedAttributes?: string[];
+		requiredAttributes?: string[];
+		passwordPolicy?: {
+			MinimumLength?: number;
+			RequireUppercase?: boolean;
+			RequireLowercase?: boolean;
+			RequireNumbers?: boolean;
+			RequireSymbols?: boolean;
+		};
+		accessTokenValidity?: number;
+		idTokenValidity?: number;
+		refreshTokenValidity?: number;
+		triggers?: {
+			defineAuthChallenge?: (event: any) => any;
+			createAuthChallenge?: (event: any) => any;
+			verifyAuthChallengeResponse?: (event: any) => any;
+		};
+	}
+
+	export interface IEmulatedUserOptions {
+		password?: string;
+		attributes?: { [name: string]: string };
+		status?:
+			| 'CONFIRMED'
+			| 'UNCONFIRMED'
+			| 'FORCE_CHANGE_PASSWORD'
+			| 'RESET_REQUIRED';
+	}
+
+	export interface IEmulatedUser {
+		username: string;
+		status: string;
+		attributes: { [name: string]: string };
+		mfa: { [setting: string]: any };
+		totpSecret: string | null;
+		devices: {
+			key: string;
+			name: string;
+			confirmed: boolean;
+			status: string;
+		}[];
+	}
+
+	export class CognitoEmulator {
+		constructor(options?: IEmulatorOptions);
+		public fetch: (url: string, options: any) => Promise<any>;
+		public createUserPool(
+			options?: IEmulatedUserPoolOptions
+		): { UserPoolId: string; ClientId: string };
+		public createUser(
+			userPoolId: string,
+			username: string,
+			options?: IEmulatedUserOptions
+		): IEmulatedUser;
+		public getUser(userPoolId: string, username: string): IEmulatedUser | null;
+		public getLastCode(userPoolId: string, username: string): string | null;
+		public getJwks(userPoolId: string): { keys: any[] };
+		public handle(operation: string, params: any): Promise<any>;
+		public listen(port?: number, hostname?: string): Promise<string>;
+		public close(): Promise<void>;
+	}
+
+	export interface ITotpOptions {
+		time?: number;
+		step?: number;
+		digits?: number;
+	}
+
+	export function generateTotp(secret: string, options?: ITotpOptions): string;
+	export function verifyTotp(
+		code: string,
+		secret: string,
+		options?: ITotpOptions & { window?: number }
+	): boolean;
 }
@@ -21,6 +21,8 @@ import 'crypto-js/lib-typedarrays'; // necessary for crypto js
 import SHA256 from 'crypto-js/sha256';
 import HmacSHA256 from 'crypto-js/hmac-sha256';
 import WordArray from './utils/WordArray';
+import { getSrpBackend } from './utils/srpBackend';
+import { InvalidParameterError } from './CognitoError';
 
 /**
  * Returns a Buffer with a sequence of random nBytes
@@ -171,7 +173,8 @@ export default class AuthenticationHelper {
 		// The random hex will be unambiguously represented as a postive integer
 		this.SaltToHashDevices = this.padHex(new BigInteger(hexRandom, 16));
 
-		this.g.modPow(
+		getSrpBackend().modPow(
+			this.g,
 			new BigInteger(this.hexHash(this.SaltToHashDevices + hashedString), 16),
 			this.N,
 			(err, verifierDevicesNotPadded) => {
@@ -194,16 +197,19 @@ export default class AuthenticationHelper {
 	 * @private
 	 */
 	calculateA(a, callback) {
-		this.g.modPow(a, this.N, (err, A) => {
+		getSrpBackend().modPow(this.g, a, this.N, (err, A) => {
 			if (err) {
-				callback(err, null);
+				return callback(err, null);
 			}
 
 			if (A.mod(this.N).equals(BigInteger.ZERO)) {
-				callback(new Error('Illegal paramater. A mod N cannot be 0.'), null);
+				return callback(
+					new InvalidParameterError('Illegal paramater. A mod N cannot be 0.'),
+					null
+				);
 			}
 
-			callback(null, A);
+			return callback(null, A);
 		});
 	}
 
@@ -286,13 +292,13 @@ export default class AuthenticationHelper {
 		callback
 	) {
 		if (serverBValue.mod(this.N).equals(BigInteger.ZERO)) {
-			throw new Error('B cannot be zero.');
+			throw new InvalidParameterError('B cannot be zero.');
 		}
 
 		this.UValue = this.calculateU(this.largeAValue, serverBValue);
 
 		if (this.UValue.equals(BigInteger.ZERO)) {
-			throw new Error('U cannot be zero.');
+			throw new InvalidParameterError('U cannot be zero.');
 		}
 
 		const usernamePassword = `${this.poolName}${username}:${password}`;
@@ -324,13 +330,14 @@ export default class AuthenticationHelper {
 	 * @returns {void}
 	 */
 	calculateS(xValue, serverBValue, callback) {
-		this.g.modPow(xValue, this.N, (err, gModPowXN) => {
+		getSrpBackend().modPow(this.g, xValue, this.N, (err, gModPowXN) => {
 			if (err) {
 				callback(err, null);
 			}
 
 			const intValue2 = serverBValue.subtract(this.k.multiply(gModPowXN));
-			intValue2.modPow(
+			getSrpBackend().modPow(
+				intValue2,
 				this.smallAValue.add(this.UValue.multiply(xValue)),
 				this.N,
 				(err2, result) => {
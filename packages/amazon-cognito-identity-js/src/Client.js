@@ -1,28 +1,108 @@
+/* global AbortController */
+
 import 'isomorphic-unfetch';
 
+import {
+	createCognitoError,
+	RequestAbortedError,
+	RequestTimeoutError,
+	NetworkError,
+	toCognitoError,
+} from './CognitoError';
+import RetryPolicy from './RetryPolicy';
 import UserAgent from './UserAgent';
+import { redact } from './utils/redact';
 
-class CognitoError extends Error {
-	constructor(message, code, name, statusCode) {
-		super(message);
-		this.code = code;
-		this.name = name;
-		this.statusCode = statusCode;
-	}
+/**
+ * @param {object} response A fetch response.
+ * @param {string} name The name of a header.
+ * @returns {string} the header, if any
+ */
+function getHeader(response, name) {
+	return response.headers && typeof response.headers.get === 'function'
+		? response.headers.get(name)
+		: null;
+}
+
+/**
+ * @param {object} response The fetch response of a failed request.
+ * @param {string} code The error code.
+ * @param {string} message The error message.
+ * @returns {CognitoError} the error of the request
+ */
+function createResponseError(response, code, message) {
+	return createCognitoError(message, {
+		code,
+		statusCode: response.status,
+		requestId: getHeader(response, 'x-amzn-requestid'),
+		retryAfter: getHeader(response, 'retry-after'),
+	});
 }
 
 /** @class */
 export default class Client {
+	/**
+	 * @typedef {object} RequestInterceptor
+	 * @property {function} beforeRequest Optional, called with the request
+	 *           ({ operation, params, url, options }) before it is sent. It may
+	 *           return, or resolve, the request to send instead.
+	 * @property {function} afterResponse Optional, called with the response
+	 *           ({ error, data }) and the request once it completes. It may
+	 *           return, or resolve, the response to hand over instead.
+	 */
+	/**
+	 * @typedef {object} RequestOptions
+	 * @property {int} timeout Milliseconds after which the request fails with
+	 *           a TimeoutError (default: the timeout of the client, if any).
+	 * @property {AbortSignal} signal Aborts the request, which fails with an
+	 *           AbortError.
+	 */
 	/**
 	 * Constructs a new AWS Cognito Identity Provider client object
 	 * @param {string} region AWS region
 	 * @param {string} endpoint endpoint
 	 * @param {object} fetchOptions options for fetch API (only credentials is supported)
+	 * @param {object} options Optional client options.
+	 * @param {RequestInterceptor[]} options.interceptors Interceptors called
+	 *        around every request, in order before it and in reverse order after it.
+	 * @param {int} options.timeout Default timeout of the requests, in milliseconds.
+	 * @param {RetryPolicy} options.retryPolicy Decides when a failed request
+	 *        is sent again (default: a RetryPolicy with its default options).
+	 * @param {function} options.fetch The fetch implementation sending the
+	 *        requests (default: the global fetch).
+	 * @param {EventEmitter} options.events Optional emitter of the
+	 *        requestStart and requestEnd events of every request.
 	 */
-	constructor(region, endpoint, fetchOptions) {
+	constructor(region, endpoint, fetchOptions, options) {
 		this.endpoint = endpoint || `https://cognito-idp.${region}.amazonaws.com/`;
 		const { credentials } = fetchOptions || {};
 		this.fetchOptions = credentials ? { credentials } : {};
+		const {
+			interceptors = [],
+			timeout,
+			retryPolicy,
+			fetch: fetchRequest,
+			events,
+		} = options || {};
+		this.interceptors = interceptors.slice();
+		this.timeout = timeout;
+		this.retryPolicy = retryPolicy || new RetryPolicy();
+		this.fetchRequest = fetchRequest || null;
+		this.events = events || null;
+	}
+
+	/**
+	 * Adds an interceptor called around every request
+	 * @param {RequestInterceptor} interceptor The interceptor to add.
+	 * @returns {function} removes the interceptor
+	 */
+	use(interceptor) {
+		this.interceptors.push(interceptor);
+		return () => {
+			this.interceptors = this.interceptors.filter(
+				current => current !== interceptor
+			);
+		};
 	}
 
 	/**
@@ -30,47 +110,38 @@ export default class Client {
 	 * using fetch
 	 * @param {string} operation API operation
 	 * @param {object} params Input parameters
-	 * @returns Promise<object>
+	 * @param {RequestOptions} requestOptions Optional timeout and abort signal
+	 * @returns {Promise<object>} the response data
 	 */
-	promisifyRequest(operation, params) {
+	promisifyRequest(operation, params, requestOptions) {
 		return new Promise((resolve, reject) => {
-			this.request(operation, params, (err, data) => {
-				if (err) {
-					reject(
-						new CognitoError(err.message, err.code, err.name, err.statusCode)
-					);
-				} else {
-					resolve(data);
-				}
-			});
+			this.request(
+				operation,
+				params,
+				(err, data) => {
+					if (err) {
+						reject(toCognitoError(err));
+					} else {
+						resolve(data);
+					}
+				},
+				requestOptions
+			);
 		});
 	}
 
-	requestWithRetry(operation, params, callback) {
-		const MAX_DELAY_IN_MILLIS = 5 * 1000;
-
-		jitteredExponentialRetry((p) => new Promise((res, rej) => {
-			this.request(operation, p, (error, result) => {
-				if (error) {
-					rej(error);
-				} else {
-					res(result);
-				}
-			});
-		}), [params], MAX_DELAY_IN_MILLIS)
-			.then(result => callback(null, result))
-			.catch(error => callback(error));
-	}
-
 	/**
 	 * Makes an unauthenticated request on AWS Cognito Identity Provider API
 	 * using fetch
 	 * @param {string} operation API operation
 	 * @param {object} params Input parameters
 	 * @param {function} callback Callback called when a response is returned
+	 * @param {RequestOptions} requestOptions Optional timeout and abort signal
 	 * @returns {void}
 	 */
-	request(operation, params, callback) {
+	request(operation, params, callback, requestOptions) {
+		const { timeout = this.timeout, signal } = requestOptions || {};
+		const done = this.observe(operation, params, callback);
 		const headers = {
 			'Content-Type': 'application/x-amz-json-1.1',
 			'X-Amz-Target': `AWSCognitoIdentityProviderService.${operation}`,
@@ -85,10 +156,172 @@ export default class Client {
 			body: JSON.stringify(params),
 		});
 
+		let request = { operation, params, url: this.endpoint, options };
+		const interceptors = this.interceptors.slice();
+
+		let settled = false;
+		let timer = null;
+		let controller = null;
+		let onAbort = null;
+
+		const complete = (error, data) => {
+			if (settled) {
+				return;
+			}
+			settled = true;
+			clearTimeout(timer);
+			if (onAbort) {
+				signal.removeEventListener('abort', onAbort);
+			}
+			if (interceptors.length === 0) {
+				done(error, data);
+				return;
+			}
+			interceptors
+				.slice()
+				.reverse()
+				.reduce(
+					(promise, interceptor) =>
+						interceptor.afterResponse
+							? promise.then(
+									response =>
+										interceptor.afterResponse(response, request) || response
+							  )
+							: promise,
+					Promise.resolve({ error, data })
+				)
+				.then(
+					response => done(response.error, response.data),
+					err => done(err)
+				);
+		};
+
+		if (signal && signal.aborted) {
+			complete(new RequestAbortedError(`${operation} was aborted.`));
+			return;
+		}
+		if (timeout || signal) {
+			if (typeof AbortController !== 'undefined') {
+				controller = new AbortController();
+				options.signal = controller.signal;
+			}
+			const cancel = error => {
+				if (controller) {
+					controller.abort();
+				}
+				complete(error);
+			};
+			if (timeout) {
+				timer = setTimeout(
+					() =>
+						cancel(
+							new RequestTimeoutError(
+								`${operation} did not complete within ${timeout} ms.`
+							)
+						),
+					timeout
+				);
+			}
+			if (signal) {
+				onAbort = () =>
+					cancel(new RequestAbortedError(`${operation} was aborted.`));
+				signal.addEventListener('abort', onAbort);
+			}
+		}
+
+		const isCancelled = () => settled;
+		if (interceptors.length === 0) {
+			this.sendWithRetry(request, isCancelled, complete);
+			return;
+		}
+		interceptors
+			.reduce(
+				(promise, interceptor) =>
+					interceptor.beforeRequest
+						? promise.then(
+								current => interceptor.beforeRequest(current) || current
+						  )
+						: promise,
+				Promise.resolve(request)
+			)
+			.then(
+				current => {
+					request = current;
+					if (!settled) {
+						this.sendWithRetry(request, isCancelled, complete);
+					}
+				},
+				err => complete(err)
+			);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Emits requestStart, and requestEnd with the duration once the request
+	 * completes
+	 * @param {string} operation API operation
+	 * @param {object} params Input parameters
+	 * @param {function} callback Callback called when a response is returned
+	 * @returns {function} the callback, emitting requestEnd first
+	 */
+	observe(operation, params, callback) {
+		const { events } = this;
+		if (!events) {
+			return callback;
+		}
+		const startedAt = Date.now();
+		events.emit('requestStart', { operation, params: redact(params) });
+		return (error, data) => {
+			events.emit('requestEnd', {
+				operation,
+				duration: Date.now() - startedAt,
+				error: error || null,
+			});
+			callback(error, data);
+		};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Sends the request until it succeeds or the retry policy gives up
+	 * @param {object} request The request built by request.
+	 * @param {function} isCancelled Tells if the request timed out or was aborted.
+	 * @param {function} callback Callback called when a response is returned
+	 * @param {int} attempt The number of the attempt.
+	 * @returns {void}
+	 */
+	sendWithRetry(request, isCancelled, callback, attempt = 1) {
+		this.send(request, (err, data) => {
+			const delay =
+				err && !isCancelled()
+					? this.retryPolicy.getRetryDelay(err, attempt)
+					: -1;
+			if (delay < 0) {
+				return callback(err, data);
+			}
+			return this.retryPolicy.wait(delay, () => {
+				if (!isCancelled()) {
+					this.sendWithRetry(request, isCancelled, callback, attempt + 1);
+				}
+			});
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Sends the request with fetch and parses the response
+	 * @param {object} request The request built by request.
+	 * @param {function} callback Callback called when a response is returned
+	 * @returns {void}
+	 */
+	send({ url, options }, callback) {
 		let response;
-		let responseJsonData;
+		const fetchRequest = this.fetchRequest || fetch;
 
-		fetch(this.endpoint, options)
+		fetchRequest(url, options)
 			.then(
 				resp => {
 					response = resp;
@@ -107,17 +340,17 @@ export default class Client {
 			.then(data => {
 				// return parsed body stream
 				if (response.ok) return callback(null, data);
-				responseJsonData = data;
 
 				// Taken from aws-sdk-js/lib/protocol/json.js
 				// eslint-disable-next-line no-underscore-dangle
 				const code = (data.__type || data.code).split('#').pop();
-				const error = {
-					code,
-					name: code,
-					message: data.message || data.Message || null,
-				};
-				return callback(error);
+				return callback(
+					createResponseError(
+						response,
+						code,
+						data.message || data.Message || null
+					)
+				);
 			})
 			.catch(err => {
 				// first check if we have a service error
@@ -128,95 +361,22 @@ export default class Client {
 				) {
 					try {
 						const code = response.headers.get('x-amzn-errortype').split(':')[0];
-						const error = {
-							code,
-							name: code,
-							statusCode: response.status,
-							message: response.status ? response.status.toString() : null,
-						};
-						return callback(error);
+						return callback(
+							createResponseError(
+								response,
+								code,
+								response.status ? response.status.toString() : null
+							)
+						);
 					} catch (ex) {
-						return callback(err);
+						return callback(toCognitoError(err));
 					}
 					// otherwise check if error is Network error
 				} else if (err instanceof Error && err.message === 'Network error') {
-					const error = {
-						code: 'NetworkError',
-						name: err.name,
-						message: err.message,
-					};
-					return callback(error);
+					return callback(new NetworkError(err.message));
 				} else {
-					return callback(err);
+					return callback(toCognitoError(err));
 				}
 			});
 	}
 }
-
-const logger = {
-	debug: () => {
-		// Intentionally blank. This package doesn't have logging
-	}
-};
-
-/**
- * For now, all errors are retryable.
- */
-class NonRetryableError extends Error {
-	constructor(message) {
-		super(message);
-		this.nonRetryable = true;
-	}
-}
-
-const isNonRetryableError = (obj) => {
-	const key = 'nonRetryable';
-	return obj && obj[key];
-};
-
-async function retry(functionToRetry, args, delayFn, attempt = 1) {
-	if (typeof functionToRetry !== 'function') {
-		throw Error('functionToRetry must be a function');
-	}
-
-	logger.debug(`${functionToRetry.name} attempt #${attempt} with args: ${JSON.stringify(args)}`);
-
-	try {
-		return await functionToRetry(...args);
-	}
-	catch (err) {
-		logger.debug(`error on ${functionToRetry.name}`, err);
-
-		if (isNonRetryableError(err)) {
-			logger.debug(`${functionToRetry.name} non retryable error`, err);
-			throw err;
-		}
-
-		const retryIn = delayFn(attempt, args, err);
-
-		logger.debug(`${functionToRetry.name} retrying in ${retryIn} ms`);
-
-		if (retryIn !== false) {
-			await new Promise(res => setTimeout(res, retryIn));
-			return await retry(functionToRetry, args, delayFn, attempt + 1);
-		}
-		else {
-			throw err;
-		}
-	}
-}
-
-function jitteredBackoff(maxDelayMs) {
-	const BASE_TIME_MS = 100;
-	const JITTER_FACTOR = 100;
-
-	return attempt => {
-		const delay = 2 ** attempt * BASE_TIME_MS + JITTER_FACTOR * Math.random();
-		return delay > maxDelayMs ? false : delay;
-	};
-}
-
-const MAX_DELAY_MS = 5 * 60 * 1000;
-function jitteredExponentialRetry(functionToRetry, args, maxDelayMs = MAX_DELAY_MS) {
-	return retry(functionToRetry, args, jitteredBackoff(maxDelayMs))
-};
@@ -0,0 +1,186 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import RetryPolicy from './RetryPolicy';
+
+/** @class */
+export default class CognitoError extends Error {
+	/**
+	 * Constructs a new CognitoError object, the error of a request to the
+	 * user pool. The subclasses identify the most common failures.
+	 * @param {string} message The error message.
+	 * @param {object=} details Error details.
+	 * @param {string} details.code The error code, such as UserNotFoundException
+	 *        (default: the code of the subclass).
+	 * @param {int} details.statusCode The HTTP status of the response, if any.
+	 * @param {string} details.requestId The id of the request, if any.
+	 * @param {string} details.retryAfter The Retry-After header of the response, if any.
+	 */
+	constructor(message, { code, statusCode, requestId, retryAfter } = {}) {
+		super(message);
+		// Restores the prototype lost when Error is subclassed in ES5 output
+		Object.setPrototypeOf(this, new.target.prototype);
+		this.code = code || this.constructor.code;
+		// Kept equal to the code, as for the errors of the previous versions
+		this.name = this.code;
+		this.statusCode = statusCode;
+		this.requestId = requestId;
+		if (retryAfter) {
+			this.retryAfter = retryAfter;
+		}
+		this.retryable = RetryPolicy.isRetryableError(this);
+	}
+}
+CognitoError.code = 'UnknownError';
+
+/** @class */
+export class UserNotFoundError extends CognitoError {}
+UserNotFoundError.code = 'UserNotFoundException';
+
+/** @class */
+export class UserNotAuthenticatedError extends CognitoError {}
+UserNotAuthenticatedError.code = 'UserNotAuthenticatedException';
+
+/** @class */
+export class UserNotConfirmedError extends CognitoError {}
+UserNotConfirmedError.code = 'UserNotConfirmedException';
+
+/** @class */
+export class UsernameExistsError extends CognitoError {}
+UsernameExistsError.code = 'UsernameExistsException';
+
+/** @class */
+export class NotAuthorizedError extends CognitoError {}
+NotAuthorizedError.code = 'NotAuthorizedException';
+
+/** @class */
+export class PasswordResetRequiredError extends CognitoError {}
+PasswordResetRequiredError.code = 'PasswordResetRequiredException';
+
+/** @class */
+export class InvalidPasswordError extends CognitoError {}
+InvalidPasswordError.code = 'InvalidPasswordException';
+
+/** @class */
+export class InvalidParameterError extends CognitoError {}
+InvalidParameterError.code = 'InvalidParameterException';
+
+/** @class */
+export class CodeMismatchError extends CognitoError {}
+CodeMismatchError.code = 'CodeMismatchException';
+
+/** @class */
+export class ExpiredCodeError extends CognitoError {}
+ExpiredCodeError.code = 'ExpiredCodeException';
+
+/** @class */
+export class LimitExceededError extends CognitoError {}
+LimitExceededError.code = 'LimitExceededException';
+
+/** @class */
+export class TooManyFailedAttemptsError extends CognitoError {}
+TooManyFailedAttemptsError.code = 'TooManyFailedAttemptsException';
+
+/** @class */
+export class TooManyRequestsError extends CognitoError {}
+TooManyRequestsError.code = 'TooManyRequestsException';
+
+/** @class */
+export class InternalServiceError extends CognitoError {}
+InternalServiceError.code = 'InternalErrorException';
+
+/** @class */
+export class InvalidDeviceCredentialsError extends CognitoError {}
+InvalidDeviceCredentialsError.code = 'InvalidDeviceCredentialsException';
+
+/** @class */
+export class NetworkError extends CognitoError {}
+NetworkError.code = 'NetworkError';
+
+/** @class */
+export class RequestTimeoutError extends CognitoError {}
+RequestTimeoutError.code = 'TimeoutError';
+
+/** @class */
+export class RequestAbortedError extends CognitoError {}
+RequestAbortedError.code = 'AbortError';
+
+/** @class */
+export class JwtVerificationError extends CognitoError {
+	/**
+	 * Constructs a new JwtVerificationError object, the rejection of a token
+	 * by CognitoJwtVerifier. It is never retryable.
+	 * @param {string} message Why the token was rejected.
+	 * @param {string} reason Machine readable reason, e.g. TokenExpired, used as the code.
+	 */
+	constructor(message, reason) {
+		super(message, { code: reason });
+		this.retryable = false;
+	}
+}
+JwtVerificationError.code = 'JwtVerificationError';
+
+const ERROR_CLASSES = { ThrottlingException: TooManyRequestsError };
+[
+	UserNotFoundError,
+	UserNotAuthenticatedError,
+	UserNotConfirmedError,
+	UsernameExistsError,
+	NotAuthorizedError,
+	PasswordResetRequiredError,
+	InvalidPasswordError,
+	InvalidParameterError,
+	CodeMismatchError,
+	ExpiredCodeError,
+	LimitExceededError,
+	TooManyFailedAttemptsError,
+	TooManyRequestsError,
+	InternalServiceError,
+	InvalidDeviceCredentialsError,
+	NetworkError,
+	RequestTimeoutError,
+	RequestAbortedError,
+].forEach(ErrorClass => {
+	ERROR_CLASSES[ErrorClass.code] = ErrorClass;
+});
+
+/**
+ * Creates the error matching a code, a CognitoError for an unknown code.
+ * @param {string} message The error message.
+ * @param {object} details The error details, see CognitoError.
+ * @returns {CognitoError} the error
+ */
+export function createCognitoError(message, details) {
+	const ErrorClass = ERROR_CLASSES[details.code] || CognitoError;
+	return new ErrorClass(message, details);
+}
+
+/**
+ * @param {object} err An error, or an error object with a code.
+ * @returns {CognitoError} the error as a CognitoError
+ */
+export function toCognitoError(err) {
+	if (err instanceof CognitoError) {
+		return err;
+	}
+	return createCognitoError(err.message, {
+		code: err.code || err.name,
+		statusCode: err.statusCode,
+		requestId: err.requestId,
+		retryAfter: err.retryAfter,
+	});
+}
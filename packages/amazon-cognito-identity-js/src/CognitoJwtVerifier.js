@@ -0,0 +1,423 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import 'isomorphic-unfetch';
+import { Buffer } from 'buffer';
+import { JwtVerificationError } from './CognitoError';
+import nativeCrypto from './utils/nativeCrypto';
+
+const DEFAULT_JWKS_REFRESH_COOLDOWN = 30 * 1000;
+
+/**
+ * @param {string} value A base64url encoded string.
+ * @returns {Buffer} the decoded bytes
+ */
+function base64UrlDecode(value) {
+	const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+	return Buffer.from(base64 + '==='.slice((base64.length + 3) % 4), 'base64');
+}
+
+/**
+ * @param {number} length Length of a DER value.
+ * @returns {Buffer} the DER encoding of the length
+ */
+function derLength(length) {
+	if (length < 0x80) {
+		return Buffer.from([length]);
+	}
+	const bytes = [];
+	for (let rest = length; rest > 0; rest >>= 8) {
+		bytes.unshift(rest & 0xff);
+	}
+	return Buffer.from([0x80 | bytes.length].concat(bytes));
+}
+
+/**
+ * @param {number} tag DER tag.
+ * @param {Buffer} content DER content.
+ * @returns {Buffer} the DER tag-length-value
+ */
+function der(tag, content) {
+	return Buffer.concat([
+		Buffer.from([tag]),
+		derLength(content.length),
+		content,
+	]);
+}
+
+/**
+ * @param {Buffer} bytes Big-endian unsigned integer.
+ * @returns {Buffer} the DER encoding of the integer
+ */
+function derInteger(bytes) {
+	return der(
+		0x02,
+		bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes
+	);
+}
+
+/**
+ * Converts a RSA JWK to a PEM public key, understood by every NodeJS version.
+ * @param {object} jwk The RSA JSON web key.
+ * @returns {string} the PEM encoded SubjectPublicKeyInfo
+ */
+function rsaJwkToPem(jwk) {
+	const rsaEncryption = Buffer.from('06092a864886f70d0101010500', 'hex');
+	const publicKey = der(
+		0x30,
+		Buffer.concat([
+			derInteger(base64UrlDecode(jwk.n)),
+			derInteger(base64UrlDecode(jwk.e)),
+		])
+	);
+	const spki = der(
+		0x30,
+		Buffer.concat([
+			der(0x30, rsaEncryption),
+			der(0x03, Buffer.concat([Buffer.from([0]), publicKey])),
+		])
+	);
+	const lines = spki.toString('base64').match(/.{1,64}/g);
+	return `-----BEGIN PUBLIC KEY-----\n${lines.join(
+		'\n'
+	)}\n-----END PUBLIC KEY-----\n`;
+}
+
+/**
+ * @param {object} crypto A WebCrypto implementation or the NodeJS crypto module.
+ * @returns {function} verifies a RS256 signature, or null if none is usable
+ */
+function selectVerify(crypto) {
+	const webCrypto =
+		crypto && (crypto.subtle ? crypto : crypto.webcrypto || null);
+	if (webCrypto && webCrypto.subtle) {
+		return (jwk, data, signature) =>
+			webCrypto.subtle
+				.importKey(
+					'jwk',
+					{ kty: jwk.kty, n: jwk.n, e: jwk.e },
+					{ name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+					false,
+					['verify']
+				)
+				.then(key =>
+					webCrypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data)
+				);
+	}
+	if (crypto && typeof crypto.createVerify === 'function') {
+		return (jwk, data, signature) =>
+			new Promise(resolve =>
+				resolve(
+					crypto
+						.createVerify('RSA-SHA256')
+						.update(data)
+						.verify(rsaJwkToPem(jwk), signature)
+				)
+			);
+	}
+	return null;
+}
+
+/**
+ * @typedef {object} CognitoJwtPayload
+ * @property {string} sub The user's unique identifier.
+ * @property {string} iss The user pool issuing the token.
+ * @property {string} token_use Either "id" or "access".
+ * @property {int} exp The expiration time, in seconds.
+ * @property {int} iat The issue time, in seconds.
+ * @property {int} auth_time The authentication time, in seconds.
+ */
+
+/** @class */
+export default class CognitoJwtVerifier {
+	/**
+	 * Constructs a new CognitoJwtVerifier object
+	 * @param {object} data Creation options.
+	 * @param {string} data.UserPoolId Cognito user pool id.
+	 * @param {string|string[]} data.ClientId User pool application client id(s)
+	 *        the tokens must be issued to.
+	 * @param {string} data.tokenUse Optional, "id" or "access" to only accept
+	 *        one type of token.
+	 * @param {int} data.clockTolerance Seconds of tolerance when checking
+	 *        exp and nbf (default: 0)
+	 * @param {object} data.jwks Optional JSON web key set used instead of
+	 *        fetching the one of the user pool.
+	 * @param {string} data.issuer Optional, the expected iss claim
+	 *        (default: the user pool's issuer URL)
+	 * @param {string} data.jwksUri Optional, where the JWKS is fetched from
+	 *        (default: the user pool's jwks.json)
+	 * @param {int} data.jwksRefreshCooldown Minimum milliseconds between two
+	 *        fetches caused by an unknown kid (default: 30000)
+	 * @param {object} data.crypto WebCrypto implementation or NodeJS crypto
+	 *        module (default: the native one)
+	 */
+	constructor(data) {
+		const {
+			UserPoolId,
+			ClientId,
+			tokenUse,
+			clockTolerance = 0,
+			jwks,
+			issuer,
+			jwksUri,
+			jwksRefreshCooldown = DEFAULT_JWKS_REFRESH_COOLDOWN,
+			crypto = nativeCrypto,
+		} = data || {};
+		if (!UserPoolId || !ClientId) {
+			throw new Error('Both UserPoolId and ClientId are required.');
+		}
+		if (!/^[\w-]+_.+$/.test(UserPoolId)) {
+			throw new Error('Invalid UserPoolId format.');
+		}
+		if (tokenUse && tokenUse !== 'id' && tokenUse !== 'access') {
+			throw new Error('tokenUse must be either "id" or "access".');
+		}
+		const region = UserPoolId.split('_')[0];
+
+		this.clientIds = Array.isArray(ClientId) ? ClientId : [ClientId];
+		this.tokenUse = tokenUse;
+		this.clockTolerance = clockTolerance;
+		this.issuer =
+			issuer || `https://cognito-idp.${region}.amazonaws.com/${UserPoolId}`;
+		this.jwksUri = jwksUri || `${this.issuer}/.well-known/jwks.json`;
+		this.jwksRefreshCooldown = jwksRefreshCooldown;
+		this.verifySignature = selectVerify(crypto);
+		if (!this.verifySignature) {
+			throw new Error(
+				'Native crypto module could not be used to verify signatures.'
+			);
+		}
+
+		this.localJwks = !!jwks;
+		this.keys = jwks ? this.indexJwks(jwks) : null;
+		this.jwksFetchedAt = 0;
+		this.jwksRequest = null;
+	}
+
+	/**
+	 * Verifies the signature and the claims of a token issued by the user pool.
+	 * @param {string|CognitoJwtToken} token The JWT, or a token object.
+	 * @param {string=} tokenUse Optional, "id" or "access" to only accept one
+	 *        type of token (default: the tokenUse of the verifier)
+	 * @returns {Promise<CognitoJwtPayload>} the verified claims
+	 */
+	verify(token, tokenUse = this.tokenUse) {
+		const jwt =
+			token && typeof token.getJwtToken === 'function'
+				? token.getJwtToken()
+				: token;
+
+		const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+		let header;
+		let payload;
+		try {
+			header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+			payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+		} catch (err) {
+			// Reported below as a malformed token
+		}
+		if (
+			parts.length !== 3 ||
+			!header ||
+			typeof payload !== 'object' ||
+			payload === null
+		) {
+			return Promise.reject(
+				new JwtVerificationError('The token is malformed.', 'MalformedToken')
+			);
+		}
+		if (header.alg !== 'RS256') {
+			return Promise.reject(
+				new JwtVerificationError(
+					`Unsupported token algorithm: ${header.alg}.`,
+					'InvalidSignature'
+				)
+			);
+		}
+
+		return this.getKey(header.kid)
+			.then(jwk =>
+				this.verifySignature(
+					jwk,
+					Buffer.from(`${parts[0]}.${parts[1]}`, 'utf8'),
+					base64UrlDecode(parts[2])
+				)
+			)
+			.then(valid => {
+				if (!valid) {
+					throw new JwtVerificationError(
+						'The token signature is invalid.',
+						'InvalidSignature'
+					);
+				}
+				this.verifyClaims(payload, tokenUse);
+				return payload;
+			});
+	}
+
+	/**
+	 * Verifies an ID token.
+	 * @param {string|CognitoIdToken} token The JWT, or a token object.
+	 * @returns {Promise<CognitoJwtPayload>} the verified claims
+	 */
+	verifyIdToken(token) {
+		return this.verify(token, 'id');
+	}
+
+	/**
+	 * Verifies an access token.
+	 * @param {string|CognitoAccessToken} token The JWT, or a token object.
+	 * @returns {Promise<CognitoJwtPayload>} the verified claims
+	 */
+	verifyAccessToken(token) {
+		return this.verify(token, 'access');
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} payload The token claims.
+	 * @param {string=} tokenUse The expected token_use claim.
+	 * @returns {void}
+	 */
+	verifyClaims(payload, tokenUse) {
+		const now = Math.floor(Date.now() / 1000);
+
+		if (payload.iss !== this.issuer) {
+			throw new JwtVerificationError(
+				`The token issuer ${payload.iss} is not ${this.issuer}.`,
+				'InvalidIssuer'
+			);
+		}
+		if (payload.token_use !== 'id' && payload.token_use !== 'access') {
+			throw new JwtVerificationError(
+				`Unexpected token use: ${payload.token_use}.`,
+				'InvalidTokenUse'
+			);
+		}
+		if (tokenUse && payload.token_use !== tokenUse) {
+			throw new JwtVerificationError(
+				`Expected an ${tokenUse} token but got an ${payload.token_use} token.`,
+				'InvalidTokenUse'
+			);
+		}
+		const audience =
+			payload.token_use === 'id' ? payload.aud : payload.client_id;
+		if (this.clientIds.indexOf(audience) === -1) {
+			throw new JwtVerificationError(
+				`The token was issued to the unexpected client ${audience}.`,
+				'InvalidAudience'
+			);
+		}
+		if (
+			typeof payload.exp !== 'number' ||
+			now > payload.exp + this.clockTolerance
+		) {
+			throw new JwtVerificationError('The token is expired.', 'TokenExpired');
+		}
+		if (
+			typeof payload.nbf === 'number' &&
+			now < payload.nbf - this.clockTolerance
+		) {
+			throw new JwtVerificationError(
+				'The token is not valid yet.',
+				'TokenNotYetValid'
+			);
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} kid The key id of the token header.
+	 * @returns {Promise<object>} the JSON web key, fetching the JWKS on a miss
+	 */
+	getKey(kid) {
+		const findKey = () => {
+			const jwk = this.keys && this.keys[kid];
+			if (!jwk) {
+				throw new JwtVerificationError(
+					`No key matches the token kid ${kid}.`,
+					'UnknownKey'
+				);
+			}
+			return jwk;
+		};
+
+		if (
+			this.localJwks ||
+			(this.keys && this.keys[kid]) ||
+			(this.keys && Date.now() - this.jwksFetchedAt < this.jwksRefreshCooldown)
+		) {
+			return new Promise(resolve => resolve(findKey()));
+		}
+		return this.fetchJwks().then(findKey);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {Promise<void>} resolved once the JWKS is fetched, concurrent
+	 *          calls share the same request
+	 */
+	fetchJwks() {
+		if (!this.jwksRequest) {
+			this.jwksRequest = fetch(this.jwksUri)
+				.then(response => {
+					if (!response.ok) {
+						throw new JwtVerificationError(
+							`Fetching the JWKS failed with status ${response.status}.`,
+							'JwksFetchFailed'
+						);
+					}
+					return response.json();
+				})
+				.then(
+					jwks => {
+						this.keys = this.indexJwks(jwks);
+						this.jwksFetchedAt = Date.now();
+						this.jwksRequest = null;
+					},
+					err => {
+						this.jwksRequest = null;
+						throw err;
+					}
+				);
+		}
+		return this.jwksRequest;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} jwks A JSON web key set.
+	 * @returns {object} its RS256 signing keys by kid
+	 */
+	indexJwks(jwks) {
+		const keys = {};
+		((jwks && jwks.keys) || []).forEach(jwk => {
+			if (
+				jwk.kty === 'RSA' &&
+				(!jwk.alg || jwk.alg === 'RS256') &&
+				(!jwk.use || jwk.use === 'sig')
+			) {
+				keys[jwk.kid] = jwk;
+			}
+		});
+		return keys;
+	}
+}
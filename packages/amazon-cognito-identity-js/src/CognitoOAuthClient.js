@@ -0,0 +1,360 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import 'isomorphic-unfetch';
+import { Buffer } from 'buffer';
+import Base64 from 'crypto-js/enc-base64';
+import sha256 from 'crypto-js/sha256';
+
+import CognitoAccessToken from './CognitoAccessToken';
+import CognitoError, { NetworkError, createCognitoError } from './CognitoError';
+import CognitoIdToken from './CognitoIdToken';
+import CognitoRefreshToken from './CognitoRefreshToken';
+import CognitoUser from './CognitoUser';
+import CognitoUserSession from './CognitoUserSession';
+import cryptoSecureRandomInt from './utils/cryptoSecureRandomInt';
+import { getItems, removeItems, setItems } from './utils/storageAccess';
+
+const STATE_CHARSET =
+	'0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// The unreserved characters allowed in a PKCE code verifier (RFC 7636)
+const VERIFIER_CHARSET = `${STATE_CHARSET}-._~`;
+
+/**
+ * @param {int} length Number of characters.
+ * @param {string} charset The characters to pick from.
+ * @returns {string} a random string
+ */
+function randomString(length, charset) {
+	let result = '';
+	for (let i = 0; i < length; i += 1) {
+		result += charset[(cryptoSecureRandomInt() >>> 0) % charset.length];
+	}
+	return result;
+}
+
+/**
+ * @param {object} params Parameter values by name, undefined ones are skipped.
+ * @returns {string} the form encoded parameters
+ */
+function encodeParams(params) {
+	return Object.keys(params)
+		.filter(name => params[name] !== undefined && params[name] !== null)
+		.map(
+			name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`
+		)
+		.join('&');
+}
+
+/**
+ * @param {string} encoded Form encoded parameters.
+ * @returns {object} the parameter values by name
+ */
+function decodeParams(encoded) {
+	const params = {};
+	encoded
+		.split('&')
+		.filter(pair => pair)
+		.forEach(pair => {
+			// Only the first = separates the name, values may contain others
+			const [name, ...value] = pair
+				.split('=')
+				.map(part => decodeURIComponent(part.replace(/\+/g, ' ')));
+			params[name] = value.join('=');
+		});
+	return params;
+}
+
+/**
+ * @param {string} url A URL.
+ * @returns {{path: string, params: object}} the URL without its query and
+ *          fragment, and the parameters of both
+ */
+function parseUrl(url) {
+	const hashIndex = url.indexOf('#');
+	const beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+	const queryIndex = beforeHash.indexOf('?');
+	return {
+		path: queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex),
+		params: Object.assign(
+			decodeParams(hashIndex === -1 ? '' : url.slice(hashIndex + 1)),
+			decodeParams(queryIndex === -1 ? '' : beforeHash.slice(queryIndex + 1))
+		),
+	};
+}
+
+/**
+ * @typedef {object} OAuthSignInResult
+ * @property {CognitoUser} user The signed in user.
+ * @property {CognitoUserSession} session The session of the user.
+ * @property {string} customState The customState passed to getAuthorizeUrl,
+ *           if any.
+ */
+
+/** @class */
+export default class CognitoOAuthClient {
+	/**
+	 * Constructs a new CognitoOAuthClient object, signing users in through the
+	 * Hosted UI of the user pool domain and the identity providers it federates.
+	 * @param {object} data Creation options.
+	 * @param {CognitoUserPool} data.Pool The user pool, whose storage keeps the
+	 *        pending sign in and the tokens.
+	 * @param {string} data.Domain The domain of the user pool, e.g.
+	 *        myapp.auth.us-east-1.amazoncognito.com
+	 * @param {string} data.RedirectSignIn The callback URL of the app client.
+	 * @param {string} data.RedirectSignOut Optional sign out URL of the app client.
+	 * @param {string[]} data.Scopes The scopes to request
+	 *        (default: openid, email, profile)
+	 * @param {string} data.ResponseType "code" for the authorization code grant
+	 *        with PKCE, "token" for the implicit grant (default: code)
+	 * @param {function} data.fetch Optional fetch implementation used for the
+	 *        token endpoint.
+	 */
+	constructor(data) {
+		const {
+			Pool,
+			Domain,
+			RedirectSignIn,
+			RedirectSignOut,
+			Scopes = ['openid', 'email', 'profile'],
+			ResponseType = 'code',
+			fetch: fetchRequest,
+		} = data || {};
+		if (!Pool || !Domain || !RedirectSignIn) {
+			throw new Error('Pool, Domain and RedirectSignIn are required.');
+		}
+		if (ResponseType !== 'code' && ResponseType !== 'token') {
+			throw new Error('ResponseType must be either "code" or "token".');
+		}
+		if (
+			!Array.isArray(Scopes) ||
+			!Scopes.every(scope => typeof scope === 'string')
+		) {
+			throw new Error('Scopes must be an array of strings.');
+		}
+
+		this.pool = Pool;
+		this.storage = Pool.storage;
+		this.baseUrl = `https://${Domain.replace(/^https:\/\//, '').replace(
+			/\/+$/,
+			''
+		)}`;
+		this.redirectSignIn = RedirectSignIn;
+		this.redirectSignOut = RedirectSignOut;
+		this.scopes = Scopes;
+		this.responseType = ResponseType;
+		this.fetchRequest = fetchRequest || null;
+
+		const keyPrefix = `CognitoIdentityServiceProvider.${Pool.getClientId()}`;
+		this.stateKey = `${keyPrefix}.oauthState`;
+		this.pkceKey = `${keyPrefix}.oauthPKCE`;
+	}
+
+	/**
+	 * Starts a sign in: stores a new state and PKCE code verifier, and builds
+	 * the URL of the authorize endpoint to send the user to.
+	 * @param {object=} options Sign in options.
+	 * @param {string} options.identityProvider Optional identity provider to
+	 *        sign in with, e.g. Google, or COGNITO for the user pool itself
+	 *        (default: the Hosted UI lets the user choose)
+	 * @param {string} options.idpIdentifier Optional identifier of the identity
+	 *        provider, instead of its name.
+	 * @param {string} options.customState Optional value handed back by
+	 *        handleRedirect, e.g. the page to return to.
+	 * @returns {Promise<string>} the authorize URL
+	 */
+	getAuthorizeUrl(options = {}) {
+		const { identityProvider, idpIdentifier, customState } = options;
+		const nonce = randomString(32, STATE_CHARSET);
+		// Hex keeps the state free of characters the Hosted UI encodes again
+		const state =
+			customState === undefined
+				? nonce
+				: `${nonce}-${Buffer.from(customState, 'utf8').toString('hex')}`;
+		const items = { [this.stateKey]: state };
+		const params = {
+			redirect_uri: this.redirectSignIn,
+			response_type: this.responseType,
+			client_id: this.pool.getClientId(),
+			identity_provider: identityProvider,
+			idp_identifier: idpIdentifier,
+			scope: this.scopes.join(' '),
+			state,
+		};
+		if (this.responseType === 'code') {
+			const codeVerifier = randomString(128, VERIFIER_CHARSET);
+			items[this.pkceKey] = codeVerifier;
+			params.code_challenge = sha256(codeVerifier)
+				.toString(Base64)
+				.replace(/=+$/, '')
+				.replace(/\+/g, '-')
+				.replace(/\//g, '_');
+			params.code_challenge_method = 'S256';
+		}
+
+		return new Promise((resolve, reject) =>
+			setItems(this.storage, items, err =>
+				err
+					? reject(err)
+					: resolve(`${this.baseUrl}/oauth2/authorize?${encodeParams(params)}`)
+			)
+		);
+	}
+
+	/**
+	 * Completes a sign in started by getAuthorizeUrl: checks the state of the
+	 * URL the user was redirected to, exchanges the authorization code for
+	 * tokens, and caches the session of the user.
+	 * @param {string} url The URL the user was redirected to.
+	 * @returns {Promise<OAuthSignInResult>} the signed in user, or null if the
+	 *          URL is not a sign in response
+	 */
+	handleRedirect(url) {
+		const { path, params } = parseUrl(url);
+		if (
+			path !== parseUrl(this.redirectSignIn).path ||
+			!(params.code || params.id_token || params.error)
+		) {
+			return Promise.resolve(null);
+		}
+
+		return new Promise((resolve, reject) =>
+			getItems(this.storage, [this.stateKey, this.pkceKey], (err, values) =>
+				err ? reject(err) : resolve(values)
+			)
+		)
+			.then(([savedState, codeVerifier]) =>
+				new Promise((resolve, reject) =>
+					removeItems(this.storage, [this.stateKey, this.pkceKey], err =>
+						err ? reject(err) : resolve()
+					)
+				).then(() => {
+					if (params.error) {
+						throw new CognitoError(params.error_description || params.error, {
+							code: params.error,
+						});
+					}
+					if (!savedState || params.state !== savedState) {
+						throw new CognitoError('Invalid state in OAuth flow.', {
+							code: 'InvalidStateException',
+						});
+					}
+					return params.code
+						? this.requestTokens({
+								grant_type: 'authorization_code',
+								code: params.code,
+								redirect_uri: this.redirectSignIn,
+								code_verifier: codeVerifier || undefined,
+						  })
+						: params;
+				})
+			)
+			.then(tokens => this.signIn(tokens))
+			.then(({ user, session }) => {
+				const separator = params.state.indexOf('-');
+				if (separator === -1) {
+					return { user, session };
+				}
+				const customState = Buffer.from(
+					params.state.slice(separator + 1),
+					'hex'
+				).toString('utf8');
+				return { user, session, customState };
+			});
+	}
+
+	/**
+	 * Builds the URL of the logout endpoint, which ends the Hosted UI session
+	 * and sends the user back to RedirectSignOut. Signing out of the app is
+	 * done with CognitoUser.signOut.
+	 * @returns {string} the logout URL
+	 */
+	getSignOutUrl() {
+		if (!this.redirectSignOut) {
+			throw new Error('RedirectSignOut is required to sign out.');
+		}
+		return `${this.baseUrl}/logout?${encodeParams({
+			client_id: this.pool.getClientId(),
+			logout_uri: this.redirectSignOut,
+		})}`;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} params The parameters of the token request.
+	 * @returns {Promise<object>} the response of the token endpoint
+	 */
+	requestTokens(params) {
+		const fetchRequest = this.fetchRequest || fetch;
+		return fetchRequest(`${this.baseUrl}/oauth2/token`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: encodeParams(
+				Object.assign({ client_id: this.pool.getClientId() }, params)
+			),
+		})
+			.catch(err => {
+				throw new NetworkError(err.message);
+			})
+			.then(response =>
+				response
+					.json()
+					.catch(() => ({}))
+					.then(data => {
+						if (!response.ok || data.error) {
+							throw createCognitoError(
+								data.error_description ||
+									data.error ||
+									`The token request failed with status ${response.status}.`,
+								{
+									code: data.error || 'UnknownError',
+									statusCode: response.status,
+								}
+							);
+						}
+						return data;
+					})
+			);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} tokens The id_token, access_token and refresh_token.
+	 * @returns {Promise<OAuthSignInResult>} the user, once its tokens are cached
+	 */
+	signIn(tokens) {
+		const session = new CognitoUserSession({
+			IdToken: new CognitoIdToken({ IdToken: tokens.id_token }),
+			AccessToken: new CognitoAccessToken({ AccessToken: tokens.access_token }),
+			RefreshToken: new CognitoRefreshToken({
+				RefreshToken: tokens.refresh_token,
+			}),
+		});
+		const user = new CognitoUser({
+			Username: session.getAccessToken().decodePayload().username,
+			Pool: this.pool,
+			Storage: this.storage,
+		});
+		user.signInUserSession = session;
+
+		return new Promise((resolve, reject) =>
+			user.cacheTokens(err => (err ? reject(err) : resolve({ user, session })))
+		);
+	}
+}
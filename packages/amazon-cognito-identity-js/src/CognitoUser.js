@@ -29,7 +29,22 @@ import CognitoRefreshToken from './CognitoRefreshToken';
 import CognitoUserSession from './CognitoUserSession';
 import DateHelper from './DateHelper';
 import CognitoUserAttribute from './CognitoUserAttribute';
+import {
+	InvalidDeviceCredentialsError,
+	InvalidParameterError,
+	UserNotAuthenticatedError,
+} from './CognitoError';
 import StorageHelper from './StorageHelper';
+import TokenRefreshScheduler from './TokenRefreshScheduler';
+import CrossTabSync from './CrossTabSync';
+import EventEmitter from './utils/EventEmitter';
+import {
+	getItems,
+	setItems,
+	removeItems,
+	runOperation,
+} from './utils/storageAccess';
+import { getLastUserKey, updateCachedUsernames } from './utils/cachedUsers';
 
 /**
  * @callback nodeCallback
@@ -70,9 +85,106 @@ import StorageHelper from './StorageHelper';
  * @param {bool=} userConfirmationNecessary User must be confirmed.
  */
 
+/**
+ * @typedef {object} AuthResult
+ * @property {string} type One of 'success', 'newPasswordRequired', 'mfaRequired',
+ *    'totpRequired', 'customChallenge', 'mfaSetup' or 'selectMFAType'.
+ * @property {CognitoUserSession=} session The new session (success only).
+ * @property {bool=} userConfirmationNecessary User must be confirmed (success only).
+ * @property {string=} challengeName The challenge to answer next.
+ * @property {object=} challengeParameters The challenge parameters.
+ * @property {object=} userAttributes Current attributes (newPasswordRequired only).
+ * @property {string[]=} requiredAttributes Attributes to provide (newPasswordRequired only).
+ */
+
 const isBrowser = typeof navigator !== 'undefined';
 const userAgent = isBrowser ? navigator.userAgent : 'nodejs';
 
+/**
+ * Builds a callback map that settles a promise with an AuthResult
+ * instead of branching into the challenge callbacks.
+ * @param {function} resolve Promise resolve function.
+ * @param {function} reject Promise reject function.
+ * @returns {object} the authentication callback map
+ */
+function authResultCallback(resolve, reject) {
+	const challenge = type => (challengeName, challengeParameters) =>
+		resolve({ type, challengeName, challengeParameters });
+
+	return {
+		onSuccess: (session, userConfirmationNecessary) =>
+			resolve({
+				type: 'success',
+				session,
+				userConfirmationNecessary: userConfirmationNecessary === true,
+			}),
+		onFailure: reject,
+		newPasswordRequired: (userAttributes, requiredAttributes) =>
+			resolve({
+				type: 'newPasswordRequired',
+				challengeName: 'NEW_PASSWORD_REQUIRED',
+				userAttributes,
+				requiredAttributes,
+			}),
+		mfaRequired: challenge('mfaRequired'),
+		totpRequired: challenge('totpRequired'),
+		mfaSetup: challenge('mfaSetup'),
+		selectMFAType: challenge('selectMFAType'),
+		customChallenge: challengeParameters =>
+			resolve({
+				type: 'customChallenge',
+				challengeName: 'CUSTOM_CHALLENGE',
+				challengeParameters,
+			}),
+	};
+}
+
+/**
+ * Builds a node style callback that settles a promise.
+ * @param {function} resolve Promise resolve function.
+ * @param {function} reject Promise reject function.
+ * @returns {nodeCallback} the callback
+ */
+function nodeCallbackFor(resolve, reject) {
+	return (err, result) => (err ? reject(err) : resolve(result));
+}
+
+/**
+ * Builds an onSuccess / onFailure callback map that settles a promise.
+ * @param {function} resolve Promise resolve function.
+ * @param {function} reject Promise reject function.
+ * @returns {object} the callback map
+ */
+function successCallbackFor(resolve, reject) {
+	return { onSuccess: resolve, onFailure: reject };
+}
+
+/**
+ * @param {*} err A request failure.
+ * @returns {boolean} true when the device sent with the request is unknown
+ */
+function isDeviceNotFoundError(err) {
+	return (
+		!!err &&
+		err.code === 'ResourceNotFoundException' &&
+		err.message.toLowerCase().indexOf('device') !== -1
+	);
+}
+
+/**
+ * @param {*} err A failure of the DEVICE_PASSWORD_VERIFIER challenge.
+ * @returns {boolean} true when the credentials of the device are rejected,
+ *          unlike an expired session or a disabled user
+ */
+function isInvalidDeviceError(err) {
+	return (
+		isDeviceNotFoundError(err) ||
+		(!!err &&
+			err.code === 'NotAuthorizedException' &&
+			!/session|disabled/i.test(err.message))
+	);
+}
+
 /** @class */
 export default class CognitoUser {
 	/**
@@ -95,11 +207,17 @@ export default class CognitoUser {
 
 		this.signInUserSession = null;
 		this.authenticationFlowType = 'USER_SRP_AUTH';
+		this.requestOptions = null;
 
 		this.storage = data.Storage || new StorageHelper().getStorage();
 
 		this.keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
 		this.userDataKey = `${this.keyPrefix}.${this.username}.userData`;
+
+		this.events = new EventEmitter();
+		this.refreshScheduler = null;
+		this.crossTabSync = null;
+		this.retryWithoutDevice = null;
 	}
 
 	/**
@@ -108,9 +226,9 @@ export default class CognitoUser {
 	 * @returns {void}
 	 */
 	setSignInUserSession(signInUserSession) {
-		this.clearCachedUserData();
+		this.clearCachedUserData(this.reportStorageError('clearCachedUserData'));
 		this.signInUserSession = signInUserSession;
-		this.cacheTokens();
+		this.cacheTokens(this.reportStorageError('cacheTokens'));
 	}
 
 	/**
@@ -143,6 +261,45 @@ export default class CognitoUser {
 		this.authenticationFlowType = authenticationFlowType;
 	}
 
+	/**
+	 * sets the options of the requests made for this user, until they are
+	 * set again: a timeout applying to every request and an AbortSignal
+	 * aborting the pending and later requests
+	 * @param {RequestOptions} requestOptions New value, or null to clear it.
+	 * @param {int} requestOptions.timeout Milliseconds after which a request
+	 *        fails with a TimeoutError.
+	 * @param {AbortSignal} requestOptions.signal Fails the requests with an
+	 *        AbortError once aborted.
+	 * @returns {void}
+	 */
+	setRequestOptions(requestOptions) {
+		this.requestOptions = requestOptions || null;
+	}
+
+	/**
+	 * @returns {RequestOptions} the options of the requests made for this user
+	 */
+	getRequestOptions() {
+		return this.requestOptions;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} operation API operation
+	 * @param {object} params Input parameters
+	 * @param {function} callback Callback called when a response is returned
+	 * @returns {void}
+	 */
+	request(operation, params, callback) {
+		this.client.request(
+			operation,
+			this.pool.withSecretHash(operation, params, this.username),
+			callback,
+			this.requestOptions
+		);
+	}
+
 	/**
 	 * This is used for authenticating the user through the custom authentication flow.
 	 * @param {AuthenticationDetails} authDetails Contains the authentication data
@@ -154,6 +311,7 @@ export default class CognitoUser {
 	 * @returns {void}
 	 */
 	initiateAuth(authDetails, callback) {
+		this.retryWithoutDevice = null;
 		const authParameters = authDetails.getAuthParameters();
 		authParameters.USERNAME = this.username;
 
@@ -172,7 +330,7 @@ export default class CognitoUser {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
 
-		this.client.request('InitiateAuth', jsonReq, (err, data) => {
+		this.request('InitiateAuth', jsonReq, (err, data) => {
 			if (err) {
 				return callback.onFailure(err);
 			}
@@ -181,13 +339,20 @@ export default class CognitoUser {
 
 			if (challengeName === 'CUSTOM_CHALLENGE') {
 				this.Session = data.Session;
+				this.emitPoolEvent('challengeReceived', {
+					challengeName,
+					challengeParameters,
+				});
 				return callback.customChallenge(challengeParameters);
 			}
 			this.signInUserSession = this.getCognitoUserSession(
 				data.AuthenticationResult
 			);
-			this.cacheTokens();
-			return callback.onSuccess(this.signInUserSession);
+			return this.cacheTokens(errCache =>
+				errCache
+					? callback.onFailure(errCache)
+					: callback.onSuccess(this.signInUserSession)
+			);
 		});
 	}
 
@@ -207,6 +372,27 @@ export default class CognitoUser {
 	 * @returns {void}
 	 */
 	authenticateUser(authDetails, callback) {
+		// Signs in again, once, when the remembered device fails to authenticate,
+		// also after an MFA step: the challenges go to this callback and the
+		// result to the callback of the failed step
+		this.retryWithoutDevice = stepCallback => {
+			this.retryWithoutDevice = null;
+			this.authenticateUserWithFlow(
+				authDetails,
+				Object.assign({}, callback, stepCallback)
+			);
+		};
+		return this.authenticateUserWithFlow(authDetails, callback);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {AuthenticationDetails} authDetails Contains the authentication data
+	 * @param {object} callback Result callback map, see authenticateUser.
+	 * @returns {void}
+	 */
+	authenticateUserWithFlow(authDetails, callback) {
 		if (this.authenticationFlowType === 'USER_PASSWORD_AUTH') {
 			return this.authenticateUserPlainUsernamePassword(authDetails, callback);
 		} else if (
@@ -216,7 +402,7 @@ export default class CognitoUser {
 			return this.authenticateUserDefaultAuth(authDetails, callback);
 		}
 		return callback.onFailure(
-			new Error('Authentication flow type is invalid.')
+			new InvalidParameterError('Authentication flow type is invalid.')
 		);
 	}
 
@@ -279,7 +465,7 @@ export default class CognitoUser {
 				jsonReq.UserContextData = this.getUserContextData(this.username);
 			}
 
-			this.client.request('InitiateAuth', jsonReq, (err, data) => {
+			this.request('InitiateAuth', jsonReq, (err, data) => {
 				if (err) {
 					return callback.onFailure(err);
 				}
@@ -290,93 +476,107 @@ export default class CognitoUser {
 				this.userDataKey = `${this.keyPrefix}.${this.username}.userData`;
 				serverBValue = new BigInteger(challengeParameters.SRP_B, 16);
 				salt = new BigInteger(challengeParameters.SALT, 16);
-				this.getCachedDeviceKeyAndPassword();
+				this.getCachedDeviceKeyAndPassword(errStorage => {
+					if (errStorage) {
+						return callback.onFailure(errStorage);
+					}
 
-				authenticationHelper.getPasswordAuthenticationKey(
-					this.username,
-					authDetails.getPassword(),
-					serverBValue,
-					salt,
-					(errOnHkdf, hkdf) => {
-						// getPasswordAuthenticationKey callback start
-						if (errOnHkdf) {
-							callback.onFailure(errOnHkdf);
-						}
+					authenticationHelper.getPasswordAuthenticationKey(
+						this.username,
+						authDetails.getPassword(),
+						serverBValue,
+						salt,
+						(errOnHkdf, hkdf) => {
+							// getPasswordAuthenticationKey callback start
+							if (errOnHkdf) {
+								callback.onFailure(errOnHkdf);
+							}
 
-						const dateNow = dateHelper.getNowString();
+							const dateNow = dateHelper.getNowString();
 
-						const message = CryptoJS.lib.WordArray.create(
-							Buffer.concat([
-								Buffer.from(this.pool.getUserPoolId().split('_')[1], 'utf8'),
-								Buffer.from(this.username, 'utf8'),
-								Buffer.from(challengeParameters.SECRET_BLOCK, 'base64'),
-								Buffer.from(dateNow, 'utf8'),
-							])
-						);
-						const key = CryptoJS.lib.WordArray.create(hkdf);
-						const signatureString = Base64.stringify(HmacSHA256(message, key));
+							const message = CryptoJS.lib.WordArray.create(
+								Buffer.concat([
+									Buffer.from(this.pool.getUserPoolId().split('_')[1], 'utf8'),
+									Buffer.from(this.username, 'utf8'),
+									Buffer.from(challengeParameters.SECRET_BLOCK, 'base64'),
+									Buffer.from(dateNow, 'utf8'),
+								])
+							);
+							const key = CryptoJS.lib.WordArray.create(hkdf);
+							const signatureString = Base64.stringify(
+								HmacSHA256(message, key)
+							);
 
-						const challengeResponses = {};
+							const challengeResponses = {};
 
-						challengeResponses.USERNAME = this.username;
-						challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK =
-							challengeParameters.SECRET_BLOCK;
-						challengeResponses.TIMESTAMP = dateNow;
-						challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
+							challengeResponses.USERNAME = this.username;
+							challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK =
+								challengeParameters.SECRET_BLOCK;
+							challengeResponses.TIMESTAMP = dateNow;
+							challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
 
-						if (this.deviceKey != null) {
-							challengeResponses.DEVICE_KEY = this.deviceKey;
-						}
+							if (this.deviceKey != null) {
+								challengeResponses.DEVICE_KEY = this.deviceKey;
+							}
 
-						const respondToAuthChallenge = (challenge, challengeCallback) =>
-							this.client.request(
-								'RespondToAuthChallenge',
-								challenge,
-								(errChallenge, dataChallenge) => {
-									if (
-										errChallenge &&
-										errChallenge.code === 'ResourceNotFoundException' &&
-										errChallenge.message.toLowerCase().indexOf('device') !== -1
-									) {
-										challengeResponses.DEVICE_KEY = null;
-										this.deviceKey = null;
-										this.randomPassword = null;
-										this.deviceGroupKey = null;
-										this.clearCachedDeviceKeyAndPassword();
-										return respondToAuthChallenge(challenge, challengeCallback);
+							const respondToAuthChallenge = (challenge, challengeCallback) =>
+								this.request(
+									'RespondToAuthChallenge',
+									challenge,
+									(errChallenge, dataChallenge) => {
+										if (isDeviceNotFoundError(errChallenge)) {
+											this.emit('deviceInvalidated', {
+												deviceKey: this.deviceKey,
+												error: errChallenge,
+											});
+											challengeResponses.DEVICE_KEY = null;
+											this.deviceKey = null;
+											this.randomPassword = null;
+											this.deviceGroupKey = null;
+											this.clearCachedDeviceKeyAndPassword(
+												this.reportStorageError(
+													'clearCachedDeviceKeyAndPassword'
+												)
+											);
+											return respondToAuthChallenge(
+												challenge,
+												challengeCallback
+											);
+										}
+										return challengeCallback(errChallenge, dataChallenge);
 									}
-									return challengeCallback(errChallenge, dataChallenge);
+								);
+
+							const jsonReqResp = {
+								ChallengeName: 'PASSWORD_VERIFIER',
+								ClientId: this.pool.getClientId(),
+								ChallengeResponses: challengeResponses,
+								Session: data.Session,
+								ClientMetadata: clientMetaData,
+							};
+							if (this.getUserContextData()) {
+								jsonReqResp.UserContextData = this.getUserContextData();
+							}
+							respondToAuthChallenge(
+								jsonReqResp,
+								(errAuthenticate, dataAuthenticate) => {
+									if (errAuthenticate) {
+										return callback.onFailure(errAuthenticate);
+									}
+
+									return this.authenticateUserInternal(
+										dataAuthenticate,
+										authenticationHelper,
+										callback
+									);
 								}
 							);
-
-						const jsonReqResp = {
-							ChallengeName: 'PASSWORD_VERIFIER',
-							ClientId: this.pool.getClientId(),
-							ChallengeResponses: challengeResponses,
-							Session: data.Session,
-							ClientMetadata: clientMetaData,
-						};
-						if (this.getUserContextData()) {
-							jsonReqResp.UserContextData = this.getUserContextData();
+							return undefined;
+							// getPasswordAuthenticationKey callback end
 						}
-						respondToAuthChallenge(
-							jsonReqResp,
-							(errAuthenticate, dataAuthenticate) => {
-								if (errAuthenticate) {
-									return callback.onFailure(errAuthenticate);
-								}
-
-								return this.authenticateUserInternal(
-									dataAuthenticate,
-									authenticationHelper,
-									callback
-								);
-							}
-						);
-						return undefined;
-						// getPasswordAuthenticationKey callback end
-					}
-				);
+					);
+					return undefined;
+				});
 				return undefined;
 			});
 			// getLargeAValue callback end
@@ -399,42 +599,52 @@ export default class CognitoUser {
 		authParameters.USERNAME = this.username;
 		authParameters.PASSWORD = authDetails.getPassword();
 		if (!authParameters.PASSWORD) {
-			callback.onFailure(new Error('PASSWORD parameter is required'));
+			callback.onFailure(
+				new InvalidParameterError('PASSWORD parameter is required')
+			);
 			return;
 		}
 		const authenticationHelper = new AuthenticationHelper(
 			this.pool.getUserPoolId().split('_')[1]
 		);
-		this.getCachedDeviceKeyAndPassword();
-		if (this.deviceKey != null) {
-			authParameters.DEVICE_KEY = this.deviceKey;
-		}
+		this.getCachedDeviceKeyAndPassword(errStorage => {
+			if (errStorage) {
+				return callback.onFailure(errStorage);
+			}
 
-		const clientMetaData =
-			Object.keys(authDetails.getValidationData()).length !== 0
-				? authDetails.getValidationData()
-				: authDetails.getClientMetadata();
+			if (this.deviceKey != null) {
+				authParameters.DEVICE_KEY = this.deviceKey;
+			}
 
-		const jsonReq = {
-			AuthFlow: 'USER_PASSWORD_AUTH',
-			ClientId: this.pool.getClientId(),
-			AuthParameters: authParameters,
-			ClientMetadata: clientMetaData,
-		};
-		if (this.getUserContextData(this.username)) {
-			jsonReq.UserContextData = this.getUserContextData(this.username);
-		}
-		// USER_PASSWORD_AUTH happens in a single round-trip: client sends userName and password,
-		// Cognito UserPools verifies password and returns tokens.
-		this.client.request('InitiateAuth', jsonReq, (err, authResult) => {
-			if (err) {
-				return callback.onFailure(err);
+			const clientMetaData =
+				Object.keys(authDetails.getValidationData()).length !== 0
+					? authDetails.getValidationData()
+					: authDetails.getClientMetadata();
+
+			const jsonReq = {
+				AuthFlow: 'USER_PASSWORD_AUTH',
+				ClientId: this.pool.getClientId(),
+				AuthParameters: authParameters,
+				ClientMetadata: clientMetaData,
+			};
+			if (this.getUserContextData(this.username)) {
+				jsonReq.UserContextData = this.getUserContextData(this.username);
 			}
-			return this.authenticateUserInternal(
-				authResult,
-				authenticationHelper,
-				callback
-			);
+			// USER_PASSWORD_AUTH happens in a single round-trip: client sends userName and password,
+			// Cognito UserPools verifies password and returns tokens.
+			this.request('InitiateAuth', jsonReq, (err, authResult) => {
+				if (err) {
+					return authParameters.DEVICE_KEY && isDeviceNotFoundError(err)
+						? this.invalidateDevice(err, callback)
+						: callback.onFailure(err);
+				}
+				return this.authenticateUserInternal(
+					authResult,
+					authenticationHelper,
+					callback
+				);
+			});
+			return undefined;
 		});
 	}
 
@@ -449,6 +659,15 @@ export default class CognitoUser {
 	authenticateUserInternal(dataAuthenticate, authenticationHelper, callback) {
 		const challengeName = dataAuthenticate.ChallengeName;
 		const challengeParameters = dataAuthenticate.ChallengeParameters;
+		if (!challengeName) {
+			this.retryWithoutDevice = null;
+		}
+		if (challengeName && challengeName !== 'DEVICE_SRP_AUTH') {
+			this.emitPoolEvent('challengeReceived', {
+				challengeName,
+				challengeParameters,
+			});
+		}
 
 		if (challengeName === 'SMS_MFA') {
 			this.Session = dataAuthenticate.Session;
@@ -511,65 +730,81 @@ export default class CognitoUser {
 			dataAuthenticate.AuthenticationResult
 		);
 		this.challengeName = challengeName;
-		this.cacheTokens();
+		this.cacheTokens(errCache => {
+			if (errCache) {
+				return callback.onFailure(errCache);
+			}
 
-		const newDeviceMetadata =
-			dataAuthenticate.AuthenticationResult.NewDeviceMetadata;
-		if (newDeviceMetadata == null) {
-			return callback.onSuccess(this.signInUserSession);
-		}
+			const newDeviceMetadata =
+				dataAuthenticate.AuthenticationResult.NewDeviceMetadata;
+			if (newDeviceMetadata == null) {
+				return callback.onSuccess(this.signInUserSession);
+			}
 
-		authenticationHelper.generateHashDevice(
-			dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
-			dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey,
-			errGenHash => {
-				if (errGenHash) {
-					return callback.onFailure(errGenHash);
-				}
+			authenticationHelper.generateHashDevice(
+				dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
+				dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey,
+				errGenHash => {
+					if (errGenHash) {
+						return callback.onFailure(errGenHash);
+					}
 
-				const deviceSecretVerifierConfig = {
-					Salt: Buffer.from(
-						authenticationHelper.getSaltDevices(),
-						'hex'
-					).toString('base64'),
-					PasswordVerifier: Buffer.from(
-						authenticationHelper.getVerifierDevices(),
-						'hex'
-					).toString('base64'),
-				};
+					const deviceSecretVerifierConfig = {
+						Salt: Buffer.from(
+							authenticationHelper.getSaltDevices(),
+							'hex'
+						).toString('base64'),
+						PasswordVerifier: Buffer.from(
+							authenticationHelper.getVerifierDevices(),
+							'hex'
+						).toString('base64'),
+					};
 
-				this.verifierDevices = deviceSecretVerifierConfig.PasswordVerifier;
-				this.deviceGroupKey = newDeviceMetadata.DeviceGroupKey;
-				this.randomPassword = authenticationHelper.getRandomPassword();
-
-				this.client.request(
-					'ConfirmDevice',
-					{
-						DeviceKey: newDeviceMetadata.DeviceKey,
-						AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
-						DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
-						DeviceName: userAgent,
-					},
-					(errConfirm, dataConfirm) => {
-						if (errConfirm) {
-							return callback.onFailure(errConfirm);
-						}
+					this.verifierDevices = deviceSecretVerifierConfig.PasswordVerifier;
+					this.deviceGroupKey = newDeviceMetadata.DeviceGroupKey;
+					this.randomPassword = authenticationHelper.getRandomPassword();
+
+					this.request(
+						'ConfirmDevice',
+						{
+							DeviceKey: newDeviceMetadata.DeviceKey,
+							AccessToken: this.signInUserSession
+								.getAccessToken()
+								.getJwtToken(),
+							DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
+							DeviceName: userAgent,
+						},
+						(errConfirm, dataConfirm) => {
+							if (errConfirm) {
+								return callback.onFailure(errConfirm);
+							}
 
-						this.deviceKey =
-							dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
-						this.cacheDeviceKeyAndPassword();
-						if (dataConfirm.UserConfirmationNecessary === true) {
-							return callback.onSuccess(
-								this.signInUserSession,
-								dataConfirm.UserConfirmationNecessary
-							);
+							this.deviceKey =
+								dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
+							return this.cacheDeviceKeyAndPassword(errDevice => {
+								if (errDevice) {
+									return callback.onFailure(errDevice);
+								}
+								this.emitPoolEvent('deviceConfirmed', {
+									deviceKey: this.deviceKey,
+									userConfirmationNecessary:
+										dataConfirm.UserConfirmationNecessary === true,
+								});
+								if (dataConfirm.UserConfirmationNecessary === true) {
+									return callback.onSuccess(
+										this.signInUserSession,
+										dataConfirm.UserConfirmationNecessary
+									);
+								}
+								return callback.onSuccess(this.signInUserSession);
+							});
 						}
-						return callback.onSuccess(this.signInUserSession);
-					}
-				);
-				return undefined;
-			}
-		);
+					);
+					return undefined;
+				}
+			);
+			return undefined;
+		});
 		return undefined;
 	}
 
@@ -595,7 +830,13 @@ export default class CognitoUser {
 		clientMetadata
 	) {
 		if (!newPassword) {
-			return callback.onFailure(new Error('New password is required.'));
+			return callback.onFailure(
+				new InvalidParameterError('New password is required.')
+			);
+		}
+		const invalidPassword = this.checkPassword(newPassword);
+		if (invalidPassword) {
+			return callback.onFailure(invalidPassword);
 		}
 		const authenticationHelper = new AuthenticationHelper(
 			this.pool.getUserPoolId().split('_')[1]
@@ -623,7 +864,7 @@ export default class CognitoUser {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
 
-		this.client.request(
+		this.request(
 			'RespondToAuthChallenge',
 			jsonReq,
 			(errAuthenticate, dataAuthenticate) => {
@@ -676,9 +917,11 @@ export default class CognitoUser {
 			if (this.getUserContextData()) {
 				jsonReq.UserContextData = this.getUserContextData();
 			}
-			this.client.request('RespondToAuthChallenge', jsonReq, (err, data) => {
+			this.request('RespondToAuthChallenge', jsonReq, (err, data) => {
 				if (err) {
-					return callback.onFailure(err);
+					return isDeviceNotFoundError(err)
+						? this.invalidateDevice(err, callback)
+						: callback.onFailure(err);
 				}
 
 				const challengeParameters = data.ChallengeParameters;
@@ -729,20 +972,27 @@ export default class CognitoUser {
 							jsonReqResp.UserContextData = this.getUserContextData();
 						}
 
-						this.client.request(
+						this.request(
 							'RespondToAuthChallenge',
 							jsonReqResp,
 							(errAuthenticate, dataAuthenticate) => {
+								// The device password does not match the verifier of the device
+								if (isInvalidDeviceError(errAuthenticate)) {
+									return this.invalidateDevice(errAuthenticate, callback);
+								}
 								if (errAuthenticate) {
 									return callback.onFailure(errAuthenticate);
 								}
 
+								this.retryWithoutDevice = null;
 								this.signInUserSession = this.getCognitoUserSession(
 									dataAuthenticate.AuthenticationResult
 								);
-								this.cacheTokens();
-
-								return callback.onSuccess(this.signInUserSession);
+								return this.cacheTokens(errCache =>
+									errCache
+										? callback.onFailure(errCache)
+										: callback.onSuccess(this.signInUserSession)
+								);
 							}
 						);
 						return undefined;
@@ -755,6 +1005,43 @@ export default class CognitoUser {
 		});
 	}
 
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Forgets the cached device whose credentials failed, e.g. because the
+	 * device was forgotten by another client or its password is corrupt.
+	 * Within authenticateUser, or an MFA step following it, the user signs in
+	 * again without the device, so MFA may be asked and a new device is
+	 * tracked; otherwise the callback fails with an
+	 * InvalidDeviceCredentialsError.
+	 * @param {*} err The failure of the device authentication.
+	 * @param {object} callback Result callback map.
+	 * @param {onFailure} callback.onFailure Called on any error.
+	 * @returns {void}
+	 */
+	invalidateDevice(err, callback) {
+		const deviceKey = this.deviceKey;
+		const retry = this.retryWithoutDevice;
+		this.retryWithoutDevice = null;
+		this.deviceKey = null;
+		this.randomPassword = null;
+		this.deviceGroupKey = null;
+		this.clearCachedDeviceKeyAndPassword(errClear => {
+			if (errClear) {
+				return callback.onFailure(errClear);
+			}
+			this.emit('deviceInvalidated', { deviceKey, error: err });
+			if (retry) {
+				return retry(callback);
+			}
+			return callback.onFailure(
+				new InvalidDeviceCredentialsError(
+					`The credentials of the remembered device are invalid: ${err.message}`
+				)
+			);
+		});
+	}
+
 	/**
 	 * This is used for a certain user to confirm the registration by using a confirmation code
 	 * @param {string} confirmationCode Code entered by user.
@@ -779,7 +1066,7 @@ export default class CognitoUser {
 		if (this.getUserContextData()) {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
-		this.client.request('ConfirmSignUp', jsonReq, err => {
+		this.request('ConfirmSignUp', jsonReq, err => {
 			if (err) {
 				return callback(err, null);
 			}
@@ -806,31 +1093,37 @@ export default class CognitoUser {
 		const authenticationHelper = new AuthenticationHelper(
 			this.pool.getUserPoolId().split('_')[1]
 		);
-		this.getCachedDeviceKeyAndPassword();
-		if (this.deviceKey != null) {
-			challengeResponses.DEVICE_KEY = this.deviceKey;
-		}
+		this.getCachedDeviceKeyAndPassword(errStorage => {
+			if (errStorage) {
+				return callback.onFailure(errStorage);
+			}
 
-		const jsonReq = {
-			ChallengeName: 'CUSTOM_CHALLENGE',
-			ChallengeResponses: challengeResponses,
-			ClientId: this.pool.getClientId(),
-			Session: this.Session,
-			ClientMetadata: clientMetadata,
-		};
-		if (this.getUserContextData()) {
-			jsonReq.UserContextData = this.getUserContextData();
-		}
-		this.client.request('RespondToAuthChallenge', jsonReq, (err, data) => {
-			if (err) {
-				return callback.onFailure(err);
+			if (this.deviceKey != null) {
+				challengeResponses.DEVICE_KEY = this.deviceKey;
 			}
 
-			return this.authenticateUserInternal(
-				data,
-				authenticationHelper,
-				callback
-			);
+			const jsonReq = {
+				ChallengeName: 'CUSTOM_CHALLENGE',
+				ChallengeResponses: challengeResponses,
+				ClientId: this.pool.getClientId(),
+				Session: this.Session,
+				ClientMetadata: clientMetadata,
+			};
+			if (this.getUserContextData()) {
+				jsonReq.UserContextData = this.getUserContextData();
+			}
+			this.request('RespondToAuthChallenge', jsonReq, (err, data) => {
+				if (err) {
+					return callback.onFailure(err);
+				}
+
+				return this.authenticateUserInternal(
+					data,
+					authenticationHelper,
+					callback
+				);
+			});
+			return undefined;
 		});
 	}
 
@@ -868,25 +1161,26 @@ export default class CognitoUser {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
 
-		this.client.request(
-			'RespondToAuthChallenge',
-			jsonReq,
-			(err, dataAuthenticate) => {
-				if (err) {
-					return callback.onFailure(err);
-				}
+		this.request('RespondToAuthChallenge', jsonReq, (err, dataAuthenticate) => {
+			if (err) {
+				return callback.onFailure(err);
+			}
 
-				const challengeName = dataAuthenticate.ChallengeName;
+			const challengeName = dataAuthenticate.ChallengeName;
 
-				if (challengeName === 'DEVICE_SRP_AUTH') {
-					this.getDeviceResponse(callback);
-					return undefined;
-				}
+			if (challengeName === 'DEVICE_SRP_AUTH') {
+				this.getDeviceResponse(callback);
+				return undefined;
+			}
 
-				this.signInUserSession = this.getCognitoUserSession(
-					dataAuthenticate.AuthenticationResult
-				);
-				this.cacheTokens();
+			this.retryWithoutDevice = null;
+			this.signInUserSession = this.getCognitoUserSession(
+				dataAuthenticate.AuthenticationResult
+			);
+			return this.cacheTokens(errCache => {
+				if (errCache) {
+					return callback.onFailure(errCache);
+				}
 
 				if (dataAuthenticate.AuthenticationResult.NewDeviceMetadata == null) {
 					return callback.onSuccess(this.signInUserSession);
@@ -920,7 +1214,7 @@ export default class CognitoUser {
 							dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey;
 						this.randomPassword = authenticationHelper.getRandomPassword();
 
-						this.client.request(
+						this.request(
 							'ConfirmDevice',
 							{
 								DeviceKey:
@@ -939,22 +1233,31 @@ export default class CognitoUser {
 
 								this.deviceKey =
 									dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
-								this.cacheDeviceKeyAndPassword();
-								if (dataConfirm.UserConfirmationNecessary === true) {
-									return callback.onSuccess(
-										this.signInUserSession,
-										dataConfirm.UserConfirmationNecessary
-									);
-								}
-								return callback.onSuccess(this.signInUserSession);
+								return this.cacheDeviceKeyAndPassword(errDevice => {
+									if (errDevice) {
+										return callback.onFailure(errDevice);
+									}
+									this.emitPoolEvent('deviceConfirmed', {
+										deviceKey: this.deviceKey,
+										userConfirmationNecessary:
+											dataConfirm.UserConfirmationNecessary === true,
+									});
+									if (dataConfirm.UserConfirmationNecessary === true) {
+										return callback.onSuccess(
+											this.signInUserSession,
+											dataConfirm.UserConfirmationNecessary
+										);
+									}
+									return callback.onSuccess(this.signInUserSession);
+								});
 							}
 						);
 						return undefined;
 					}
 				);
 				return undefined;
-			}
-		);
+			});
+		});
 	}
 
 	/**
@@ -967,10 +1270,17 @@ export default class CognitoUser {
 	 */
 	changePassword(oldUserPassword, newUserPassword, callback, clientMetadata) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
+		}
+		const invalidPassword = this.checkPassword(newUserPassword);
+		if (invalidPassword) {
+			return callback(invalidPassword, null);
 		}
 
-		this.client.request(
+		this.request(
 			'ChangePassword',
 			{
 				PreviousPassword: oldUserPassword,
@@ -996,7 +1306,10 @@ export default class CognitoUser {
 	 */
 	enableMFA(callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
 		const mfaOptions = [];
@@ -1006,7 +1319,7 @@ export default class CognitoUser {
 		};
 		mfaOptions.push(mfaEnabled);
 
-		this.client.request(
+		this.request(
 			'SetUserSettings',
 			{
 				MFAOptions: mfaOptions,
@@ -1031,10 +1344,13 @@ export default class CognitoUser {
 	 */
 	setUserMfaPreference(smsMfaSettings, softwareTokenMfaSettings, callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'SetUserMFAPreference',
 			{
 				SMSMfaSettings: smsMfaSettings,
@@ -1059,12 +1375,15 @@ export default class CognitoUser {
 	 */
 	disableMFA(callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
 		const mfaOptions = [];
 
-		this.client.request(
+		this.request(
 			'SetUserSettings',
 			{
 				MFAOptions: mfaOptions,
@@ -1088,10 +1407,13 @@ export default class CognitoUser {
 	 */
 	deleteUser(callback, clientMetadata) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'DeleteUser',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1101,7 +1423,7 @@ export default class CognitoUser {
 				if (err) {
 					return callback(err, null);
 				}
-				this.clearCachedUser();
+				this.clearCachedUser(null, 'userDeleted');
 				return callback(null, 'SUCCESS');
 			}
 		);
@@ -1120,10 +1442,13 @@ export default class CognitoUser {
 	 */
 	updateAttributes(attributes, callback, clientMetadata) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'UpdateUserAttributes',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1151,10 +1476,13 @@ export default class CognitoUser {
 	 */
 	getUserAttributes(callback) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'GetUser',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1191,10 +1519,13 @@ export default class CognitoUser {
 	 */
 	getMFAOptions(callback) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'GetUser',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1215,9 +1546,13 @@ export default class CognitoUser {
 	 * be directly called by the consumers.
 	 */
 	createGetUserRequest() {
-		return this.client.promisifyRequest('GetUser', {
-			AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
-		});
+		return this.client.promisifyRequest(
+			'GetUser',
+			{
+				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+			},
+			this.requestOptions
+		);
 	}
 
 	/**
@@ -1250,50 +1585,63 @@ export default class CognitoUser {
 	 */
 	getUserData(callback, params) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			this.clearCachedUserData();
-			return callback(new Error('User is not authenticated'), null);
+			this.clearCachedUserData(this.reportStorageError('clearCachedUserData'));
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		const userData = this.getUserDataFromCache();
+		this.getUserDataFromCache((errStorage, userData) => {
+			if (errStorage) {
+				callback(errStorage, null);
+				return;
+			}
 
-		if (!userData) {
-			this.fetchUserData()
-				.then(data => {
-					callback(null, data);
-				})
-				.catch(callback);
-			return;
-		}
+			if (!userData) {
+				this.fetchUserData()
+					.then(data => {
+						callback(null, data);
+					})
+					.catch(callback);
+				return;
+			}
 
-		if (this.isFetchUserDataAndTokenRequired(params)) {
-			this.fetchUserData()
-				.then(data => {
-					return this.refreshSessionIfPossible(params).then(() => data);
-				})
-				.then(data => callback(null, data))
-				.catch(callback);
-			return;
-		}
+			if (this.isFetchUserDataAndTokenRequired(params)) {
+				this.fetchUserData()
+					.then(data => {
+						return this.refreshSessionIfPossible(params).then(() => data);
+					})
+					.then(data => callback(null, data))
+					.catch(callback);
+				return;
+			}
 
-		try {
-			callback(null, JSON.parse(userData));
-			return;
-		} catch (err) {
-			this.clearCachedUserData();
-			callback(err, null);
-			return;
-		}
+			try {
+				callback(null, JSON.parse(userData));
+				return;
+			} catch (err) {
+				this.clearCachedUserData(
+					this.reportStorageError('clearCachedUserData')
+				);
+				callback(err, null);
+				return;
+			}
+		});
+		return undefined;
 	}
 
 	/**
 	 *
 	 * PRIVATE ONLY: This is an internal only method and should not
 	 * be directly called by the consumers.
+	 * @param {nodeCallback<string>} callback Called with the cached user data.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
 	 */
-	getUserDataFromCache() {
-		const userData = this.storage.getItem(this.userDataKey);
-
-		return userData;
+	getUserDataFromCache(callback) {
+		return getItems(this.storage, [this.userDataKey], (err, values) =>
+			callback(err, values && values[0])
+		);
 	}
 
 	/**
@@ -1326,10 +1674,13 @@ export default class CognitoUser {
 	 */
 	deleteAttributes(attributeList, callback) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			return callback(new Error('User is not authenticated'), null);
+			return callback(
+				new UserNotAuthenticatedError('User is not authenticated'),
+				null
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'DeleteUserAttributes',
 			{
 				UserAttributeNames: attributeList,
@@ -1358,7 +1709,7 @@ export default class CognitoUser {
 			ClientMetadata: clientMetadata,
 		};
 
-		this.client.request('ResendConfirmationCode', jsonReq, (err, result) => {
+		this.request('ResendConfirmationCode', jsonReq, (err, result) => {
 			if (err) {
 				return callback(err, null);
 			}
@@ -1382,7 +1733,9 @@ export default class CognitoUser {
 	getSession(callback, options = {}) {
 		if (this.username == null) {
 			return callback(
-				new Error('Username is null. Cannot retrieve a new session'),
+				new UserNotAuthenticatedError(
+					'Username is null. Cannot retrieve a new session'
+				),
 				null
 			);
 		}
@@ -1391,56 +1744,104 @@ export default class CognitoUser {
 			return callback(null, this.signInUserSession);
 		}
 
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username
-			}`;
-		const idTokenKey = `${keyPrefix}.idToken`;
-		const accessTokenKey = `${keyPrefix}.accessToken`;
-		const refreshTokenKey = `${keyPrefix}.refreshToken`;
-		const clockDriftKey = `${keyPrefix}.clockDrift`;
-
-		if (this.storage.getItem(idTokenKey)) {
-			const idToken = new CognitoIdToken({
-				IdToken: this.storage.getItem(idTokenKey),
-			});
-			const accessToken = new CognitoAccessToken({
-				AccessToken: this.storage.getItem(accessTokenKey),
-			});
-			const refreshToken = new CognitoRefreshToken({
-				RefreshToken: this.storage.getItem(refreshTokenKey),
-			});
-			const clockDrift = parseInt(this.storage.getItem(clockDriftKey), 0) || 0;
+		this.getCachedSession((errStorage, cachedSession) => {
+			if (errStorage) {
+				return callback(errStorage, null);
+			}
 
-			const sessionData = {
-				IdToken: idToken,
-				AccessToken: accessToken,
-				RefreshToken: refreshToken,
-				ClockDrift: clockDrift,
-			};
-			const cachedSession = new CognitoUserSession(sessionData);
+			if (!cachedSession) {
+				return callback(
+					new UserNotAuthenticatedError(
+						'Local storage is missing an ID Token, Please authenticate'
+					),
+					null
+				);
+			}
 
 			if (cachedSession.isValid()) {
 				this.signInUserSession = cachedSession;
 				return callback(null, this.signInUserSession);
 			}
 
+			const refreshToken = cachedSession.getRefreshToken();
 			if (!refreshToken.getToken()) {
 				return callback(
-					new Error('Cannot retrieve a new session. Please authenticate.'),
+					new UserNotAuthenticatedError(
+						'Cannot retrieve a new session. Please authenticate.'
+					),
 					null
 				);
 			}
 
-			this.refreshSession(refreshToken, callback, options.clientMetadata);
-		} else {
-			callback(
-				new Error('Local storage is missing an ID Token, Please authenticate'),
-				null
+			return this.refreshSession(
+				refreshToken,
+				callback,
+				options.clientMetadata
 			);
-		}
+		});
 
 		return undefined;
 	}
 
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Reads the session tokens cached by cacheTokens.
+	 * @param {nodeCallback<CognitoUserSession>} callback Called with the cached
+	 *        session, or null when there is no ID token.
+	 * @returns {void}
+	 */
+	getCachedSession(callback) {
+		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${
+			this.username
+		}`;
+		const idTokenKey = `${keyPrefix}.idToken`;
+		const accessTokenKey = `${keyPrefix}.accessToken`;
+		const refreshTokenKey = `${keyPrefix}.refreshToken`;
+		const clockDriftKey = `${keyPrefix}.clockDrift`;
+
+		getItems(
+			this.storage,
+			[idTokenKey, accessTokenKey, refreshTokenKey, clockDriftKey],
+			(errStorage, values) => {
+				if (errStorage) {
+					return callback(errStorage, null);
+				}
+
+				const [
+					idTokenValue,
+					accessTokenValue,
+					refreshTokenValue,
+					clockDriftValue,
+				] = values;
+
+				if (!idTokenValue) {
+					return callback(null, null);
+				}
+
+				const idToken = new CognitoIdToken({
+					IdToken: idTokenValue,
+				});
+				const accessToken = new CognitoAccessToken({
+					AccessToken: accessTokenValue,
+				});
+				const refreshToken = new CognitoRefreshToken({
+					RefreshToken: refreshTokenValue,
+				});
+				const clockDrift = parseInt(clockDriftValue, 0) || 0;
+
+				const sessionData = {
+					IdToken: idToken,
+					AccessToken: accessToken,
+					RefreshToken: refreshToken,
+					ClockDrift: clockDrift,
+				};
+
+				return callback(null, new CognitoUserSession(sessionData));
+			}
+		);
+	}
+
 	/**
 	 * This uses the refreshToken to retrieve a new session
 	 * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
@@ -1452,171 +1853,331 @@ export default class CognitoUser {
 		const wrappedCallback = this.pool.wrapRefreshSessionCallback
 			? this.pool.wrapRefreshSessionCallback(callback)
 			: callback;
+
+		if (this.crossTabSync) {
+			return this.crossTabSync.refreshSession(
+				refreshToken,
+				wrappedCallback,
+				clientMetadata
+			);
+		}
+		return this.requestNewSession(
+			refreshToken,
+			wrappedCallback,
+			clientMetadata
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Exchanges the refresh token for a new session.
+	 * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+	 * @param {nodeCallback<CognitoUserSession>} wrappedCallback Called on success or error.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {void}
+	 */
+	requestNewSession(refreshToken, wrappedCallback, clientMetadata) {
 		const authParameters = {};
 		authParameters.REFRESH_TOKEN = refreshToken.getToken();
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
-		const lastUserKey = `${keyPrefix}.LastAuthUser`;
+		this.getCachedDeviceKey((errStorage, deviceKey) => {
+			if (errStorage) {
+				return wrappedCallback(errStorage, null);
+			}
 
-		if (this.storage.getItem(lastUserKey)) {
-			this.username = this.storage.getItem(lastUserKey);
-			const deviceKeyKey = `${keyPrefix}.${this.username}.deviceKey`;
-			this.deviceKey = this.storage.getItem(deviceKeyKey);
-			authParameters.DEVICE_KEY = this.deviceKey;
-		}
+			if (deviceKey) {
+				this.deviceKey = deviceKey;
+				authParameters.DEVICE_KEY = this.deviceKey;
+			}
 
-		const jsonReq = {
-			ClientId: this.pool.getClientId(),
-			AuthFlow: 'REFRESH_TOKEN_AUTH',
-			AuthParameters: authParameters,
-			ClientMetadata: clientMetadata,
-		};
-		if (this.getUserContextData()) {
-			jsonReq.UserContextData = this.getUserContextData();
-		}
-		this.client.request('InitiateAuth', jsonReq, (err, authResult) => {
-			if (err) {
-				if (err.code === 'NotAuthorizedException') {
-					this.clearCachedUser();
+			const jsonReq = {
+				ClientId: this.pool.getClientId(),
+				AuthFlow: 'REFRESH_TOKEN_AUTH',
+				AuthParameters: authParameters,
+				ClientMetadata: clientMetadata,
+			};
+			if (this.getUserContextData()) {
+				jsonReq.UserContextData = this.getUserContextData();
+			}
+			this.request('InitiateAuth', jsonReq, (err, authResult) => {
+				if (err) {
+					if (err.code === 'NotAuthorizedException') {
+						this.clearCachedUser(null, 'refreshFailed', err);
+					}
+					return wrappedCallback(err, null);
 				}
-				return wrappedCallback(err, null);
-			}
-			if (authResult) {
-				const authenticationResult = authResult.AuthenticationResult;
-				if (
-					!Object.prototype.hasOwnProperty.call(
-						authenticationResult,
-						'RefreshToken'
-					)
-				) {
-					authenticationResult.RefreshToken = refreshToken.getToken();
+				if (authResult) {
+					const authenticationResult = authResult.AuthenticationResult;
+					if (
+						!Object.prototype.hasOwnProperty.call(
+							authenticationResult,
+							'RefreshToken'
+						)
+					) {
+						authenticationResult.RefreshToken = refreshToken.getToken();
+					}
+					this.signInUserSession = this.getCognitoUserSession(
+						authenticationResult
+					);
+					return this.cacheSessionTokens(false, errCache => {
+						if (errCache) {
+							return wrappedCallback(errCache, null);
+						}
+						this.emit('tokenRefreshed', this.signInUserSession, {
+							remote: false,
+						});
+						return wrappedCallback(null, this.signInUserSession);
+					});
 				}
-				this.signInUserSession = this.getCognitoUserSession(
-					authenticationResult
-				);
-				this.cacheTokens();
-				return wrappedCallback(null, this.signInUserSession);
-			}
+				return undefined;
+			});
 			return undefined;
 		});
 	}
 
 	/**
-	 * This is used to save the session tokens to local storage
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {nodeCallback<string>} callback Called with the device key
+	 *        remembered for this user, if any.
 	 * @returns {void}
 	 */
-	cacheTokens() {
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
+	getCachedDeviceKey(callback) {
+		const deviceKeyKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${
+			this.username
+		}.deviceKey`;
+		getItems(this.storage, [deviceKeyKey], (err, values) =>
+			callback(err, values && values[0])
+		);
+	}
+
+	/**
+	 * This is used to save the session tokens to local storage, and to make
+	 * this user the current user of the pool
+	 * @param {nodeCallback=} callback Optional, called once the tokens are written.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
+	 */
+	cacheTokens(callback) {
+		return this.cacheSessionTokens(true, callback);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {boolean} makeCurrent Make this user the current user of the
+	 *        pool, which a refresh of the session does not.
+	 * @param {nodeCallback=} callback Optional, called once the tokens are written.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
+	 */
+	cacheSessionTokens(makeCurrent, callback) {
+		const clientId = this.pool.getClientId();
+		const keyPrefix = `CognitoIdentityServiceProvider.${clientId}`;
 		const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
 		const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
 		const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
 		const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
-		const lastUserKey = `${keyPrefix}.LastAuthUser`;
 
-		this.storage.setItem(
-			idTokenKey,
-			this.signInUserSession.getIdToken().getJwtToken()
-		);
-		this.storage.setItem(
-			accessTokenKey,
-			this.signInUserSession.getAccessToken().getJwtToken()
-		);
-		this.storage.setItem(
-			refreshTokenKey,
-			this.signInUserSession.getRefreshToken().getToken()
-		);
-		this.storage.setItem(
-			clockDriftKey,
-			`${this.signInUserSession.getClockDrift()}`
+		const items = {
+			[idTokenKey]: this.signInUserSession.getIdToken().getJwtToken(),
+			[accessTokenKey]: this.signInUserSession.getAccessToken().getJwtToken(),
+			[refreshTokenKey]: this.signInUserSession.getRefreshToken().getToken(),
+			[clockDriftKey]: `${this.signInUserSession.getClockDrift()}`,
+		};
+		if (makeCurrent) {
+			items[getLastUserKey(clientId)] = this.username;
+		}
+
+		return runOperation(
+			done =>
+				setItems(this.storage, items, err =>
+					err
+						? done(err)
+						: updateCachedUsernames(
+								this.storage,
+								clientId,
+								this.username,
+								true,
+								errUsernames => {
+									if (!errUsernames) {
+										this.emitPoolEvent('tokensCached', {
+											refreshed: !makeCurrent,
+										});
+									}
+									done(errUsernames);
+								}
+						  )
+				),
+			callback
 		);
-		this.storage.setItem(lastUserKey, this.username);
 	}
 
 	/**
 	 * This is to cache user data
 	 */
 	cacheUserData(userData) {
-		this.storage.setItem(this.userDataKey, JSON.stringify(userData));
+		return setItems(this.storage, {
+			[this.userDataKey]: JSON.stringify(userData),
+		});
 	}
 
 	/**
 	 * This is to remove cached user data
+	 * @param {nodeCallback=} callback Optional, called once the data is removed.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
 	 */
-	clearCachedUserData() {
-		this.storage.removeItem(this.userDataKey);
+	clearCachedUserData(callback) {
+		return removeItems(this.storage, [this.userDataKey], callback);
 	}
 
-	clearCachedUser() {
-		this.clearCachedTokens();
-		this.clearCachedUserData();
+	/**
+	 * This is used to clear the session tokens and the user data from storage
+	 * @param {nodeCallback=} callback Optional, called once everything is removed.
+	 * @param {string=} reason Why the tokens are removed, reported by the
+	 *        tokensCleared event of the pool (default: signOut).
+	 * @param {Error=} error The failure causing it, if any.
+	 * @returns {void}
+	 */
+	clearCachedUser(callback, reason = 'signOut', error = null) {
+		this.clearCachedTokens(errTokens => {
+			if (errTokens) {
+				if (callback) {
+					callback(errTokens);
+				}
+				return;
+			}
+			this.emitPoolEvent('tokensCleared', { reason, error });
+			this.clearCachedUserData(errUserData => {
+				if (!errUserData) {
+					this.emit('signedOut', { remote: false });
+				}
+				if (callback) {
+					callback(errUserData);
+				}
+			});
+		});
 	}
 
 	/**
 	 * This is used to cache the device key and device group and device password
-	 * @returns {void}
+	 * @param {nodeCallback=} callback Optional, called once the device is written.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
 	 */
-	cacheDeviceKeyAndPassword() {
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username
-			}`;
+	cacheDeviceKeyAndPassword(callback) {
+		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${
+			this.username
+		}`;
 		const deviceKeyKey = `${keyPrefix}.deviceKey`;
 		const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
 		const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
 
-		this.storage.setItem(deviceKeyKey, this.deviceKey);
-		this.storage.setItem(randomPasswordKey, this.randomPassword);
-		this.storage.setItem(deviceGroupKeyKey, this.deviceGroupKey);
+		return setItems(
+			this.storage,
+			{
+				[deviceKeyKey]: this.deviceKey,
+				[randomPasswordKey]: this.randomPassword,
+				[deviceGroupKeyKey]: this.deviceGroupKey,
+			},
+			callback
+		);
 	}
 
 	/**
 	 * This is used to get current device key and device group and device password
+	 * @param {nodeCallback=} callback Optional, called once the device is read.
+	 *        Required when the storage is asynchronous.
 	 * @returns {void}
 	 */
-	getCachedDeviceKeyAndPassword() {
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username
-			}`;
+	getCachedDeviceKeyAndPassword(callback) {
+		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${
+			this.username
+		}`;
 		const deviceKeyKey = `${keyPrefix}.deviceKey`;
 		const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
 		const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
 
-		if (this.storage.getItem(deviceKeyKey)) {
-			this.deviceKey = this.storage.getItem(deviceKeyKey);
-			this.randomPassword = this.storage.getItem(randomPasswordKey);
-			this.deviceGroupKey = this.storage.getItem(deviceGroupKeyKey);
-		}
+		getItems(
+			this.storage,
+			[deviceKeyKey, randomPasswordKey, deviceGroupKeyKey],
+			(err, values) => {
+				if (!err && values[0]) {
+					[this.deviceKey, this.randomPassword, this.deviceGroupKey] = values;
+				}
+				if (callback) {
+					callback(err, null);
+				}
+			}
+		);
 	}
 
 	/**
 	 * This is used to clear the device key info from local storage
-	 * @returns {void}
+	 * @param {nodeCallback=} callback Optional, called once the device is removed.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
 	 */
-	clearCachedDeviceKeyAndPassword() {
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username
-			}`;
+	clearCachedDeviceKeyAndPassword(callback) {
+		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${
+			this.username
+		}`;
 		const deviceKeyKey = `${keyPrefix}.deviceKey`;
 		const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
 		const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
 
-		this.storage.removeItem(deviceKeyKey);
-		this.storage.removeItem(randomPasswordKey);
-		this.storage.removeItem(deviceGroupKeyKey);
+		return removeItems(
+			this.storage,
+			[deviceKeyKey, randomPasswordKey, deviceGroupKeyKey],
+			callback
+		);
 	}
 
 	/**
-	 * This is used to clear the session tokens from local storage
-	 * @returns {void}
+	 * This is used to clear the session tokens from local storage. The tokens
+	 * of the other users signed in with the same app client are kept.
+	 * @param {nodeCallback=} callback Optional, called once the tokens are removed.
+	 * @returns {Promise|undefined} a promise when the storage is asynchronous
 	 */
-	clearCachedTokens() {
-		const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
+	clearCachedTokens(callback) {
+		const clientId = this.pool.getClientId();
+		const keyPrefix = `CognitoIdentityServiceProvider.${clientId}`;
 		const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
 		const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
 		const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
-		const lastUserKey = `${keyPrefix}.LastAuthUser`;
 		const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
-
-		this.storage.removeItem(idTokenKey);
-		this.storage.removeItem(accessTokenKey);
-		this.storage.removeItem(refreshTokenKey);
-		this.storage.removeItem(lastUserKey);
-		this.storage.removeItem(clockDriftKey);
+		const lastUserKey = getLastUserKey(clientId);
+
+		return runOperation(
+			done =>
+				removeItems(
+					this.storage,
+					[idTokenKey, accessTokenKey, refreshTokenKey, clockDriftKey],
+					errTokens => {
+						if (errTokens) {
+							return done(errTokens);
+						}
+						return updateCachedUsernames(
+							this.storage,
+							clientId,
+							this.username,
+							false,
+							errUsers => {
+								if (errUsers) {
+									return done(errUsers);
+								}
+								return getItems(
+									this.storage,
+									[lastUserKey],
+									(errLastUser, values) => {
+										if (errLastUser || values[0] !== this.username) {
+											return done(errLastUser);
+										}
+										return removeItems(this.storage, [lastUserKey], done);
+									}
+								);
+							}
+						);
+					}
+				),
+			callback
+		);
 	}
 
 	/**
@@ -1658,7 +2219,7 @@ export default class CognitoUser {
 		if (this.getUserContextData()) {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
-		this.client.request('ForgotPassword', jsonReq, (err, data) => {
+		this.request('ForgotPassword', jsonReq, (err, data) => {
 			if (err) {
 				return callback.onFailure(err);
 			}
@@ -1680,6 +2241,10 @@ export default class CognitoUser {
 	 * @returns {void}
 	 */
 	confirmPassword(confirmationCode, newPassword, callback, clientMetadata) {
+		const invalidPassword = this.checkPassword(newPassword);
+		if (invalidPassword) {
+			return callback.onFailure(invalidPassword);
+		}
 		const jsonReq = {
 			ClientId: this.pool.getClientId(),
 			Username: this.username,
@@ -1690,12 +2255,13 @@ export default class CognitoUser {
 		if (this.getUserContextData()) {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
-		this.client.request('ConfirmForgotPassword', jsonReq, err => {
+		this.request('ConfirmForgotPassword', jsonReq, err => {
 			if (err) {
 				return callback.onFailure(err);
 			}
 			return callback.onSuccess();
 		});
+		return undefined;
 	}
 
 	/**
@@ -1709,10 +2275,12 @@ export default class CognitoUser {
 	 */
 	getAttributeVerificationCode(attributeName, callback, clientMetadata) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'GetUserAttributeVerificationCode',
 			{
 				AttributeName: attributeName,
@@ -1743,10 +2311,12 @@ export default class CognitoUser {
 	 */
 	verifyAttribute(attributeName, confirmationCode, callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'VerifyUserAttribute',
 			{
 				AttributeName: attributeName,
@@ -1772,10 +2342,12 @@ export default class CognitoUser {
 	 */
 	getDevice(callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'GetDevice',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1801,10 +2373,12 @@ export default class CognitoUser {
 	 */
 	forgetSpecificDevice(deviceKey, callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'ForgetDevice',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1834,7 +2408,9 @@ export default class CognitoUser {
 				this.deviceKey = null;
 				this.deviceGroupKey = null;
 				this.randomPassword = null;
-				this.clearCachedDeviceKeyAndPassword();
+				this.clearCachedDeviceKeyAndPassword(
+					this.reportStorageError('clearCachedDeviceKeyAndPassword')
+				);
 				return callback.onSuccess(result);
 			},
 		});
@@ -1849,10 +2425,12 @@ export default class CognitoUser {
 	 */
 	setDeviceStatusRemembered(callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'UpdateDeviceStatus',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1878,10 +2456,12 @@ export default class CognitoUser {
 	 */
 	setDeviceStatusNotRemembered(callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'UpdateDeviceStatus',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1910,7 +2490,9 @@ export default class CognitoUser {
 	 */
 	listDevices(limit, paginationToken, callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 		const requestParams = {
 			AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1921,7 +2503,7 @@ export default class CognitoUser {
 			requestParams.PaginationToken = paginationToken;
 		}
 
-		this.client.request('ListDevices', requestParams, (err, data) => {
+		this.request('ListDevices', requestParams, (err, data) => {
 			if (err) {
 				return callback.onFailure(err);
 			}
@@ -1939,10 +2521,12 @@ export default class CognitoUser {
 	 */
 	globalSignOut(callback) {
 		if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-			return callback.onFailure(new Error('User is not authenticated'));
+			return callback.onFailure(
+				new UserNotAuthenticatedError('User is not authenticated')
+			);
 		}
 
-		this.client.request(
+		this.request(
 			'GlobalSignOut',
 			{
 				AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1951,7 +2535,7 @@ export default class CognitoUser {
 				if (err) {
 					return callback.onFailure(err);
 				}
-				this.clearCachedUser();
+				this.clearCachedUser(null, 'globalSignOut');
 				return callback.onSuccess('SUCCESS');
 			}
 		);
@@ -1964,7 +2548,7 @@ export default class CognitoUser {
 	 */
 	signOut(revokeTokenCallback) {
 		// If tokens won't be revoked, we just clean the client data.
-		if (!revokeTokenCallback || typeof revokeTokenCallback !== "function") {
+		if (!revokeTokenCallback || typeof revokeTokenCallback !== 'function') {
 			this.cleanClientData();
 
 			return;
@@ -1975,29 +2559,27 @@ export default class CognitoUser {
 				return revokeTokenCallback(error);
 			}
 
-			this.revokeTokens((err) => {
-				this.cleanClientData();
-
-				revokeTokenCallback(err);
+			this.revokeTokens(err => {
+				this.cleanClientData(errClean => revokeTokenCallback(err || errClean));
 			});
 		});
 	}
 
-	revokeTokens(revokeTokenCallback = () => { }) {
+	revokeTokens(revokeTokenCallback = () => {}) {
 		if (typeof revokeTokenCallback !== 'function') {
-			throw new Error('Invalid revokeTokenCallback. It should be a function.')
+			throw new Error('Invalid revokeTokenCallback. It should be a function.');
 		}
 
 		const tokensToBeRevoked = [];
 
 		if (!this.signInUserSession) {
-			const error = new Error('User is not authenticated');
+			const error = new UserNotAuthenticatedError('User is not authenticated');
 
 			return revokeTokenCallback(error);
 		}
 
 		if (!this.signInUserSession.getAccessToken()) {
-			const error = new Error('No Access token available');
+			const error = new UserNotAuthenticatedError('No Access token available');
 
 			return revokeTokenCallback(error);
 		}
@@ -2007,7 +2589,10 @@ export default class CognitoUser {
 
 		if (this.isSessionRevocable(accessToken)) {
 			if (refreshToken) {
-				return this.revokeToken({ token: refreshToken, callback: revokeTokenCallback });
+				return this.revokeToken({
+					token: refreshToken,
+					callback: revokeTokenCallback,
+				});
 			}
 		}
 		revokeTokenCallback();
@@ -2026,27 +2611,123 @@ export default class CognitoUser {
 		return false;
 	}
 
-	cleanClientData() {
+	cleanClientData(callback) {
+		this.stopAutoRefresh();
 		this.signInUserSession = null;
-		this.clearCachedUser();
+		this.clearCachedUser(callback);
+	}
+
+	/**
+	 * Subscribes to an event of the user:
+	 * - tokenRefreshed(session, { remote }): the session was refreshed, by
+	 *   another tab when remote is true (see startCrossTabSync).
+	 * - signedOut({ remote }): the cached session was removed.
+	 * - refreshFailed(err, { willRetry, attempt, retryIn }): a refresh
+	 *   started by startAutoRefresh failed.
+	 * - sessionExpired(err): the session can not be refreshed anymore.
+	 * - deviceInvalidated({ deviceKey, error }): the remembered device failed
+	 *   to authenticate and was forgotten; authenticateUser signs in again
+	 *   without it, so MFA may be asked and a new device confirmed.
+	 * @param {string} event The event name.
+	 * @param {function} listener Called with the event arguments.
+	 * @returns {function} unsubscribes the listener
+	 */
+	on(event, listener) {
+		return this.events.on(event, listener);
+	}
+
+	/**
+	 * Unsubscribes from an event of the user.
+	 * @param {string} event The event name.
+	 * @param {function} listener The listener passed to on.
+	 * @returns {void}
+	 */
+	off(event, listener) {
+		this.events.off(event, listener);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} event The event name.
+	 * @param {...*} args The event arguments.
+	 * @returns {void}
+	 */
+	emit(event, ...args) {
+		this.events.emit(event, ...args);
+	}
+
+	/**
+	 * Refreshes the session in the background before its tokens expire, until
+	 * stopAutoRefresh is called or the user signs out. Network errors are
+	 * retried with an exponential backoff.
+	 * @param {object=} options Scheduling options.
+	 * @param {int} options.refreshBeforeExpiry Seconds before the tokens
+	 *        expire to refresh them (default: 300)
+	 * @param {int} options.retryDelay Milliseconds before the first retry
+	 *        (default: 1000)
+	 * @param {int} options.maxRetryDelay Maximum milliseconds between two
+	 *        retries (default: 60000)
+	 * @returns {void}
+	 */
+	startAutoRefresh(options) {
+		this.stopAutoRefresh();
+		this.refreshScheduler = new TokenRefreshScheduler(this, options);
+		this.refreshScheduler.start();
+	}
+
+	/**
+	 * Stops the background refresh started by startAutoRefresh.
+	 * @returns {void}
+	 */
+	stopAutoRefresh() {
+		if (this.refreshScheduler) {
+			this.refreshScheduler.stop();
+			this.refreshScheduler = null;
+		}
+	}
+
+	/**
+	 * Keeps the session in sync with the other tabs (or windows) sharing the
+	 * storage of the user: a refresh or a sign out in one tab is applied in
+	 * every tab, and a single tab at a time refreshes the session.
+	 * @param {object=} options Synchronization options.
+	 * @param {int} options.lockTimeout Milliseconds after which the refresh
+	 *        lock of a tab that did not release it expires (default: 10000)
+	 * @returns {void}
+	 */
+	startCrossTabSync(options) {
+		this.stopCrossTabSync();
+		this.crossTabSync = new CrossTabSync(this, options);
+		this.crossTabSync.start();
+	}
+
+	/**
+	 * Stops the synchronization started by startCrossTabSync.
+	 * @returns {void}
+	 */
+	stopCrossTabSync() {
+		if (this.crossTabSync) {
+			this.crossTabSync.stop();
+			this.crossTabSync = null;
+		}
 	}
 
 	revokeToken({ token, callback }) {
-		this.client.requestWithRetry(
+		this.request(
 			'RevokeToken',
 			{
 				Token: token,
-				ClientId: this.pool.getClientId()
+				ClientId: this.pool.getClientId(),
 			},
 			err => {
-
 				if (err) {
 					return callback(err);
 				}
 
 				callback();
 			}
-		)
+		);
 	}
 
 	/**
@@ -2069,11 +2750,15 @@ export default class CognitoUser {
 		if (this.getUserContextData()) {
 			jsonReq.UserContextData = this.getUserContextData();
 		}
-		this.client.request('RespondToAuthChallenge', jsonReq, (err, data) => {
+		this.request('RespondToAuthChallenge', jsonReq, (err, data) => {
 			if (err) {
 				return callback.onFailure(err);
 			}
 			this.Session = data.Session;
+			this.emitPoolEvent('challengeReceived', {
+				challengeName: data.ChallengeName,
+				challengeParameters: data.ChallengeParameters,
+			});
 			if (answerChallenge === 'SMS_MFA') {
 				return callback.mfaRequired(
 					data.ChallengeName,
@@ -2090,6 +2775,56 @@ export default class CognitoUser {
 		});
 	}
 
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} event An event of the pool, see CognitoUserPool.on.
+	 * @param {object} details The event details, besides the username.
+	 * @returns {void}
+	 */
+	emitPoolEvent(event, details) {
+		if (typeof this.pool.emit === 'function') {
+			this.pool.emit(
+				event,
+				Object.assign({ username: this.username }, details)
+			);
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} operation The storage operation nobody waits for.
+	 * @returns {nodeCallback} logs the error of the operation to the error
+	 *          method of the logger of the pool, or else of the console
+	 */
+	reportStorageError(operation) {
+		return err => {
+			const logger = this.pool.logger || console;
+			if (err && typeof logger.error === 'function') {
+				logger.error(
+					`CognitoUser ${operation} failed for ${this.username}`,
+					err
+				);
+			}
+		};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} password A new password.
+	 * @returns {InvalidPasswordError|null} the error of a password breaking
+	 *          the password policy of the pool, if the pool has one
+	 */
+	checkPassword(password) {
+		const policy =
+			typeof this.pool.getPasswordPolicy === 'function'
+				? this.pool.getPasswordPolicy()
+				: null;
+		return policy ? policy.check(password) : null;
+	}
+
 	/**
 	 * This returns the user context data for advanced security feature.
 	 * @returns {string} the user context data from CognitoUserPool
@@ -2106,7 +2841,7 @@ export default class CognitoUser {
 	 */
 	associateSoftwareToken(callback) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			this.client.request(
+			this.request(
 				'AssociateSoftwareToken',
 				{
 					Session: this.Session,
@@ -2120,7 +2855,7 @@ export default class CognitoUser {
 				}
 			);
 		} else {
-			this.client.request(
+			this.request(
 				'AssociateSoftwareToken',
 				{
 					AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -2144,7 +2879,7 @@ export default class CognitoUser {
 	 */
 	verifySoftwareToken(totpCode, friendlyDeviceName, callback) {
 		if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-			this.client.request(
+			this.request(
 				'VerifySoftwareToken',
 				{
 					Session: this.Session,
@@ -2167,7 +2902,7 @@ export default class CognitoUser {
 					if (this.getUserContextData()) {
 						jsonReq.UserContextData = this.getUserContextData();
 					}
-					this.client.request(
+					this.request(
 						'RespondToAuthChallenge',
 						jsonReq,
 						(errRespond, dataRespond) => {
@@ -2177,15 +2912,18 @@ export default class CognitoUser {
 							this.signInUserSession = this.getCognitoUserSession(
 								dataRespond.AuthenticationResult
 							);
-							this.cacheTokens();
-							return callback.onSuccess(this.signInUserSession);
+							return this.cacheTokens(errCache =>
+								errCache
+									? callback.onFailure(errCache)
+									: callback.onSuccess(this.signInUserSession)
+							);
 						}
 					);
 					return undefined;
 				}
 			);
 		} else {
-			this.client.request(
+			this.request(
 				'VerifySoftwareToken',
 				{
 					AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -2201,4 +2939,438 @@ export default class CognitoUser {
 			);
 		}
 	}
+
+	/**
+	 * Promise-based version of authenticateUser.
+	 * @param {AuthenticationDetails} authDetails Contains the authentication data
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	authenticateUserAsync(authDetails) {
+		return new Promise((resolve, reject) =>
+			this.authenticateUser(authDetails, authResultCallback(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of initiateAuth.
+	 * @param {AuthenticationDetails} authDetails Contains the authentication data
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	initiateAuthAsync(authDetails) {
+		return new Promise((resolve, reject) =>
+			this.initiateAuth(authDetails, authResultCallback(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of completeNewPasswordChallenge.
+	 * @param {string} newPassword new password for this user
+	 * @param {object} requiredAttributeData map with values for all required attributes
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	completeNewPasswordChallengeAsync(
+		newPassword,
+		requiredAttributeData,
+		clientMetadata
+	) {
+		return new Promise((resolve, reject) =>
+			this.completeNewPasswordChallenge(
+				newPassword,
+				requiredAttributeData,
+				authResultCallback(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of sendCustomChallengeAnswer.
+	 * @param {string} answerChallenge The custom challenge answer.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	sendCustomChallengeAnswerAsync(answerChallenge, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.sendCustomChallengeAnswer(
+				answerChallenge,
+				authResultCallback(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of sendMFACode.
+	 * @param {string} confirmationCode The MFA code entered by the user.
+	 * @param {string} mfaType The mfa we are replying to.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session
+	 */
+	sendMFACodeAsync(confirmationCode, mfaType, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.sendMFACode(
+				confirmationCode,
+				authResultCallback(resolve, reject),
+				mfaType,
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of sendMFASelectionAnswer.
+	 * @param {string} answerChallenge the mfa the user wants
+	 * @returns {Promise<AuthResult>} the challenge for the selected mfa
+	 */
+	sendMFASelectionAnswerAsync(answerChallenge) {
+		return new Promise((resolve, reject) => {
+			if (
+				answerChallenge !== 'SMS_MFA' &&
+				answerChallenge !== 'SOFTWARE_TOKEN_MFA'
+			) {
+				reject(
+					new InvalidParameterError(`Unsupported MFA type: ${answerChallenge}`)
+				);
+				return;
+			}
+			this.sendMFASelectionAnswer(
+				answerChallenge,
+				authResultCallback(resolve, reject)
+			);
+		});
+	}
+
+	/**
+	 * Promise-based version of confirmRegistration.
+	 * @param {string} confirmationCode Code entered by user.
+	 * @param {bool} forceAliasCreation Allow migrating from an existing email / phone number.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	confirmRegistrationAsync(
+		confirmationCode,
+		forceAliasCreation,
+		clientMetadata
+	) {
+		return new Promise((resolve, reject) =>
+			this.confirmRegistration(
+				confirmationCode,
+				forceAliasCreation,
+				nodeCallbackFor(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of resendConfirmationCode.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<object>} the code delivery details
+	 */
+	resendConfirmationCodeAsync(clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.resendConfirmationCode(
+				nodeCallbackFor(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of getSession.
+	 * @param {GetSessionOptions} options Options for getSession.
+	 * @returns {Promise<CognitoUserSession>} the current session
+	 */
+	getSessionAsync(options) {
+		return new Promise((resolve, reject) =>
+			this.getSession(nodeCallbackFor(resolve, reject), options)
+		);
+	}
+
+	/**
+	 * Promise-based version of refreshSession.
+	 * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<CognitoUserSession>} the refreshed session
+	 */
+	refreshSessionAsync(refreshToken, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.refreshSession(
+				refreshToken,
+				nodeCallbackFor(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of changePassword.
+	 * @param {string} oldUserPassword The current password.
+	 * @param {string} newUserPassword The requested new password.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	changePasswordAsync(oldUserPassword, newUserPassword, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.changePassword(
+				oldUserPassword,
+				newUserPassword,
+				nodeCallbackFor(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of forgotPassword.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<object>} the code delivery details
+	 */
+	forgotPasswordAsync(clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.forgotPassword(successCallbackFor(resolve, reject), clientMetadata)
+		);
+	}
+
+	/**
+	 * Promise-based version of confirmPassword.
+	 * @param {string} confirmationCode Code entered by user.
+	 * @param {string} newPassword Confirm new password.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<void>} resolves once the password is changed
+	 */
+	confirmPasswordAsync(confirmationCode, newPassword, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.confirmPassword(
+				confirmationCode,
+				newPassword,
+				successCallbackFor(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of getUserAttributes.
+	 * @returns {Promise<CognitoUserAttribute[]>} the user's attributes
+	 */
+	getUserAttributesAsync() {
+		return new Promise((resolve, reject) =>
+			this.getUserAttributes(nodeCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of updateAttributes.
+	 * @param {AttributeArg[]} attributes A list of the new user attributes.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	updateAttributesAsync(attributes, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.updateAttributes(
+				attributes,
+				nodeCallbackFor(resolve, reject),
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of deleteAttributes.
+	 * @param {string[]} attributeList Names of the attributes to delete.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	deleteAttributesAsync(attributeList) {
+		return new Promise((resolve, reject) =>
+			this.deleteAttributes(attributeList, nodeCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of getAttributeVerificationCode.
+	 * @param {string} attributeName User attribute that needs confirmation.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<object>} the code delivery details
+	 */
+	getAttributeVerificationCodeAsync(attributeName, clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.getAttributeVerificationCode(
+				attributeName,
+				{ onFailure: reject, inputVerificationCode: resolve },
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of verifyAttribute.
+	 * @param {string} attributeName Attribute being confirmed.
+	 * @param {string} confirmationCode Code entered by user.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	verifyAttributeAsync(attributeName, confirmationCode) {
+		return new Promise((resolve, reject) =>
+			this.verifyAttribute(
+				attributeName,
+				confirmationCode,
+				successCallbackFor(resolve, reject)
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of getUserData.
+	 * @param {GetUserDataOptions} params Options for getUserData.
+	 * @returns {Promise<UserData>} the user data
+	 */
+	getUserDataAsync(params) {
+		return new Promise((resolve, reject) =>
+			this.getUserData(nodeCallbackFor(resolve, reject), params)
+		);
+	}
+
+	/**
+	 * Promise-based version of deleteUser.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	deleteUserAsync(clientMetadata) {
+		return new Promise((resolve, reject) =>
+			this.deleteUser(nodeCallbackFor(resolve, reject), clientMetadata)
+		);
+	}
+
+	/**
+	 * Promise-based version of setUserMfaPreference.
+	 * @param {IMfaSettings} smsMfaSettings the sms mfa settings
+	 * @param {IMFASettings} softwareTokenMfaSettings the software token mfa settings
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	setUserMfaPreferenceAsync(smsMfaSettings, softwareTokenMfaSettings) {
+		return new Promise((resolve, reject) =>
+			this.setUserMfaPreference(
+				smsMfaSettings,
+				softwareTokenMfaSettings,
+				nodeCallbackFor(resolve, reject)
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of associateSoftwareToken.
+	 * @returns {Promise<string>} the secret code to register in the authenticator app
+	 */
+	associateSoftwareTokenAsync() {
+		return new Promise((resolve, reject) =>
+			this.associateSoftwareToken({
+				associateSecretCode: resolve,
+				onFailure: reject,
+			})
+		);
+	}
+
+	/**
+	 * Promise-based version of verifySoftwareToken.
+	 * @param {string} totpCode The MFA code entered by the user.
+	 * @param {string} friendlyDeviceName The device name we are assigning to the device.
+	 * @returns {Promise<*>} the new session while signing in, otherwise the service response
+	 */
+	verifySoftwareTokenAsync(totpCode, friendlyDeviceName) {
+		return new Promise((resolve, reject) =>
+			this.verifySoftwareToken(
+				totpCode,
+				friendlyDeviceName,
+				successCallbackFor(resolve, reject)
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of getDevice.
+	 * @returns {Promise<*>} the current device
+	 */
+	getDeviceAsync() {
+		return new Promise((resolve, reject) =>
+			this.getDevice(successCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of listDevices.
+	 * @param {int} limit the number of devices returned in a call
+	 * @param {string | null} paginationToken the pagination token in case any was returned before
+	 * @returns {Promise<*>} the device list
+	 */
+	listDevicesAsync(limit, paginationToken) {
+		return new Promise((resolve, reject) =>
+			this.listDevices(
+				limit,
+				paginationToken,
+				successCallbackFor(resolve, reject)
+			)
+		);
+	}
+
+	/**
+	 * Promise-based version of setDeviceStatusRemembered.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	setDeviceStatusRememberedAsync() {
+		return new Promise((resolve, reject) =>
+			this.setDeviceStatusRemembered(successCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of setDeviceStatusNotRemembered.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	setDeviceStatusNotRememberedAsync() {
+		return new Promise((resolve, reject) =>
+			this.setDeviceStatusNotRemembered(successCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of forgetDevice.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	forgetDeviceAsync() {
+		return new Promise((resolve, reject) =>
+			this.forgetDevice(successCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of forgetSpecificDevice.
+	 * @param {string} deviceKey Device key.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	forgetSpecificDeviceAsync(deviceKey) {
+		return new Promise((resolve, reject) =>
+			this.forgetSpecificDevice(deviceKey, successCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of globalSignOut.
+	 * @returns {Promise<string>} 'SUCCESS'
+	 */
+	globalSignOutAsync() {
+		return new Promise((resolve, reject) =>
+			this.globalSignOut(successCallbackFor(resolve, reject))
+		);
+	}
+
+	/**
+	 * Promise-based version of signOut that also revokes the tokens.
+	 * @returns {Promise<void>} resolves once the tokens are revoked and cleared
+	 */
+	signOutAsync() {
+		return new Promise((resolve, reject) =>
+			this.signOut(err => (err ? reject(err) : resolve()))
+		);
+	}
 }
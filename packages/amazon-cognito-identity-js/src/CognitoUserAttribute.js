@@ -17,6 +17,21 @@
 
 /** @class */
 export default class CognitoUserAttribute {
+	/**
+	 * Creates an attribute from a typed value, validated by a schema.
+	 * @param {string} name The name of the attribute.
+	 * @param {*} value The typed value, e.g. a boolean for email_verified.
+	 * @param {UserAttributeSchema} schema The attributes of the user pool.
+	 * @returns {CognitoUserAttribute} the attribute
+	 * @throws {InvalidParameterError} if the value does not fit the schema
+	 */
+	static fromTypedValue(name, value, schema) {
+		return new CognitoUserAttribute({
+			Name: name,
+			Value: schema.format(name, value),
+		});
+	}
+
 	/**
 	 * Constructs a new CognitoUserAttribute object
 	 * @param {string=} Name The record's name
@@ -34,6 +49,14 @@ export default class CognitoUserAttribute {
 		return this.Value;
 	}
 
+	/**
+	 * @param {UserAttributeSchema} schema The attributes of the user pool.
+	 * @returns {*} the record's value, converted to the type of the attribute.
+	 */
+	getTypedValue(schema) {
+		return schema.parse(this.Name, this.Value);
+	}
+
 	/**
 	 * Sets the record's value.
 	 * @param {string} value The new value.
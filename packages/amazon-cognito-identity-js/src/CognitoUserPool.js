@@ -16,8 +16,26 @@
  */
 
 import Client from './Client';
+import { UserNotAuthenticatedError } from './CognitoError';
 import CognitoUser from './CognitoUser';
+import PasswordPolicy from './PasswordPolicy';
+import RetryPolicy from './RetryPolicy';
 import StorageHelper from './StorageHelper';
+import EventEmitter from './utils/EventEmitter';
+import { redact } from './utils/redact';
+import { isPromiseLike, setItems } from './utils/storageAccess';
+import { getCachedUsernames, getLastUserKey } from './utils/cachedUsers';
+import { addSecretHash, calculateSecretHash } from './utils/secretHash';
+
+// The level each event is logged at, requestEnd is logged as warn on failure
+const LOG_LEVELS = {
+	requestStart: 'debug',
+	requestEnd: 'debug',
+	challengeReceived: 'info',
+	tokensCached: 'debug',
+	tokensCleared: 'info',
+	deviceConfirmed: 'info',
+};
 
 /** @class */
 export default class CognitoUserPool {
@@ -26,10 +44,36 @@ export default class CognitoUserPool {
 	 * @param {object} data Creation options.
 	 * @param {string} data.UserPoolId Cognito user pool id.
 	 * @param {string} data.ClientId User pool application client id.
+	 * @param {string} data.ClientSecret Optional secret of a confidential app
+	 *        client, adding the SECRET_HASH to the requests that need it.
+	 *        Only for code running on a server: a secret in a browser
+	 *        bundle is readable by anyone.
 	 * @param {string} data.endpoint Optional custom service endpoint.
 	 * @param {object} data.fetchOptions Optional options for fetch API.
 	 *        (only credentials option is supported)
-	 * @param {object} data.Storage Optional storage object.
+	 * @param {function} data.fetch Optional fetch implementation sending the
+	 *        requests to the user pool, e.g. the fetch of a CognitoEmulator.
+	 * @param {object} data.Storage Optional storage object. Its methods may
+	 *        return promises (e.g. React Native AsyncStorage).
+	 * @param {RequestInterceptor[]} data.interceptors Optional interceptors
+	 *        called around every request to the user pool.
+	 * @param {int} data.requestTimeout Optional timeout of the requests to the
+	 *        user pool, in milliseconds.
+	 * @param {RetryPolicy|object} data.retryPolicy Optional policy deciding
+	 *        when a failed request to the user pool is sent again, or the
+	 *        options of a RetryPolicy.
+	 * @param {PasswordPolicy|object} data.passwordPolicy Optional policy the
+	 *        passwords are checked against before they are sent, by signUp,
+	 *        changePassword, confirmPassword and completeNewPasswordChallenge,
+	 *        or the options of a PasswordPolicy.
+	 * @param {object} data.logger Optional logger of the events of the pool,
+	 *        e.g. console: its debug, info and warn methods are called with
+	 *        the event and its details, without the passwords, tokens, codes
+	 *        and SRP values, and its error method with the errors thrown by
+	 *        the listeners of the events and of the storage writes nobody
+	 *        waits for, e.g. by setSignInUserSession. Its warn method also receives the
+	 *        warning of a ClientSecret used in a browser (default: console,
+	 *        null to not log it).
 	 * @param {boolean} data.AdvancedSecurityDataCollectionFlag Optional:
 	 *        boolean flag indicating if the data collection is enabled
 	 *        to support cognito advanced security features. By default, this
@@ -39,8 +83,15 @@ export default class CognitoUserPool {
 		const {
 			UserPoolId,
 			ClientId,
+			ClientSecret,
 			endpoint,
 			fetchOptions,
+			fetch: fetchRequest,
+			interceptors,
+			requestTimeout,
+			retryPolicy,
+			passwordPolicy,
+			logger,
 			AdvancedSecurityDataCollectionFlag,
 		} = data || {};
 		if (!UserPoolId || !ClientId) {
@@ -53,8 +104,45 @@ export default class CognitoUserPool {
 
 		this.userPoolId = UserPoolId;
 		this.clientId = ClientId;
+		this.clientSecret = ClientSecret || null;
+		this.logger = logger || null;
+		// Warned once per pool, to its logger when one is passed
+		const secretLogger = Object.prototype.hasOwnProperty.call(data, 'logger')
+			? this.logger
+			: console;
+		if (
+			this.clientSecret &&
+			secretLogger &&
+			typeof secretLogger.warn === 'function' &&
+			typeof window !== 'undefined' &&
+			typeof window.document !== 'undefined'
+		) {
+			secretLogger.warn(
+				'A ClientSecret is used in a browser, where it can not be kept secret. Use an app client without a secret instead.'
+			);
+		}
 
-		this.client = new Client(region, endpoint, fetchOptions);
+		this.events = new EventEmitter((err, event) =>
+			this.reportError(err, event)
+		);
+		this.client = new Client(region, endpoint, fetchOptions, {
+			events: this,
+			fetch: fetchRequest,
+			interceptors,
+			timeout: requestTimeout,
+			retryPolicy:
+				retryPolicy && typeof retryPolicy.getRetryDelay === 'function'
+					? retryPolicy
+					: new RetryPolicy(retryPolicy),
+		});
+
+		this.passwordPolicy = null;
+		if (passwordPolicy) {
+			this.passwordPolicy =
+				typeof passwordPolicy.check === 'function'
+					? passwordPolicy
+					: new PasswordPolicy(passwordPolicy);
+		}
 
 		/**
 		 * By default, AdvancedSecurityDataCollectionFlag is set to true,
@@ -84,6 +172,138 @@ export default class CognitoUserPool {
 		return this.clientId;
 	}
 
+	/**
+	 * @param {string} username The username.
+	 * @returns {string|null} the SECRET_HASH of the username, or null if the
+	 *          app client has no secret
+	 */
+	getSecretHash(username) {
+		return this.clientSecret
+			? calculateSecretHash(username, this.clientId, this.clientSecret)
+			: null;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} operation API operation
+	 * @param {object} params Input parameters
+	 * @param {string} username The username of the request, when its
+	 *        parameters have none.
+	 * @returns {object} the parameters, with the SECRET_HASH the operation
+	 *          needs when the app client has a secret
+	 */
+	withSecretHash(operation, params, username) {
+		if (!this.clientSecret) {
+			return params;
+		}
+		return addSecretHash(
+			operation,
+			params,
+			name => this.getSecretHash(name),
+			username
+		);
+	}
+
+	/**
+	 * @returns {PasswordPolicy|null} the policy checking the passwords before
+	 *          they are sent, if any
+	 */
+	getPasswordPolicy() {
+		return this.passwordPolicy;
+	}
+
+	/**
+	 * Subscribes to an event of the pool or of any of its users:
+	 * - requestStart({ operation, params }): a request to the user pool is
+	 *   sent, its secrets redacted from params.
+	 * - requestEnd({ operation, duration, error }): the request completed
+	 *   after duration milliseconds, retries included, error when it failed.
+	 * - challengeReceived({ username, challengeName, challengeParameters }):
+	 *   the user has to answer a challenge to sign in.
+	 * - tokensCached({ username, refreshed }): the tokens of a new session
+	 *   were written to the storage, refreshed when they replace the tokens of
+	 *   a refreshed session.
+	 * - tokensCleared({ username, reason, error }): the tokens were removed
+	 *   from the storage on a signOut, globalSignOut, userDeleted or
+	 *   refreshFailed, with the error of the refresh.
+	 * - deviceConfirmed({ username, deviceKey, userConfirmationNecessary }):
+	 *   the device was confirmed after signing in.
+	 * @param {string} event The event name.
+	 * @param {function} listener Called with the event details.
+	 * @returns {function} unsubscribes the listener
+	 */
+	on(event, listener) {
+		return this.events.on(event, listener);
+	}
+
+	/**
+	 * Unsubscribes from an event of the pool.
+	 * @param {string} event The event name.
+	 * @param {function} listener The listener passed to on.
+	 * @returns {void}
+	 */
+	off(event, listener) {
+		this.events.off(event, listener);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} event The event name.
+	 * @param {object} details The event details.
+	 * @returns {void}
+	 */
+	emit(event, details) {
+		this.events.emit(event, details);
+		if (!this.logger) {
+			return;
+		}
+		const level =
+			event === 'requestEnd' && details.error ? 'warn' : LOG_LEVELS[event];
+		if (level && typeof this.logger[level] === 'function') {
+			try {
+				this.logger[level](`CognitoUserPool ${event}`, redact(details));
+			} catch (err) {
+				this.reportError(err, event);
+			}
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Reports an error thrown by a listener or the logger of an event, to
+	 * the error method of the logger or else as uncaught, without
+	 * interrupting the request or the flow emitting the event
+	 * @param {Error} error The error thrown.
+	 * @param {string} event The event name.
+	 * @returns {void}
+	 */
+	reportError(error, event) {
+		if (this.logger && typeof this.logger.error === 'function') {
+			try {
+				this.logger.error(`CognitoUserPool ${event} handler failed`, error);
+				return;
+			} catch (err) {
+				// The logger failed as well, the error is thrown below
+			}
+		}
+		setTimeout(() => {
+			throw error;
+		}, 0);
+	}
+
+	/**
+	 * Adds an interceptor called around every request to the user pool, made
+	 * for this pool or any of its users
+	 * @param {RequestInterceptor} interceptor The interceptor to add.
+	 * @returns {function} removes the interceptor
+	 */
+	addRequestInterceptor(interceptor) {
+		return this.client.use(interceptor);
+	}
+
 	/**
 	 * @typedef {object} SignUpResult
 	 * @property {CognitoUser} user New user.
@@ -108,6 +328,11 @@ export default class CognitoUserPool {
 		callback,
 		clientMetadata
 	) {
+		const invalidPassword =
+			this.passwordPolicy && this.passwordPolicy.check(password);
+		if (invalidPassword) {
+			return callback(invalidPassword, null);
+		}
 		const jsonReq = {
 			ClientId: this.clientId,
 			Username: username,
@@ -119,6 +344,9 @@ export default class CognitoUserPool {
 		if (this.getUserContextData(username)) {
 			jsonReq.UserContextData = this.getUserContextData(username);
 		}
+		if (this.clientSecret) {
+			jsonReq.SecretHash = this.getSecretHash(username);
+		}
 		this.client.request('SignUp', jsonReq, (err, data) => {
 			if (err) {
 				return callback(err, null);
@@ -139,6 +367,35 @@ export default class CognitoUserPool {
 
 			return callback(null, returnData);
 		});
+		return undefined;
+	}
+
+	/**
+	 * Promise-based version of signUp.
+	 * @param {string} username User's username.
+	 * @param {string} password Plain-text initial password entered by user.
+	 * @param {(AttributeArg[])=} userAttributes New user attributes.
+	 * @param {(AttributeArg[])=} validationData Application metadata.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<SignUpResult>} the new user
+	 */
+	signUpAsync(
+		username,
+		password,
+		userAttributes,
+		validationData,
+		clientMetadata
+	) {
+		return new Promise((resolve, reject) =>
+			this.signUp(
+				username,
+				password,
+				userAttributes,
+				validationData,
+				(err, result) => (err ? reject(err) : resolve(result)),
+				clientMetadata
+			)
+		);
 	}
 
 	/**
@@ -147,9 +404,126 @@ export default class CognitoUserPool {
 	 * @returns {CognitoUser} the user retrieved from storage
 	 */
 	getCurrentUser() {
-		const lastUserKey = `CognitoIdentityServiceProvider.${this.clientId}.LastAuthUser`;
+		const lastAuthUser = this.storage.getItem(this.getLastUserKey());
+		if (isPromiseLike(lastAuthUser)) {
+			throw new Error(
+				'The configured storage is asynchronous, use getCurrentUserAsync instead.'
+			);
+		}
+
+		return this.createCurrentUser(lastAuthUser);
+	}
+
+	/**
+	 * method for getting the current user of the application from a storage
+	 * that may be synchronous or asynchronous
+	 *
+	 * @returns {Promise<CognitoUser>} the user retrieved from storage
+	 */
+	getCurrentUserAsync() {
+		return Promise.resolve(
+			this.storage.getItem(this.getLastUserKey())
+		).then(lastAuthUser => this.createCurrentUser(lastAuthUser));
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {string} the storage key of the last authenticated user
+	 */
+	getLastUserKey() {
+		return getLastUserKey(this.clientId);
+	}
+
+	/**
+	 * method for getting every user signed in with this app client, in the
+	 * order they signed in. It throws with an asynchronous storage, use
+	 * getCachedUsersAsync there.
+	 *
+	 * @returns {CognitoUser[]} the users retrieved from storage
+	 */
+	getCachedUsers() {
+		let cachedUsernames = null;
+		getCachedUsernames(this.storage, this.clientId, (err, usernames) => {
+			cachedUsernames = usernames;
+		});
+		if (!cachedUsernames) {
+			throw new Error(
+				'The configured storage is asynchronous, use getCachedUsersAsync instead.'
+			);
+		}
+
+		return cachedUsernames.map(username => this.createCurrentUser(username));
+	}
+
+	/**
+	 * method for getting every user signed in with this app client from a
+	 * storage that may be synchronous or asynchronous
+	 *
+	 * @returns {Promise<CognitoUser[]>} the users retrieved from storage
+	 */
+	getCachedUsersAsync() {
+		return new Promise((resolve, reject) =>
+			getCachedUsernames(this.storage, this.clientId, (err, usernames) =>
+				err
+					? reject(err)
+					: resolve(usernames.map(username => this.createCurrentUser(username)))
+			)
+		);
+	}
 
-		const lastAuthUser = this.storage.getItem(lastUserKey);
+	/**
+	 * method for making another signed in user the current user, returned by
+	 * getCurrentUser
+	 * @param {string} username The username of a signed in user.
+	 * @param {nodeCallback<CognitoUser>} callback Called on error or with the user.
+	 * @returns {void}
+	 */
+	switchUser(username, callback) {
+		getCachedUsernames(this.storage, this.clientId, (errStorage, usernames) => {
+			if (errStorage) {
+				return callback(errStorage, null);
+			}
+			if (usernames.indexOf(username) === -1) {
+				return callback(
+					new UserNotAuthenticatedError(
+						`The user ${username} is not signed in.`
+					),
+					null
+				);
+			}
+
+			return setItems(
+				this.storage,
+				{ [this.getLastUserKey()]: username },
+				errSwitch =>
+					errSwitch
+						? callback(errSwitch, null)
+						: callback(null, this.createCurrentUser(username))
+			);
+		});
+	}
+
+	/**
+	 * Promise-based version of switchUser.
+	 * @param {string} username The username of a signed in user.
+	 * @returns {Promise<CognitoUser>} the new current user
+	 */
+	switchUserAsync(username) {
+		return new Promise((resolve, reject) =>
+			this.switchUser(username, (err, user) =>
+				err ? reject(err) : resolve(user)
+			)
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} lastAuthUser The username read from storage.
+	 * @returns {CognitoUser} the user, or null if there is none
+	 */
+	createCurrentUser(lastAuthUser) {
 		if (lastAuthUser) {
 			const cognitoUser = {
 				Username: lastAuthUser,
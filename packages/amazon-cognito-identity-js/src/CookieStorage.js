@@ -1,5 +1,18 @@
 import * as Cookies from 'js-cookie';
 
+// Suffix of the cookie holding the number of chunks of a split value
+const CHUNKS_SUFFIX = '.chunks';
+// Share of the cookie budget after which a warning is logged
+const BUDGET_WARNING_RATIO = 0.9;
+
+/**
+ * @param {string} value A cookie name or value.
+ * @returns {int} its size once encoded in the Cookie header, at most
+ */
+function encodedSize(value) {
+	return encodeURIComponent(value).length;
+}
+
 /** @class */
 export default class CookieStorage {
 	/**
@@ -10,6 +23,14 @@ export default class CookieStorage {
 	 * @param {integer} data.expires Cookie expiration (in days, default: 365)
 	 * @param {boolean} data.secure Cookie secure flag (default: true)
 	 * @param {string} data.sameSite Cookie request behaviour (default: null)
+	 * @param {integer} data.maxCookieSize Bytes of the name and value of a
+	 *        cookie, beyond which a value is split into numbered chunk
+	 *        cookies; browsers drop cookies over 4096 bytes (default: 4000)
+	 * @param {integer} data.cookieBudget Bytes of all the cookies of the
+	 *        domain, which servers commonly limit to 8 KB in the Cookie
+	 *        header; a warning is logged at 90% of it (default: 8192)
+	 * @param {object} data.logger Logger of the warning, with a warn method,
+	 *        e.g. the logger of the pool; null to not log it (default: console)
 	 */
 	constructor(data) {
 		if (data.domain) {
@@ -47,6 +68,14 @@ export default class CookieStorage {
 		} else {
 			this.sameSite = null;
 		}
+		if (Object.prototype.hasOwnProperty.call(data, 'logger')) {
+			this.logger = data.logger;
+		} else {
+			this.logger = console;
+		}
+		this.maxCookieSize = data.maxCookieSize || 4000;
+		this.cookieBudget = data.cookieBudget || 8192;
+		this.warnedBudget = false;
 	}
 
 	/**
@@ -56,29 +85,50 @@ export default class CookieStorage {
 	 * @returns {string} value that was set
 	 */
 	setItem(key, value) {
-		const options = {
-			path: this.path,
-			expires: this.expires,
-			domain: this.domain,
-			secure: this.secure,
-		};
+		const options = this.getOptions();
+		const chunks = this.split(key, `${value}`);
 
-		if (this.sameSite) {
-			options.sameSite = this.sameSite;
+		if (chunks.length === 1) {
+			Cookies.set(key, value, options);
+			this.removeChunks(key, 0);
+		} else {
+			chunks.forEach((chunk, index) =>
+				Cookies.set(`${key}.${index}`, chunk, options)
+			);
+			Cookies.set(`${key}${CHUNKS_SUFFIX}`, `${chunks.length}`, options);
+			if (Cookies.get(key) !== undefined) {
+				Cookies.remove(key, options);
+			}
+			this.removeChunks(key, chunks.length);
 		}
-
-		Cookies.set(key, value, options);
-		return Cookies.get(key);
+		this.checkBudget();
+		return this.getItem(key);
 	}
 
 	/**
 	 * This is used to get a specific key from storage
 	 * @param {string} key - the key for the item
-	 * This is used to clear the storage
-	 * @returns {string} the data item
+	 * @returns {string} the data item, joined again when it was split
 	 */
 	getItem(key) {
-		return Cookies.get(key);
+		const value = Cookies.get(key);
+		if (value !== undefined || key === undefined) {
+			return value;
+		}
+		const count = parseInt(Cookies.get(`${key}${CHUNKS_SUFFIX}`), 10);
+		if (!(count > 0)) {
+			return undefined;
+		}
+		const chunks = [];
+		for (let index = 0; index < count; ++index) {
+			const chunk = Cookies.get(`${key}.${index}`);
+			// A chunk the browser dropped, the value can not be read
+			if (chunk === undefined) {
+				return undefined;
+			}
+			chunks.push(chunk);
+		}
+		return chunks.join('');
 	}
 
 	/**
@@ -87,6 +137,32 @@ export default class CookieStorage {
 	 * @returns {string} value - value that was deleted
 	 */
 	removeItem(key) {
+		this.removeChunks(key, 0);
+		const removed = Cookies.remove(key, this.getOptions());
+		this.checkBudget();
+		return removed;
+	}
+
+	/**
+	 * This is used to clear the storage of optional
+	 * items that were previously set
+	 * @returns {} an empty object
+	 */
+	clear() {
+		const cookies = Cookies.get();
+		let numKeys = Object.keys(cookies).length;
+		for (let index = 0; index < numKeys; ++index) {
+			this.removeItem(Object.keys(cookies)[index]);
+		}
+		return {};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {object} the attributes of the cookies
+	 */
+	getOptions() {
 		const options = {
 			path: this.path,
 			expires: this.expires,
@@ -97,21 +173,91 @@ export default class CookieStorage {
 		if (this.sameSite) {
 			options.sameSite = this.sameSite;
 		}
+		return options;
+	}
 
-		return Cookies.remove(key, options);
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} key - the key for the item
+	 * @param {string} value - the value
+	 * @returns {string[]} the value, in chunks fitting in a cookie each
+	 */
+	split(key, value) {
+		if (encodedSize(key) + encodedSize(value) < this.maxCookieSize) {
+			return [value];
+		}
+		const chunks = [];
+		let chunk = '';
+		let size = 0;
+		// Code points, so that surrogate pairs are kept in the same chunk
+		(value.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || []).forEach(
+			character => {
+				const limit =
+					this.maxCookieSize - encodedSize(`${key}.${chunks.length}=`);
+				const characterSize = encodedSize(character);
+				if (size + characterSize > limit && chunk) {
+					chunks.push(chunk);
+					chunk = '';
+					size = 0;
+				}
+				chunk += character;
+				size += characterSize;
+			}
+		);
+		chunks.push(chunk);
+		return chunks;
 	}
 
 	/**
-	 * This is used to clear the storage of optional
-	 * items that were previously set
-	 * @returns {} an empty object
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Removes the chunks of a value left over by a longer value, or all of
+	 * them with the count of chunks
+	 * @param {string} key - the key for the item
+	 * @param {int} from - the first chunk to remove
+	 * @returns {void}
 	 */
-	clear() {
-		const cookies = Cookies.get();
-		let numKeys = Object.keys(cookies).length;
-		for (let index = 0; index < numKeys; ++index) {
-			this.removeItem(Object.keys(cookies)[index]);
+	removeChunks(key, from) {
+		const options = this.getOptions();
+		const prefix = `${key}.`;
+		Object.keys(Cookies.get()).forEach(name => {
+			const suffix = name.substr(prefix.length);
+			if (
+				name.indexOf(prefix) === 0 &&
+				/^\d+$/.test(suffix) &&
+				parseInt(suffix, 10) >= from
+			) {
+				Cookies.remove(name, options);
+			}
+		});
+		if (from === 0 && Cookies.get(`${key}${CHUNKS_SUFFIX}`) !== undefined) {
+			Cookies.remove(`${key}${CHUNKS_SUFFIX}`, options);
 		}
-		return {};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Warns once the cookies of the domain get close to the cookie budget
+	 * @returns {void}
+	 */
+	checkBudget() {
+		if (typeof document === 'undefined') {
+			return;
+		}
+		const size = `${document.cookie || ''}`.length;
+		const full = size >= this.cookieBudget * BUDGET_WARNING_RATIO;
+		if (
+			full &&
+			!this.warnedBudget &&
+			this.logger &&
+			typeof this.logger.warn === 'function'
+		) {
+			this.logger.warn(
+				`The cookies of ${this.domain} take ${size} of the ${this.cookieBudget} bytes the servers may accept in the Cookie header. Requests carrying them may be rejected.`
+			);
+		}
+		this.warnedBudget = full;
 	}
 }
@@ -0,0 +1,358 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { getItems, setItems, removeItems } from './utils/storageAccess';
+
+// Time for concurrent writers of the storage lock to overwrite each other
+const LOCK_SETTLE_DELAY = 20;
+const LOCK_RETRY_DELAY = 50;
+
+/**
+ * @param {CognitoUserSession} session A session or null.
+ * @returns {string} its access token, or null
+ */
+function accessTokenOf(session) {
+	return session ? session.getAccessToken().getJwtToken() : null;
+}
+
+/** @class */
+export default class CrossTabSync {
+	/**
+	 * Constructs a new CrossTabSync object, keeping the session of a user in
+	 * sync with the other tabs (or windows) sharing its storage.
+	 * @param {CognitoUser} user The user to synchronize.
+	 * @param {object} options Synchronization options.
+	 * @param {int} options.lockTimeout Milliseconds after which the refresh
+	 *        lock of a tab that did not release it expires (default: 10000)
+	 */
+	constructor(user, { lockTimeout = 10 * 1000 } = {}) {
+		this.user = user;
+		this.lockTimeout = lockTimeout;
+		this.tabId = `${Date.now().toString(36)}.${Math.random()
+			.toString(36)
+			.slice(2)}`;
+
+		const keyPrefix = `CognitoIdentityServiceProvider.${user.pool.getClientId()}`;
+		this.channelName = keyPrefix;
+		this.userKeyPrefix = `${keyPrefix}.${user.username}.`;
+		this.lockKey = `${this.userKeyPrefix}refreshLock`;
+
+		this.channel = null;
+		this.unsubscribers = [];
+		this.onStorage = this.onStorage.bind(this);
+	}
+
+	/**
+	 * Starts listening to the other tabs and notifying them.
+	 * @returns {void}
+	 */
+	start() {
+		if (typeof window !== 'undefined' && window.BroadcastChannel) {
+			this.channel = new window.BroadcastChannel(this.channelName);
+			this.channel.onmessage = ({ data }) => {
+				if (data && data.username === this.user.username) {
+					this.reload();
+				}
+			};
+		}
+		if (typeof window !== 'undefined' && window.addEventListener) {
+			window.addEventListener('storage', this.onStorage);
+		}
+
+		this.unsubscribers = [
+			this.user.on('tokenRefreshed', (session, { remote } = {}) => {
+				if (!remote) {
+					this.notify('tokenRefreshed');
+				}
+			}),
+			this.user.on('signedOut', ({ remote } = {}) => {
+				if (!remote) {
+					this.notify('signedOut');
+				}
+			}),
+		];
+	}
+
+	/**
+	 * Stops listening to the other tabs.
+	 * @returns {void}
+	 */
+	stop() {
+		if (this.channel) {
+			this.channel.close();
+			this.channel = null;
+		}
+		if (typeof window !== 'undefined' && window.removeEventListener) {
+			window.removeEventListener('storage', this.onStorage);
+		}
+		this.unsubscribers.forEach(unsubscribe => unsubscribe());
+		this.unsubscribers = [];
+	}
+
+	/**
+	 * Refreshes the session while holding the refresh lock of the user, so that
+	 * a single tab at a time uses the refresh token. A session refreshed by
+	 * another tab in the meantime is used instead of refreshing again.
+	 * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+	 * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {void}
+	 */
+	refreshSession(refreshToken, callback, clientMetadata) {
+		const staleAccessToken = accessTokenOf(this.user.signInUserSession);
+		let called = false;
+		const done = (err, session) => {
+			called = true;
+			callback(err, session);
+		};
+
+		this.withLock(
+			release => {
+				this.user.getCachedSession((errStorage, cachedSession) => {
+					if (
+						!errStorage &&
+						cachedSession &&
+						cachedSession.isValid() &&
+						accessTokenOf(cachedSession) !== staleAccessToken
+					) {
+						release();
+						// A message from the refreshing tab may have been handled already
+						if (
+							accessTokenOf(cachedSession) !==
+							accessTokenOf(this.user.signInUserSession)
+						) {
+							this.adopt(cachedSession);
+						}
+						return done(null, this.user.signInUserSession);
+					}
+
+					return this.user.requestNewSession(
+						refreshToken,
+						(err, session) => {
+							release();
+							done(err, session);
+						},
+						clientMetadata
+					);
+				});
+			},
+			err => {
+				// An error thrown by the callback itself is not passed back to it
+				if (called) {
+					throw err;
+				}
+				done(err, null);
+			}
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} type The event to send to the other tabs.
+	 * @returns {void}
+	 */
+	notify(type) {
+		if (this.channel) {
+			this.channel.postMessage({ type, username: this.user.username });
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {StorageEvent} event A change of the localStorage by another tab.
+	 * @returns {void}
+	 */
+	onStorage(event) {
+		// cacheTokens and clearCachedTokens always write the access token
+		if (event.key === `${this.userKeyPrefix}accessToken`) {
+			this.reload();
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Replaces the session in memory by the one written by another tab.
+	 * @returns {void}
+	 */
+	reload() {
+		this.user.getCachedSession((errStorage, cachedSession) => {
+			if (errStorage) {
+				return;
+			}
+			if (!cachedSession) {
+				if (this.user.signInUserSession) {
+					this.user.stopAutoRefresh();
+					this.user.signInUserSession = null;
+					this.user.emit('signedOut', { remote: true });
+				}
+				return;
+			}
+			if (
+				accessTokenOf(cachedSession) !==
+				accessTokenOf(this.user.signInUserSession)
+			) {
+				this.adopt(cachedSession);
+			}
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {CognitoUserSession} session A session refreshed by another tab.
+	 * @returns {void}
+	 */
+	adopt(session) {
+		this.user.signInUserSession = session;
+		this.user.emit('tokenRefreshed', session, { remote: true });
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Runs a task while holding the refresh lock of the user, through the Web
+	 * Locks API when available or else through an expiring storage item.
+	 * Either lock is released once the task releases it, throws, or after
+	 * lockTimeout.
+	 * @param {function} task Called with a function releasing the lock.
+	 * @param {function} onError Called with the error thrown by the task,
+	 *        once the lock is released.
+	 * @returns {void}
+	 */
+	withLock(task, onError) {
+		const run = release => {
+			try {
+				task(release);
+			} catch (err) {
+				release();
+				// Out of the lock callback, where it would be swallowed
+				setTimeout(() => onError(err), 0);
+			}
+		};
+		const withStorageLock = () =>
+			this.acquireStorageLock(() => {
+				let released = false;
+				run(() => {
+					if (!released) {
+						released = true;
+						this.releaseStorageLock();
+					}
+				});
+			});
+
+		if (
+			typeof navigator === 'undefined' ||
+			!navigator.locks ||
+			typeof navigator.locks.request !== 'function'
+		) {
+			withStorageLock();
+			return;
+		}
+
+		let granted = false;
+		navigator.locks
+			.request(this.lockKey, () => {
+				granted = true;
+				return new Promise(release => {
+					// A task that never releases the lock, e.g. a request that
+					// never completes, does not block the other tabs forever
+					const timer = setTimeout(release, this.lockTimeout);
+					run(() => {
+						clearTimeout(timer);
+						release();
+					});
+				});
+			})
+			.catch(() => {
+				// The lock could not be requested, e.g. in an opaque origin
+				if (!granted) {
+					withStorageLock();
+				}
+			});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {function} onAcquired Called once the lock is held by this tab.
+	 * @returns {void}
+	 */
+	acquireStorageLock(onAcquired) {
+		const retry = () =>
+			setTimeout(
+				() => this.acquireStorageLock(onAcquired),
+				LOCK_RETRY_DELAY + Math.floor(Math.random() * LOCK_RETRY_DELAY)
+			);
+
+		this.readLock((errRead, lock) => {
+			if (!errRead && lock && lock.owner !== this.tabId) {
+				return retry();
+			}
+
+			const value = `${this.tabId}|${Date.now() + this.lockTimeout}`;
+			return setItems(this.user.storage, { [this.lockKey]: value }, () =>
+				setTimeout(
+					() =>
+						this.readLock((errCheck, written) => {
+							// On a storage error refresh anyway, as without the lock
+							if (errCheck || (written && written.owner === this.tabId)) {
+								return onAcquired();
+							}
+							return retry();
+						}),
+					LOCK_SETTLE_DELAY
+				)
+			);
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {void}
+	 */
+	releaseStorageLock() {
+		this.readLock((err, lock) => {
+			if (!err && lock && lock.owner === this.tabId) {
+				removeItems(this.user.storage, [this.lockKey]);
+			}
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {nodeCallback<object>} callback Called with the owner of the
+	 *        lock, or null when the lock is free or expired.
+	 * @returns {void}
+	 */
+	readLock(callback) {
+		getItems(this.user.storage, [this.lockKey], (err, values) => {
+			if (err) {
+				return callback(err, null);
+			}
+			const [owner, expiresAt] = `${values[0] || ''}`.split('|');
+			if (!owner || !(parseInt(expiresAt, 10) > Date.now())) {
+				return callback(null, null);
+			}
+			return callback(null, { owner });
+		});
+	}
+}
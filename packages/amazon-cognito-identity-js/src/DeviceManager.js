@@ -0,0 +1,215 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const ASYNC_ITERATOR =
+	typeof Symbol !== 'undefined' && Symbol.asyncIterator
+		? Symbol.asyncIterator
+		: '@@asyncIterator';
+
+/**
+ * @typedef {object} RememberedDevice
+ * @property {string} key The device key.
+ * @property {string} name The device name, e.g. the user agent, if known.
+ * @property {string} lastIp The last IP address the device signed in from.
+ * @property {boolean} remembered True for a remembered device.
+ * @property {Date} createDate When the device was first tracked.
+ * @property {Date} lastModifiedDate When the device was last updated.
+ * @property {Date} lastAuthenticatedDate When the device last signed in.
+ * @property {boolean} isCurrent True for the device of this user object.
+ * @property {object} attributes Every DeviceAttributes entry, by name.
+ */
+
+/**
+ * @param {number} seconds A date of the service, in seconds.
+ * @returns {Date} the date, or null
+ */
+function toDate(seconds) {
+	return typeof seconds === 'number' ? new Date(seconds * 1000) : null;
+}
+
+/** @class */
+export default class DeviceManager {
+	/**
+	 * Constructs a new DeviceManager object, listing and forgetting the
+	 * devices tracked for a signed in user.
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {object=} options Manager options.
+	 * @param {int} options.pageSize Devices requested per ListDevices call
+	 *        (default: 60, the maximum of the service)
+	 */
+	constructor(user, { pageSize = 60 } = {}) {
+		this.user = user;
+		this.pageSize = pageSize;
+	}
+
+	/**
+	 * Parses a device record of ListDevices or GetDevice.
+	 * @param {object} device The DeviceType record.
+	 * @param {string} currentDeviceKey The key of the current device, if any.
+	 * @returns {RememberedDevice} the parsed device
+	 */
+	static parseDevice(device, currentDeviceKey) {
+		const attributes = {};
+		(device.DeviceAttributes || []).forEach(({ Name, Value }) => {
+			attributes[Name] = Value;
+		});
+		return {
+			key: device.DeviceKey,
+			name: attributes.device_name || null,
+			lastIp: attributes.last_ip_used || null,
+			remembered: attributes.device_status === 'remembered',
+			createDate: toDate(device.DeviceCreateDate),
+			lastModifiedDate: toDate(device.DeviceLastModifiedDate),
+			lastAuthenticatedDate: toDate(device.DeviceLastAuthenticatedDate),
+			isCurrent: !!currentDeviceKey && device.DeviceKey === currentDeviceKey,
+			attributes,
+		};
+	}
+
+	/**
+	 * Iterates over every device of the user, requesting the pages as needed:
+	 * `for await (const device of manager.devices()) { ... }`
+	 * @returns {AsyncIterator<RememberedDevice>} the devices
+	 */
+	devices() {
+		let currentDeviceKey = null;
+		let buffer = [];
+		let paginationToken = null;
+		let started = false;
+
+		const next = () => {
+			if (buffer.length > 0) {
+				return Promise.resolve({ value: buffer.shift(), done: false });
+			}
+			if (started && !paginationToken) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+			const deviceKey = started
+				? Promise.resolve(currentDeviceKey)
+				: this.getCurrentDeviceKey();
+			started = true;
+			return deviceKey
+				.then(key => {
+					currentDeviceKey = key;
+					return this.user.listDevicesAsync(this.pageSize, paginationToken);
+				})
+				.then(({ Devices, PaginationToken }) => {
+					buffer = (Devices || []).map(device =>
+						DeviceManager.parseDevice(device, currentDeviceKey)
+					);
+					paginationToken = PaginationToken || null;
+					return next();
+				});
+		};
+
+		return {
+			next,
+			[ASYNC_ITERATOR]() {
+				return this;
+			},
+		};
+	}
+
+	/**
+	 * @returns {Promise<RememberedDevice[]>} every device of the user
+	 */
+	listAll() {
+		const iterator = this.devices();
+		const devices = [];
+		const collect = () =>
+			iterator.next().then(({ value, done }) => {
+				if (done) {
+					return devices;
+				}
+				devices.push(value);
+				return collect();
+			});
+		return collect();
+	}
+
+	/**
+	 * @returns {Promise<RememberedDevice>} the device of this user object, or
+	 *          null when the user signed in without device tracking
+	 */
+	getCurrentDevice() {
+		return this.getCurrentDeviceKey().then(deviceKey => {
+			if (!deviceKey) {
+				return null;
+			}
+			this.user.deviceKey = deviceKey;
+			return this.user
+				.getDeviceAsync()
+				.then(({ Device }) => DeviceManager.parseDevice(Device, deviceKey));
+		});
+	}
+
+	/**
+	 * Forgets a device. Forgetting the current device also removes its key
+	 * from the storage, so the next sign in tracks a new device.
+	 * @param {string} deviceKey The key of the device.
+	 * @returns {Promise<void>} resolved once the device is forgotten
+	 */
+	forget(deviceKey) {
+		return this.getCurrentDeviceKey().then(currentDeviceKey => {
+			if (deviceKey === currentDeviceKey) {
+				this.user.deviceKey = deviceKey;
+				return this.user.forgetDeviceAsync().then(() => undefined);
+			}
+			return this.user
+				.forgetSpecificDeviceAsync(deviceKey)
+				.then(() => undefined);
+		});
+	}
+
+	/**
+	 * Forgets every device but the current one, e.g. after a password change.
+	 * The devices are forgotten one after the other, to stay clear of the
+	 * request rate limits.
+	 * @returns {Promise<string[]>} the keys of the forgotten devices
+	 */
+	forgetAllOtherDevices() {
+		return this.listAll().then(devices => {
+			const others = devices
+				.filter(device => !device.isCurrent)
+				.map(device => device.key);
+			return others
+				.reduce(
+					(previous, deviceKey) =>
+						previous.then(() => this.user.forgetSpecificDeviceAsync(deviceKey)),
+					Promise.resolve()
+				)
+				.then(() => others);
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {Promise<string>} the key of the current device, from the user
+	 *          object or its storage, or null
+	 */
+	getCurrentDeviceKey() {
+		if (this.user.deviceKey) {
+			return Promise.resolve(this.user.deviceKey);
+		}
+		return new Promise((resolve, reject) =>
+			this.user.getCachedDeviceKey((err, deviceKey) =>
+				err ? reject(err) : resolve(deviceKey || null)
+			)
+		);
+	}
+}
@@ -0,0 +1,359 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Buffer } from 'buffer';
+import nativeCrypto from './utils/nativeCrypto';
+
+const VALUE_PREFIX = 'enc.v1:';
+const DEFAULT_SALT = 'amazon-cognito-identity-js';
+const DEFAULT_ITERATIONS = 100000;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * @typedef {object} EncryptionKey
+ * @property {string} id Identifier stored next to every value encrypted with the key.
+ * @property {string|Uint8Array|CryptoKey} secret Secret the AES key is derived from,
+ *           or an AES-GCM CryptoKey used as is (WebCrypto only).
+ */
+
+/**
+ * @callback tamperCallback
+ * @param {string} key The storage key of the rejected value.
+ * @param {Error} error Why the value was rejected.
+ */
+
+/**
+ * @param {string|Uint8Array} value A string or bytes.
+ * @returns {Uint8Array} the utf8 bytes of a string, or the bytes as is
+ */
+function toBytes(value) {
+	return typeof value === 'string' ? Buffer.from(value, 'utf8') : value;
+}
+
+/**
+ * AES-256-GCM through the WebCrypto API (browsers, NodeJS 15+).
+ * @param {object} webCrypto The WebCrypto implementation.
+ * @returns {object} the crypto backend
+ */
+function webCryptoBackend(webCrypto) {
+	const { subtle } = webCrypto;
+	return {
+		randomBytes: length => webCrypto.getRandomValues(new Uint8Array(length)),
+		deriveKey: (secret, salt, iterations) => {
+			if (typeof secret !== 'string' && !ArrayBuffer.isView(secret)) {
+				return Promise.resolve(secret);
+			}
+			return subtle
+				.importKey('raw', toBytes(secret), 'PBKDF2', false, ['deriveKey'])
+				.then(baseKey =>
+					subtle.deriveKey(
+						{
+							name: 'PBKDF2',
+							salt: toBytes(salt),
+							iterations,
+							hash: 'SHA-256',
+						},
+						baseKey,
+						{ name: 'AES-GCM', length: 256 },
+						false,
+						['encrypt', 'decrypt']
+					)
+				);
+		},
+		encrypt: (key, iv, data, additionalData) =>
+			subtle
+				.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data)
+				.then(result => new Uint8Array(result)),
+		decrypt: (key, iv, data, additionalData) =>
+			subtle
+				.decrypt({ name: 'AES-GCM', iv, additionalData }, key, data)
+				.then(result => new Uint8Array(result)),
+	};
+}
+
+/**
+ * AES-256-GCM through the NodeJS crypto module. The authentication tag is
+ * appended to the cipher text, as WebCrypto does, so values written by one
+ * backend can be read by the other.
+ * @param {object} crypto The NodeJS crypto module.
+ * @returns {object} the crypto backend
+ */
+function nodeCryptoBackend(crypto) {
+	return {
+		randomBytes: length => crypto.randomBytes(length),
+		deriveKey: (secret, salt, iterations) =>
+			new Promise((resolve, reject) =>
+				crypto.pbkdf2(
+					toBytes(secret),
+					toBytes(salt),
+					iterations,
+					32,
+					'sha256',
+					(err, key) => (err ? reject(err) : resolve(key))
+				)
+			),
+		encrypt: (key, iv, data, additionalData) =>
+			new Promise(resolve => {
+				const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+				cipher.setAAD(additionalData);
+				const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+				resolve(Buffer.concat([encrypted, cipher.getAuthTag()]));
+			}),
+		decrypt: (key, iv, data, additionalData) =>
+			new Promise(resolve => {
+				const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+				decipher.setAAD(additionalData);
+				decipher.setAuthTag(data.slice(data.length - TAG_LENGTH));
+				resolve(
+					Buffer.concat([
+						decipher.update(data.slice(0, data.length - TAG_LENGTH)),
+						decipher.final(),
+					])
+				);
+			}),
+	};
+}
+
+/**
+ * @param {object} crypto A WebCrypto implementation or the NodeJS crypto module.
+ * @returns {object} the crypto backend, or null if none is usable
+ */
+function selectBackend(crypto) {
+	if (!crypto) {
+		return null;
+	}
+	if (crypto.subtle && typeof crypto.getRandomValues === 'function') {
+		return webCryptoBackend(crypto);
+	}
+	if (crypto.webcrypto && crypto.webcrypto.subtle) {
+		return webCryptoBackend(crypto.webcrypto);
+	}
+	if (typeof crypto.createCipheriv === 'function') {
+		return nodeCryptoBackend(crypto);
+	}
+	return null;
+}
+
+/** @class */
+export default class EncryptedStorage {
+	/**
+	 * Constructs a new EncryptedStorage object, a storage encrypting with
+	 * AES-GCM the values it writes into another storage.
+	 * @param {object} data Creation options.
+	 * @param {object} data.storage The storage receiving the encrypted values (mandatory).
+	 * @param {EncryptionKey[]} data.keys Encryption keys (mandatory). The first one
+	 *        encrypts new values, the others only decrypt values written before a
+	 *        key rotation.
+	 * @param {string} data.salt Salt of the key derivation (default: 'amazon-cognito-identity-js')
+	 * @param {integer} data.iterations PBKDF2 iterations of the key derivation (default: 100000)
+	 * @param {boolean} data.allowPlaintext Accept and encrypt the values written
+	 *        before the storage was encrypted (default: false)
+	 * @param {tamperCallback} data.onTamper Called when a value is rejected.
+	 * @param {object} data.crypto WebCrypto implementation or NodeJS crypto module
+	 *        (default: the native one)
+	 */
+	constructor(data) {
+		const {
+			storage,
+			keys,
+			salt = DEFAULT_SALT,
+			iterations = DEFAULT_ITERATIONS,
+			allowPlaintext = false,
+			onTamper,
+			crypto = nativeCrypto,
+		} = data || {};
+		if (!storage) {
+			throw new Error('The storage of EncryptedStorage can not be undefined.');
+		}
+		if (!Array.isArray(keys) || keys.length === 0) {
+			throw new Error('EncryptedStorage requires at least one encryption key.');
+		}
+		keys.forEach(({ id, secret }, index) => {
+			if (!id || id.indexOf(':') !== -1) {
+				throw new Error('Encryption key ids must be non empty without ":".');
+			}
+			if (!secret) {
+				throw new Error(`The secret of the encryption key ${id} is missing.`);
+			}
+			if (keys.findIndex(key => key.id === id) !== index) {
+				throw new Error(`The encryption key id ${id} is used twice.`);
+			}
+		});
+
+		this.backend = selectBackend(crypto);
+		if (!this.backend) {
+			throw new Error(
+				'Native crypto module could not be used to encrypt the storage.'
+			);
+		}
+
+		this.storage = storage;
+		this.keys = keys;
+		this.salt = salt;
+		this.iterations = iterations;
+		this.allowPlaintext = allowPlaintext;
+		this.onTamper = onTamper;
+		this.cryptoKeys = {};
+	}
+
+	/**
+	 * This is used to encrypt and set a specific item in storage
+	 * @param {string} key - the key for the item
+	 * @param {string} value - the value
+	 * @returns {Promise} resolved once the item is written
+	 */
+	setItem(key, value) {
+		const encryptionKey = this.keys[0];
+		const iv = this.backend.randomBytes(IV_LENGTH);
+
+		return this.getCryptoKey(encryptionKey)
+			.then(cryptoKey =>
+				this.backend.encrypt(cryptoKey, iv, toBytes(`${value}`), toBytes(key))
+			)
+			.then(encrypted =>
+				this.storage.setItem(
+					key,
+					`${VALUE_PREFIX}${encryptionKey.id}:${Buffer.from(iv).toString(
+						'base64'
+					)}:${Buffer.from(encrypted).toString('base64')}`
+				)
+			);
+	}
+
+	/**
+	 * This is used to get and decrypt a specific key from storage. Values
+	 * encrypted with an older key are encrypted again with the current one.
+	 * A value that can not be decrypted is removed and read as null.
+	 * @param {string} key - the key for the item
+	 * @returns {Promise<string>} the data item
+	 */
+	getItem(key) {
+		return Promise.resolve(this.storage.getItem(key)).then(stored => {
+			if (stored === null || stored === undefined) {
+				return null;
+			}
+
+			if (stored.indexOf(VALUE_PREFIX) !== 0) {
+				if (this.allowPlaintext) {
+					return this.setItem(key, stored).then(() => stored);
+				}
+				return this.rejectValue(
+					key,
+					new Error(`The value of ${key} is not encrypted.`)
+				);
+			}
+
+			const [keyId, iv, encrypted] = stored
+				.slice(VALUE_PREFIX.length)
+				.split(':')
+				.map((part, index) =>
+					index === 0 ? part : Buffer.from(part, 'base64')
+				);
+			if (
+				!iv ||
+				!encrypted ||
+				iv.length !== IV_LENGTH ||
+				encrypted.length < TAG_LENGTH
+			) {
+				return this.rejectValue(
+					key,
+					new Error(`The value of ${key} is malformed.`)
+				);
+			}
+
+			const encryptionKey = this.keys.find(({ id }) => id === keyId);
+			if (!encryptionKey) {
+				return this.rejectValue(
+					key,
+					new Error(`The value of ${key} uses the unknown key ${keyId}.`)
+				);
+			}
+
+			return this.getCryptoKey(encryptionKey).then(cryptoKey =>
+				this.backend.decrypt(cryptoKey, iv, encrypted, toBytes(key)).then(
+					decrypted => {
+						const value = Buffer.from(decrypted).toString('utf8');
+						if (encryptionKey !== this.keys[0]) {
+							return this.setItem(key, value).then(() => value);
+						}
+						return value;
+					},
+					() =>
+						this.rejectValue(
+							key,
+							new Error(`The value of ${key} failed its integrity check.`)
+						)
+				)
+			);
+		});
+	}
+
+	/**
+	 * This is used to remove an item from storage
+	 * @param {string} key - the key being removed
+	 * @returns {Promise} resolved once the item is removed
+	 */
+	removeItem(key) {
+		return Promise.resolve(this.storage.removeItem(key));
+	}
+
+	/**
+	 * This is used to clear the storage
+	 * @returns {Promise} resolved once the storage is cleared
+	 */
+	clear() {
+		return Promise.resolve(
+			typeof this.storage.clear === 'function'
+				? this.storage.clear()
+				: undefined
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {EncryptionKey} encryptionKey The key to derive.
+	 * @returns {Promise<object>} the derived AES key, computed once per key
+	 */
+	getCryptoKey(encryptionKey) {
+		const { id, secret } = encryptionKey;
+		if (!this.cryptoKeys[id]) {
+			this.cryptoKeys[id] = this.backend
+				.deriveKey(secret, this.salt, this.iterations)
+				.catch(err => {
+					delete this.cryptoKeys[id];
+					throw err;
+				});
+		}
+		return this.cryptoKeys[id];
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} key The storage key of the rejected value.
+	 * @param {Error} error Why the value was rejected.
+	 * @returns {Promise<null>} null once the value is removed
+	 */
+	rejectValue(key, error) {
+		if (this.onTamper) {
+			this.onTamper(key, error);
+		}
+		return this.removeItem(key).then(() => null);
+	}
+}
@@ -0,0 +1,68 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @class */
+export default class MemorySessionStore {
+	/**
+	 * Constructs a new MemorySessionStore object, keeping server sessions in
+	 * the memory of the process. It implements the store interface of
+	 * ServerSessionManager, whose methods mirror the GET, SET with expiry and
+	 * DEL commands of Redis, and is meant for tests and single process servers.
+	 */
+	constructor() {
+		this.entries = {};
+	}
+
+	/**
+	 * @param {string} key The session id.
+	 * @returns {Promise<string>} the stored value, or null when it is missing
+	 *          or expired
+	 */
+	get(key) {
+		const entry = Object.prototype.hasOwnProperty.call(this.entries, key)
+			? this.entries[key]
+			: null;
+		if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+			delete this.entries[key];
+			return Promise.resolve(null);
+		}
+		return Promise.resolve(entry ? entry.value : null);
+	}
+
+	/**
+	 * @param {string} key The session id.
+	 * @param {string} value The value to store.
+	 * @param {int=} ttl Optional number of seconds after which the value expires.
+	 * @returns {Promise<void>} resolved once the value is stored
+	 */
+	set(key, value, ttl) {
+		this.entries[key] = {
+			value,
+			expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+		};
+		return Promise.resolve();
+	}
+
+	/**
+	 * @param {string} key The session id.
+	 * @returns {Promise<void>} resolved once the value is removed
+	 */
+	del(key) {
+		delete this.entries[key];
+		return Promise.resolve();
+	}
+}
@@ -0,0 +1,114 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @typedef {object} PasskeyCredential
+ * @property {string} id The credential id, base64url encoded.
+ * @property {string} publicKey The SubjectPublicKeyInfo of the credential,
+ *           base64url encoded.
+ * @property {int} algorithm The COSE algorithm of the key, e.g. -7 for ES256.
+ * @property {string[]} transports How the authenticator is reached, if known.
+ * @property {string} name A name chosen by the user, if any.
+ * @property {int} createdAt The registration time, in milliseconds.
+ */
+
+/** @class */
+export default class PasskeyAttributeStore {
+	/**
+	 * Constructs a new PasskeyAttributeStore object, keeping the passkeys of a
+	 * user as a JSON array in one of its custom attributes, where the Create
+	 * and Verify Auth Challenge triggers can read them. An attribute holds at
+	 * most 2048 characters, about eight passkeys.
+	 * The attribute has to be writable by the app client, so anyone holding
+	 * an access token of the user, e.g. through XSS, can add a passkey of
+	 * their own as a second factor. Use it only where that is acceptable, e.g.
+	 * in development; otherwise make the attribute read-only for the app
+	 * client and pass PasskeyAuth a store whose add and remove call a backend
+	 * verifying the registration.
+	 * @param {object=} options Store options.
+	 * @param {string} options.attributeName The custom attribute, writable by
+	 *        the app client (default: custom:passkeys)
+	 */
+	constructor({ attributeName = 'custom:passkeys' } = {}) {
+		this.attributeName = attributeName;
+	}
+
+	/**
+	 * @param {CognitoUser} user A signed in user.
+	 * @returns {Promise<PasskeyCredential[]>} the passkeys of the user
+	 */
+	list(user) {
+		return user.getUserAttributesAsync().then(attributes => {
+			const attribute = attributes.find(
+				candidate => candidate.getName() === this.attributeName
+			);
+			if (!attribute) {
+				return [];
+			}
+			try {
+				return JSON.parse(attribute.getValue());
+			} catch (err) {
+				return [];
+			}
+		});
+	}
+
+	/**
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {PasskeyCredential} credential The passkey to add.
+	 * @returns {Promise<void>} resolved once the passkey is stored
+	 */
+	add(user, credential) {
+		return this.list(user).then(credentials =>
+			this.write(
+				user,
+				credentials
+					.filter(candidate => candidate.id !== credential.id)
+					.concat(credential)
+			)
+		);
+	}
+
+	/**
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {string} credentialId The id of the passkey to remove.
+	 * @returns {Promise<void>} resolved once the passkey is removed
+	 */
+	remove(user, credentialId) {
+		return this.list(user).then(credentials =>
+			this.write(
+				user,
+				credentials.filter(candidate => candidate.id !== credentialId)
+			)
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {PasskeyCredential[]} credentials The passkeys to keep.
+	 * @returns {Promise<void>} resolved once the attribute is updated
+	 */
+	write(user, credentials) {
+		return user
+			.updateAttributesAsync([
+				{ Name: this.attributeName, Value: JSON.stringify(credentials) },
+			])
+			.then(() => undefined);
+	}
+}
@@ -0,0 +1,329 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Buffer } from 'buffer';
+
+import {
+	InvalidParameterError,
+	UserNotAuthenticatedError,
+} from './CognitoError';
+import CognitoUser from './CognitoUser';
+import WordArray from './utils/WordArray';
+
+// ES256 and RS256, the algorithms every authenticator supports
+const PUBLIC_KEY_ALGORITHMS = [-7, -257];
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} bytes Binary data.
+ * @returns {string} the base64url encoding of the data, without padding
+ */
+function toBase64Url(bytes) {
+	const buffer = ArrayBuffer.isView(bytes)
+		? Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+		: Buffer.from(bytes);
+	return buffer
+		.toString('base64')
+		.replace(/=+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+}
+
+/**
+ * @param {string} value A base64url string.
+ * @returns {Uint8Array} the decoded bytes
+ */
+function fromBase64Url(value) {
+	return new Uint8Array(
+		Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+	);
+}
+
+/**
+ * @param {object} user A CognitoUser with a valid session.
+ * @returns {Promise<void>} rejected when the user is not signed in
+ */
+function requireSession(user) {
+	const session = user && user.getSignInUserSession();
+	if (!session || !session.isValid()) {
+		return Promise.reject(
+			new UserNotAuthenticatedError('User is not authenticated')
+		);
+	}
+	return Promise.resolve();
+}
+
+/** @class */
+export default class PasskeyAuth {
+	/**
+	 * Constructs a new PasskeyAuth object, using passkeys (WebAuthn credentials)
+	 * as the second factor of a CUSTOM_AUTH sign in: the password is proven
+	 * with SRP, then the CUSTOM_CHALLENGE created by the CreateAuthChallenge
+	 * trigger is answered with an assertion of the authenticator, which the
+	 * VerifyAuthChallengeResponse trigger checks against the stored public key.
+	 * @param {object} data Creation options.
+	 * @param {CognitoUserPool} data.Pool The user pool.
+	 * @param {string} data.rpId The relying party id, the domain of the app
+	 *        (default: the domain of the page)
+	 * @param {string} data.rpName The name of the app shown by the authenticator.
+	 * @param {object} data.credentials The WebAuthn API
+	 *        (default: navigator.credentials)
+	 * @param {object} data.store Keeps the public keys of the passkeys, with
+	 *        the methods of PasskeyAttributeStore. The registration challenge
+	 *        is created here and attestation is not checked, so whoever holds
+	 *        an access token of the user can add a passkey through a store
+	 *        the app client writes: the stored keys must be read-only for the
+	 *        app client, with add and remove calling a backend that verifies
+	 *        the registration.
+	 * @param {int} data.timeout Milliseconds the authenticator waits for the
+	 *        user (default: 60000)
+	 * @param {string} data.userVerification required, preferred or discouraged
+	 *        (default: preferred)
+	 */
+	constructor(data) {
+		const {
+			Pool,
+			rpId,
+			rpName,
+			credentials,
+			store,
+			timeout = 60000,
+			userVerification = 'preferred',
+		} = data || {};
+		if (!Pool || !rpName) {
+			throw new Error('Both Pool and rpName are required.');
+		}
+		if (!store) {
+			throw new Error('A store of the passkeys is required.');
+		}
+
+		this.pool = Pool;
+		this.rpId = rpId;
+		this.rpName = rpName;
+		this.credentials =
+			credentials ||
+			(typeof navigator !== 'undefined' && navigator.credentials) ||
+			null;
+		this.store = store;
+		this.timeout = timeout;
+		this.userVerification = userVerification;
+	}
+
+	/**
+	 * Registers a new passkey for a signed in user: the authenticator creates
+	 * a credential and its public key is added to the store.
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {object=} options Registration options.
+	 * @param {string} options.name A name for the passkey, e.g. "Work laptop".
+	 * @param {string} options.displayName The name of the user shown by the
+	 *        authenticator (default: the username)
+	 * @returns {Promise<PasskeyCredential>} the stored passkey
+	 */
+	register(user, options = {}) {
+		return requireSession(user)
+			.then(() => this.store.list(user))
+			.then(existing => {
+				const payload = user
+					.getSignInUserSession()
+					.getIdToken()
+					.decodePayload();
+				// Attestation is not checked, the challenge only has to be unique
+				const publicKey = {
+					challenge: new Uint8Array(
+						Buffer.from(new WordArray().random(32).toString(), 'hex')
+					),
+					rp: this.rpId
+						? { id: this.rpId, name: this.rpName }
+						: { name: this.rpName },
+					user: {
+						id: new Uint8Array(Buffer.from(payload.sub, 'utf8')),
+						name: user.getUsername(),
+						displayName: options.displayName || user.getUsername(),
+					},
+					pubKeyCredParams: PUBLIC_KEY_ALGORITHMS.map(alg => ({
+						type: 'public-key',
+						alg,
+					})),
+					excludeCredentials: existing.map(credential => ({
+						type: 'public-key',
+						id: fromBase64Url(credential.id),
+					})),
+					authenticatorSelection: {
+						residentKey: 'preferred',
+						userVerification: this.userVerification,
+					},
+					attestation: 'none',
+					timeout: this.timeout,
+				};
+				return this.getCredentials().create({ publicKey });
+			})
+			.then(credential => {
+				const { response } = credential;
+				if (typeof response.getPublicKey !== 'function') {
+					throw new InvalidParameterError(
+						'The authenticator did not return its public key.'
+					);
+				}
+				const passkey = {
+					id: toBase64Url(credential.rawId),
+					publicKey: toBase64Url(response.getPublicKey()),
+					algorithm: response.getPublicKeyAlgorithm(),
+					transports:
+						typeof response.getTransports === 'function'
+							? response.getTransports()
+							: [],
+					createdAt: Date.now(),
+				};
+				if (options.name) {
+					passkey.name = options.name;
+				}
+				return this.store.add(user, passkey).then(() => passkey);
+			});
+	}
+
+	/**
+	 * @param {CognitoUser} user A signed in user.
+	 * @returns {Promise<PasskeyCredential[]>} the passkeys of the user
+	 */
+	listPasskeys(user) {
+		return requireSession(user).then(() => this.store.list(user));
+	}
+
+	/**
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {string} credentialId The id of the passkey to remove.
+	 * @returns {Promise<void>} resolved once the passkey is removed
+	 */
+	removePasskey(user, credentialId) {
+		return requireSession(user).then(() =>
+			this.store.remove(user, credentialId)
+		);
+	}
+
+	/**
+	 * Signs a user in with the password and a passkey.
+	 * @param {AuthenticationDetails} authDetails The username and the password.
+	 * @param {ClientMetadata} clientMetadata Optional ClientMetadata sent with
+	 *        the passkey assertion.
+	 * @returns {Promise<AuthResult>} the new session or the next challenge,
+	 *          with the user signing in
+	 */
+	authenticateUser(authDetails, clientMetadata) {
+		const user = new CognitoUser({
+			Username: authDetails.getUsername(),
+			Pool: this.pool,
+			Storage: this.pool.storage,
+		});
+		user.setAuthenticationFlowType('CUSTOM_AUTH');
+		return user
+			.authenticateUserAsync(authDetails)
+			.then(result =>
+				result.type === 'customChallenge' &&
+				this.isPasskeyChallenge(result.challengeParameters)
+					? this.answerChallenge(
+							user,
+							result.challengeParameters,
+							clientMetadata
+					  )
+					: result
+			)
+			.then(result => Object.assign({ user }, result));
+	}
+
+	/**
+	 * @param {object} challengeParameters The parameters of a CUSTOM_CHALLENGE.
+	 * @returns {boolean} true if the challenge asks for a passkey assertion
+	 */
+	isPasskeyChallenge(challengeParameters) {
+		return (
+			!!challengeParameters &&
+			challengeParameters.type === 'PASSKEY' &&
+			!!challengeParameters.challenge
+		);
+	}
+
+	/**
+	 * Answers a passkey challenge with an assertion of the authenticator. The
+	 * challenge parameters set by CreateAuthChallenge are: type "PASSKEY",
+	 * challenge (base64url), and optionally allowCredentials (a JSON array of
+	 * base64url credential ids), rpId, timeout and userVerification.
+	 * @param {CognitoUser} user The user signing in.
+	 * @param {object} challengeParameters The parameters of the CUSTOM_CHALLENGE.
+	 * @param {ClientMetadata} clientMetadata Optional ClientMetadata.
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	answerChallenge(user, challengeParameters, clientMetadata) {
+		if (!this.isPasskeyChallenge(challengeParameters)) {
+			return Promise.reject(
+				new InvalidParameterError('The challenge is not a passkey challenge.')
+			);
+		}
+		const {
+			challenge,
+			allowCredentials,
+			rpId,
+			timeout,
+			userVerification,
+		} = challengeParameters;
+
+		return Promise.resolve()
+			.then(() => {
+				const publicKey = {
+					challenge: fromBase64Url(challenge),
+					allowCredentials: JSON.parse(allowCredentials || '[]').map(id => ({
+						type: 'public-key',
+						id: fromBase64Url(id),
+					})),
+					userVerification: userVerification || this.userVerification,
+					timeout: timeout ? Number(timeout) : this.timeout,
+				};
+				if (rpId || this.rpId) {
+					publicKey.rpId = rpId || this.rpId;
+				}
+				return this.getCredentials().get({ publicKey });
+			})
+			.then(credential => {
+				const { response } = credential;
+				const answer = {
+					id: toBase64Url(credential.rawId),
+					clientDataJSON: toBase64Url(response.clientDataJSON),
+					authenticatorData: toBase64Url(response.authenticatorData),
+					signature: toBase64Url(response.signature),
+				};
+				if (response.userHandle) {
+					answer.userHandle = toBase64Url(response.userHandle);
+				}
+				return user.sendCustomChallengeAnswerAsync(
+					JSON.stringify(answer),
+					clientMetadata
+				);
+			});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {object} the WebAuthn API
+	 */
+	getCredentials() {
+		if (!this.credentials) {
+			throw new InvalidParameterError(
+				'WebAuthn is not available in this environment.'
+			);
+		}
+		return this.credentials;
+	}
+}
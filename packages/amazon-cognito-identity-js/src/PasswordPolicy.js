@@ -0,0 +1,326 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { InvalidPasswordError } from './CognitoError';
+
+// The special characters counted as symbols by the user pool, space included
+const SYMBOLS = '^$*.[]{}()?"!@#%&/\\,><\':;|_~`=+- ';
+
+const MAXIMUM_LENGTH = 256;
+
+// Passwords and words found first by guessing attacks
+const COMMON_WORDS = [
+	'password',
+	'passw0rd',
+	'qwerty',
+	'azerty',
+	'letmein',
+	'welcome',
+	'admin',
+	'login',
+	'iloveyou',
+	'monkey',
+	'dragon',
+	'master',
+	'sunshine',
+	'football',
+	'baseball',
+	'princess',
+	'shadow',
+	'secret',
+];
+
+const SEQUENCES = [
+	'abcdefghijklmnopqrstuvwxyz',
+	'0123456789',
+	'qwertyuiop',
+	'asdfghjkl',
+	'zxcvbnm',
+];
+
+/**
+ * @param {string} password A password.
+ * @returns {int} the number of characters of the password, counting the
+ *          characters outside of the BMP once
+ */
+function countCharacters(password) {
+	return password.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+}
+
+/**
+ * @param {string} characters Three characters.
+ * @returns {string|undefined} the sequence containing the characters, if any
+ */
+function findSequence(characters) {
+	return characters.length === 3
+		? SEQUENCES.find(sequence => sequence.indexOf(characters) !== -1)
+		: undefined;
+}
+
+/**
+ * @param {string} password A password.
+ * @returns {int} the length of the runs of repeated characters and of
+ *          keyboard or alphabet sequences of 3 characters or more
+ */
+function countPredictable(password) {
+	const lower = password.toLowerCase();
+	let predictable = 0;
+	let i = 0;
+	while (i < lower.length) {
+		let length = 1;
+		while (
+			i + length < lower.length &&
+			lower[i + length] === lower[i + length - 1]
+		) {
+			length++;
+		}
+		if (length < 3) {
+			length = 1;
+			const sequence = findSequence(lower.slice(i, i + 3));
+			if (sequence) {
+				length = 3;
+				while (
+					i + length < lower.length &&
+					sequence.indexOf(lower.slice(i, i + length + 1)) !== -1
+				) {
+					length++;
+				}
+			}
+		}
+		if (length >= 3) {
+			predictable += length;
+		}
+		i += length;
+	}
+	return predictable;
+}
+
+/**
+ * @typedef {object} PasswordRuleResult
+ * @property {string} rule The rule: minimumLength, maximumLength,
+ *           requireLowercase, requireUppercase, requireNumbers,
+ *           requireSymbols or noSurroundingSpaces.
+ * @property {boolean} passed If the password follows the rule.
+ * @property {string} message The message of the user pool for the rule.
+ */
+
+/**
+ * @typedef {object} PasswordStrength
+ * @property {int} score From 0 (guessed at once) to 4 (strong).
+ * @property {int} entropy The estimated entropy, in bits.
+ * @property {string[]} suggestions How to make the password stronger.
+ */
+
+/** @class */
+export default class PasswordPolicy {
+	/**
+	 * Reads a password policy from a JSON descriptor: the response of
+	 * DescribeUserPool, its Policies or PasswordPolicy, as written by the CLI
+	 * or CloudFormation, or the passwordProtectionSettings of an Amplify
+	 * configuration.
+	 * @param {string|object} descriptor The descriptor, parsed or not.
+	 * @returns {PasswordPolicy} the policy of the descriptor
+	 */
+	static fromJSON(descriptor) {
+		const json =
+			typeof descriptor === 'string' ? JSON.parse(descriptor) : descriptor;
+		const root = (json && json.UserPool) || json || {};
+		const policy =
+			(root.Policies && root.Policies.PasswordPolicy) ||
+			root.PasswordPolicy ||
+			root;
+		if (root.passwordProtectionSettings || root.passwordPolicyMinLength) {
+			const settings = root.passwordProtectionSettings || root;
+			const characters = settings.passwordPolicyCharacters || [];
+			return new PasswordPolicy({
+				minimumLength: Number(settings.passwordPolicyMinLength) || 8,
+				requireLowercase: characters.indexOf('REQUIRES_LOWERCASE') !== -1,
+				requireUppercase: characters.indexOf('REQUIRES_UPPERCASE') !== -1,
+				requireNumbers: characters.indexOf('REQUIRES_NUMBERS') !== -1,
+				requireSymbols: characters.indexOf('REQUIRES_SYMBOLS') !== -1,
+			});
+		}
+		if (policy.MinimumLength === undefined) {
+			throw new Error('The descriptor has no password policy.');
+		}
+		return new PasswordPolicy({
+			minimumLength: policy.MinimumLength,
+			requireLowercase: !!policy.RequireLowercase,
+			requireUppercase: !!policy.RequireUppercase,
+			requireNumbers: !!policy.RequireNumbers,
+			requireSymbols: !!policy.RequireSymbols,
+		});
+	}
+
+	/**
+	 * Constructs a new PasswordPolicy object, checking passwords against the
+	 * password policy of the user pool before they are sent. The defaults
+	 * are those of a new user pool.
+	 * @param {object=} options The password policy of the user pool.
+	 * @param {int} options.minimumLength The minimum number of characters
+	 *        (default: 8)
+	 * @param {boolean} options.requireLowercase (default: true)
+	 * @param {boolean} options.requireUppercase (default: true)
+	 * @param {boolean} options.requireNumbers (default: true)
+	 * @param {boolean} options.requireSymbols (default: true)
+	 */
+	constructor({
+		minimumLength = 8,
+		requireLowercase = true,
+		requireUppercase = true,
+		requireNumbers = true,
+		requireSymbols = true,
+	} = {}) {
+		this.minimumLength = minimumLength;
+		this.requireLowercase = requireLowercase;
+		this.requireUppercase = requireUppercase;
+		this.requireNumbers = requireNumbers;
+		this.requireSymbols = requireSymbols;
+	}
+
+	/**
+	 * Checks a password against each rule of the policy, e.g. to show which
+	 * rules are met while the user types.
+	 * @param {string} password The password to check.
+	 * @returns {{valid: boolean, rules: PasswordRuleResult[]}} the results
+	 */
+	validate(password) {
+		const value = password || '';
+		const characters = value.split('');
+		const length = countCharacters(value);
+		const rules = [
+			[
+				'minimumLength',
+				length >= this.minimumLength,
+				'Password not long enough',
+			],
+			['maximumLength', length <= MAXIMUM_LENGTH, 'Password is too long'],
+		];
+		if (this.requireLowercase) {
+			rules.push([
+				'requireLowercase',
+				/[a-z]/.test(value),
+				'Password must have lowercase characters',
+			]);
+		}
+		if (this.requireUppercase) {
+			rules.push([
+				'requireUppercase',
+				/[A-Z]/.test(value),
+				'Password must have uppercase characters',
+			]);
+		}
+		if (this.requireNumbers) {
+			rules.push([
+				'requireNumbers',
+				/[0-9]/.test(value),
+				'Password must have numeric characters',
+			]);
+		}
+		if (this.requireSymbols) {
+			rules.push([
+				'requireSymbols',
+				characters.some(character => SYMBOLS.indexOf(character) !== -1),
+				'Password must have symbol characters',
+			]);
+		}
+		rules.push([
+			'noSurroundingSpaces',
+			value.trim() === value,
+			'Password can not begin or end with a space',
+		]);
+
+		const results = rules.map(([rule, passed, message]) => ({
+			rule,
+			passed,
+			message,
+		}));
+		return {
+			valid: results.every(result => result.passed),
+			rules: results,
+		};
+	}
+
+	/**
+	 * @param {string} password The password to check.
+	 * @returns {InvalidPasswordError|null} the error the user pool would
+	 *          return for the password, with the broken rules in its rules
+	 *          property, or null if the password follows the policy
+	 */
+	check(password) {
+		const broken = this.validate(password).rules.filter(
+			result => !result.passed
+		);
+		if (broken.length === 0) {
+			return null;
+		}
+		const error = new InvalidPasswordError(
+			`Password did not conform with policy: ${broken[0].message}`
+		);
+		error.rules = broken;
+		return error;
+	}
+
+	/**
+	 * Estimates the strength of a password from the characters it uses, less
+	 * its repeated characters, sequences and common words. The estimate is
+	 * rough and independent of the policy, meant for a strength meter.
+	 * @param {string} password The password to estimate.
+	 * @returns {PasswordStrength} the strength of the password
+	 */
+	estimateStrength(password) {
+		const value = password || '';
+		const classes = [
+			[/[a-z]/, 26, 'Add lowercase letters'],
+			[/[A-Z]/, 26, 'Add uppercase letters'],
+			[/[0-9]/, 10, 'Add numbers'],
+			[/[^a-zA-Z0-9]/, 33, 'Add symbols'],
+		];
+		const used = classes.filter(([pattern]) => pattern.test(value));
+		const poolSize = used.reduce((size, [, count]) => size + count, 0);
+		const suggestions = classes
+			.filter(candidate => used.indexOf(candidate) === -1)
+			.map(([, , suggestion]) => suggestion);
+
+		let guessable = countPredictable(value);
+		if (guessable > 0) {
+			suggestions.push('Avoid repeated characters and sequences');
+		}
+		const lower = value.toLowerCase();
+		COMMON_WORDS.forEach(word => {
+			if (lower.indexOf(word) !== -1) {
+				guessable += word.length;
+				suggestions.push(`Avoid common words such as "${word}"`);
+			}
+		});
+
+		// Predictable characters count as one guess each
+		const length = countCharacters(value);
+		const random = Math.max(0, length - guessable);
+		const entropy = Math.round(
+			poolSize > 0
+				? (random * Math.log(poolSize)) / Math.LN2 + Math.min(guessable, length)
+				: 0
+		);
+		if (length < 12) {
+			suggestions.push('Use 12 characters or more');
+		}
+		const score = [28, 36, 60, 80].filter(threshold => entropy >= threshold)
+			.length;
+		return { score, entropy, suggestions };
+	}
+}
@@ -0,0 +1,413 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Buffer } from 'buffer';
+
+import AuthenticationDetails from './AuthenticationDetails';
+import {
+	InvalidParameterError,
+	LimitExceededError,
+	TooManyFailedAttemptsError,
+} from './CognitoError';
+import CognitoUser from './CognitoUser';
+import EventEmitter from './utils/EventEmitter';
+
+const METHODS = ['EMAIL_OTP', 'SMS_OTP', 'MAGIC_LINK'];
+
+/**
+ * @typedef {object} PasswordlessContext
+ * @property {string} method EMAIL_OTP, SMS_OTP or MAGIC_LINK.
+ * @property {string} action start, resend, answer or link.
+ * @property {string} redirectUri The page the magic link opens, if any.
+ */
+
+/**
+ * @typedef {object} PasswordlessChallenge
+ * @property {string} destination The masked email address or phone number
+ *           the code or link was sent to, if known.
+ * @property {string} deliveryMedium EMAIL or SMS, if known.
+ * @property {int} attemptsLeft The answers the triggers still accept, if known.
+ */
+
+/**
+ * @typedef {object} PasswordlessConventions
+ * @property {function(PasswordlessContext): object} getClientMetadata
+ *           Builds the ClientMetadata the Lambda triggers receive.
+ * @property {function(object): PasswordlessChallenge} parseChallenge
+ *           Reads the public challenge parameters set by CreateAuthChallenge.
+ * @property {function(string): string} formatAnswer Builds the ANSWER checked
+ *           by VerifyAuthChallengeResponse from a code or a link secret.
+ * @property {function(string): ?{username: string, answer: string}}
+ *           parseMagicLink Reads the username and the secret of a magic link
+ *           URL, null if the URL is not a magic link.
+ */
+
+/**
+ * @param {string} value A base64url string.
+ * @returns {object} the JSON it encodes, or null
+ */
+function decodeJson(value) {
+	try {
+		return JSON.parse(
+			Buffer.from(
+				value.replace(/-/g, '+').replace(/_/g, '/'),
+				'base64'
+			).toString('utf8')
+		);
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * The conventions of the passwordless samples of Amazon Cognito: the method is
+ * sent as ClientMetadata.signInMethod, and a magic link carries
+ * "#<base64url JSON with the username>.<signature>" in its fragment.
+ * @type {PasswordlessConventions}
+ */
+const DEFAULT_CONVENTIONS = {
+	getClientMetadata: ({ method, action, redirectUri }) => {
+		const clientMetadata = { signInMethod: method, action };
+		if (redirectUri) {
+			clientMetadata.redirectUri = redirectUri;
+		}
+		return clientMetadata;
+	},
+	parseChallenge: challengeParameters => ({
+		destination:
+			challengeParameters.destination ||
+			challengeParameters.email ||
+			challengeParameters.phone_number,
+		deliveryMedium: challengeParameters.deliveryMedium,
+		attemptsLeft:
+			challengeParameters.attemptsLeft === undefined
+				? undefined
+				: Number(challengeParameters.attemptsLeft),
+	}),
+	formatAnswer: answer => answer,
+	parseMagicLink: url => {
+		const hashIndex = url.indexOf('#');
+		const fragment = hashIndex === -1 ? '' : url.slice(hashIndex + 1);
+		const payload = decodeJson(fragment.split('.')[0]);
+		const username = payload && (payload.username || payload.userName);
+		return username ? { username, answer: fragment } : null;
+	},
+};
+
+/** @class */
+export default class PasswordlessAuth {
+	/**
+	 * Constructs a new PasswordlessAuth object, signing users in with a one
+	 * time code sent by email or SMS, or with a magic link, on top of the
+	 * CUSTOM_AUTH flow and its Define, Create and Verify Auth Challenge triggers.
+	 * @param {object} data Creation options.
+	 * @param {CognitoUserPool} data.Pool The user pool.
+	 * @param {string} data.method EMAIL_OTP, SMS_OTP or MAGIC_LINK
+	 *        (default: EMAIL_OTP)
+	 * @param {string} data.redirectUri The page a magic link opens
+	 *        (MAGIC_LINK only)
+	 * @param {int} data.maxAttempts Answers accepted per challenge before
+	 *        asking for a new one (default: 3)
+	 * @param {int} data.maxResends Codes or links sent again per sign in
+	 *        (default: 3)
+	 * @param {object} data.conventions Overrides of the functions of
+	 *        PasswordlessConventions, to match the Lambda triggers.
+	 * @param {ClientMetadata} data.clientMetadata Extra ClientMetadata sent to
+	 *        the triggers.
+	 */
+	constructor(data) {
+		const {
+			Pool,
+			method = 'EMAIL_OTP',
+			redirectUri,
+			maxAttempts = 3,
+			maxResends = 3,
+			conventions,
+			clientMetadata,
+		} = data || {};
+		if (!Pool) {
+			throw new Error('Pool is required.');
+		}
+		if (METHODS.indexOf(method) === -1) {
+			throw new Error(`method must be one of ${METHODS.join(', ')}.`);
+		}
+
+		this.pool = Pool;
+		this.method = method;
+		this.redirectUri = redirectUri;
+		this.maxAttempts = maxAttempts;
+		this.maxResends = maxResends;
+		this.conventions = Object.assign({}, DEFAULT_CONVENTIONS, conventions);
+		this.clientMetadata = clientMetadata || {};
+		this.events = new EventEmitter();
+		this.user = null;
+		this.setState({
+			state: 'idle',
+			username: null,
+			attempts: 0,
+			resends: 0,
+		});
+	}
+
+	/**
+	 * @typedef {object} PasswordlessState
+	 * @property {string} state idle, sending, challenged, answering, signedIn
+	 *           or failed.
+	 * @property {string} username The user signing in.
+	 * @property {string} destination Where the code or link was sent, if known.
+	 * @property {string} deliveryMedium EMAIL or SMS, if known.
+	 * @property {int} attempts Answers sent for the current challenge.
+	 * @property {int} attemptsLeft Answers still accepted for the current
+	 *           challenge.
+	 * @property {int} resends Codes or links sent again.
+	 * @property {CognitoUserSession} session The new session (signedIn only).
+	 * @property {Error} error Why the sign in failed (failed only).
+	 */
+	/**
+	 * @returns {PasswordlessState} the state of the sign in
+	 */
+	getState() {
+		return this.state;
+	}
+
+	/**
+	 * @returns {CognitoUser} the user signing in, null before start
+	 */
+	getUser() {
+		return this.user;
+	}
+
+	/**
+	 * Subscribes to the stateChange event, emitted with the PasswordlessState
+	 * after every transition.
+	 * @param {string} event The event name.
+	 * @param {function} listener Called with the event arguments.
+	 * @returns {function} unsubscribes the listener
+	 */
+	on(event, listener) {
+		return this.events.on(event, listener);
+	}
+
+	/**
+	 * Starts a sign in: the triggers send a code or a magic link to the user.
+	 * @param {string} username The user signing in.
+	 * @returns {Promise<PasswordlessState>} the challenged state
+	 */
+	start(username) {
+		return this.begin(username, 'start');
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} username The user signing in.
+	 * @param {string} action start, or link when the magic link is at hand.
+	 * @returns {Promise<PasswordlessState>} the challenged state
+	 */
+	begin(username, action) {
+		this.user = new CognitoUser({
+			Username: username,
+			Pool: this.pool,
+			Storage: this.pool.storage,
+		});
+		this.user.setAuthenticationFlowType('CUSTOM_AUTH');
+		this.setState({
+			state: 'idle',
+			username,
+			attempts: 0,
+			resends: 0,
+		});
+		return this.initiate(action);
+	}
+
+	/**
+	 * Sends a new code or magic link, restarting the challenge.
+	 * @returns {Promise<PasswordlessState>} the challenged state
+	 */
+	resend() {
+		if (!this.user || this.state.state === 'signedIn') {
+			return Promise.reject(
+				new InvalidParameterError('There is no sign in to resend a code for.')
+			);
+		}
+		if (this.state.resends >= this.maxResends) {
+			return Promise.reject(
+				new LimitExceededError('Attempt limit exceeded, please try later.')
+			);
+		}
+		this.setState({ resends: this.state.resends + 1 });
+		return this.initiate('resend');
+	}
+
+	/**
+	 * Answers the challenge with the code the user received.
+	 * @param {string} code The code.
+	 * @returns {Promise<PasswordlessState>} the signedIn state, or the
+	 *          challenged state when the code is wrong
+	 */
+	answer(code) {
+		if (this.state.state !== 'challenged') {
+			return Promise.reject(
+				new InvalidParameterError('There is no challenge to answer.')
+			);
+		}
+		if (this.state.attempts >= this.maxAttempts) {
+			const err = new TooManyFailedAttemptsError(
+				'Too many failed attempts, please request a new code.'
+			);
+			this.setState({ state: 'failed', error: err });
+			return Promise.reject(err);
+		}
+
+		this.setState({ state: 'answering', attempts: this.state.attempts + 1 });
+		return this.user
+			.sendCustomChallengeAnswerAsync(
+				this.conventions.formatAnswer(code),
+				this.getClientMetadata('answer')
+			)
+			.then(
+				result => this.handleResult(result, false),
+				err => this.fail(err)
+			);
+	}
+
+	/**
+	 * Completes a sign in with a magic link, in the tab which started it or in
+	 * another one.
+	 * @param {string} url The URL the magic link opened.
+	 * @returns {Promise<PasswordlessState>} the signedIn state, or null if the
+	 *          URL is not a magic link
+	 */
+	signInWithLink(url) {
+		const link = this.conventions.parseMagicLink(url);
+		if (!link) {
+			return Promise.resolve(null);
+		}
+		const challenged =
+			this.state.state === 'challenged' &&
+			this.state.username === link.username;
+		return (challenged
+			? Promise.resolve()
+			: this.begin(link.username, 'link')
+		).then(() => this.answer(link.answer));
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} action start, resend or link.
+	 * @returns {Promise<PasswordlessState>} the challenged state
+	 */
+	initiate(action) {
+		this.setState({ state: 'sending', attempts: 0 });
+		return this.user
+			.initiateAuthAsync(
+				new AuthenticationDetails({
+					Username: this.state.username,
+					ClientMetadata: this.getClientMetadata(action),
+				})
+			)
+			.then(
+				result => this.handleResult(result, true),
+				err => this.fail(err)
+			);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {AuthResult} result The result of the CUSTOM_AUTH request.
+	 * @param {boolean} newChallenge The result starts a new challenge.
+	 * @returns {PasswordlessState} the new state
+	 */
+	handleResult(result, newChallenge) {
+		if (result.type === 'success') {
+			return this.setState({ state: 'signedIn', session: result.session });
+		}
+		if (result.type !== 'customChallenge') {
+			return this.fail(
+				new InvalidParameterError(
+					`Unexpected challenge ${result.challengeName} in a passwordless sign in.`
+				)
+			);
+		}
+		const challenge = this.conventions.parseChallenge(
+			result.challengeParameters || {}
+		);
+		const attempts = newChallenge ? 0 : this.state.attempts;
+		return this.setState({
+			state: 'challenged',
+			destination: challenge.destination,
+			deliveryMedium: challenge.deliveryMedium,
+			attempts,
+			attemptsLeft:
+				challenge.attemptsLeft === undefined
+					? this.maxAttempts - attempts
+					: challenge.attemptsLeft,
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {Error} err Why the sign in failed.
+	 * @returns {void} never, the error is thrown again
+	 */
+	fail(err) {
+		this.setState({ state: 'failed', error: err });
+		throw err;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} action start, resend, answer or link.
+	 * @returns {ClientMetadata} the ClientMetadata of the request
+	 */
+	getClientMetadata(action) {
+		return Object.assign(
+			{},
+			this.clientMetadata,
+			this.conventions.getClientMetadata({
+				method: this.method,
+				action,
+				redirectUri: this.redirectUri,
+			})
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} changes The changed properties of the state.
+	 * @returns {PasswordlessState} the new state
+	 */
+	setState(changes) {
+		const state = Object.assign({}, this.state, changes);
+		if (state.state !== 'signedIn') {
+			delete state.session;
+		}
+		if (state.state !== 'failed') {
+			delete state.error;
+		}
+		this.state = state;
+		this.events.emit('stateChange', state);
+		return state;
+	}
+}
+
+PasswordlessAuth.DEFAULT_CONVENTIONS = DEFAULT_CONVENTIONS;
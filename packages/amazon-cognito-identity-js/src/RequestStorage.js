@@ -0,0 +1,69 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @class */
+export default class RequestStorage {
+	/**
+	 * Constructs a new RequestStorage object, a synchronous in-memory storage
+	 * whose items belong to this instance only. Unlike MemoryStorage, which is
+	 * shared by the whole process, it keeps the tokens of one server request
+	 * away from the others.
+	 */
+	constructor() {
+		this.items = {};
+	}
+
+	/**
+	 * This is used to set a specific item in storage
+	 * @param {string} key - the key for the item
+	 * @param {object} value - the value
+	 * @returns {string} value that was set
+	 */
+	setItem(key, value) {
+		this.items[key] = `${value}`;
+		return this.items[key];
+	}
+
+	/**
+	 * This is used to get a specific key from storage
+	 * @param {string} key - the key for the item
+	 * @returns {string} the data item, or null
+	 */
+	getItem(key) {
+		return Object.prototype.hasOwnProperty.call(this.items, key)
+			? this.items[key]
+			: null;
+	}
+
+	/**
+	 * This is used to remove an item from storage
+	 * @param {string} key - the key being removed
+	 * @returns {boolean} return true
+	 */
+	removeItem(key) {
+		return delete this.items[key];
+	}
+
+	/**
+	 * This is used to clear the storage
+	 * @returns {object} the empty storage
+	 */
+	clear() {
+		this.items = {};
+		return this.items;
+	}
+}
@@ -0,0 +1,135 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const RETRYABLE_ERROR_CODES = [
+	'NetworkError',
+	'TimeoutError',
+	'InternalErrorException',
+	'TooManyRequestsException',
+	'ThrottlingException',
+	'Throttling',
+];
+
+// Retrying these would repeat a rejected credential or code
+const NON_RETRYABLE_ERROR_CODES = [
+	'NotAuthorizedException',
+	'CodeMismatchException',
+	'AbortError',
+];
+
+const defaultClock = {
+	now: () => Date.now(),
+	setTimeout: (callback, delay) => setTimeout(callback, delay),
+};
+
+/** @class */
+export default class RetryPolicy {
+	/**
+	 * Default classifier: retries the throttling, server and network errors,
+	 * never the rejected credentials or codes.
+	 * @param {object} err The error of a request.
+	 * @returns {boolean} true if the request may be sent again
+	 */
+	static isRetryableError(err) {
+		if (!err || NON_RETRYABLE_ERROR_CODES.indexOf(err.code) !== -1) {
+			return false;
+		}
+		return (
+			RETRYABLE_ERROR_CODES.indexOf(err.code) !== -1 || err.statusCode >= 500
+		);
+	}
+
+	/**
+	 * Constructs a new RetryPolicy object, deciding when and after which
+	 * delay a failed request to the user pool is sent again.
+	 * @param {object=} options Retry options.
+	 * @param {int} options.maxAttempts Maximum number of times a request is
+	 *        sent, the first time included (default: 3)
+	 * @param {int} options.baseDelay Milliseconds the exponential backoff
+	 *        starts from (default: 100)
+	 * @param {int} options.maxDelay Maximum milliseconds before a retry. A
+	 *        longer Retry-After ends the retries (default: 5000)
+	 * @param {function} options.isRetryable Classifier called with the error
+	 *        of a request (default: RetryPolicy.isRetryableError)
+	 * @param {object} options.clock Clock with now() and setTimeout(callback,
+	 *        delay) methods (default: the system clock)
+	 */
+	constructor({
+		maxAttempts = 3,
+		baseDelay = 100,
+		maxDelay = 5 * 1000,
+		isRetryable = RetryPolicy.isRetryableError,
+		clock = defaultClock,
+	} = {}) {
+		this.maxAttempts = maxAttempts;
+		this.baseDelay = baseDelay;
+		this.maxDelay = maxDelay;
+		this.isRetryable = isRetryable;
+		this.clock = clock;
+	}
+
+	/**
+	 * @param {object} err The error of the last attempt.
+	 * @param {int} attempt The number of attempts made so far.
+	 * @returns {int} milliseconds to wait before the next attempt, or -1 when
+	 *          the request should not be retried
+	 */
+	getRetryDelay(err, attempt) {
+		if (attempt >= this.maxAttempts || !this.isRetryable(err)) {
+			return -1;
+		}
+
+		const retryAfter = this.parseRetryAfter(err.retryAfter);
+		if (retryAfter !== null) {
+			return retryAfter <= this.maxDelay ? retryAfter : -1;
+		}
+
+		const backoff = 2 ** (attempt - 1) * this.baseDelay;
+		const jitter = Math.random() * this.baseDelay;
+		return Math.min(this.maxDelay, Math.floor(backoff + jitter));
+	}
+
+	/**
+	 * Calls the callback after a delay, using the clock of the policy.
+	 * @param {int} delay Milliseconds to wait.
+	 * @param {function} callback Called once the delay elapsed.
+	 * @returns {void}
+	 */
+	wait(delay, callback) {
+		this.clock.setTimeout(callback, delay);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} retryAfter A Retry-After header: seconds or an HTTP date.
+	 * @returns {int} milliseconds to wait, or null without a valid header
+	 */
+	parseRetryAfter(retryAfter) {
+		if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+			return null;
+		}
+		if (/^\d+$/.test(`${retryAfter}`.trim())) {
+			return parseInt(retryAfter, 10) * 1000;
+		}
+		const date = Date.parse(retryAfter);
+		if (Number.isNaN(date)) {
+			return null;
+		}
+		return Math.max(0, date - this.clock.now());
+	}
+}
@@ -0,0 +1,483 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Buffer } from 'buffer';
+import Base64 from 'crypto-js/enc-base64';
+import hmacSha256 from 'crypto-js/hmac-sha256';
+
+import CognitoAccessToken from './CognitoAccessToken';
+import CognitoIdToken from './CognitoIdToken';
+import CognitoRefreshToken from './CognitoRefreshToken';
+import CognitoUser from './CognitoUser';
+import CognitoUserPool from './CognitoUserPool';
+import CognitoUserSession from './CognitoUserSession';
+import RequestStorage from './RequestStorage';
+import WordArray from './utils/WordArray';
+
+// Keeps each cookie, with its attributes, under the 4096 bytes of browsers
+const COOKIE_CHUNK_SIZE = 3800;
+
+/**
+ * @param {string} base64 A base64 string.
+ * @returns {string} the same data in base64url, without padding
+ */
+function toBase64Url(base64) {
+	return base64
+		.replace(/=+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+}
+
+/**
+ * @param {string} json A stored session.
+ * @returns {object} the session, or null when it can not be parsed
+ */
+function parseSession(json) {
+	try {
+		const stored = JSON.parse(json);
+		return stored && typeof stored.username === 'string' ? stored : null;
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * @param {string} header The Cookie header of a request.
+ * @returns {object} the values of the cookies, by name
+ */
+function parseCookies(header) {
+	const cookies = {};
+	(header || '').split(';').forEach(pair => {
+		const index = pair.indexOf('=');
+		const name = pair.slice(0, index).trim();
+		if (index < 1 || Object.prototype.hasOwnProperty.call(cookies, name)) {
+			return;
+		}
+		try {
+			cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+		} catch (err) {
+			// Not written by this module
+		}
+	});
+	return cookies;
+}
+
+/**
+ * @typedef {object} ServerSessionContext
+ * @property {CognitoUserPool} pool A user pool whose storage belongs to the
+ *           request, to sign users in.
+ * @property {RequestStorage} storage The storage of the request.
+ * @property {CognitoUser} user The signed in user, or null.
+ * @property {CognitoUserSession} session The valid session of the user, or
+ *           null. When the refresh of an expired session fails with another
+ *           error than NotAuthorizedException, e.g. a network error, user is
+ *           null and session is the expired session, saved back by save to be
+ *           refreshed by a later request.
+ * @property {Error} error The error of that refresh, if any.
+ * @property {string} id The id of the session in the store, if any.
+ * @property {string[]} cookieNames The session cookies sent with the request.
+ */
+
+/** @class */
+export default class ServerSessionManager {
+	/**
+	 * Constructs a new ServerSessionManager object, keeping the sessions of a
+	 * server (e.g. for server side rendering) apart: every request gets its
+	 * own storage, loaded from the request cookies and saved back into the
+	 * response cookies. The tokens are kept either in signed cookies, or in a
+	 * store with only a random session id in the cookie.
+	 * @param {object} data Creation options.
+	 * @param {object} data.PoolData The options of the CognitoUserPool created
+	 *        for every request, without Storage.
+	 * @param {string} data.secret The key signing the cookies holding the
+	 *        tokens, required without a store.
+	 * @param {object} data.store Keeps the sessions, with the methods of
+	 *        MemorySessionStore: get(id), set(id, value, ttl) and del(id),
+	 *        returning promises.
+	 * @param {string} data.cookieName The name of the session cookie
+	 *        (default: cognito-session)
+	 * @param {object} data.cookieOptions Attributes of the cookie: path
+	 *        (default: /), domain, maxAge in seconds (default: 30 days),
+	 *        secure (default: true), httpOnly (default: true) and sameSite
+	 *        (default: Lax)
+	 */
+	constructor(data) {
+		const {
+			PoolData,
+			secret,
+			store,
+			cookieName = 'cognito-session',
+			cookieOptions,
+		} = data || {};
+		if (!PoolData) {
+			throw new Error('PoolData is required.');
+		}
+		if (!secret && !store) {
+			throw new Error('Either a secret or a store is required.');
+		}
+
+		this.poolData = PoolData;
+		this.secret = secret;
+		this.store = store || null;
+		this.cookieName = cookieName;
+		this.cookieOptions = Object.assign(
+			{
+				path: '/',
+				maxAge: 30 * 24 * 60 * 60,
+				secure: true,
+				httpOnly: true,
+				sameSite: 'Lax',
+			},
+			cookieOptions
+		);
+		this.refreshes = {};
+	}
+
+	/**
+	 * Loads the session of a request. An expired session is refreshed, once
+	 * for all the concurrent requests sharing its refresh token; a revoked one
+	 * is dropped. It never rejects on a failed refresh, see error.
+	 * @param {string} cookieHeader The Cookie header of the request.
+	 * @returns {Promise<ServerSessionContext>} the state of the request
+	 */
+	load(cookieHeader) {
+		const cookies = parseCookies(cookieHeader);
+		const storage = new RequestStorage();
+		const context = {
+			pool: new CognitoUserPool(
+				Object.assign({}, this.poolData, { Storage: storage })
+			),
+			storage,
+			user: null,
+			session: null,
+			error: null,
+			id: null,
+			cookieNames: Object.keys(cookies).filter(name =>
+				this.isSessionCookie(name)
+			),
+		};
+
+		return this.readSession(cookies)
+			.then(({ id, stored }) => {
+				context.id = id;
+				if (!stored) {
+					return null;
+				}
+				const user = new CognitoUser({
+					Username: stored.username,
+					Pool: context.pool,
+					Storage: storage,
+				});
+				user.setSignInUserSession(
+					new CognitoUserSession({
+						IdToken: new CognitoIdToken({ IdToken: stored.idToken }),
+						AccessToken: new CognitoAccessToken({
+							AccessToken: stored.accessToken,
+						}),
+						RefreshToken: new CognitoRefreshToken({
+							RefreshToken: stored.refreshToken,
+						}),
+						ClockDrift: stored.clockDrift,
+					})
+				);
+				if (user.getSignInUserSession().isValid()) {
+					return user;
+				}
+				return this.refresh(context, user).catch(err => {
+					// Kept in the request storage, a later request retries
+					context.session = user.getSignInUserSession();
+					context.error = err;
+					return null;
+				});
+			})
+			.then(user => {
+				context.user = user;
+				if (user) {
+					context.session = user.getSignInUserSession();
+				}
+				return context;
+			});
+	}
+
+	/**
+	 * Saves the session of the current user of the request pool, after a sign
+	 * in, a refresh or a sign out. Without a signed in user, the session is
+	 * removed from the store and the cookies are cleared.
+	 * @param {ServerSessionContext} context The state returned by load.
+	 * @returns {Promise<string[]>} the Set-Cookie headers of the response
+	 */
+	save(context) {
+		const user = context.pool.getCurrentUser();
+		const session = user ? this.getCachedSession(user) : null;
+
+		if (!session) {
+			const removal =
+				this.store && context.id
+					? this.store.del(context.id)
+					: Promise.resolve();
+			return removal.then(() => this.expireCookies(context.cookieNames, []));
+		}
+
+		const value = this.serializeSession(user.getUsername(), session);
+		if (this.store) {
+			// A new sign in gets a new id, the previous one may have leaked; a
+			// refreshed session, or one kept after a failed refresh, keeps it
+			const signedInBefore =
+				context.id &&
+				context.session &&
+				context.session.getRefreshToken().getToken() ===
+					session.getRefreshToken().getToken();
+			const id = signedInBefore
+				? context.id
+				: new WordArray().random(32).toString();
+			const removal =
+				context.id && !signedInBefore
+					? this.store.del(context.id)
+					: Promise.resolve();
+			return removal
+				.then(() => this.store.set(id, value, this.cookieOptions.maxAge))
+				.then(() =>
+					[this.serializeCookie(this.cookieName, id)].concat(
+						this.expireCookies(context.cookieNames, [this.cookieName])
+					)
+				);
+		}
+
+		const payload = toBase64Url(Buffer.from(value, 'utf8').toString('base64'));
+		const signed = `${payload}.${this.sign(payload)}`;
+		const names = [];
+		const headers = [];
+		for (let start = 0; start < signed.length; start += COOKIE_CHUNK_SIZE) {
+			const name =
+				start === 0
+					? this.cookieName
+					: `${this.cookieName}.${start / COOKIE_CHUNK_SIZE}`;
+			names.push(name);
+			headers.push(
+				this.serializeCookie(
+					name,
+					signed.slice(start, start + COOKIE_CHUNK_SIZE)
+				)
+			);
+		}
+		return Promise.resolve(
+			headers.concat(this.expireCookies(context.cookieNames, names))
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} cookies The cookies of the request.
+	 * @returns {Promise<object>} the session id and the stored session, if
+	 *          there is a valid one
+	 */
+	readSession(cookies) {
+		const none = { id: null, stored: null };
+		if (this.store) {
+			const id = cookies[this.cookieName];
+			if (!id) {
+				return Promise.resolve(none);
+			}
+			return this.store
+				.get(id)
+				.then(value => ({ id, stored: value ? parseSession(value) : null }));
+		}
+
+		let signed = cookies[this.cookieName] || '';
+		for (let i = 1; cookies[`${this.cookieName}.${i}`]; i += 1) {
+			signed += cookies[`${this.cookieName}.${i}`];
+		}
+		const separator = signed.lastIndexOf('.');
+		const payload = signed.slice(0, separator);
+		if (separator < 1 || !this.verify(payload, signed.slice(separator + 1))) {
+			return Promise.resolve(none);
+		}
+		const json = Buffer.from(
+			payload.replace(/-/g, '+').replace(/_/g, '/'),
+			'base64'
+		).toString('utf8');
+		return Promise.resolve({ id: null, stored: parseSession(json) });
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Refreshes the session of a request, sharing the refresh with the other
+	 * requests using the same refresh token.
+	 * @param {ServerSessionContext} context The state of the request.
+	 * @param {CognitoUser} user The user whose session expired.
+	 * @returns {Promise<CognitoUser>} the user, or null when the refresh token
+	 *          was revoked
+	 */
+	refresh(context, user) {
+		const refreshToken = user.getSignInUserSession().getRefreshToken();
+		const token = refreshToken.getToken();
+
+		let refreshing = this.refreshes[token];
+		let adopt = session => user.setSignInUserSession(session);
+		if (!refreshing) {
+			refreshing = user.refreshSessionAsync(refreshToken).then(session => {
+				// Requests loading the session from now on get the new tokens
+				if (!this.store || !context.id) {
+					return session;
+				}
+				return this.store
+					.set(
+						context.id,
+						this.serializeSession(user.getUsername(), session),
+						this.cookieOptions.maxAge
+					)
+					.then(() => session);
+			});
+			this.refreshes[token] = refreshing;
+			const done = () => {
+				delete this.refreshes[token];
+			};
+			refreshing.then(done, done);
+			adopt = () => undefined;
+		}
+
+		return refreshing.then(
+			session => {
+				adopt(session);
+				return user;
+			},
+			err => {
+				if (err.code !== 'NotAuthorizedException') {
+					throw err;
+				}
+				user.clearCachedUser(null, 'refreshFailed', err);
+				return null;
+			}
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {CognitoUser} user A user of the request pool.
+	 * @returns {CognitoUserSession} the session in the request storage, or null
+	 */
+	getCachedSession(user) {
+		let session = null;
+		user.getCachedSession((err, cachedSession) => {
+			session = cachedSession;
+		});
+		return session;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} username The username.
+	 * @param {CognitoUserSession} session The session to keep.
+	 * @returns {string} the stored form of the session
+	 */
+	serializeSession(username, session) {
+		return JSON.stringify({
+			username,
+			idToken: session.getIdToken().getJwtToken(),
+			accessToken: session.getAccessToken().getJwtToken(),
+			refreshToken: session.getRefreshToken().getToken(),
+			clockDrift: session.getClockDrift(),
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} payload The signed data.
+	 * @returns {string} the signature, base64url encoded
+	 */
+	sign(payload) {
+		return toBase64Url(hmacSha256(payload, this.secret).toString(Base64));
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} payload The signed data.
+	 * @param {string} signature The signature from the cookie.
+	 * @returns {boolean} true if the signature is valid
+	 */
+	verify(payload, signature) {
+		// Comparing MACs of both values does not leak timing about the signature
+		return this.sign(this.sign(payload)) === this.sign(signature);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} name A cookie name.
+	 * @returns {boolean} true for the session cookie and its chunks
+	 */
+	isSessionCookie(name) {
+		return (
+			name === this.cookieName ||
+			(name.indexOf(`${this.cookieName}.`) === 0 &&
+				/^\d+$/.test(name.slice(this.cookieName.length + 1)))
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string[]} names The session cookies of the request.
+	 * @param {string[]} kept The cookies set by the response.
+	 * @returns {string[]} the Set-Cookie headers clearing the other cookies
+	 */
+	expireCookies(names, kept) {
+		return names
+			.filter(name => kept.indexOf(name) === -1)
+			.map(name => this.serializeCookie(name, '', 0));
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} name The cookie name.
+	 * @param {string} value The cookie value.
+	 * @param {int=} maxAge Seconds until the cookie expires (default: the
+	 *        maxAge option)
+	 * @returns {string} a Set-Cookie header
+	 */
+	serializeCookie(name, value, maxAge = this.cookieOptions.maxAge) {
+		const { path, domain, secure, httpOnly, sameSite } = this.cookieOptions;
+		const attributes = [
+			`${name}=${encodeURIComponent(value)}`,
+			`Path=${path}`,
+			`Max-Age=${maxAge}`,
+		];
+		if (maxAge === 0) {
+			attributes.push('Expires=Thu, 01 Jan 1970 00:00:00 GMT');
+		}
+		if (domain) {
+			attributes.push(`Domain=${domain}`);
+		}
+		if (secure) {
+			attributes.push('Secure');
+		}
+		if (httpOnly) {
+			attributes.push('HttpOnly');
+		}
+		if (sameSite) {
+			attributes.push(`SameSite=${sameSite}`);
+		}
+		return attributes.join('; ');
+	}
+}
@@ -0,0 +1,341 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ExpiredCodeError, InvalidParameterError } from './CognitoError';
+import EventEmitter from './utils/EventEmitter';
+
+// The transitions answering each challenge
+const TRANSITIONS = {
+	SMS_MFA: ['sendSmsMfaCode'],
+	SOFTWARE_TOKEN_MFA: ['sendTotpCode'],
+	SELECT_MFA_TYPE: ['selectMfaType'],
+	MFA_SETUP: ['associateSoftwareToken', 'verifySoftwareToken'],
+	NEW_PASSWORD_REQUIRED: ['completeNewPassword'],
+	CUSTOM_CHALLENGE: ['sendCustomChallengeAnswer'],
+};
+
+/**
+ * @typedef {object} SignInState
+ * @property {string} username The user signing in.
+ * @property {string} challengeName The challenge to answer.
+ * @property {string} session The Session of the challenge.
+ * @property {object} challengeParameters The challenge parameters, or the
+ *           userAttributes and requiredAttributes of NEW_PASSWORD_REQUIRED.
+ * @property {int} expiresAt When the session expires, in milliseconds since
+ *           the epoch.
+ */
+
+/**
+ * @param {*} state A value read back from storage.
+ * @returns {boolean} true if the value is a SignInState
+ */
+function isSignInState(state) {
+	return (
+		!!state &&
+		typeof state.username === 'string' &&
+		Object.prototype.hasOwnProperty.call(TRANSITIONS, state.challengeName) &&
+		typeof state.session === 'string' &&
+		Number.isFinite(state.expiresAt)
+	);
+}
+
+/** @class */
+export default class SignInFlow {
+	/**
+	 * Constructs a new SignInFlow object, signing a user in through the
+	 * challenges of the user pool. Its state is plain JSON: an app persists
+	 * it on stateChange and resumes the sign in after a reload with a new
+	 * CognitoUser, until the session of the challenge expires.
+	 * @param {object} data Creation options.
+	 * @param {CognitoUser} data.User The user signing in.
+	 * @param {SignInState} data.State A persisted state to resume, if any.
+	 * @param {int} data.AuthSessionValidity Minutes a challenge session is
+	 *        valid for, as configured on the app client (default: 3).
+	 */
+	constructor(data) {
+		const { User, State, AuthSessionValidity = 3 } = data || {};
+		if (!User) {
+			throw new Error('User is required.');
+		}
+		if (State != null && !isSignInState(State)) {
+			throw new InvalidParameterError('Invalid sign in state.');
+		}
+		if (State && State.username !== User.getUsername()) {
+			throw new InvalidParameterError(
+				'The sign in state belongs to another user.'
+			);
+		}
+
+		this.user = User;
+		this.authSessionValidity = AuthSessionValidity;
+		this.events = new EventEmitter();
+		this.state = null;
+		if (State) {
+			this.user.Session = State.session;
+			this.state = Object.assign({}, State);
+		}
+	}
+
+	/**
+	 * @returns {SignInState} the challenge to answer, null when none is
+	 *          pending
+	 */
+	getState() {
+		return this.state;
+	}
+
+	/**
+	 * @returns {CognitoUser} the user signing in
+	 */
+	getUser() {
+		return this.user;
+	}
+
+	/**
+	 * @returns {string[]} the transitions answering the pending challenge
+	 */
+	getTransitions() {
+		return this.state ? TRANSITIONS[this.state.challengeName].slice() : [];
+	}
+
+	/**
+	 * @returns {boolean} true if the session of the pending challenge expired
+	 */
+	isExpired() {
+		return !!this.state && this.state.expiresAt <= Date.now();
+	}
+
+	/**
+	 * Subscribes to the stateChange event, emitted with the SignInState after
+	 * every transition, or null once no challenge is pending.
+	 * @param {string} event The event name.
+	 * @param {function} listener Called with the event arguments.
+	 * @returns {function} unsubscribes the listener
+	 */
+	on(event, listener) {
+		return this.events.on(event, listener);
+	}
+
+	/**
+	 * Starts a sign in, dropping any pending challenge.
+	 * @param {AuthenticationDetails} authDetails Contains the authentication data
+	 * @returns {Promise<AuthResult>} the new session or the first challenge
+	 */
+	signIn(authDetails) {
+		this.setState(null);
+		return this.handle(this.user.authenticateUserAsync(authDetails));
+	}
+
+	/**
+	 * Answers SMS_MFA.
+	 * @param {string} code The code sent to the user.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session
+	 */
+	sendSmsMfaCode(code, clientMetadata) {
+		return this.transition('sendSmsMfaCode', () =>
+			this.user.sendMFACodeAsync(code, 'SMS_MFA', clientMetadata)
+		);
+	}
+
+	/**
+	 * Answers SOFTWARE_TOKEN_MFA.
+	 * @param {string} code The code of the authenticator app.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session
+	 */
+	sendTotpCode(code, clientMetadata) {
+		return this.transition('sendTotpCode', () =>
+			this.user.sendMFACodeAsync(code, 'SOFTWARE_TOKEN_MFA', clientMetadata)
+		);
+	}
+
+	/**
+	 * Answers SELECT_MFA_TYPE.
+	 * @param {string} mfaType SMS_MFA or SOFTWARE_TOKEN_MFA.
+	 * @returns {Promise<AuthResult>} the challenge of the selected MFA
+	 */
+	selectMfaType(mfaType) {
+		return this.transition('selectMfaType', () =>
+			this.user.sendMFASelectionAnswerAsync(mfaType)
+		);
+	}
+
+	/**
+	 * Starts answering MFA_SETUP, associating an authenticator app.
+	 * @returns {Promise<string>} the secret code to register in the
+	 *          authenticator app
+	 */
+	associateSoftwareToken() {
+		return this.transition('associateSoftwareToken', () =>
+			this.user.associateSoftwareTokenAsync().then(secretCode => {
+				// The association continues with a new session
+				this.setChallenge(this.state.challengeName, this.state);
+				return secretCode;
+			})
+		);
+	}
+
+	/**
+	 * Answers MFA_SETUP with a code of the associated authenticator app.
+	 * @param {string} code The code of the authenticator app.
+	 * @param {string} friendlyDeviceName The name of the authenticator app.
+	 * @returns {Promise<AuthResult>} the new session
+	 */
+	verifySoftwareToken(code, friendlyDeviceName) {
+		return this.transition('verifySoftwareToken', () =>
+			this.user
+				.verifySoftwareTokenAsync(code, friendlyDeviceName)
+				.then(session => ({
+					type: 'success',
+					session,
+					userConfirmationNecessary: false,
+				}))
+		);
+	}
+
+	/**
+	 * Answers NEW_PASSWORD_REQUIRED.
+	 * @param {string} newPassword The new password.
+	 * @param {object} requiredAttributeData The values of the required
+	 *        attributes, by name.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	completeNewPassword(newPassword, requiredAttributeData, clientMetadata) {
+		return this.transition('completeNewPassword', () =>
+			this.user.completeNewPasswordChallengeAsync(
+				newPassword,
+				requiredAttributeData,
+				clientMetadata
+			)
+		);
+	}
+
+	/**
+	 * Answers CUSTOM_CHALLENGE.
+	 * @param {string} answer The answer to the challenge.
+	 * @param {ClientMetadata} clientMetadata object which is passed from client to Cognito Lambda trigger
+	 * @returns {Promise<AuthResult>} the new session or the next challenge
+	 */
+	sendCustomChallengeAnswer(answer, clientMetadata) {
+		return this.transition('sendCustomChallengeAnswer', () =>
+			this.user.sendCustomChallengeAnswerAsync(answer, clientMetadata)
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} name The transition.
+	 * @param {function(): Promise} run Sends the answer.
+	 * @returns {Promise} the result of the answer
+	 */
+	transition(name, run) {
+		if (!this.state) {
+			return Promise.reject(
+				new InvalidParameterError('There is no challenge to answer.')
+			);
+		}
+		if (this.getTransitions().indexOf(name) === -1) {
+			return Promise.reject(
+				new InvalidParameterError(
+					`${name} does not answer the ${this.state.challengeName} challenge.`
+				)
+			);
+		}
+		if (this.isExpired()) {
+			this.setState(null);
+			return Promise.reject(
+				new ExpiredCodeError(
+					'The sign in session has expired, please sign in again.'
+				)
+			);
+		}
+		return this.handle(run());
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {Promise} pending The request of a transition.
+	 * @returns {Promise} the result of the request, after the state follows it
+	 */
+	handle(pending) {
+		return pending.then(
+			result => {
+				if (result && result.type === 'success') {
+					this.setState(null);
+				} else if (result && result.type === 'newPasswordRequired') {
+					this.setChallenge(result.challengeName, {
+						challengeParameters: {
+							userAttributes: result.userAttributes,
+							requiredAttributes: result.requiredAttributes,
+						},
+					});
+				} else if (result && result.challengeName) {
+					this.setChallenge(result.challengeName, result);
+				}
+				return result;
+			},
+			err => {
+				// The session can not answer the challenge any more
+				if (
+					err &&
+					err.code === 'NotAuthorizedException' &&
+					/session/i.test(err.message)
+				) {
+					this.setState(null);
+				}
+				throw err;
+			}
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} challengeName The challenge to answer.
+	 * @param {object} details The challengeParameters of the challenge.
+	 * @returns {void}
+	 */
+	setChallenge(challengeName, details) {
+		this.setState({
+			username: this.user.getUsername(),
+			challengeName,
+			session: this.user.Session,
+			challengeParameters: details.challengeParameters || {},
+			expiresAt: Date.now() + this.authSessionValidity * 60 * 1000,
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {SignInState} state The new state, or null.
+	 * @returns {void}
+	 */
+	setState(state) {
+		if (state === null && this.state === null) {
+			return;
+		}
+		this.state = state;
+		this.events.emit('stateChange', state);
+	}
+}
+
+SignInFlow.TRANSITIONS = TRANSITIONS;
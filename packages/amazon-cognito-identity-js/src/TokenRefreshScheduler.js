@@ -0,0 +1,230 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { UserNotAuthenticatedError } from './CognitoError';
+import RetryPolicy from './RetryPolicy';
+
+const MAX_TIMEOUT = 0x7fffffff;
+
+/** @class */
+export default class TokenRefreshScheduler {
+	/**
+	 * Constructs a new TokenRefreshScheduler object
+	 * @param {CognitoUser} user The user whose session is refreshed.
+	 * @param {object} options Scheduling options.
+	 * @param {int} options.refreshBeforeExpiry Seconds before the tokens
+	 *        expire to refresh them, at most half of their lifetime (default: 300)
+	 * @param {int} options.retryDelay Milliseconds before the first retry after
+	 *        a network error, doubled on every attempt (default: 1000)
+	 * @param {int} options.maxRetryDelay Maximum milliseconds between two
+	 *        retries (default: 60000)
+	 */
+	constructor(
+		user,
+		{
+			refreshBeforeExpiry = 300,
+			retryDelay = 1000,
+			maxRetryDelay = 60 * 1000,
+		} = {}
+	) {
+		this.user = user;
+		this.refreshBeforeExpiry = refreshBeforeExpiry;
+		this.retryDelay = retryDelay;
+		this.maxRetryDelay = maxRetryDelay;
+		this.running = false;
+		this.timer = null;
+		this.attempt = 0;
+	}
+
+	/**
+	 * Starts refreshing the session before it expires.
+	 * @returns {void}
+	 */
+	start() {
+		this.running = true;
+		this.attempt = 0;
+		this.schedule();
+	}
+
+	/**
+	 * Stops refreshing the session.
+	 * @returns {void}
+	 */
+	stop() {
+		this.running = false;
+		this.clearTimer();
+	}
+
+	/**
+	 * @returns {boolean} true while the scheduler is started
+	 */
+	isRunning() {
+		return this.running;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {CognitoUserSession} session The current session.
+	 * @returns {int} milliseconds before the session must be refreshed
+	 */
+	getRefreshDelay(session) {
+		const accessToken = session.getAccessToken();
+		const idToken = session.getIdToken();
+		const expiration = Math.min(
+			accessToken.getExpiration(),
+			idToken.getExpiration()
+		);
+		const lifetime =
+			expiration - Math.max(accessToken.getIssuedAt(), idToken.getIssuedAt());
+		const refreshBefore = Math.min(this.refreshBeforeExpiry, lifetime / 2);
+		// The clock drift is the local time minus the server time
+		const refreshAt = expiration + session.getClockDrift() - refreshBefore;
+
+		return Math.max(0, refreshAt * 1000 - Date.now());
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {void}
+	 */
+	schedule() {
+		if (!this.running) {
+			return;
+		}
+
+		const session = this.user.getSignInUserSession();
+		if (!session) {
+			this.user.getSession(err => {
+				if (!this.running) {
+					return;
+				}
+				if (err) {
+					this.expire(err);
+					return;
+				}
+				this.schedule();
+			});
+			return;
+		}
+
+		this.setTimer(this.getRefreshDelay(session));
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {void}
+	 */
+	refresh() {
+		const session = this.user.getSignInUserSession();
+		// The session was refreshed or replaced since the timer was set
+		if (!session || this.getRefreshDelay(session) > 0) {
+			this.schedule();
+			return;
+		}
+
+		const refreshToken = session.getRefreshToken();
+		if (!refreshToken || !refreshToken.getToken()) {
+			this.expire(
+				new UserNotAuthenticatedError('The session has no refresh token.')
+			);
+			return;
+		}
+
+		this.user.refreshSession(refreshToken, err => {
+			if (!this.running) {
+				return;
+			}
+			if (err) {
+				this.fail(err);
+				return;
+			}
+
+			this.attempt = 0;
+			this.schedule();
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} err The refreshSession error.
+	 * @returns {void}
+	 */
+	fail(err) {
+		if (!RetryPolicy.isRetryableError(err)) {
+			this.user.emit('refreshFailed', err, { willRetry: false });
+			this.expire(err);
+			return;
+		}
+
+		this.attempt += 1;
+		const retryIn = Math.min(
+			this.maxRetryDelay,
+			this.retryDelay * 2 ** (this.attempt - 1)
+		);
+		this.setTimer(retryIn);
+		this.user.emit('refreshFailed', err, {
+			willRetry: true,
+			attempt: this.attempt,
+			retryIn,
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} err Why the session can not be refreshed.
+	 * @returns {void}
+	 */
+	expire(err) {
+		this.stop();
+		this.user.emit('sessionExpired', err);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {int} delay Milliseconds before refreshing.
+	 * @returns {void}
+	 */
+	setTimer(delay) {
+		this.clearTimer();
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			this.refresh();
+		}, Math.min(delay, MAX_TIMEOUT));
+		// Do not keep a NodeJS process alive only to refresh tokens
+		if (this.timer && typeof this.timer.unref === 'function') {
+			this.timer.unref();
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {void}
+	 */
+	clearTimer() {
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+	}
+}
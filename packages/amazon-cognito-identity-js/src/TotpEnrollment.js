@@ -0,0 +1,216 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Buffer } from 'buffer';
+
+import { CodeMismatchError, InvalidParameterError } from './CognitoError';
+import { encodeQrCode, qrCodeToSvg } from './utils/qrcode';
+import { generateTotp, verifyTotp } from './utils/totp';
+
+/** @class */
+export default class TotpEnrollment {
+	/**
+	 * Builds the otpauth URI of a secret, as read by authenticator apps from
+	 * a QR code. The codes of the user pool are 6 digit HMAC-SHA1 codes over
+	 * 30 second steps, the defaults of the apps, stated in the URI anyway.
+	 * @param {string} secret The base32 secret returned by associateSoftwareToken.
+	 * @param {object} options URI options.
+	 * @param {string} options.issuer The name of the app, shown by the
+	 *        authenticator app.
+	 * @param {string} options.accountName The account of the user, e.g. the
+	 *        username or email address.
+	 * @returns {string} the otpauth URI
+	 */
+	static buildUri(secret, { issuer, accountName }) {
+		if (!issuer || issuer.indexOf(':') !== -1) {
+			throw new InvalidParameterError(
+				'The issuer is required and can not contain a colon.'
+			);
+		}
+		const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+			accountName
+		)}`;
+		return (
+			`otpauth://totp/${label}?secret=${secret}` +
+			`&issuer=${encodeURIComponent(issuer)}` +
+			'&algorithm=SHA1&digits=6&period=30'
+		);
+	}
+
+	/**
+	 * Constructs a new TotpEnrollment object, guiding a user through the
+	 * set up of TOTP MFA: associating a secret, showing it as a QR code, and
+	 * verifying a first code of the authenticator app. It serves signed in
+	 * users as well as users answering the MFA_SETUP challenge.
+	 * @param {CognitoUser} user A signed in user, or a user at MFA_SETUP.
+	 * @param {object} options Enrollment options.
+	 * @param {string} options.issuer The name of the app in the authenticator app.
+	 * @param {string} options.accountName The account shown under the issuer
+	 *        (default: the username)
+	 * @param {int} options.window Number of 30 second steps accepted before
+	 *        and after the current one by validateCode (default: 1)
+	 */
+	constructor(user, { issuer, accountName, window = 1 } = {}) {
+		if (!user || !issuer) {
+			throw new Error('Both a user and an issuer are required.');
+		}
+		this.user = user;
+		this.issuer = issuer;
+		this.accountName = accountName || user.getUsername();
+		this.window = window;
+		this.secret = null;
+	}
+
+	/**
+	 * Associates a new secret with the user, replacing any unverified one.
+	 * @returns {Promise<object>} the secret and its otpauth URI
+	 */
+	start() {
+		return this.user.associateSoftwareTokenAsync().then(secret => {
+			this.secret = secret;
+			return { secret, uri: this.getUri() };
+		});
+	}
+
+	/**
+	 * @returns {string} the secret associated by start
+	 */
+	getSecret() {
+		return this.requireSecret();
+	}
+
+	/**
+	 * @returns {string} the otpauth URI of the secret
+	 */
+	getUri() {
+		return TotpEnrollment.buildUri(this.requireSecret(), {
+			issuer: this.issuer,
+			accountName: this.accountName,
+		});
+	}
+
+	/**
+	 * Draws the otpauth URI as a QR code to scan with the authenticator app.
+	 * @param {object=} options Drawing options.
+	 * @param {string} options.errorCorrectionLevel L, M, Q or H (default: M)
+	 * @param {int} options.margin The quiet zone, in modules (default: 4)
+	 * @param {string} options.dark The color of the dark modules (default: #000)
+	 * @param {string} options.light The background color (default: #fff)
+	 * @returns {string} the SVG document, scaling to the size of its container
+	 */
+	getQrCodeSvg(options = {}) {
+		return qrCodeToSvg(encodeQrCode(this.getUri(), options), options);
+	}
+
+	/**
+	 * @param {object=} options The drawing options of getQrCodeSvg.
+	 * @returns {string} the QR code as a data URL, e.g. for the src of an img
+	 */
+	getQrCodeDataUrl(options) {
+		return `data:image/svg+xml;base64,${Buffer.from(
+			this.getQrCodeSvg(options),
+			'utf8'
+		).toString('base64')}`;
+	}
+
+	/**
+	 * Generates the code the authenticator app shows, e.g. for tests.
+	 * @param {int=} time Milliseconds since the epoch (default: now)
+	 * @returns {string} the 6 digit code
+	 */
+	generateCode(time = Date.now()) {
+		return generateTotp(this.requireSecret(), { time });
+	}
+
+	/**
+	 * Checks a code locally, without a request to the user pool.
+	 * @param {string} code The code entered by the user.
+	 * @param {int=} time Milliseconds since the epoch (default: now)
+	 * @returns {boolean} true if the code matches the secret
+	 */
+	validateCode(code, time = Date.now()) {
+		return verifyTotp(`${code}`.trim(), this.requireSecret(), {
+			time,
+			window: this.window,
+		});
+	}
+
+	/**
+	 * Verifies a code of the authenticator app with the user pool, then makes
+	 * TOTP the enabled MFA of the user. A code failing the local check is
+	 * rejected without a request.
+	 * @param {string} code The code entered by the user.
+	 * @param {object=} options Completion options.
+	 * @param {string} options.friendlyDeviceName A name for the authenticator.
+	 * @param {boolean} options.preferred Makes TOTP the preferred MFA
+	 *        (default: true)
+	 * @param {boolean} options.validateLocally Checks the code before sending
+	 *        it, turn off when the clock of the device is unreliable
+	 *        (default: true)
+	 * @returns {Promise<CognitoUserSession|null>} the new session when the
+	 *          user answered the MFA_SETUP challenge, otherwise null
+	 */
+	complete(
+		code,
+		{ friendlyDeviceName, preferred = true, validateLocally = true } = {}
+	) {
+		let session = null;
+		return Promise.resolve()
+			.then(() => {
+				if (validateLocally && !this.validateCode(code)) {
+					throw new CodeMismatchError('Invalid code received for user');
+				}
+				const signedIn = this.isSignedIn();
+				return this.user
+					.verifySoftwareTokenAsync(`${code}`.trim(), friendlyDeviceName)
+					.then(result => {
+						session = signedIn ? null : result;
+					});
+			})
+			.then(() =>
+				this.user.setUserMfaPreferenceAsync(null, {
+					Enabled: true,
+					PreferredMfa: preferred,
+				})
+			)
+			.then(() => session);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {boolean} true if the user has a valid session
+	 */
+	isSignedIn() {
+		const session = this.user.getSignInUserSession();
+		return !!session && session.isValid();
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {string} the secret associated by start
+	 */
+	requireSecret() {
+		if (!this.secret) {
+			throw new InvalidParameterError(
+				'The enrollment is not started, call start first.'
+			);
+		}
+		return this.secret;
+	}
+}
@@ -0,0 +1,414 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { InvalidParameterError } from './CognitoError';
+import CognitoUserAttribute from './CognitoUserAttribute';
+
+const MAXIMUM_LENGTH = 2048;
+
+// The standard attributes of a user pool, from the OpenID Connect claims
+const STANDARD_ATTRIBUTES = {
+	sub: { type: 'String', mutable: false },
+	address: { type: 'Address' },
+	birthdate: { type: 'String', format: 'date' },
+	email: { type: 'String', format: 'email' },
+	email_verified: { type: 'Boolean' },
+	family_name: { type: 'String' },
+	gender: { type: 'String' },
+	given_name: { type: 'String' },
+	locale: { type: 'String' },
+	middle_name: { type: 'String' },
+	name: { type: 'String' },
+	nickname: { type: 'String' },
+	phone_number: { type: 'String', format: 'phone' },
+	phone_number_verified: { type: 'Boolean' },
+	picture: { type: 'String' },
+	preferred_username: { type: 'String' },
+	profile: { type: 'String' },
+	updated_at: { type: 'Number' },
+	website: { type: 'String' },
+	zoneinfo: { type: 'String' },
+};
+
+const CUSTOM_TYPES = ['String', 'Number', 'Boolean', 'DateTime'];
+
+const ADDRESS_FIELDS = [
+	'formatted',
+	'street_address',
+	'locality',
+	'region',
+	'postal_code',
+	'country',
+];
+
+const FORMATS = {
+	date: [/^\d{4}(-\d{2}-\d{2})?$/, 'must be a YYYY-MM-DD date'],
+	email: [/^[^\s@]+@[^\s@]+$/, 'must be an email address'],
+	phone: [/^\+[1-9]\d{1,14}$/, 'must be an E.164 phone number'],
+};
+
+/**
+ * @param {*} left A typed value.
+ * @param {*} right Another typed value.
+ * @returns {boolean} true if both values are the same, Dates and addresses
+ *          compared by content
+ */
+function sameValue(left, right) {
+	return JSON.stringify(left) === JSON.stringify(right);
+}
+
+/**
+ * @typedef {object} AttributeDefinition
+ * @property {string} type String, Number, Boolean or DateTime, or Address for
+ *           the address attribute.
+ * @property {boolean} mutable If the attribute can be changed once set.
+ * @property {int} minLength The minimum length of a String.
+ * @property {int} maxLength The maximum length of a String.
+ * @property {number} minValue The minimum of a Number.
+ * @property {number} maxValue The maximum of a Number.
+ */
+
+/**
+ * @typedef {object} AttributeDiff
+ * @property {CognitoUserAttribute[]} update The attributes to send to
+ *           updateAttributes.
+ * @property {string[]} delete The names of the attributes to send to
+ *           deleteAttributes.
+ */
+
+/** @class */
+export default class UserAttributeSchema {
+	/**
+	 * Reads the custom attributes, and the mutability of the standard ones,
+	 * from the SchemaAttributes of a user pool.
+	 * @param {object|object[]} schemaAttributes The SchemaAttributes, or the
+	 *        response of DescribeUserPool.
+	 * @returns {UserAttributeSchema} the schema of the user pool
+	 */
+	static fromSchemaAttributes(schemaAttributes) {
+		const pool = schemaAttributes.UserPool || schemaAttributes;
+		const list = Array.isArray(pool) ? pool : pool.SchemaAttributes || [];
+		const custom = {};
+		const immutable = [];
+		list.forEach(attribute => {
+			const strings = attribute.StringAttributeConstraints || {};
+			const numbers = attribute.NumberAttributeConstraints || {};
+			const definition = {
+				type: attribute.AttributeDataType || 'String',
+				mutable: attribute.Mutable !== false,
+			};
+			if (strings.MinLength !== undefined) {
+				definition.minLength = Number(strings.MinLength);
+			}
+			if (strings.MaxLength !== undefined) {
+				definition.maxLength = Number(strings.MaxLength);
+			}
+			if (numbers.MinValue !== undefined) {
+				definition.minValue = Number(numbers.MinValue);
+			}
+			if (numbers.MaxValue !== undefined) {
+				definition.maxValue = Number(numbers.MaxValue);
+			}
+			if (attribute.Name.indexOf('custom:') === 0) {
+				custom[attribute.Name] = definition;
+			} else if (!definition.mutable) {
+				immutable.push(attribute.Name);
+			}
+		});
+		return new UserAttributeSchema({ custom, immutable });
+	}
+
+	/**
+	 * Constructs a new UserAttributeSchema object, describing the attributes
+	 * of a user pool: the standard attributes, and the custom attributes
+	 * declared with their type and mutability. It converts the string values
+	 * of the attributes to typed values, validates new values, and computes
+	 * the attributes to update and delete to reach a profile.
+	 * @param {object=} options Schema options.
+	 * @param {object} options.custom The custom attributes, by name with or
+	 *        without the custom: prefix, as AttributeDefinition objects.
+	 * @param {string[]} options.immutable The standard attributes the user
+	 *        pool does not let change once set, besides sub.
+	 */
+	constructor({ custom = {}, immutable = [] } = {}) {
+		this.definitions = {};
+		Object.keys(STANDARD_ATTRIBUTES).forEach(name => {
+			this.definitions[name] = Object.assign(
+				{ mutable: immutable.indexOf(name) === -1 },
+				STANDARD_ATTRIBUTES[name]
+			);
+		});
+		Object.keys(custom).forEach(key => {
+			const name = key.indexOf('custom:') === 0 ? key : `custom:${key}`;
+			const definition = Object.assign(
+				{ type: 'String', mutable: true },
+				custom[key]
+			);
+			if (CUSTOM_TYPES.indexOf(definition.type) === -1) {
+				throw new Error(`Invalid type of ${name}: ${definition.type}`);
+			}
+			this.definitions[name] = definition;
+		});
+	}
+
+	/**
+	 * @param {string} name The name of an attribute.
+	 * @returns {AttributeDefinition|null} the definition of the attribute, or
+	 *          null if the attribute is not in the schema
+	 */
+	getDefinition(name) {
+		return this.definitions[name] || null;
+	}
+
+	/**
+	 * Converts the value of an attribute, as returned by getUserAttributes,
+	 * to its type: booleans, numbers, Dates for DateTime and an object for
+	 * the address. The values of attributes outside of the schema stay
+	 * strings.
+	 * @param {string} name The name of the attribute.
+	 * @param {string} value The value of the attribute.
+	 * @returns {*} the typed value
+	 */
+	parse(name, value) {
+		const definition = this.getDefinition(name);
+		switch (definition && definition.type) {
+			case 'Boolean':
+				return value === 'true';
+			case 'Number':
+				return Number(value);
+			case 'DateTime':
+				return new Date(value);
+			case 'Address':
+				try {
+					return JSON.parse(value);
+				} catch (err) {
+					return { formatted: value };
+				}
+			default:
+				return value;
+		}
+	}
+
+	/**
+	 * Validates a typed value and converts it to the string sent to the
+	 * user pool.
+	 * @param {string} name The name of the attribute.
+	 * @param {*} value The typed value.
+	 * @returns {string} the value of the attribute
+	 * @throws {InvalidParameterError} if the value does not fit the schema
+	 */
+	format(name, value) {
+		const problem = this.getProblem(name, value);
+		if (problem) {
+			throw this.createError({ [name]: problem });
+		}
+		return this.stringify(name, value);
+	}
+
+	/**
+	 * @param {Array<CognitoUserAttribute|AttributeArg>} attributes The
+	 *        attributes of a user.
+	 * @returns {object} the typed values of the attributes, by name
+	 */
+	toProfile(attributes) {
+		const profile = {};
+		attributes.forEach(attribute => {
+			const { Name, Value } =
+				typeof attribute.toJSON === 'function' ? attribute.toJSON() : attribute;
+			profile[Name] = this.parse(Name, Value);
+		});
+		return profile;
+	}
+
+	/**
+	 * Computes the fewest changes turning the attributes of a user into a
+	 * profile. Attributes absent from the profile or undefined are left as
+	 * they are, null or empty values are deleted.
+	 * @param {Array<CognitoUserAttribute|AttributeArg>|object} current The
+	 *        attributes of the user, or their profile.
+	 * @param {object} desired The typed values wanted, by attribute name.
+	 * @returns {AttributeDiff} the attributes to update and delete
+	 * @throws {InvalidParameterError} if a value does not fit the schema,
+	 *         with the problem of each attribute in its attributes property
+	 */
+	diff(current, desired) {
+		const profile = Array.isArray(current) ? this.toProfile(current) : current;
+		const problems = {};
+		const changes = { update: [], delete: [] };
+
+		Object.keys(desired).forEach(name => {
+			const value = desired[name];
+			const exists = profile[name] !== undefined && profile[name] !== '';
+			if (value === undefined) {
+				return;
+			}
+			const removed = value === null || value === '';
+			if (removed ? !exists : exists && sameValue(profile[name], value)) {
+				return;
+			}
+			const definition = this.getDefinition(name);
+			const problem =
+				definition && !definition.mutable
+					? 'can not be changed'
+					: !removed && this.getProblem(name, value);
+			if (problem) {
+				problems[name] = problem;
+			} else if (!definition) {
+				problems[name] = 'is not in the schema';
+			} else if (removed) {
+				changes.delete.push(name);
+			} else {
+				changes.update.push(
+					new CognitoUserAttribute({
+						Name: name,
+						Value: this.stringify(name, value),
+					})
+				);
+			}
+		});
+
+		if (Object.keys(problems).length > 0) {
+			throw this.createError(problems);
+		}
+		return changes;
+	}
+
+	/**
+	 * Brings the attributes of a signed in user to a profile, with one
+	 * updateAttributes and one deleteAttributes request at most.
+	 * @param {CognitoUser} user A signed in user.
+	 * @param {object} desired The typed values wanted, see diff.
+	 * @param {ClientMetadata} clientMetadata Optional ClientMetadata sent with
+	 *        the update.
+	 * @returns {Promise<AttributeDiff>} the changes made
+	 */
+	apply(user, desired, clientMetadata) {
+		let changes;
+		return user
+			.getUserAttributesAsync()
+			.then(attributes => {
+				changes = this.diff(attributes, desired);
+				return changes.update.length > 0
+					? user.updateAttributesAsync(changes.update, clientMetadata)
+					: undefined;
+			})
+			.then(() =>
+				changes.delete.length > 0
+					? user.deleteAttributesAsync(changes.delete)
+					: undefined
+			)
+			.then(() => changes);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} name The name of an attribute.
+	 * @param {*} value A typed value.
+	 * @returns {string|null} why the value does not fit the schema, if so
+	 */
+	getProblem(name, value) {
+		const definition = this.getDefinition(name);
+		if (!definition) {
+			return 'is not in the schema';
+		}
+		const {
+			type,
+			format,
+			minLength,
+			maxLength = MAXIMUM_LENGTH,
+			minValue,
+			maxValue,
+		} = definition;
+
+		if (type === 'Boolean') {
+			return typeof value === 'boolean' ? null : 'must be a boolean';
+		}
+		if (type === 'Number') {
+			if (typeof value !== 'number' || !Number.isFinite(value)) {
+				return 'must be a number';
+			}
+			if (minValue !== undefined && value < minValue) {
+				return `must be at least ${minValue}`;
+			}
+			if (maxValue !== undefined && value > maxValue) {
+				return `must be at most ${maxValue}`;
+			}
+			return null;
+		}
+		if (type === 'DateTime') {
+			return value instanceof Date && !Number.isNaN(value.getTime())
+				? null
+				: 'must be a valid Date';
+		}
+		if (type === 'Address') {
+			if (!value || typeof value !== 'object' || Array.isArray(value)) {
+				return 'must be an object';
+			}
+			const unknown = Object.keys(value).filter(
+				field => ADDRESS_FIELDS.indexOf(field) === -1
+			);
+			return unknown.length > 0
+				? `has unknown fields: ${unknown.join(', ')}`
+				: null;
+		}
+
+		if (typeof value !== 'string') {
+			return 'must be a string';
+		}
+		if (minLength !== undefined && value.length < minLength) {
+			return `must have at least ${minLength} characters`;
+		}
+		if (value.length > maxLength) {
+			return `must have at most ${maxLength} characters`;
+		}
+		if (format && !FORMATS[format][0].test(value)) {
+			return FORMATS[format][1];
+		}
+		return null;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} name The name of an attribute.
+	 * @param {*} value A valid typed value.
+	 * @returns {string} the value sent to the user pool
+	 */
+	stringify(name, value) {
+		if (value instanceof Date) {
+			return value.toISOString();
+		}
+		return typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} problems The problem of each invalid attribute.
+	 * @returns {InvalidParameterError} the error listing the problems
+	 */
+	createError(problems) {
+		const error = new InvalidParameterError(
+			`Invalid attributes: ${Object.keys(problems)
+				.map(name => `${name} ${problems[name]}`)
+				.join(', ')}.`
+		);
+		error.attributes = problems;
+		return error;
+	}
+}
@@ -0,0 +1,419 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { Buffer } from 'buffer';
+
+import { createCognitoError, toCognitoError } from '../CognitoError';
+import EmulatedUserPool from './EmulatedUserPool';
+import SrpServer from './SrpServer';
+
+const TARGET_PREFIX = 'AWSCognitoIdentityProviderService.';
+const JWKS_PATH = /^\/([\w-]+_[0-9A-Za-z]+)\/\.well-known\/jwks\.json$/;
+
+// The operations of the service and the EmulatedUserPool methods emulating them
+const OPERATIONS = {
+	SignUp: 'signUp',
+	ConfirmSignUp: 'confirmSignUp',
+	ResendConfirmationCode: 'resendConfirmationCode',
+	ForgotPassword: 'forgotPassword',
+	ConfirmForgotPassword: 'confirmForgotPassword',
+	InitiateAuth: 'initiateAuth',
+	RespondToAuthChallenge: 'respondToAuthChallenge',
+	GetUser: 'getUser',
+	UpdateUserAttributes: 'updateUserAttributes',
+	DeleteUserAttributes: 'deleteUserAttributes',
+	GetUserAttributeVerificationCode: 'getUserAttributeVerificationCode',
+	VerifyUserAttribute: 'verifyUserAttribute',
+	ChangePassword: 'changePassword',
+	DeleteUser: 'deleteUser',
+	GlobalSignOut: 'globalSignOut',
+	RevokeToken: 'revokeToken',
+	AssociateSoftwareToken: 'associateSoftwareToken',
+	VerifySoftwareToken: 'verifySoftwareToken',
+	SetUserMFAPreference: 'setUserMFAPreference',
+	SetUserSettings: 'setUserSettings',
+	ConfirmDevice: 'confirmDevice',
+	GetDevice: 'getDevice',
+	ListDevices: 'listDevices',
+	ForgetDevice: 'forgetDevice',
+	UpdateDeviceStatus: 'updateDeviceStatus',
+};
+
+const CORS_HEADERS = {
+	'Access-Control-Allow-Origin': '*',
+	'Access-Control-Allow-Headers':
+		'Content-Type, X-Amz-Target, X-Amz-User-Agent',
+	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+	'Access-Control-Expose-Headers': 'x-amzn-requestid, x-amzn-errortype',
+};
+
+/**
+ * @param {string} token A JWT.
+ * @returns {object} its claims, without verifying them, or null
+ */
+function decodeClaims(token) {
+	try {
+		return JSON.parse(
+			Buffer.from(token.split('.')[1], 'base64').toString('utf8')
+		);
+	} catch (err) {
+		return null;
+	}
+}
+
+/** @class */
+export default class CognitoEmulator {
+	/**
+	 * Constructs a new CognitoEmulator object, an in-process stand-in for the
+	 * Cognito Identity Provider service. It speaks the JSON protocol of Client,
+	 * either through its fetch method or as a local HTTP server.
+	 * @param {object=} options Emulator options.
+	 * @param {string} options.region Region of the user pools (default: us-east-1)
+	 * @param {function} options.now Returns the current time in milliseconds,
+	 *        to control the expiry of tokens, codes and TOTP (default: Date.now)
+	 */
+	constructor({ region = 'us-east-1', now = () => Date.now() } = {}) {
+		this.region = region;
+		this.now = now;
+		this.pools = {};
+		this.messages = [];
+		this.srp = new SrpServer();
+		this.server = null;
+		this.fetch = this.fetch.bind(this);
+	}
+
+	/**
+	 * Creates a user pool with one app client.
+	 * @param {object=} options Pool options.
+	 * @param {string} options.clientId The app client id (default: a random id)
+	 * @param {string|boolean} options.clientSecret The app client secret, or
+	 *        true for a random one, checked against the SECRET_HASH of the
+	 *        requests (default: no secret)
+	 * @param {string} options.mfaConfiguration OFF, OPTIONAL or ON
+	 *        (default: OPTIONAL)
+	 * @param {object} options.deviceTracking Enables device tracking, with
+	 *        the DeviceOnlyRememberedOnUserPrompt and
+	 *        ChallengeRequiredOnNewDevice flags of the service.
+	 * @param {string[]} options.autoVerifiedAttributes Attributes verified
+	 *        with a code on sign up (default: ['email'])
+	 * @param {string[]} options.requiredAttributes Attributes asked for by the
+	 *        NEW_PASSWORD_REQUIRED challenge when missing.
+	 * @param {object} options.passwordPolicy The PasswordPolicy of the pool
+	 *        (default: 8 characters, with every class of characters)
+	 * @param {int} options.accessTokenValidity Seconds (default: 3600)
+	 * @param {int} options.idTokenValidity Seconds (default: 3600)
+	 * @param {int} options.refreshTokenValidity Seconds (default: 30 days)
+	 * @param {object} options.triggers The defineAuthChallenge,
+	 *        createAuthChallenge and verifyAuthChallengeResponse functions of
+	 *        the CUSTOM_AUTH flow. They receive the event of the Lambda trigger
+	 *        and return it, or a promise for it, with its response set.
+	 * @returns {{UserPoolId: string, ClientId: string, ClientSecret: string}}
+	 *          the pool identifiers, and the client secret if any
+	 */
+	createUserPool(options) {
+		const suffix = crypto
+			.randomBytes(6)
+			.toString('base64')
+			.replace(/[^0-9A-Za-z]/g, 'x');
+		const userPoolId = `${this.region}_${suffix}`;
+		const pool = new EmulatedUserPool(userPoolId, options, {
+			now: this.now,
+			messages: this.messages,
+			srp: this.srp,
+		});
+		this.pools[userPoolId] = pool;
+		const ids = { UserPoolId: userPoolId, ClientId: pool.clientId };
+		if (pool.clientSecret) {
+			ids.ClientSecret = pool.clientSecret;
+		}
+		return ids;
+	}
+
+	/**
+	 * Adds a user to a pool, as AdminCreateUser would.
+	 * @param {string} userPoolId The user pool id.
+	 * @param {string} username The username.
+	 * @param {object} options User options.
+	 * @param {string} options.password The password.
+	 * @param {object} options.attributes Attribute values by name.
+	 * @param {string} options.status CONFIRMED, UNCONFIRMED,
+	 *        FORCE_CHANGE_PASSWORD or RESET_REQUIRED (default: CONFIRMED)
+	 * @returns {object} the user, see getUser
+	 */
+	createUser(userPoolId, username, options) {
+		this.getPool(userPoolId).addUser(username, options);
+		return this.getUser(userPoolId, username);
+	}
+
+	/**
+	 * Describes a user for test assertions.
+	 * @param {string} userPoolId The user pool id.
+	 * @param {string} username The username.
+	 * @returns {object} the status, attributes, MFA settings and devices of
+	 *          the user, or null if the user does not exist
+	 */
+	getUser(userPoolId, username) {
+		const user = this.getPool(userPoolId).users[username];
+		if (!user) {
+			return null;
+		}
+		return {
+			username: user.username,
+			status: user.status,
+			attributes: Object.assign({}, user.attributes),
+			mfa: Object.assign({}, user.mfa),
+			totpSecret: user.totp.secret,
+			devices: Object.keys(user.devices).map(key => ({
+				key,
+				name: user.devices[key].name,
+				confirmed: user.devices[key].confirmed,
+				status: user.devices[key].status,
+			})),
+		};
+	}
+
+	/**
+	 * @param {string} userPoolId The user pool id.
+	 * @param {string} username The username.
+	 * @returns {string} the last code delivered to the user, or null
+	 */
+	getLastCode(userPoolId, username) {
+		const message = this.messages
+			.filter(
+				current =>
+					current.userPoolId === userPoolId && current.username === username
+			)
+			.pop();
+		return message ? message.code : null;
+	}
+
+	/**
+	 * @param {string} userPoolId The user pool id.
+	 * @returns {object} the JSON web key set of the pool, for CognitoJwtVerifier
+	 */
+	getJwks(userPoolId) {
+		return this.getPool(userPoolId).issuer.getJwks();
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} userPoolId The user pool id.
+	 * @returns {EmulatedUserPool} the pool
+	 */
+	getPool(userPoolId) {
+		const pool = this.pools[userPoolId];
+		if (!pool) {
+			throw createCognitoError(`User pool ${userPoolId} does not exist.`, {
+				code: 'ResourceNotFoundException',
+				statusCode: 400,
+			});
+		}
+		return pool;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Finds the pool a request is meant for, from its client id, its access
+	 * token or its challenge session.
+	 * @param {object} params The request parameters.
+	 * @returns {EmulatedUserPool} the pool
+	 */
+	findPool(params) {
+		const pools = Object.keys(this.pools).map(id => this.pools[id]);
+		let pool;
+		if (params.ClientId) {
+			pool = pools.find(current => current.clientId === params.ClientId);
+			if (!pool) {
+				throw createCognitoError(
+					`User pool client ${params.ClientId} does not exist.`,
+					{ code: 'ResourceNotFoundException', statusCode: 400 }
+				);
+			}
+			return pool;
+		}
+		if (params.AccessToken) {
+			const claims = decodeClaims(params.AccessToken);
+			pool =
+				claims && pools.find(current => current.clientId === claims.client_id);
+		} else if (params.Session) {
+			pool = pools.find(current => current.sessions[params.Session]);
+		}
+		if (!pool) {
+			throw createCognitoError(
+				params.AccessToken ? 'Invalid Access Token' : 'Invalid session.',
+				{ code: 'NotAuthorizedException', statusCode: 400 }
+			);
+		}
+		return pool;
+	}
+
+	/**
+	 * Handles one operation of the service.
+	 * @param {string} operation The operation, e.g. InitiateAuth.
+	 * @param {object} params The request parameters.
+	 * @returns {Promise<object>} the response data, rejected with the
+	 *          CognitoError the service would answer with
+	 */
+	handle(operation, params) {
+		return Promise.resolve().then(() => {
+			const method = OPERATIONS[operation];
+			if (!method) {
+				throw createCognitoError(
+					`The operation ${operation} is not supported by the emulator.`,
+					{ code: 'UnknownOperationException', statusCode: 400 }
+				);
+			}
+			const pool = this.findPool(params || {});
+			return pool[method](params || {});
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} method The HTTP method.
+	 * @param {string} path The path of the request.
+	 * @param {object} headers The request headers, lower case.
+	 * @param {string} body The request body.
+	 * @returns {Promise<{status: int, headers: object, body: object}>} the
+	 *          response
+	 */
+	respond(method, path, headers, body) {
+		const requestId = crypto.randomUUID();
+		const responseHeaders = Object.assign({}, CORS_HEADERS, {
+			'Content-Type': 'application/x-amz-json-1.1',
+			'x-amzn-requestid': requestId,
+		});
+		const reply = (status, data) => ({
+			status,
+			headers: responseHeaders,
+			body: data,
+		});
+
+		const jwksPath = method === 'GET' && JWKS_PATH.exec(path);
+		if (jwksPath) {
+			return Promise.resolve()
+				.then(() => reply(200, this.getJwks(jwksPath[1])))
+				.catch(err => reply(404, { message: err.message }));
+		}
+		if (method === 'OPTIONS') {
+			return Promise.resolve(reply(200, {}));
+		}
+
+		const target = headers['x-amz-target'] || '';
+		return Promise.resolve()
+			.then(() => JSON.parse(body || '{}'))
+			.then(params => this.handle(target.replace(TARGET_PREFIX, ''), params))
+			.then(
+				data => reply(200, data),
+				err => {
+					const error = toCognitoError(err);
+					responseHeaders['x-amzn-errortype'] = error.code;
+					return reply(error.statusCode || 500, {
+						__type: error.code,
+						message: error.message,
+					});
+				}
+			);
+	}
+
+	/**
+	 * A fetch implementation serving the requests in memory, to pass as the
+	 * fetch option of CognitoUserPool. It is bound to the emulator.
+	 * @param {string} url The request URL, only its path is used.
+	 * @param {object} options The fetch options.
+	 * @returns {Promise<object>} a fetch response
+	 */
+	fetch(url, options = {}) {
+		const headers = {};
+		Object.keys(options.headers || {}).forEach(name => {
+			headers[name.toLowerCase()] = options.headers[name];
+		});
+		const path = `${url}`.replace(/^[a-z]+:\/\/[^/]*/i, '') || '/';
+		return this.respond(
+			options.method || 'GET',
+			path,
+			headers,
+			options.body
+		).then(({ status, headers: responseHeaders, body }) => {
+			const lowerHeaders = {};
+			Object.keys(responseHeaders).forEach(name => {
+				lowerHeaders[name.toLowerCase()] = responseHeaders[name];
+			});
+			return {
+				ok: status >= 200 && status < 300,
+				status,
+				headers: {
+					get: name => lowerHeaders[name.toLowerCase()] || null,
+				},
+				json: () => Promise.resolve(JSON.parse(JSON.stringify(body))),
+				text: () => Promise.resolve(JSON.stringify(body)),
+			};
+		});
+	}
+
+	/**
+	 * Serves the emulator over HTTP, to use its URL as the endpoint option of
+	 * CognitoUserPool, including from another process.
+	 * @param {int} port The port to listen on (default: a free port)
+	 * @param {string} hostname The interface to listen on (default: 127.0.0.1)
+	 * @returns {Promise<string>} the endpoint URL
+	 */
+	listen(port = 0, hostname = '127.0.0.1') {
+		if (this.server) {
+			return Promise.reject(new Error('The emulator is already listening.'));
+		}
+		this.server = http.createServer((request, response) => {
+			const chunks = [];
+			request.on('data', chunk => chunks.push(chunk));
+			request.on('end', () =>
+				this.respond(
+					request.method,
+					request.url.split('?')[0],
+					request.headers,
+					Buffer.concat(chunks).toString('utf8')
+				).then(({ status, headers, body }) => {
+					response.writeHead(status, headers);
+					response.end(JSON.stringify(body));
+				})
+			);
+		});
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port, hostname, () => {
+				resolve(`http://${hostname}:${this.server.address().port}/`);
+			});
+		});
+	}
+
+	/**
+	 * Stops serving the emulator over HTTP.
+	 * @returns {Promise<void>} resolved once the server is closed
+	 */
+	close() {
+		const { server } = this;
+		this.server = null;
+		if (!server) {
+			return Promise.resolve();
+		}
+		return new Promise(resolve => server.close(() => resolve()));
+	}
+}
@@ -0,0 +1,1757 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+import BigInteger from '../BigInteger';
+import { createCognitoError } from '../CognitoError';
+import { encodeBase32, verifyTotp } from '../utils/totp';
+import SrpServer from './SrpServer';
+import TokenIssuer from './TokenIssuer';
+
+const SESSION_VALIDITY = 3 * 60 * 1000;
+const CODE_VALIDITY = {
+	SignUp: 24 * 60 * 60 * 1000,
+	ForgotPassword: 60 * 60 * 1000,
+	VerifyUserAttribute: 24 * 60 * 60 * 1000,
+};
+const MAX_CODE_ATTEMPTS = 5;
+const VERIFIABLE_ATTRIBUTES = ['email', 'phone_number'];
+
+/**
+ * @param {string} code The error code.
+ * @param {string} message The error message.
+ * @returns {CognitoError} the error the service answers with
+ */
+function serviceError(code, message) {
+	return createCognitoError(message, { code, statusCode: 400 });
+}
+
+/**
+ * @param {int} nBytes Number of random bytes.
+ * @returns {string} a random base64 string
+ */
+function randomToken(nBytes) {
+	return crypto.randomBytes(nBytes).toString('base64');
+}
+
+/**
+ * @returns {string} a random 6 digit code
+ */
+function randomCode() {
+	return `${crypto.randomInt(0, 1000000)}`.padStart(6, '0');
+}
+
+/**
+ * @param {string} attributeName email or phone_number.
+ * @param {string} value The attribute value.
+ * @returns {string} the value masked as in CodeDeliveryDetails
+ */
+function maskDestination(attributeName, value) {
+	if (attributeName === 'email') {
+		const [local, domain] = value.split('@');
+		const dot = domain.lastIndexOf('.');
+		return `${local[0]}***@${domain[0]}***${dot > 0 ? domain.slice(dot) : ''}`;
+	}
+	return `+${new Array(Math.max(0, value.length - 4)).join('*')}${value.slice(
+		-4
+	)}`;
+}
+
+/**
+ * @param {object} attributes Attribute values by name.
+ * @returns {object[]} the attributes as a list of { Name, Value }
+ */
+function toAttributeList(attributes) {
+	return Object.keys(attributes).map(Name => ({
+		Name,
+		Value: attributes[Name],
+	}));
+}
+
+/** @class */
+export default class EmulatedUserPool {
+	/**
+	 * Constructs a new EmulatedUserPool object, the state and the operations
+	 * of one user pool and its app client.
+	 * @param {string} userPoolId The user pool id.
+	 * @param {object} options The pool options, see CognitoEmulator.createUserPool.
+	 * @param {object} context Shared by the pools of an emulator.
+	 * @param {function} context.now Returns the current time in milliseconds.
+	 * @param {object[]} context.messages Receives the delivered codes.
+	 * @param {SrpServer} context.srp The SRP implementation.
+	 */
+	constructor(userPoolId, options, { now, messages, srp }) {
+		const {
+			clientId = crypto
+				.randomBytes(13)
+				.toString('hex')
+				.slice(0, 26),
+			clientSecret = null,
+			mfaConfiguration = 'OPTIONAL',
+			deviceTracking = null,
+			autoVerifiedAttributes = ['email'],
+			requiredAttributes = [],
+			passwordPolicy = {},
+			accessTokenValidity = 60 * 60,
+			idTokenValidity = 60 * 60,
+			refreshTokenValidity = 30 * 24 * 60 * 60,
+			triggers = {},
+		} = options || {};
+		this.userPoolId = userPoolId;
+		this.poolName = userPoolId.split('_')[1];
+		this.clientId = clientId;
+		this.clientSecret =
+			clientSecret === true ? randomToken(38).slice(0, 51) : clientSecret;
+		this.mfaConfiguration = mfaConfiguration;
+		this.deviceTracking = deviceTracking;
+		this.autoVerifiedAttributes = autoVerifiedAttributes;
+		this.requiredAttributes = requiredAttributes;
+		this.passwordPolicy = Object.assign(
+			{
+				MinimumLength: 8,
+				RequireUppercase: true,
+				RequireLowercase: true,
+				RequireNumbers: true,
+				RequireSymbols: true,
+			},
+			passwordPolicy
+		);
+		this.validity = {
+			access: accessTokenValidity,
+			id: idTokenValidity,
+			refresh: refreshTokenValidity,
+		};
+		this.triggers = triggers;
+
+		this.now = now;
+		this.messages = messages;
+		this.srp = srp || new SrpServer();
+		this.issuer = new TokenIssuer(
+			`https://cognito-idp.${
+				userPoolId.split('_')[0]
+			}.amazonaws.com/${userPoolId}`
+		);
+
+		this.users = {};
+		this.sessions = {};
+		this.refreshTokens = {};
+		this.revokedOrigins = {};
+	}
+
+	/**
+	 * Adds a user the way AdminCreateUser and SignUp do.
+	 * @param {string} username The username.
+	 * @param {object} options The user options.
+	 * @param {string} options.password The password.
+	 * @param {object} options.attributes Attribute values by name.
+	 * @param {string} options.status CONFIRMED, UNCONFIRMED,
+	 *        FORCE_CHANGE_PASSWORD or RESET_REQUIRED (default: CONFIRMED)
+	 * @returns {object} the user
+	 */
+	addUser(username, { password, attributes = {}, status = 'CONFIRMED' } = {}) {
+		if (this.users[username]) {
+			throw serviceError(
+				'UsernameExistsException',
+				'An account with the given username already exists.'
+			);
+		}
+		const sub = crypto.randomUUID();
+		const user = {
+			username,
+			password,
+			status,
+			enabled: true,
+			attributes: Object.assign({}, attributes, { sub }),
+			createDate: this.now(),
+			mfa: { sms: false, totp: false, preferred: null },
+			totp: { secret: null, pendingSecret: null },
+			codes: {},
+			srp: null,
+			deviceGroupKey: `-${crypto.randomBytes(6).toString('hex')}`,
+			devices: {},
+			origins: {},
+		};
+		this.users[username] = user;
+		return user;
+	}
+
+	/**
+	 * @param {string} username The username.
+	 * @returns {object} the user
+	 */
+	getUserRecord(username) {
+		const user = this.users[username];
+		if (!user) {
+			throw serviceError('UserNotFoundException', 'User does not exist.');
+		}
+		return user;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} password A proposed password.
+	 * @returns {void}
+	 */
+	checkPasswordPolicy(password) {
+		const policy = this.passwordPolicy;
+		const violation = [
+			[
+				!password || password.length < policy.MinimumLength,
+				'Password not long enough',
+			],
+			[
+				policy.RequireUppercase && !/[A-Z]/.test(password),
+				'Password must have uppercase characters',
+			],
+			[
+				policy.RequireLowercase && !/[a-z]/.test(password),
+				'Password must have lowercase characters',
+			],
+			[
+				policy.RequireNumbers && !/[0-9]/.test(password),
+				'Password must have numeric characters',
+			],
+			[
+				policy.RequireSymbols && !/[^A-Za-z0-9]/.test(password),
+				'Password must have symbol characters',
+			],
+		].find(([failed]) => failed);
+		if (violation) {
+			throw serviceError(
+				'InvalidPasswordException',
+				`Password did not conform with policy: ${violation[1]}`
+			);
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Checks the SECRET_HASH of a request when the app client has a secret.
+	 * @param {string} username The username the hash is computed on.
+	 * @param {string} secretHash The SECRET_HASH of the request.
+	 * @returns {void}
+	 */
+	checkSecretHash(username, secretHash) {
+		if (!this.clientSecret) {
+			return;
+		}
+		if (!secretHash) {
+			throw serviceError(
+				'NotAuthorizedException',
+				`Client ${this.clientId} is configured for secret but secret was not received`
+			);
+		}
+		const expected = crypto
+			.createHmac('sha256', this.clientSecret)
+			.update(`${username}${this.clientId}`)
+			.digest('base64');
+		if (secretHash !== expected) {
+			throw serviceError(
+				'NotAuthorizedException',
+				`Unable to verify secret hash for client ${this.clientId}`
+			);
+		}
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Creates a code and records its delivery.
+	 * @param {object} user The user.
+	 * @param {string} purpose SignUp, ForgotPassword or VerifyUserAttribute.
+	 * @param {string} attributeName The attribute the code is delivered to.
+	 * @returns {object} the CodeDeliveryDetails
+	 */
+	sendCode(user, purpose, attributeName) {
+		const code = randomCode();
+		const key = purpose === 'VerifyUserAttribute' ? attributeName : purpose;
+		this.users[user.username].codes[key] = {
+			code,
+			expiresAt: this.now() + CODE_VALIDITY[purpose],
+			attributeName,
+			attempts: 0,
+		};
+		return this.deliver(user, purpose, attributeName, code);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {string} reason Why the code is sent.
+	 * @param {string} attributeName email or phone_number.
+	 * @param {string} code The code.
+	 * @returns {object} the CodeDeliveryDetails
+	 */
+	deliver(user, reason, attributeName, code) {
+		const deliveryMedium = attributeName === 'email' ? 'EMAIL' : 'SMS';
+		const destination = user.attributes[attributeName];
+		this.messages.push({
+			userPoolId: this.userPoolId,
+			username: user.username,
+			reason,
+			deliveryMedium,
+			destination,
+			code,
+		});
+		return {
+			AttributeName: attributeName,
+			DeliveryMedium: deliveryMedium,
+			Destination: maskDestination(attributeName, destination),
+		};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Checks and consumes a code sent by sendCode.
+	 * @param {object} user The user.
+	 * @param {string} key The purpose, or the attribute name of the code.
+	 * @param {string} code The code to check.
+	 * @returns {object} the code record
+	 */
+	consumeCode(user, key, code) {
+		const record = user.codes[key];
+		if (!record) {
+			throw serviceError(
+				'ExpiredCodeException',
+				'Invalid code provided, please request a code again.'
+			);
+		}
+		if (record.code !== `${code}`) {
+			record.attempts += 1;
+			if (record.attempts >= MAX_CODE_ATTEMPTS) {
+				delete this.users[user.username].codes[key];
+				throw serviceError(
+					'LimitExceededException',
+					'Attempt limit exceeded, please try after some time.'
+				);
+			}
+			throw serviceError(
+				'CodeMismatchException',
+				'Invalid verification code provided, please try again.'
+			);
+		}
+		delete this.users[user.username].codes[key];
+		if (record.expiresAt <= this.now()) {
+			throw serviceError(
+				'ExpiredCodeException',
+				'Invalid code provided, please request a code again.'
+			);
+		}
+		return record;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @returns {string} the attribute the sign up code is delivered to, if any
+	 */
+	getAutoVerifiedAttribute(user) {
+		return VERIFIABLE_ATTRIBUTES.find(
+			name =>
+				this.autoVerifiedAttributes.indexOf(name) !== -1 &&
+				user.attributes[name]
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {string} challengeName The challenge the session answers.
+	 * @param {object} data The state of the session.
+	 * @returns {string} the Session of the challenge
+	 */
+	createSession(user, challengeName, data) {
+		const id = randomToken(48);
+		this.sessions[id] = Object.assign({}, data, {
+			id,
+			username: user.username,
+			challengeName,
+			expiresAt: this.now() + SESSION_VALIDITY,
+		});
+		return id;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} id The Session.
+	 * @param {string|string[]} challengeNames The challenges it may answer.
+	 * @returns {object} the session
+	 */
+	getSession(id, challengeNames) {
+		const session = this.sessions[id];
+		if (
+			!session ||
+			[].concat(challengeNames).indexOf(session.challengeName) === -1
+		) {
+			throw serviceError(
+				'NotAuthorizedException',
+				'Invalid session for the user.'
+			);
+		}
+		if (session.expiresAt <= this.now()) {
+			delete this.sessions[id];
+			throw serviceError(
+				'NotAuthorizedException',
+				'Invalid session for the user, session is expired.'
+			);
+		}
+		return session;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} accessToken An access token issued by the pool.
+	 * @returns {object} the user it was issued to
+	 */
+	authorize(accessToken) {
+		const claims = this.issuer.verify(accessToken);
+		if (!claims || claims.token_use !== 'access') {
+			throw serviceError('NotAuthorizedException', 'Invalid Access Token');
+		}
+		if (claims.exp * 1000 <= this.now()) {
+			throw serviceError('NotAuthorizedException', 'Access Token has expired');
+		}
+		if (this.revokedOrigins[claims.origin_jti]) {
+			throw serviceError(
+				'NotAuthorizedException',
+				'Access Token has been revoked'
+			);
+		}
+		return this.getUserRecord(claims.username);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The signed in user.
+	 * @param {object} options Token options.
+	 * @param {string} options.deviceKey The device signing in, if any.
+	 * @param {string} options.originJti Identifies the sign in being
+	 *        refreshed, a new one is created when missing.
+	 * @param {boolean} options.trackDevice true to offer a new device.
+	 * @returns {object} the AuthenticationResult
+	 */
+	issueTokens(user, { deviceKey, originJti, trackDevice } = {}) {
+		const now = Math.floor(this.now() / 1000);
+		const refreshing = !!originJti;
+		const origin = originJti || crypto.randomUUID();
+		const eventId = crypto.randomUUID();
+		this.users[user.username].origins[origin] = true;
+
+		const idClaims = {};
+		Object.keys(user.attributes).forEach(name => {
+			const value = user.attributes[name];
+			idClaims[name] = /_verified$/.test(name) ? value === 'true' : value;
+		});
+		const result = {
+			AccessToken: this.issuer.sign(
+				Object.assign(deviceKey ? { device_key: deviceKey } : {}, {
+					sub: user.attributes.sub,
+					client_id: this.clientId,
+					origin_jti: origin,
+					event_id: eventId,
+					token_use: 'access',
+					scope: 'aws.cognito.signin.user.admin',
+					auth_time: now,
+					exp: now + this.validity.access,
+					iat: now,
+					jti: crypto.randomUUID(),
+					username: user.username,
+				})
+			),
+			ExpiresIn: this.validity.access,
+			TokenType: 'Bearer',
+			IdToken: this.issuer.sign(
+				Object.assign(idClaims, {
+					aud: this.clientId,
+					'cognito:username': user.username,
+					origin_jti: origin,
+					event_id: eventId,
+					token_use: 'id',
+					auth_time: now,
+					exp: now + this.validity.id,
+					iat: now,
+					jti: crypto.randomUUID(),
+				})
+			),
+		};
+		if (!refreshing) {
+			const refreshToken = randomToken(96);
+			this.refreshTokens[refreshToken] = {
+				username: user.username,
+				origin,
+				deviceKey,
+				expiresAt: this.now() + this.validity.refresh * 1000,
+			};
+			result.RefreshToken = refreshToken;
+		}
+		if (trackDevice && this.deviceTracking) {
+			const newDeviceKey = `${
+				this.userPoolId.split('_')[0]
+			}_${crypto.randomUUID()}`;
+			this.users[user.username].devices[newDeviceKey] = {
+				key: newDeviceKey,
+				confirmed: false,
+				status: 'not_remembered',
+				createDate: this.now(),
+				lastModifiedDate: this.now(),
+				lastAuthenticatedDate: this.now(),
+			};
+			result.NewDeviceMetadata = {
+				DeviceKey: newDeviceKey,
+				DeviceGroupKey: user.deviceGroupKey,
+			};
+		}
+		return result;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {string} deviceKey The DEVICE_KEY of the request, if any.
+	 * @returns {object} the confirmed device of the user, or null without key
+	 */
+	getSigningInDevice(user, deviceKey) {
+		if (!deviceKey) {
+			return null;
+		}
+		const device = user.devices[deviceKey];
+		if (!device || !device.confirmed) {
+			throw serviceError('ResourceNotFoundException', 'Device does not exist.');
+		}
+		return device;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @returns {string[]} the MFA the user enabled
+	 */
+	getEnabledMfa(user) {
+		const enabled = [];
+		if (user.mfa.sms && user.attributes.phone_number) {
+			enabled.push('SMS_MFA');
+		}
+		if (user.mfa.totp && user.totp.secret) {
+			enabled.push('SOFTWARE_TOKEN_MFA');
+		}
+		return enabled;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Answers a successful password verification with the next challenge,
+	 * or with the tokens.
+	 * @param {object} user The user.
+	 * @param {object} device The confirmed device signing in, if any.
+	 * @returns {object} the InitiateAuth or RespondToAuthChallenge response
+	 */
+	continueAfterPassword(user, device) {
+		if (user.status === 'UNCONFIRMED') {
+			throw serviceError('UserNotConfirmedException', 'User is not confirmed.');
+		}
+		if (user.status === 'FORCE_CHANGE_PASSWORD') {
+			const attributes = Object.assign({}, user.attributes);
+			delete attributes.sub;
+			return {
+				ChallengeName: 'NEW_PASSWORD_REQUIRED',
+				Session: this.createSession(user, 'NEW_PASSWORD_REQUIRED', {
+					deviceKey: device && device.key,
+				}),
+				ChallengeParameters: {
+					USER_ID_FOR_SRP: user.username,
+					userAttributes: JSON.stringify(attributes),
+					requiredAttributes: JSON.stringify(
+						this.requiredAttributes
+							.filter(name => !user.attributes[name])
+							.map(name => `userAttributes.${name}`)
+					),
+				},
+			};
+		}
+		return this.continueAfterFirstFactor(user, device);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {object} device The confirmed device signing in, if any.
+	 * @returns {object} the MFA or device challenge, or the tokens
+	 */
+	continueAfterFirstFactor(user, device) {
+		const deviceKey = device && device.key;
+		if (device && device.status === 'remembered') {
+			return {
+				ChallengeName: 'DEVICE_SRP_AUTH',
+				Session: this.createSession(user, 'DEVICE_SRP_AUTH', { deviceKey }),
+				ChallengeParameters: {},
+			};
+		}
+
+		const enabled = this.getEnabledMfa(user);
+		let mfa = null;
+		if (this.mfaConfiguration === 'OFF') {
+			mfa = null;
+		} else if (enabled.length === 1) {
+			mfa = enabled[0];
+		} else if (enabled.length > 1) {
+			mfa =
+				enabled.indexOf(user.mfa.preferred) !== -1
+					? user.mfa.preferred
+					: 'SELECT_MFA_TYPE';
+		} else if (this.mfaConfiguration === 'ON') {
+			mfa = user.attributes.phone_number ? 'SMS_MFA' : 'MFA_SETUP';
+		}
+
+		if (!mfa) {
+			return {
+				ChallengeParameters: {},
+				AuthenticationResult: this.issueTokens(user, {
+					deviceKey,
+					trackDevice: !device,
+				}),
+			};
+		}
+		return this.startMfaChallenge(user, mfa, { deviceKey, enabled });
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {string} challengeName The MFA challenge.
+	 * @param {object} state The state carried by the session.
+	 * @returns {object} the challenge response
+	 */
+	startMfaChallenge(user, challengeName, state) {
+		const challengeParameters = {};
+		const sessionData = Object.assign({}, state);
+		if (challengeName === 'SMS_MFA') {
+			sessionData.code = randomCode();
+			const details = this.deliver(
+				user,
+				'Authentication',
+				'phone_number',
+				sessionData.code
+			);
+			challengeParameters.CODE_DELIVERY_DELIVERY_MEDIUM =
+				details.DeliveryMedium;
+			challengeParameters.CODE_DELIVERY_DESTINATION = details.Destination;
+		} else if (challengeName === 'SELECT_MFA_TYPE') {
+			challengeParameters.MFAS_CAN_CHOOSE = JSON.stringify(state.enabled);
+		} else if (challengeName === 'MFA_SETUP') {
+			challengeParameters.MFAS_CAN_SETUP = JSON.stringify([
+				'SOFTWARE_TOKEN_MFA',
+			]);
+		}
+		return {
+			ChallengeName: challengeName,
+			Session: this.createSession(user, challengeName, sessionData),
+			ChallengeParameters: challengeParameters,
+		};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user, or its device.
+	 * @param {string} challengeName PASSWORD_VERIFIER or DEVICE_PASSWORD_VERIFIER.
+	 * @param {object} srp The salt and the verifier of the password.
+	 * @param {string} srpA The SRP_A of the client.
+	 * @param {object} state The state carried by the session.
+	 * @returns {Promise<object>} the challenge response
+	 */
+	startPasswordVerifier(user, challengeName, srp, srpA, state) {
+		const A = new BigInteger(srpA, 16);
+		return this.srp.createServerValues(srp.verifier).then(({ b, B }) => {
+			const secretBlock = randomToken(64);
+			const userId = state.deviceKey || user.username;
+			const challengeParameters = {
+				SALT: srp.salt.toString(16),
+				SECRET_BLOCK: secretBlock,
+				SRP_B: B.toString(16),
+				USERNAME: user.username,
+			};
+			if (challengeName === 'PASSWORD_VERIFIER') {
+				challengeParameters.USER_ID_FOR_SRP = userId;
+			} else {
+				challengeParameters.DEVICE_KEY = state.deviceKey;
+			}
+			return {
+				ChallengeName: challengeName,
+				Session: this.createSession(
+					user,
+					challengeName,
+					Object.assign({}, state, {
+						A,
+						b,
+						B,
+						verifier: srp.verifier,
+						secretBlock,
+					})
+				),
+				ChallengeParameters: challengeParameters,
+			};
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @returns {Promise<object>} the salt and the verifier of its password
+	 */
+	getPasswordVerifier(user) {
+		if (user.srp && user.srp.password === user.password) {
+			return Promise.resolve(user.srp);
+		}
+		return this.srp
+			.createVerifier(this.poolName, user.username, user.password)
+			.then(({ salt, verifier }) => {
+				const srp = { password: user.password, salt, verifier };
+				// The user may have been deleted in the meantime
+				if (this.users[user.username] === user) {
+					this.users[user.username].srp = srp;
+				}
+				return srp;
+			});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @returns {void}
+	 */
+	checkCanSignIn(user) {
+		if (!user.enabled) {
+			throw serviceError('NotAuthorizedException', 'User is disabled.');
+		}
+		if (user.status === 'RESET_REQUIRED') {
+			throw serviceError(
+				'PasswordResetRequiredException',
+				'Password reset required for the user'
+			);
+		}
+	}
+
+	/**
+	 * Emulates SignUp.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	signUp({ Username, Password, UserAttributes = [], SecretHash }) {
+		this.checkSecretHash(Username, SecretHash);
+		this.checkPasswordPolicy(Password);
+		const attributes = {};
+		UserAttributes.forEach(({ Name, Value }) => {
+			attributes[Name] = Value;
+		});
+		const user = this.addUser(Username, {
+			password: Password,
+			attributes,
+			status: 'UNCONFIRMED',
+		});
+		const attributeName = this.getAutoVerifiedAttribute(user);
+		const response = {
+			UserConfirmed: false,
+			UserSub: user.attributes.sub,
+		};
+		if (attributeName) {
+			response.CodeDeliveryDetails = this.sendCode(
+				user,
+				'SignUp',
+				attributeName
+			);
+		}
+		return response;
+	}
+
+	/**
+	 * Emulates ConfirmSignUp.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	confirmSignUp({ Username, ConfirmationCode, SecretHash }) {
+		this.checkSecretHash(Username, SecretHash);
+		const user = this.getUserRecord(Username);
+		if (user.status !== 'UNCONFIRMED') {
+			throw serviceError(
+				'NotAuthorizedException',
+				`User cannot be confirmed. Current status is ${user.status}`
+			);
+		}
+		const { attributeName } = this.consumeCode(
+			user,
+			'SignUp',
+			ConfirmationCode
+		);
+		user.status = 'CONFIRMED';
+		user.attributes[`${attributeName}_verified`] = 'true';
+		return {};
+	}
+
+	/**
+	 * Emulates ResendConfirmationCode.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	resendConfirmationCode({ Username, SecretHash }) {
+		this.checkSecretHash(Username, SecretHash);
+		const user = this.getUserRecord(Username);
+		const attributeName = this.getAutoVerifiedAttribute(user);
+		if (user.status !== 'UNCONFIRMED' || !attributeName) {
+			throw serviceError(
+				'InvalidParameterException',
+				'User is already confirmed.'
+			);
+		}
+		return {
+			CodeDeliveryDetails: this.sendCode(user, 'SignUp', attributeName),
+		};
+	}
+
+	/**
+	 * Emulates ForgotPassword.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	forgotPassword({ Username, SecretHash }) {
+		this.checkSecretHash(Username, SecretHash);
+		const user = this.getUserRecord(Username);
+		const attributeName = VERIFIABLE_ATTRIBUTES.find(
+			name => user.attributes[`${name}_verified`] === 'true'
+		);
+		if (!attributeName) {
+			throw serviceError(
+				'InvalidParameterException',
+				'Cannot reset password for the user as there is no registered/verified email or phone_number'
+			);
+		}
+		return {
+			CodeDeliveryDetails: this.sendCode(user, 'ForgotPassword', attributeName),
+		};
+	}
+
+	/**
+	 * Emulates ConfirmForgotPassword.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	confirmForgotPassword({ Username, ConfirmationCode, Password, SecretHash }) {
+		this.checkSecretHash(Username, SecretHash);
+		const user = this.getUserRecord(Username);
+		this.checkPasswordPolicy(Password);
+		this.consumeCode(user, 'ForgotPassword', ConfirmationCode);
+		user.password = Password;
+		if (user.status === 'RESET_REQUIRED') {
+			user.status = 'CONFIRMED';
+		}
+		return {};
+	}
+
+	/**
+	 * Emulates InitiateAuth for the USER_SRP_AUTH, USER_PASSWORD_AUTH,
+	 * CUSTOM_AUTH and REFRESH_TOKEN_AUTH flows.
+	 * @param {object} params The request parameters.
+	 * @returns {object|Promise<object>} the response
+	 */
+	initiateAuth({ AuthFlow, AuthParameters = {}, ClientMetadata = {} }) {
+		if (AuthFlow === 'REFRESH_TOKEN_AUTH' || AuthFlow === 'REFRESH_TOKEN') {
+			return this.refreshTokenAuth(AuthParameters);
+		}
+		this.checkSecretHash(AuthParameters.USERNAME, AuthParameters.SECRET_HASH);
+		if (AuthFlow === 'CUSTOM_AUTH') {
+			return this.customAuth(AuthParameters, ClientMetadata);
+		}
+		if (AuthFlow !== 'USER_SRP_AUTH' && AuthFlow !== 'USER_PASSWORD_AUTH') {
+			throw serviceError(
+				'InvalidParameterException',
+				'Initiate Auth method not supported.'
+			);
+		}
+
+		const user = this.getUserRecord(AuthParameters.USERNAME);
+		this.checkCanSignIn(user);
+		if (AuthFlow === 'USER_PASSWORD_AUTH') {
+			if (user.password !== AuthParameters.PASSWORD) {
+				throw serviceError(
+					'NotAuthorizedException',
+					'Incorrect username or password.'
+				);
+			}
+			return this.continueAfterPassword(
+				user,
+				this.getSigningInDevice(user, AuthParameters.DEVICE_KEY)
+			);
+		}
+		return this.getPasswordVerifier(user).then(srp =>
+			this.startPasswordVerifier(
+				user,
+				'PASSWORD_VERIFIER',
+				srp,
+				AuthParameters.SRP_A,
+				{}
+			)
+		);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} authParameters The AuthParameters of the request.
+	 * @returns {object} the response
+	 */
+	refreshTokenAuth({ REFRESH_TOKEN, SECRET_HASH }) {
+		const record = this.refreshTokens[REFRESH_TOKEN];
+		if (!record) {
+			throw serviceError('NotAuthorizedException', 'Invalid Refresh Token');
+		}
+		this.checkSecretHash(record.username, SECRET_HASH);
+		if (this.revokedOrigins[record.origin]) {
+			throw serviceError(
+				'NotAuthorizedException',
+				'Refresh Token has been revoked'
+			);
+		}
+		if (record.expiresAt <= this.now()) {
+			throw serviceError('NotAuthorizedException', 'Refresh Token has expired');
+		}
+		const user = this.getUserRecord(record.username);
+		this.checkCanSignIn(user);
+		return {
+			ChallengeParameters: {},
+			AuthenticationResult: this.issueTokens(user, {
+				deviceKey: record.deviceKey,
+				originJti: record.origin,
+			}),
+		};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {string} name The trigger, e.g. DefineAuthChallenge.
+	 * @param {object} user The user.
+	 * @param {object} request The request of the trigger event.
+	 * @param {object} response The default response of the trigger event.
+	 * @returns {Promise<object>} the response set or returned by the trigger
+	 */
+	runTrigger(name, user, request, response) {
+		const trigger = this.triggers[
+			`${name.charAt(0).toLowerCase()}${name.slice(1)}`
+		];
+		const event = {
+			version: '1',
+			region: this.userPoolId.split('_')[0],
+			userPoolId: this.userPoolId,
+			userName: user.username,
+			callerContext: { clientId: this.clientId },
+			triggerSource: `${name}_Authentication`,
+			request: Object.assign(
+				{
+					userAttributes: Object.assign({}, user.attributes, {
+						'cognito:user_status': user.status,
+					}),
+				},
+				request
+			),
+			response,
+		};
+		return Promise.resolve()
+			.then(() => trigger(event))
+			.then(
+				result => (result && result.response) || event.response,
+				err => {
+					throw serviceError(
+						'UserLambdaValidationException',
+						`${name} failed with error ${err.message}.`
+					);
+				}
+			);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} authParameters The AuthParameters of the request.
+	 * @param {object} clientMetadata The ClientMetadata of the request.
+	 * @returns {Promise<object>} the first challenge, or the tokens
+	 */
+	customAuth({ USERNAME, DEVICE_KEY, SRP_A }, clientMetadata) {
+		if (
+			!this.triggers.defineAuthChallenge ||
+			!this.triggers.createAuthChallenge ||
+			!this.triggers.verifyAuthChallengeResponse
+		) {
+			throw serviceError(
+				'InvalidParameterException',
+				'Custom auth lambda trigger is not configured for the user pool.'
+			);
+		}
+		const user = this.getUserRecord(USERNAME);
+		this.checkCanSignIn(user);
+		if (user.status === 'UNCONFIRMED') {
+			throw serviceError('UserNotConfirmedException', 'User is not confirmed.');
+		}
+		// A client proving the password first starts with SRP_A
+		const history = SRP_A
+			? [
+					{
+						challengeName: 'SRP_A',
+						challengeResult: true,
+						challengeMetadata: null,
+					},
+			  ]
+			: [];
+		return this.continueCustomAuth(user, history, clientMetadata, {
+			deviceKey: this.getSigningInDevice(user, DEVICE_KEY) ? DEVICE_KEY : null,
+			srpA: SRP_A,
+		});
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Asks DefineAuthChallenge what comes next, and CreateAuthChallenge for the
+	 * parameters of the next challenge.
+	 * @param {object} user The user.
+	 * @param {object[]} history The challenges answered so far.
+	 * @param {object} clientMetadata The ClientMetadata of the request.
+	 * @param {object} state The state carried by the session.
+	 * @returns {Promise<object>} the next challenge, or the tokens
+	 */
+	continueCustomAuth(user, history, clientMetadata, state) {
+		return this.runTrigger(
+			'DefineAuthChallenge',
+			user,
+			{ session: history, clientMetadata },
+			{ challengeName: null, issueTokens: false, failAuthentication: false }
+		).then(({ challengeName, issueTokens, failAuthentication }) => {
+			if (failAuthentication) {
+				throw serviceError(
+					'NotAuthorizedException',
+					'Incorrect username or password.'
+				);
+			}
+			if (issueTokens) {
+				return this.completeSignIn(
+					user,
+					state.deviceKey ? user.devices[state.deviceKey] : null
+				);
+			}
+			if (challengeName === 'PASSWORD_VERIFIER' && state.srpA) {
+				return this.getPasswordVerifier(user).then(srp =>
+					this.startPasswordVerifier(user, challengeName, srp, state.srpA, {
+						history,
+					})
+				);
+			}
+			if (challengeName !== 'CUSTOM_CHALLENGE') {
+				throw serviceError(
+					'InvalidLambdaResponseException',
+					`The challenge ${challengeName} is not supported by the emulator.`
+				);
+			}
+			return this.runTrigger(
+				'CreateAuthChallenge',
+				user,
+				{ challengeName, session: history, clientMetadata },
+				{
+					publicChallengeParameters: {},
+					privateChallengeParameters: {},
+					challengeMetadata: null,
+				}
+			).then(
+				({
+					publicChallengeParameters,
+					privateChallengeParameters,
+					challengeMetadata,
+				}) => ({
+					ChallengeName: challengeName,
+					Session: this.createSession(
+						user,
+						challengeName,
+						Object.assign({}, state, {
+							history,
+							privateChallengeParameters,
+							challengeMetadata,
+						})
+					),
+					ChallengeParameters: Object.assign({}, publicChallengeParameters, {
+						USERNAME: user.username,
+					}),
+				})
+			);
+		});
+	}
+
+	/**
+	 * Emulates RespondToAuthChallenge.
+	 * @param {object} params The request parameters.
+	 * @returns {object|Promise<object>} the response
+	 */
+	respondToAuthChallenge({
+		ChallengeName,
+		ChallengeResponses = {},
+		Session,
+		ClientMetadata = {},
+	}) {
+		this.checkSecretHash(
+			ChallengeResponses.USERNAME,
+			ChallengeResponses.SECRET_HASH
+		);
+		if (ChallengeName === 'DEVICE_SRP_AUTH') {
+			return this.respondToDeviceSrpAuth(ChallengeResponses, Session);
+		}
+		const session = this.getSession(Session, ChallengeName);
+		const user = this.getUserRecord(session.username);
+		const device = session.deviceKey ? user.devices[session.deviceKey] : null;
+
+		if (
+			ChallengeName === 'PASSWORD_VERIFIER' ||
+			ChallengeName === 'DEVICE_PASSWORD_VERIFIER'
+		) {
+			const verifier = ChallengeName === 'PASSWORD_VERIFIER';
+			// Checked first, clients retry without their device when it is unknown
+			const signingInDevice = verifier
+				? this.getSigningInDevice(user, ChallengeResponses.DEVICE_KEY)
+				: null;
+			return this.srp
+				.verifyClaim({
+					poolName: verifier ? this.poolName : user.deviceGroupKey,
+					userId: verifier ? user.username : session.deviceKey,
+					A: session.A,
+					b: session.b,
+					B: session.B,
+					verifier: session.verifier,
+					secretBlock: ChallengeResponses.PASSWORD_CLAIM_SECRET_BLOCK,
+					timestamp: ChallengeResponses.TIMESTAMP,
+					signature: ChallengeResponses.PASSWORD_CLAIM_SIGNATURE,
+				})
+				.then(valid => {
+					delete this.sessions[Session];
+					if (!valid) {
+						throw serviceError(
+							'NotAuthorizedException',
+							'Incorrect username or password.'
+						);
+					}
+					if (session.history) {
+						return this.continueCustomAuth(
+							user,
+							session.history.concat({
+								challengeName: ChallengeName,
+								challengeResult: true,
+								challengeMetadata: null,
+							}),
+							ClientMetadata,
+							{ deviceKey: signingInDevice && signingInDevice.key }
+						);
+					}
+					if (!verifier) {
+						device.lastAuthenticatedDate = this.now();
+						return {
+							ChallengeParameters: {},
+							AuthenticationResult: this.issueTokens(user, {
+								deviceKey: session.deviceKey,
+							}),
+						};
+					}
+					return this.continueAfterPassword(user, signingInDevice);
+				});
+		}
+
+		if (ChallengeName === 'CUSTOM_CHALLENGE') {
+			// Checked first, clients retry without their device when it is unknown
+			const deviceKey = this.getSigningInDevice(
+				user,
+				ChallengeResponses.DEVICE_KEY
+			)
+				? ChallengeResponses.DEVICE_KEY
+				: session.deviceKey;
+			delete this.sessions[Session];
+			return this.runTrigger(
+				'VerifyAuthChallengeResponse',
+				user,
+				{
+					privateChallengeParameters: session.privateChallengeParameters,
+					challengeAnswer: ChallengeResponses.ANSWER,
+					clientMetadata: ClientMetadata,
+				},
+				{ answerCorrect: false }
+			).then(({ answerCorrect }) =>
+				this.continueCustomAuth(
+					user,
+					session.history.concat({
+						challengeName: ChallengeName,
+						challengeResult: answerCorrect === true,
+						challengeMetadata: session.challengeMetadata,
+					}),
+					ClientMetadata,
+					{ deviceKey }
+				)
+			);
+		}
+
+		if (ChallengeName === 'SMS_MFA' || ChallengeName === 'SOFTWARE_TOKEN_MFA') {
+			const valid =
+				ChallengeName === 'SMS_MFA'
+					? ChallengeResponses.SMS_MFA_CODE === session.code
+					: verifyTotp(
+							ChallengeResponses.SOFTWARE_TOKEN_MFA_CODE,
+							user.totp.secret,
+							{ time: this.now() }
+					  );
+			if (!valid) {
+				throw serviceError(
+					'CodeMismatchException',
+					'Invalid code or auth state for the user.'
+				);
+			}
+			delete this.sessions[Session];
+			return this.completeSignIn(user, device);
+		}
+
+		if (ChallengeName === 'SELECT_MFA_TYPE') {
+			const answer = ChallengeResponses.ANSWER;
+			if (session.enabled.indexOf(answer) === -1) {
+				throw serviceError(
+					'InvalidParameterException',
+					`The MFA type ${answer} is not enabled for the user.`
+				);
+			}
+			delete this.sessions[Session];
+			return this.startMfaChallenge(user, answer, session);
+		}
+
+		if (ChallengeName === 'MFA_SETUP') {
+			if (!session.softwareTokenVerified) {
+				throw serviceError(
+					'InvalidParameterException',
+					'The software token is not verified.'
+				);
+			}
+			delete this.sessions[Session];
+			return this.completeSignIn(user, device);
+		}
+
+		// NEW_PASSWORD_REQUIRED
+		this.checkPasswordPolicy(ChallengeResponses.NEW_PASSWORD);
+		const prefix = 'userAttributes.';
+		Object.keys(ChallengeResponses)
+			.filter(key => key.indexOf(prefix) === 0)
+			.forEach(key => {
+				user.attributes[key.substr(prefix.length)] = ChallengeResponses[key];
+			});
+		const missing = this.requiredAttributes.filter(
+			name => !user.attributes[name]
+		);
+		if (missing.length > 0) {
+			throw serviceError(
+				'InvalidParameterException',
+				`Missing required attributes: ${missing.join(', ')}`
+			);
+		}
+		delete this.sessions[Session];
+		user.password = ChallengeResponses.NEW_PASSWORD;
+		user.status = 'CONFIRMED';
+		return this.continueAfterFirstFactor(user, device);
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {object} device The confirmed device signing in, if any.
+	 * @returns {object} the response carrying the tokens
+	 */
+	completeSignIn(user, device) {
+		return {
+			ChallengeParameters: {},
+			AuthenticationResult: this.issueTokens(user, {
+				deviceKey: device && device.key,
+				trackDevice: !device,
+			}),
+		};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Answers DEVICE_SRP_AUTH, which clients send without the Session of the
+	 * challenge.
+	 * @param {object} challengeResponses The ChallengeResponses of the request.
+	 * @param {string} sessionId The Session of the request, if any.
+	 * @returns {Promise<object>} the DEVICE_PASSWORD_VERIFIER challenge
+	 */
+	respondToDeviceSrpAuth({ USERNAME, DEVICE_KEY, SRP_A }, sessionId) {
+		const id =
+			sessionId ||
+			Object.keys(this.sessions).find(
+				key =>
+					this.sessions[key].challengeName === 'DEVICE_SRP_AUTH' &&
+					this.sessions[key].username === USERNAME &&
+					this.sessions[key].deviceKey === DEVICE_KEY
+			);
+		const session = this.getSession(id, 'DEVICE_SRP_AUTH');
+		const user = this.getUserRecord(session.username);
+		const device = this.getSigningInDevice(user, DEVICE_KEY);
+		delete this.sessions[id];
+		return this.startPasswordVerifier(
+			user,
+			'DEVICE_PASSWORD_VERIFIER',
+			device.srp,
+			SRP_A,
+			{ deviceKey: device.key }
+		);
+	}
+
+	/**
+	 * Emulates GetUser.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	getUser({ AccessToken }) {
+		const user = this.authorize(AccessToken);
+		const response = {
+			Username: user.username,
+			UserAttributes: toAttributeList(user.attributes),
+		};
+		const enabled = this.getEnabledMfa(user);
+		if (enabled.length > 0) {
+			response.UserMFASettingList = enabled;
+		}
+		if (enabled.indexOf(user.mfa.preferred) !== -1) {
+			response.PreferredMfaSetting = user.mfa.preferred;
+		}
+		if (user.mfa.sms) {
+			response.MFAOptions = [
+				{ DeliveryMedium: 'SMS', AttributeName: 'phone_number' },
+			];
+		}
+		return response;
+	}
+
+	/**
+	 * Emulates UpdateUserAttributes.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	updateUserAttributes({ AccessToken, UserAttributes = [] }) {
+		const user = this.authorize(AccessToken);
+		if (UserAttributes.some(({ Name }) => Name === 'sub')) {
+			throw serviceError(
+				'InvalidParameterException',
+				'Cannot modify an non-mutable attribute'
+			);
+		}
+		const deliveries = [];
+		UserAttributes.forEach(({ Name, Value }) => {
+			const changed = user.attributes[Name] !== Value;
+			user.attributes[Name] = Value;
+			if (
+				changed &&
+				VERIFIABLE_ATTRIBUTES.indexOf(Name) !== -1 &&
+				this.autoVerifiedAttributes.indexOf(Name) !== -1
+			) {
+				user.attributes[`${Name}_verified`] = 'false';
+				deliveries.push(this.sendCode(user, 'VerifyUserAttribute', Name));
+			}
+		});
+		return deliveries.length > 0 ? { CodeDeliveryDetailsList: deliveries } : {};
+	}
+
+	/**
+	 * Emulates DeleteUserAttributes.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	deleteUserAttributes({ AccessToken, UserAttributeNames = [] }) {
+		const user = this.authorize(AccessToken);
+		UserAttributeNames.forEach(name => {
+			if (name !== 'sub') {
+				delete user.attributes[name];
+			}
+		});
+		return {};
+	}
+
+	/**
+	 * Emulates GetUserAttributeVerificationCode.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	getUserAttributeVerificationCode({ AccessToken, AttributeName }) {
+		const user = this.authorize(AccessToken);
+		if (
+			VERIFIABLE_ATTRIBUTES.indexOf(AttributeName) === -1 ||
+			!user.attributes[AttributeName]
+		) {
+			throw serviceError(
+				'InvalidParameterException',
+				`The attribute ${AttributeName} cannot be verified.`
+			);
+		}
+		return {
+			CodeDeliveryDetails: this.sendCode(
+				user,
+				'VerifyUserAttribute',
+				AttributeName
+			),
+		};
+	}
+
+	/**
+	 * Emulates VerifyUserAttribute.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	verifyUserAttribute({ AccessToken, AttributeName, Code }) {
+		const user = this.authorize(AccessToken);
+		this.consumeCode(user, AttributeName, Code);
+		user.attributes[`${AttributeName}_verified`] = 'true';
+		return {};
+	}
+
+	/**
+	 * Emulates ChangePassword.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	changePassword({ AccessToken, PreviousPassword, ProposedPassword }) {
+		const user = this.authorize(AccessToken);
+		if (user.password !== PreviousPassword) {
+			throw serviceError(
+				'NotAuthorizedException',
+				'Incorrect username or password.'
+			);
+		}
+		this.checkPasswordPolicy(ProposedPassword);
+		user.password = ProposedPassword;
+		return {};
+	}
+
+	/**
+	 * Emulates DeleteUser.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	deleteUser({ AccessToken }) {
+		const user = this.authorize(AccessToken);
+		this.revokeOrigins(user);
+		delete this.users[user.username];
+		return {};
+	}
+
+	/**
+	 * Emulates GlobalSignOut.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	globalSignOut({ AccessToken }) {
+		this.revokeOrigins(this.authorize(AccessToken));
+		return {};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * Revokes every token issued to a user.
+	 * @param {object} user The user.
+	 * @returns {void}
+	 */
+	revokeOrigins(user) {
+		Object.keys(user.origins).forEach(origin => {
+			this.revokedOrigins[origin] = true;
+		});
+		this.users[user.username].origins = {};
+	}
+
+	/**
+	 * Emulates RevokeToken.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	revokeToken({ Token }) {
+		const record = this.refreshTokens[Token];
+		if (!record) {
+			throw serviceError(
+				'UnsupportedTokenTypeException',
+				'The token is not a refresh token.'
+			);
+		}
+		this.revokedOrigins[record.origin] = true;
+		delete this.refreshTokens[Token];
+		return {};
+	}
+
+	/**
+	 * Emulates AssociateSoftwareToken, for a signed in user or during the
+	 * MFA_SETUP challenge.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	associateSoftwareToken({ AccessToken, Session }) {
+		const session = AccessToken ? null : this.getSession(Session, 'MFA_SETUP');
+		const user = session
+			? this.getUserRecord(session.username)
+			: this.authorize(AccessToken);
+		user.totp.pendingSecret = encodeBase32(crypto.randomBytes(20));
+		const response = { SecretCode: user.totp.pendingSecret };
+		if (session) {
+			response.Session = Session;
+		}
+		return response;
+	}
+
+	/**
+	 * Emulates VerifySoftwareToken.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	verifySoftwareToken({ AccessToken, Session, UserCode }) {
+		const session = AccessToken ? null : this.getSession(Session, 'MFA_SETUP');
+		const user = session
+			? this.getUserRecord(session.username)
+			: this.authorize(AccessToken);
+		const secret = user.totp.pendingSecret;
+		if (!secret || !verifyTotp(UserCode, secret, { time: this.now() })) {
+			throw serviceError(
+				'EnableSoftwareTokenMFAException',
+				'Code mismatch and fail enable Software Token MFA'
+			);
+		}
+		user.totp.secret = secret;
+		user.totp.pendingSecret = null;
+		const response = { Status: 'SUCCESS' };
+		if (session) {
+			session.softwareTokenVerified = true;
+			user.mfa.totp = true;
+			user.mfa.preferred = 'SOFTWARE_TOKEN_MFA';
+			response.Session = Session;
+		}
+		return response;
+	}
+
+	/**
+	 * Emulates SetUserMFAPreference.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	setUserMFAPreference({
+		AccessToken,
+		SMSMfaSettings,
+		SoftwareTokenMfaSettings,
+	}) {
+		const user = this.authorize(AccessToken);
+		if (SMSMfaSettings && SMSMfaSettings.Enabled) {
+			if (!user.attributes.phone_number) {
+				throw serviceError(
+					'InvalidParameterException',
+					'User does not have a phone number.'
+				);
+			}
+		}
+		if (
+			SoftwareTokenMfaSettings &&
+			SoftwareTokenMfaSettings.Enabled &&
+			!user.totp.secret
+		) {
+			throw serviceError(
+				'InvalidParameterException',
+				'User has not verified software token mfa'
+			);
+		}
+		[
+			['sms', 'SMS_MFA', SMSMfaSettings],
+			['totp', 'SOFTWARE_TOKEN_MFA', SoftwareTokenMfaSettings],
+		].forEach(([key, name, settings]) => {
+			if (!settings) {
+				return;
+			}
+			user.mfa[key] = !!settings.Enabled;
+			if (settings.Enabled && settings.PreferredMfa) {
+				user.mfa.preferred = name;
+			} else if (user.mfa.preferred === name && !settings.Enabled) {
+				user.mfa.preferred = null;
+			}
+		});
+		return {};
+	}
+
+	/**
+	 * Emulates SetUserSettings, the legacy SMS MFA settings.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	setUserSettings({ AccessToken, MFAOptions = [] }) {
+		const user = this.authorize(AccessToken);
+		user.mfa.sms = MFAOptions.length > 0;
+		return {};
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} user The user.
+	 * @param {string} deviceKey The device key.
+	 * @returns {object} the device of the user
+	 */
+	getDeviceRecord(user, deviceKey) {
+		const device = user.devices[deviceKey];
+		if (!device) {
+			throw serviceError('ResourceNotFoundException', 'Device does not exist.');
+		}
+		return device;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @param {object} device A device.
+	 * @returns {object} the device as returned by GetDevice and ListDevices
+	 */
+	toDeviceType(device) {
+		const attributes = {
+			device_status: device.status,
+			last_ip_used: '127.0.0.1',
+		};
+		if (device.name) {
+			attributes.device_name = device.name;
+		}
+		return {
+			DeviceKey: device.key,
+			DeviceAttributes: toAttributeList(attributes),
+			DeviceCreateDate: device.createDate / 1000,
+			DeviceLastModifiedDate: device.lastModifiedDate / 1000,
+			DeviceLastAuthenticatedDate: device.lastAuthenticatedDate / 1000,
+		};
+	}
+
+	/**
+	 * Emulates ConfirmDevice.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	confirmDevice({
+		AccessToken,
+		DeviceKey,
+		DeviceSecretVerifierConfig,
+		DeviceName,
+	}) {
+		const user = this.authorize(AccessToken);
+		const device = this.getDeviceRecord(user, DeviceKey);
+		const { Salt, PasswordVerifier } = DeviceSecretVerifierConfig || {};
+		if (!Salt || !PasswordVerifier) {
+			throw serviceError(
+				'InvalidParameterException',
+				'DeviceSecretVerifierConfig is required.'
+			);
+		}
+		const promptUser =
+			this.deviceTracking.DeviceOnlyRememberedOnUserPrompt === true;
+		device.srp = {
+			salt: new BigInteger(Buffer.from(Salt, 'base64').toString('hex'), 16),
+			verifier: new BigInteger(
+				Buffer.from(PasswordVerifier, 'base64').toString('hex'),
+				16
+			),
+		};
+		device.name = DeviceName;
+		device.confirmed = true;
+		device.status = promptUser ? 'not_remembered' : 'remembered';
+		device.lastModifiedDate = this.now();
+		return { UserConfirmationNecessary: promptUser };
+	}
+
+	/**
+	 * Emulates GetDevice.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	getDevice({ AccessToken, DeviceKey }) {
+		const user = this.authorize(AccessToken);
+		return { Device: this.toDeviceType(this.getDeviceRecord(user, DeviceKey)) };
+	}
+
+	/**
+	 * Emulates ListDevices.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	listDevices({ AccessToken, Limit = 60, PaginationToken }) {
+		const user = this.authorize(AccessToken);
+		const devices = Object.keys(user.devices)
+			.map(key => user.devices[key])
+			.filter(device => device.confirmed);
+		const start = PaginationToken
+			? devices.findIndex(device => device.key === PaginationToken)
+			: 0;
+		if (start === -1) {
+			throw serviceError(
+				'InvalidParameterException',
+				'Invalid pagination token.'
+			);
+		}
+		const page = devices.slice(start, start + Limit);
+		const response = { Devices: page.map(device => this.toDeviceType(device)) };
+		if (start + Limit < devices.length) {
+			response.PaginationToken = devices[start + Limit].key;
+		}
+		return response;
+	}
+
+	/**
+	 * Emulates ForgetDevice.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	forgetDevice({ AccessToken, DeviceKey }) {
+		const user = this.authorize(AccessToken);
+		this.getDeviceRecord(user, DeviceKey);
+		delete user.devices[DeviceKey];
+		return {};
+	}
+
+	/**
+	 * Emulates UpdateDeviceStatus.
+	 * @param {object} params The request parameters.
+	 * @returns {object} the response
+	 */
+	updateDeviceStatus({ AccessToken, DeviceKey, DeviceRememberedStatus }) {
+		const user = this.authorize(AccessToken);
+		const device = this.getDeviceRecord(user, DeviceKey);
+		device.status = DeviceRememberedStatus;
+		device.lastModifiedDate = this.now();
+		return {};
+	}
+}
@@ -0,0 +1,158 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+import AuthenticationHelper from '../AuthenticationHelper';
+import BigInteger from '../BigInteger';
+import { getSrpBackend } from '../utils/srpBackend';
+
+/**
+ * @param {BigInteger} base The base.
+ * @param {BigInteger} exponent The exponent.
+ * @param {BigInteger} modulus The modulus.
+ * @returns {Promise<BigInteger>} base^exponent mod modulus
+ */
+function modPow(base, exponent, modulus) {
+	return new Promise((resolve, reject) =>
+		getSrpBackend().modPow(base, exponent, modulus, (err, result) =>
+			err ? reject(err) : resolve(result)
+		)
+	);
+}
+
+/** @class */
+export default class SrpServer {
+	/**
+	 * Constructs a new SrpServer object, the service side of the SRP protocol
+	 * AuthenticationHelper speaks. It shares the group parameters and the
+	 * hashing of AuthenticationHelper, so that both sides always agree.
+	 */
+	constructor() {
+		this.helper = null;
+	}
+
+	/**
+	 * PRIVATE ONLY: This is an internal only method and should not
+	 * be directly called by the consumers.
+	 * @returns {AuthenticationHelper} the helper providing N, g, k and the hashes
+	 */
+	getHelper() {
+		if (!this.helper) {
+			this.helper = new AuthenticationHelper('SrpServer');
+		}
+		return this.helper;
+	}
+
+	/**
+	 * Computes the salt and the verifier stored for a password, as the client
+	 * does in generateHashDevice.
+	 * @param {string} poolName The pool name, or the device group key.
+	 * @param {string} username The username, or the device key.
+	 * @param {string} password The password.
+	 * @returns {Promise<{salt: BigInteger, verifier: BigInteger}>} the verifier
+	 */
+	createVerifier(poolName, username, password) {
+		const helper = this.getHelper();
+		const salt = new BigInteger(crypto.randomBytes(16).toString('hex'), 16);
+		const x = new BigInteger(
+			helper.hexHash(
+				helper.padHex(salt) + helper.hash(`${poolName}${username}:${password}`)
+			),
+			16
+		);
+		return modPow(helper.g, x, helper.N).then(verifier => ({
+			salt,
+			verifier,
+		}));
+	}
+
+	/**
+	 * Computes the public value B sent back to a client presenting A.
+	 * @param {BigInteger} verifier The stored verifier.
+	 * @returns {Promise<{b: BigInteger, B: BigInteger}>} the private and
+	 *          public values of the service
+	 */
+	createServerValues(verifier) {
+		const helper = this.getHelper();
+		const b = new BigInteger(crypto.randomBytes(32).toString('hex'), 16);
+		return modPow(helper.g, b, helper.N).then(gb => ({
+			b,
+			B: helper.k
+				.multiply(verifier)
+				.add(gb)
+				.mod(helper.N),
+		}));
+	}
+
+	/**
+	 * Checks the PASSWORD_CLAIM_SIGNATURE of a PASSWORD_VERIFIER or
+	 * DEVICE_PASSWORD_VERIFIER challenge response.
+	 * @param {object} claim The claim to check.
+	 * @param {string} claim.poolName The pool name, or the device group key.
+	 * @param {string} claim.userId The USER_ID_FOR_SRP, or the device key.
+	 * @param {BigInteger} claim.A The public value of the client.
+	 * @param {BigInteger} claim.b The private value of the service.
+	 * @param {BigInteger} claim.B The public value of the service.
+	 * @param {BigInteger} claim.verifier The stored verifier.
+	 * @param {string} claim.secretBlock The SECRET_BLOCK, base64 encoded.
+	 * @param {string} claim.timestamp The TIMESTAMP of the response.
+	 * @param {string} claim.signature The PASSWORD_CLAIM_SIGNATURE.
+	 * @returns {Promise<boolean>} true if the client knows the password
+	 */
+	verifyClaim({
+		poolName,
+		userId,
+		A,
+		b,
+		B,
+		verifier,
+		secretBlock,
+		timestamp,
+		signature,
+	}) {
+		const helper = this.getHelper();
+		if (A.mod(helper.N).equals(BigInteger.ZERO)) {
+			return Promise.resolve(false);
+		}
+		const u = new BigInteger(
+			helper.hexHash(helper.padHex(A) + helper.padHex(B)),
+			16
+		);
+		return modPow(verifier, u, helper.N)
+			.then(vu => modPow(A.multiply(vu).mod(helper.N), b, helper.N))
+			.then(S => {
+				const key = helper.computehkdf(
+					Buffer.from(helper.padHex(S), 'hex'),
+					Buffer.from(helper.padHex(u), 'hex')
+				);
+				const expected = crypto
+					.createHmac('sha256', key)
+					.update(
+						Buffer.concat([
+							Buffer.from(poolName, 'utf8'),
+							Buffer.from(userId, 'utf8'),
+							Buffer.from(secretBlock, 'base64'),
+							Buffer.from(timestamp, 'utf8'),
+						])
+					)
+					.digest('base64');
+				return expected === signature;
+			});
+	}
+}
@@ -0,0 +1,106 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+/**
+ * @param {Buffer|string} value The value to encode.
+ * @returns {string} the base64url encoding of the value, without padding
+ */
+function base64UrlEncode(value) {
+	return Buffer.from(value)
+		.toString('base64')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value A base64url string.
+ * @returns {Buffer} the decoded bytes
+ */
+function base64UrlDecode(value) {
+	return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/** @class */
+export default class TokenIssuer {
+	/**
+	 * Constructs a new TokenIssuer object, signing the JWTs of a user pool
+	 * with a locally generated RSA key pair.
+	 * @param {string} issuer The iss claim of the tokens.
+	 */
+	constructor(issuer) {
+		const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+			modulusLength: 2048,
+		});
+		this.issuer = issuer;
+		this.kid = crypto.randomBytes(16).toString('hex');
+		this.publicKey = publicKey;
+		this.privateKey = privateKey;
+	}
+
+	/**
+	 * @returns {object} the JSON web key set of the issuer
+	 */
+	getJwks() {
+		const { kty, n, e } = this.publicKey.export({ format: 'jwk' });
+		return { keys: [{ kid: this.kid, alg: 'RS256', use: 'sig', kty, n, e }] };
+	}
+
+	/**
+	 * @param {object} payload The claims, iss is added.
+	 * @returns {string} the signed JWT
+	 */
+	sign(payload) {
+		const header = base64UrlEncode(
+			JSON.stringify({ kid: this.kid, alg: 'RS256' })
+		);
+		const body = base64UrlEncode(
+			JSON.stringify(Object.assign({ iss: this.issuer }, payload))
+		);
+		const signature = crypto
+			.createSign('RSA-SHA256')
+			.update(`${header}.${body}`)
+			.sign(this.privateKey);
+		return `${header}.${body}.${base64UrlEncode(signature)}`;
+	}
+
+	/**
+	 * @param {string} token A JWT.
+	 * @returns {object} its claims, or null if it was not signed by this issuer
+	 */
+	verify(token) {
+		const parts = typeof token === 'string' ? token.split('.') : [];
+		if (parts.length !== 3) {
+			return null;
+		}
+		const valid = crypto
+			.createVerify('RSA-SHA256')
+			.update(`${parts[0]}.${parts[1]}`)
+			.verify(this.publicKey, base64UrlDecode(parts[2]));
+		if (!valid) {
+			return null;
+		}
+		try {
+			return JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+		} catch (err) {
+			return null;
+		}
+	}
+}
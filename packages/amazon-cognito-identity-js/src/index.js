@@ -18,7 +18,31 @@
 export { default as AuthenticationDetails } from './AuthenticationDetails';
 export { default as AuthenticationHelper } from './AuthenticationHelper';
 export { default as CognitoAccessToken } from './CognitoAccessToken';
+export {
+	default as CognitoError,
+	UserNotFoundError,
+	UserNotAuthenticatedError,
+	UserNotConfirmedError,
+	UsernameExistsError,
+	NotAuthorizedError,
+	PasswordResetRequiredError,
+	InvalidPasswordError,
+	InvalidParameterError,
+	CodeMismatchError,
+	ExpiredCodeError,
+	LimitExceededError,
+	TooManyFailedAttemptsError,
+	TooManyRequestsError,
+	InternalServiceError,
+	InvalidDeviceCredentialsError,
+	NetworkError,
+	RequestTimeoutError,
+	RequestAbortedError,
+	JwtVerificationError,
+} from './CognitoError';
 export { default as CognitoIdToken } from './CognitoIdToken';
+export { default as CognitoJwtVerifier } from './CognitoJwtVerifier';
+export { default as CognitoOAuthClient } from './CognitoOAuthClient';
 export { default as CognitoRefreshToken } from './CognitoRefreshToken';
 export { default as CognitoUser } from './CognitoUser';
 export { default as CognitoUserAttribute } from './CognitoUserAttribute';
@@ -26,5 +50,19 @@ export { default as CognitoUserPool } from './CognitoUserPool';
 export { default as CognitoUserSession } from './CognitoUserSession';
 export { default as CookieStorage } from './CookieStorage';
 export { default as DateHelper } from './DateHelper';
+export { default as DeviceManager } from './DeviceManager';
+export { default as EncryptedStorage } from './EncryptedStorage';
+export { default as MemorySessionStore } from './MemorySessionStore';
+export { default as PasskeyAttributeStore } from './PasskeyAttributeStore';
+export { default as PasskeyAuth } from './PasskeyAuth';
+export { default as PasswordPolicy } from './PasswordPolicy';
+export { default as PasswordlessAuth } from './PasswordlessAuth';
+export { default as RequestStorage } from './RequestStorage';
+export { default as RetryPolicy } from './RetryPolicy';
+export { default as ServerSessionManager } from './ServerSessionManager';
+export { default as SignInFlow } from './SignInFlow';
+export { default as TotpEnrollment } from './TotpEnrollment';
 export { appendToCognitoUserAgent } from './UserAgent';
+export { default as UserAttributeSchema } from './UserAttributeSchema';
 export { default as WordArray } from './utils/WordArray';
+export { getSrpBackend, setSrpBackend } from './utils/srpBackend';
@@ -0,0 +1,66 @@
+/**
+ * Throws an error outside of the current call stack, where it is reported
+ * as uncaught without interrupting the caller.
+ * @param {Error} error The error to throw.
+ * @returns {void}
+ */
+function rethrow(error) {
+	setTimeout(() => {
+		throw error;
+	}, 0);
+}
+
+/** @class */
+export default class EventEmitter {
+	/**
+	 * Constructs a new EventEmitter object
+	 * @param {function} onError Optional: called with the error and the event
+	 *        when a listener throws, instead of throwing the error again
+	 *        outside of emit.
+	 */
+	constructor(onError) {
+		this.listeners = {};
+		this.onError = onError || rethrow;
+	}
+
+	/**
+	 * Subscribes to an event.
+	 * @param {string} event The event name.
+	 * @param {function} listener Called with the event arguments.
+	 * @returns {function} unsubscribes the listener
+	 */
+	on(event, listener) {
+		this.listeners[event] = (this.listeners[event] || []).concat(listener);
+		return () => this.off(event, listener);
+	}
+
+	/**
+	 * Unsubscribes from an event.
+	 * @param {string} event The event name.
+	 * @param {function} listener The listener passed to on.
+	 * @returns {void}
+	 */
+	off(event, listener) {
+		this.listeners[event] = (this.listeners[event] || []).filter(
+			subscribed => subscribed !== listener
+		);
+	}
+
+	/**
+	 * Calls the listeners of an event. A listener that throws does not
+	 * prevent the other listeners from being called, nor the emitter from
+	 * going on.
+	 * @param {string} event The event name.
+	 * @param {...*} args The event arguments.
+	 * @returns {void}
+	 */
+	emit(event, ...args) {
+		(this.listeners[event] || []).forEach(listener => {
+			try {
+				listener(...args);
+			} catch (err) {
+				this.onError(err, event);
+			}
+		});
+	}
+}
@@ -0,0 +1,140 @@
+/*
+ * Registry of the users whose tokens are cached for an app client. Tokens
+ * are stored per username by CognitoUser.cacheTokens, the registry lists
+ * those usernames so that several users can be signed in at once, while the
+ * LastAuthUser key keeps designating the current user.
+ *
+ * Storages written before the registry existed only know LastAuthUser, which
+ * is then read as the single cached user.
+ */
+
+import { getItems, setItems, removeItems } from './storageAccess';
+
+// The registry updates of each storage, run one at a time: with an
+// asynchronous storage, concurrent read-modify-writes would lose usernames
+const pendingUpdates = new WeakMap();
+
+/**
+ * @param {string} clientId The app client id.
+ * @returns {string} the storage key of the registry
+ */
+export function getCachedUsersKey(clientId) {
+	return `CognitoIdentityServiceProvider.${clientId}.CachedUsers`;
+}
+
+/**
+ * @param {string} clientId The app client id.
+ * @returns {string} the storage key of the current user
+ */
+export function getLastUserKey(clientId) {
+	return `CognitoIdentityServiceProvider.${clientId}.LastAuthUser`;
+}
+
+/**
+ * @param {string} value The stored registry.
+ * @returns {string[]} the usernames, or null when the value is not a list
+ */
+function parseUsernames(value) {
+	try {
+		const usernames = JSON.parse(value);
+		return Array.isArray(usernames) ? usernames : null;
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Reads the usernames whose tokens are cached, in sign in order.
+ * @param {object} storage The storage of the tokens.
+ * @param {string} clientId The app client id.
+ * @param {nodeCallback<string[]>} callback Called with the usernames.
+ * @returns {void}
+ */
+export function getCachedUsernames(storage, clientId, callback) {
+	getItems(
+		storage,
+		[getCachedUsersKey(clientId), getLastUserKey(clientId)],
+		(err, values) => {
+			if (err) {
+				return callback(err, null);
+			}
+			const [registry, lastAuthUser] = values;
+			const usernames = parseUsernames(registry);
+			if (usernames) {
+				return callback(null, usernames);
+			}
+			return callback(null, lastAuthUser ? [lastAuthUser] : []);
+		}
+	);
+}
+
+/**
+ * @param {object} storage The storage of the tokens.
+ * @param {string} clientId The app client id.
+ * @param {string} username The username to add or remove.
+ * @param {boolean} cached true to add the username, false to remove it.
+ * @param {nodeCallback} callback Called once the registry is written.
+ * @returns {void}
+ */
+function writeCachedUsernames(storage, clientId, username, cached, callback) {
+	getCachedUsernames(storage, clientId, (err, usernames) => {
+		if (err) {
+			return callback(err, null);
+		}
+		let remaining = usernames.filter(
+			cachedUsername => cachedUsername !== username
+		);
+		if (cached) {
+			remaining =
+				usernames.indexOf(username) === -1
+					? usernames.concat(username)
+					: usernames;
+		}
+		if (remaining.length === 0) {
+			return removeItems(storage, [getCachedUsersKey(clientId)], callback);
+		}
+		return setItems(
+			storage,
+			{ [getCachedUsersKey(clientId)]: JSON.stringify(remaining) },
+			callback
+		);
+	});
+}
+
+/**
+ * Adds or removes a username from the registry, after the updates of the
+ * same storage in progress.
+ * @param {object} storage The storage of the tokens.
+ * @param {string} clientId The app client id.
+ * @param {string} username The username to add or remove.
+ * @param {boolean} cached true to add the username, false to remove it.
+ * @param {nodeCallback} callback Called once the registry is written.
+ * @returns {void}
+ */
+export function updateCachedUsernames(
+	storage,
+	clientId,
+	username,
+	cached,
+	callback
+) {
+	const update = () =>
+		writeCachedUsernames(storage, clientId, username, cached, (err, data) => {
+			const queue = pendingUpdates.get(storage);
+			queue.shift();
+			if (queue.length === 0) {
+				pendingUpdates.delete(storage);
+			} else {
+				queue[0]();
+			}
+			callback(err, data);
+		});
+
+	const queue = pendingUpdates.get(storage);
+	if (queue) {
+		queue.push(update);
+		return;
+	}
+	pendingUpdates.set(storage, [update]);
+	update();
+}
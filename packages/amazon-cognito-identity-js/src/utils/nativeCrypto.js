@@ -0,0 +1,30 @@
+var crypto;
+
+// Native crypto from window (Browser)
+if (typeof window !== 'undefined' && window.crypto) {
+	crypto = window.crypto;
+}
+
+// Native (experimental IE 11) crypto from window (Browser)
+if (!crypto && typeof window !== 'undefined' && window.msCrypto) {
+	crypto = window.msCrypto;
+}
+
+// Native crypto from global (NodeJS)
+if (!crypto && typeof global !== 'undefined' && global.crypto) {
+	crypto = global.crypto;
+}
+
+// Native crypto import via require (NodeJS)
+if (!crypto && typeof require === 'function') {
+	try {
+		crypto = require('crypto');
+	} catch (err) {}
+}
+
+/*
+ * The native crypto implementation of the current platform, either the
+ * WebCrypto object of the browser or the NodeJS crypto module.
+ */
+const nativeCrypto = crypto;
+export default nativeCrypto;
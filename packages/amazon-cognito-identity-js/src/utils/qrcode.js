@@ -0,0 +1,479 @@
+/*
+ * QR codes (ISO/IEC 18004) of short texts such as otpauth URIs. The text is
+ * encoded in byte mode as UTF-8, in the smallest version that holds it, and
+ * with the mask of the lowest penalty. The output is a matrix of modules,
+ * true for dark, which qrCodeToSvg draws.
+ */
+
+import { Buffer } from 'buffer';
+
+// By level: the format bits, then by version (index 0 unused) the error
+// correction codewords of each block and the number of blocks
+// prettier-ignore
+const ERROR_CORRECTION_LEVELS = {
+	L: {
+		bits: 1,
+		codewordsPerBlock: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+		blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+	},
+	M: {
+		bits: 0,
+		codewordsPerBlock: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+		blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+	},
+	Q: {
+		bits: 3,
+		codewordsPerBlock: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+		blocks: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+	},
+	H: {
+		bits: 2,
+		codewordsPerBlock: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+		blocks: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+	},
+};
+
+const MASKS = [
+	(x, y) => (x + y) % 2 === 0,
+	(x, y) => y % 2 === 0,
+	x => x % 3 === 0,
+	(x, y) => (x + y) % 3 === 0,
+	(x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+	(x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+	(x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+	(x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * @param {int} value A number.
+ * @param {int} index The index of a bit, 0 for the lowest.
+ * @returns {boolean} true if the bit is set
+ */
+function getBit(value, index) {
+	return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * @param {int} length The length of the array.
+ * @param {*} value The value of every item.
+ * @returns {Array} the filled array
+ */
+function filledArray(length, value) {
+	const array = [];
+	for (let i = 0; i < length; i++) {
+		array.push(value);
+	}
+	return array;
+}
+
+/**
+ * @param {int} version The version, from 1 to 40.
+ * @returns {int} the number of modules holding data and error correction
+ */
+function getRawDataModules(version) {
+	let modules = (16 * version + 128) * version + 64;
+	if (version >= 2) {
+		const alignments = Math.floor(version / 7) + 2;
+		modules -= (25 * alignments - 10) * alignments - 55;
+		if (version >= 7) {
+			modules -= 36;
+		}
+	}
+	return modules;
+}
+
+/**
+ * @param {int} version The version, from 1 to 40.
+ * @param {object} level The error correction level.
+ * @returns {int} the number of data codewords of the version
+ */
+function getDataCodewords(version, level) {
+	return (
+		Math.floor(getRawDataModules(version) / 8) -
+		level.codewordsPerBlock[version] * level.blocks[version]
+	);
+}
+
+/**
+ * @param {int} x An element of GF(2^8).
+ * @param {int} y An element of GF(2^8).
+ * @returns {int} the product in GF(2^8), modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function multiply(x, y) {
+	let product = 0;
+	for (let i = 7; i >= 0; i--) {
+		product = (product << 1) ^ ((product >>> 7) * 0x11d);
+		product ^= ((y >>> i) & 1) * x;
+	}
+	return product;
+}
+
+/**
+ * @param {int} degree The number of error correction codewords.
+ * @returns {int[]} the coefficients of the Reed-Solomon generator polynomial,
+ *          highest first and without the leading 1
+ */
+function reedSolomonDivisor(degree) {
+	const divisor = filledArray(degree, 0);
+	divisor[degree - 1] = 1;
+	let root = 1;
+	for (let i = 0; i < degree; i++) {
+		for (let j = 0; j < degree; j++) {
+			divisor[j] = multiply(divisor[j], root);
+			if (j + 1 < degree) {
+				divisor[j] ^= divisor[j + 1];
+			}
+		}
+		root = multiply(root, 0x02);
+	}
+	return divisor;
+}
+
+/**
+ * @param {int[]} data The data codewords of a block.
+ * @param {int[]} divisor The generator polynomial.
+ * @returns {int[]} the error correction codewords of the block
+ */
+function reedSolomonRemainder(data, divisor) {
+	const remainder = filledArray(divisor.length, 0);
+	data.forEach(codeword => {
+		const factor = codeword ^ remainder.shift();
+		remainder.push(0);
+		divisor.forEach((coefficient, i) => {
+			remainder[i] ^= multiply(coefficient, factor);
+		});
+	});
+	return remainder;
+}
+
+/**
+ * @param {int[]} data The data codewords.
+ * @param {int} version The version, from 1 to 40.
+ * @param {object} level The error correction level.
+ * @returns {int[]} the codewords of the blocks with their error correction,
+ *          interleaved
+ */
+function addErrorCorrection(data, version, level) {
+	const blockCount = level.blocks[version];
+	const eccLength = level.codewordsPerBlock[version];
+	const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+	const shortBlocks = blockCount - (rawCodewords % blockCount);
+	const shortBlockLength = Math.floor(rawCodewords / blockCount);
+	const divisor = reedSolomonDivisor(eccLength);
+
+	const blocks = [];
+	let offset = 0;
+	for (let i = 0; i < blockCount; i++) {
+		const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+		const block = data.slice(offset, offset + length);
+		offset += length;
+		const ecc = reedSolomonRemainder(block, divisor);
+		// The short blocks get a placeholder to keep the columns aligned
+		if (i < shortBlocks) {
+			block.push(0);
+		}
+		blocks.push(block.concat(ecc));
+	}
+
+	const codewords = [];
+	for (let i = 0; i < blocks[0].length; i++) {
+		blocks.forEach((block, j) => {
+			if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+				codewords.push(block[i]);
+			}
+		});
+	}
+	return codewords;
+}
+
+/**
+ * @param {int} version The version, from 1 to 40.
+ * @returns {int[]} the centers of the alignment patterns, on each axis
+ */
+function getAlignmentPositions(version) {
+	if (version === 1) {
+		return [];
+	}
+	const count = Math.floor(version / 7) + 2;
+	const step =
+		version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+	const positions = [6];
+	let position = version * 4 + 10;
+	while (positions.length < count) {
+		positions.splice(1, 0, position);
+		position -= step;
+	}
+	return positions;
+}
+
+/**
+ * @param {Buffer} bytes The bytes to encode.
+ * @param {object} level The error correction level.
+ * @returns {object} the smallest version holding the bytes and its data
+ *          codewords
+ */
+function encodeData(bytes, level) {
+	let version = 1;
+	const countBits = () => (version < 10 ? 8 : 16);
+	while (
+		4 + countBits() + bytes.length * 8 >
+		getDataCodewords(version, level) * 8
+	) {
+		version++;
+		if (version > 40) {
+			throw new Error('The text is too long for a QR code.');
+		}
+	}
+	const capacity = getDataCodewords(version, level) * 8;
+
+	const bits = [];
+	const append = (value, length) => {
+		for (let i = length - 1; i >= 0; i--) {
+			bits.push(getBit(value, i) ? 1 : 0);
+		}
+	};
+	append(0x4, 4);
+	append(bytes.length, countBits());
+	for (let i = 0; i < bytes.length; i++) {
+		append(bytes[i], 8);
+	}
+	append(0, Math.min(4, capacity - bits.length));
+	append(0, (8 - (bits.length % 8)) % 8);
+
+	const codewords = [];
+	for (let i = 0; i < bits.length; i += 8) {
+		codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+	}
+	// Fills the capacity with the pad codewords 0xec and 0x11, alternately
+	for (let pad = 0; codewords.length < capacity / 8; pad++) {
+		codewords.push(pad % 2 === 0 ? 0xec : 0x11);
+	}
+	return { version, codewords };
+}
+
+/**
+ * @param {Array.<boolean[]>} modules The modules, by row.
+ * @returns {int} the penalty of the matrix, the lower the easier to scan
+ */
+function getPenalty(modules) {
+	const size = modules.length;
+	let penalty = 0;
+	let dark = 0;
+	const finderLike = /(10111010000|00001011101)/g;
+	const lines = [];
+
+	for (let a = 0; a < size; a++) {
+		let row = '';
+		let column = '';
+		for (let b = 0; b < size; b++) {
+			row += modules[a][b] ? '1' : '0';
+			column += modules[b][a] ? '1' : '0';
+			if (modules[a][b]) {
+				dark++;
+			}
+			if (
+				a + 1 < size &&
+				b + 1 < size &&
+				modules[a][b] === modules[a][b + 1] &&
+				modules[a][b] === modules[a + 1][b] &&
+				modules[a][b] === modules[a + 1][b + 1]
+			) {
+				penalty += 3;
+			}
+		}
+		lines.push(row, column);
+	}
+	lines.forEach(line => {
+		(line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+			penalty += run.length - 2;
+		});
+		penalty += (line.match(finderLike) || []).length * 40;
+	});
+
+	const total = size * size;
+	penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+	return penalty;
+}
+
+/**
+ * Encodes a text in a QR code.
+ * @param {string} text The text to encode.
+ * @param {object=} options Encoding options.
+ * @param {string} options.errorCorrectionLevel L, M, Q or H, the share of
+ *        the code that can be damaged: 7, 15, 25 or 30% (default: M)
+ * @returns {Array.<boolean[]>} the modules by row, true for dark
+ */
+export function encodeQrCode(text, { errorCorrectionLevel = 'M' } = {}) {
+	const level = ERROR_CORRECTION_LEVELS[errorCorrectionLevel];
+	if (!level) {
+		throw new Error(`Invalid error correction level: ${errorCorrectionLevel}`);
+	}
+	const { version, codewords } = encodeData(Buffer.from(text, 'utf8'), level);
+	const size = version * 4 + 17;
+	const modules = filledArray(size, null).map(() => filledArray(size, false));
+	const reserved = filledArray(size, null).map(() => filledArray(size, false));
+	const setFunction = (x, y, isDark) => {
+		modules[y][x] = isDark;
+		reserved[y][x] = true;
+	};
+
+	for (let i = 0; i < size; i++) {
+		setFunction(6, i, i % 2 === 0);
+		setFunction(i, 6, i % 2 === 0);
+	}
+	[
+		[3, 3],
+		[size - 4, 3],
+		[3, size - 4],
+	].forEach(([x, y]) => {
+		for (let dy = -4; dy <= 4; dy++) {
+			for (let dx = -4; dx <= 4; dx++) {
+				const distance = Math.max(Math.abs(dx), Math.abs(dy));
+				if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+					setFunction(x + dx, y + dy, distance !== 2 && distance !== 4);
+				}
+			}
+		}
+	});
+	const alignments = getAlignmentPositions(version);
+	const last = alignments.length - 1;
+	alignments.forEach((x, i) => {
+		alignments.forEach((y, j) => {
+			// Skips the alignment patterns overlapping the finder patterns
+			if (
+				(i === 0 && j === 0) ||
+				(i === 0 && j === last) ||
+				(i === last && j === 0)
+			) {
+				return;
+			}
+			for (let dy = -2; dy <= 2; dy++) {
+				for (let dx = -2; dx <= 2; dx++) {
+					setFunction(
+						x + dx,
+						y + dy,
+						Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+					);
+				}
+			}
+		});
+	});
+
+	const drawFormat = mask => {
+		const data = (level.bits << 3) | mask;
+		let remainder = data;
+		for (let i = 0; i < 10; i++) {
+			remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+		}
+		const bits = ((data << 10) | remainder) ^ 0x5412;
+		for (let i = 0; i <= 5; i++) {
+			setFunction(8, i, getBit(bits, i));
+		}
+		setFunction(8, 7, getBit(bits, 6));
+		setFunction(8, 8, getBit(bits, 7));
+		setFunction(7, 8, getBit(bits, 8));
+		for (let i = 9; i < 15; i++) {
+			setFunction(14 - i, 8, getBit(bits, i));
+		}
+		for (let i = 0; i < 8; i++) {
+			setFunction(size - 1 - i, 8, getBit(bits, i));
+		}
+		for (let i = 8; i < 15; i++) {
+			setFunction(8, size - 15 + i, getBit(bits, i));
+		}
+		setFunction(8, size - 8, true);
+	};
+	drawFormat(0);
+
+	if (version >= 7) {
+		let remainder = version;
+		for (let i = 0; i < 12; i++) {
+			remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+		}
+		const bits = (version << 12) | remainder;
+		for (let i = 0; i < 18; i++) {
+			const a = size - 11 + (i % 3);
+			const b = Math.floor(i / 3);
+			setFunction(a, b, getBit(bits, i));
+			setFunction(b, a, getBit(bits, i));
+		}
+	}
+
+	// The codewords zigzag up and down the columns pairs, from the right
+	const data = addErrorCorrection(codewords, version, level);
+	let index = 0;
+	for (let right = size - 1; right >= 1; right -= 2) {
+		// The vertical timing pattern shifts the columns left of it
+		if (right === 6) {
+			right = 5;
+		}
+		for (let vertical = 0; vertical < size; vertical++) {
+			for (let j = 0; j < 2; j++) {
+				const x = right - j;
+				const upward = ((right + 1) & 2) === 0;
+				const y = upward ? size - 1 - vertical : vertical;
+				if (!reserved[y][x] && index < data.length * 8) {
+					modules[y][x] = getBit(data[index >>> 3], 7 - (index & 7));
+					index++;
+				}
+			}
+		}
+	}
+
+	const applyMask = mask => {
+		for (let y = 0; y < size; y++) {
+			for (let x = 0; x < size; x++) {
+				if (!reserved[y][x] && MASKS[mask](x, y)) {
+					modules[y][x] = !modules[y][x];
+				}
+			}
+		}
+	};
+	let best = 0;
+	let bestPenalty = Infinity;
+	MASKS.forEach((_, mask) => {
+		applyMask(mask);
+		drawFormat(mask);
+		const penalty = getPenalty(modules);
+		if (penalty < bestPenalty) {
+			best = mask;
+			bestPenalty = penalty;
+		}
+		// Masking twice restores the modules
+		applyMask(mask);
+	});
+	applyMask(best);
+	drawFormat(best);
+	return modules;
+}
+
+/**
+ * Draws a QR code as an SVG image, one unit per module.
+ * @param {Array.<boolean[]>} modules The modules returned by encodeQrCode.
+ * @param {object=} options Drawing options.
+ * @param {int} options.margin The quiet zone around the code, in modules
+ *        (default: 4)
+ * @param {string} options.dark The color of the dark modules (default: #000)
+ * @param {string} options.light The background color (default: #fff)
+ * @returns {string} the SVG document
+ */
+export function qrCodeToSvg(
+	modules,
+	{ margin = 4, dark = '#000', light = '#fff' } = {}
+) {
+	const size = modules.length + margin * 2;
+	let path = '';
+	modules.forEach((row, y) => {
+		row.forEach((isDark, x) => {
+			if (isDark) {
+				path += `M${x + margin},${y + margin}h1v1h-1z`;
+			}
+		});
+	});
+	return (
+		`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+		`<rect width="${size}" height="${size}" fill="${light}"/>` +
+		`<path d="${path}" fill="${dark}"/>` +
+		'</svg>'
+	);
+}
@@ -0,0 +1,43 @@
+/*
+ * Hides the secrets of the requests and events before they are logged:
+ * passwords, tokens, sessions, codes and the values of the SRP protocol.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Matched against the names without underscores, e.g. SRP_A or PasswordVerifier
+const SECRET_NAMES = /password|token|secret|session|^srp|salt|verifier|signature|answer|code$|encodeddata/i;
+
+/**
+ * @param {string} name The name of a parameter.
+ * @returns {boolean} true if its value must not be logged
+ */
+export function isSecretName(name) {
+	return SECRET_NAMES.test(name.replace(/_/g, ''));
+}
+
+/**
+ * @param {*} value A value to log.
+ * @returns {*} a copy of the value, with the values of secret names replaced
+ */
+export function redact(value) {
+	if (Array.isArray(value)) {
+		return value.map(redact);
+	}
+	if (
+		!value ||
+		typeof value !== 'object' ||
+		value instanceof Error ||
+		value instanceof Date
+	) {
+		return value;
+	}
+	const copy = {};
+	Object.keys(value).forEach(name => {
+		copy[name] =
+			isSecretName(name) && value[name] != null
+				? REDACTED
+				: redact(value[name]);
+	});
+	return copy;
+}
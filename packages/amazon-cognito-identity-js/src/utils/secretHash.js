@@ -0,0 +1,63 @@
+/*
+ * The SECRET_HASH required by app clients with a client secret: the base64
+ * HMAC-SHA256 of the username followed by the client id, keyed with the
+ * client secret. The operations carry it in different places.
+ */
+
+import Base64 from 'crypto-js/enc-base64';
+import hmacSHA256 from 'crypto-js/hmac-sha256';
+
+// Where each operation expects the hash, and the username it is computed on
+const SECRET_HASH_LOCATIONS = {
+	SignUp: { key: 'SecretHash', username: 'Username' },
+	ConfirmSignUp: { key: 'SecretHash', username: 'Username' },
+	ResendConfirmationCode: { key: 'SecretHash', username: 'Username' },
+	ForgotPassword: { key: 'SecretHash', username: 'Username' },
+	ConfirmForgotPassword: { key: 'SecretHash', username: 'Username' },
+	InitiateAuth: {
+		parent: 'AuthParameters',
+		key: 'SECRET_HASH',
+		username: 'USERNAME',
+	},
+	RespondToAuthChallenge: {
+		parent: 'ChallengeResponses',
+		key: 'SECRET_HASH',
+		username: 'USERNAME',
+	},
+};
+
+/**
+ * @param {string} username The username.
+ * @param {string} clientId The app client id.
+ * @param {string} clientSecret The app client secret.
+ * @returns {string} the SECRET_HASH of the username
+ */
+export function calculateSecretHash(username, clientId, clientSecret) {
+	return Base64.stringify(hmacSHA256(`${username}${clientId}`, clientSecret));
+}
+
+/**
+ * @param {string} operation The user pool operation.
+ * @param {object} params The parameters of the request.
+ * @param {function} getSecretHash Returns the SECRET_HASH of a username.
+ * @param {string} username The username used when the parameters have
+ *        none, e.g. for the REFRESH_TOKEN_AUTH flow.
+ * @returns {object} the parameters, copied with the SECRET_HASH when the
+ *          operation takes one
+ */
+export function addSecretHash(operation, params, getSecretHash, username) {
+	const location = SECRET_HASH_LOCATIONS[operation];
+	if (!location || !params) {
+		return params;
+	}
+	const parent = location.parent
+		? Object.assign({}, params[location.parent])
+		: Object.assign({}, params);
+	if (parent[location.key]) {
+		return params;
+	}
+	parent[location.key] = getSecretHash(parent[location.username] || username);
+	return location.parent
+		? Object.assign({}, params, { [location.parent]: parent })
+		: parent;
+}
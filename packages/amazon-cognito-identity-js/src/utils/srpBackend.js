@@ -0,0 +1,132 @@
+/*
+ * The modular exponentiations of SRP, where signing in spends its time. The
+ * native BigInt of the JavaScript engine computes them when available, the
+ * bundled BigInteger otherwise; on React Native, BigInteger stays the default
+ * as its exponentiations go to the native module. Both take and return
+ * BigInteger values, so the rest of the protocol does not depend on the
+ * backend.
+ */
+
+/* global BigInt */
+
+import BigInteger from '../BigInteger';
+
+/**
+ * @callback modPowCallback
+ * @param {Error} err The error of the computation, if any.
+ * @param {BigInteger} result base^exponent mod modulus.
+ */
+
+/**
+ * @typedef {object} SrpBackend
+ * @property {string} name The name of the backend.
+ * @property {function(BigInteger, BigInteger, BigInteger, modPowCallback)} modPow
+ *           Computes base^exponent mod modulus.
+ */
+
+/**
+ * @returns {boolean} true if the JavaScript engine has a native BigInt
+ */
+export function isBigIntSupported() {
+	return typeof BigInt === 'function';
+}
+
+/**
+ * @param {BigInteger} value A BigInteger.
+ * @returns {BigInt} the value as a native BigInt
+ */
+function toBigInt(value) {
+	const hex = value.toString(16);
+	return hex.charAt(0) === '-'
+		? -BigInt(`0x${hex.slice(1)}`)
+		: BigInt(`0x${hex}`);
+}
+
+/**
+ * Square and multiply over the hex digits of the exponent, 4 bits at a time.
+ * @param {BigInt} base The base.
+ * @param {BigInt} exponent The exponent, positive.
+ * @param {BigInt} modulus The modulus.
+ * @returns {BigInt} base^exponent mod modulus, positive
+ */
+function modPowBigInt(base, exponent, modulus) {
+	const zero = BigInt(0);
+	if (exponent < zero) {
+		throw new Error('The exponent can not be negative.');
+	}
+	let reduced = base % modulus;
+	if (reduced < zero) {
+		reduced += modulus;
+	}
+	const powers = [BigInt(1) % modulus];
+	for (let i = 1; i < 16; i++) {
+		powers.push((powers[i - 1] * reduced) % modulus);
+	}
+	const digits = exponent.toString(16);
+	let result = powers[0];
+	for (let i = 0; i < digits.length; i++) {
+		for (let j = 0; j < 4; j++) {
+			result = (result * result) % modulus;
+		}
+		result = (result * powers[parseInt(digits.charAt(i), 16)]) % modulus;
+	}
+	return result;
+}
+
+export const bigIntegerBackend = {
+	name: 'BigInteger',
+	modPow(base, exponent, modulus, callback) {
+		base.modPow(exponent, modulus, callback);
+	},
+};
+
+export const nativeBigIntBackend = {
+	name: 'BigInt',
+	modPow(base, exponent, modulus, callback) {
+		let result;
+		try {
+			result = modPowBigInt(
+				toBigInt(base),
+				toBigInt(exponent),
+				toBigInt(modulus)
+			);
+		} catch (err) {
+			callback(err, null);
+			return;
+		}
+		callback(null, new BigInteger(result.toString(16), 16));
+	},
+};
+
+let backend = isBigIntSupported() ? nativeBigIntBackend : bigIntegerBackend;
+
+/**
+ * @returns {SrpBackend} the backend computing the SRP exponentiations
+ */
+export function getSrpBackend() {
+	return backend;
+}
+
+/**
+ * Selects the backend computing the SRP exponentiations, for every
+ * AuthenticationHelper.
+ * @param {string|SrpBackend} value BigInt, BigInteger, or a backend of its
+ *        own, e.g. calling a native module.
+ * @returns {void}
+ */
+export function setSrpBackend(value) {
+	if (value === 'BigInt') {
+		if (!isBigIntSupported()) {
+			throw new Error(
+				'The JavaScript engine has no BigInt, use the BigInteger backend.'
+			);
+		}
+		backend = nativeBigIntBackend;
+	} else if (value === 'BigInteger') {
+		backend = bigIntegerBackend;
+	} else if (value && typeof value.modPow === 'function') {
+		backend = value;
+	} else {
+		throw new Error(`Invalid SRP backend: ${value}`);
+	}
+}
@@ -0,0 +1,119 @@
+/*
+ * Helpers to access a storage object whose methods either return their
+ * result directly (localStorage, CookieStorage, MemoryStorage) or return a
+ * promise for it (AsyncStorage, IndexedDB wrappers, remote session stores).
+ *
+ * When every call returns synchronously the callback is invoked
+ * synchronously as well, so synchronous storages behave exactly as they did
+ * before asynchronous storages were supported.
+ */
+
+/**
+ * @param {*} value Value returned by a storage method.
+ * @returns {boolean} true if the value is a promise or another thenable
+ */
+export function isPromiseLike(value) {
+	return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Waits for the storage results if needed and hands them to the callback.
+ * @param {Array} results Values returned by the storage calls.
+ * @param {nodeCallback<Array>=} callback Called with the settled values.
+ * @returns {Promise<Array>|undefined} a promise when any result was asynchronous
+ */
+function settle(results, callback) {
+	if (!results.some(isPromiseLike)) {
+		if (callback) {
+			callback(null, results);
+		}
+		return undefined;
+	}
+
+	const promise = Promise.all(results);
+	if (callback) {
+		promise.then(
+			values => callback(null, values),
+			err => callback(err, null)
+		);
+	} else {
+		// Writes without a callback are best effort, the callers awaiting the
+		// promise still get the error
+		promise.catch(() => {});
+	}
+	return promise;
+}
+
+/**
+ * Reads several items from the storage.
+ * @param {object} storage The storage to read from.
+ * @param {string[]} keys The keys to read.
+ * @param {nodeCallback<Array>} callback Called with the values, in key order.
+ * @returns {Promise<Array>|undefined} a promise when the storage is asynchronous
+ */
+export function getItems(storage, keys, callback) {
+	return settle(
+		keys.map(key => storage.getItem(key)),
+		callback
+	);
+}
+
+/**
+ * Writes several items to the storage.
+ * @param {object} storage The storage to write to.
+ * @param {object} items Map of the keys and values to write.
+ * @param {nodeCallback=} callback Called once every item is written.
+ * @returns {Promise<Array>|undefined} a promise when the storage is asynchronous
+ */
+export function setItems(storage, items, callback) {
+	return settle(
+		Object.keys(items).map(key => storage.setItem(key, items[key])),
+		callback
+	);
+}
+
+/**
+ * Removes several items from the storage.
+ * @param {object} storage The storage to remove from.
+ * @param {string[]} keys The keys to remove.
+ * @param {nodeCallback=} callback Called once every item is removed.
+ * @returns {Promise<Array>|undefined} a promise when the storage is asynchronous
+ */
+export function removeItems(storage, keys, callback) {
+	return settle(
+		keys.map(key => storage.removeItem(key)),
+		callback
+	);
+}
+
+/**
+ * Runs an operation chaining several storage calls, keeping it synchronous
+ * when the storage is synchronous.
+ * @param {function} operation Called with a nodeCallback ending the operation.
+ * @param {nodeCallback=} callback Called once the operation ends.
+ * @returns {Promise|undefined} a promise when the operation did not end synchronously
+ */
+export function runOperation(operation, callback) {
+	let outcome = null;
+	let onOutcome = null;
+	operation((err, value) => {
+		if (callback) {
+			callback(err, value);
+		}
+		if (onOutcome) {
+			onOutcome(err, value);
+		} else {
+			outcome = [err, value];
+		}
+	});
+	if (outcome) {
+		return undefined;
+	}
+	const promise = new Promise((resolve, reject) => {
+		onOutcome = (err, value) => (err ? reject(err) : resolve(value));
+	});
+	// The error is handed to the callback, or to the callers awaiting the
+	// promise: operations run without either are best effort
+	promise.catch(() => {});
+	return promise;
+}
@@ -0,0 +1,113 @@
+/*
+ * Time-based one-time passwords (RFC 6238) as used by the SOFTWARE_TOKEN_MFA
+ * challenge. The secret returned by AssociateSoftwareToken is base32 encoded
+ * (RFC 4648) and the codes are 6 digit HMAC-SHA1 codes over 30 second steps.
+ */
+
+import { Buffer } from 'buffer';
+import CryptoJS from 'crypto-js/core';
+import 'crypto-js/lib-typedarrays'; // necessary for crypto js
+import hmacSHA1 from 'crypto-js/hmac-sha1';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} bytes The bytes to encode.
+ * @returns {string} the base32 encoding of the bytes, without padding
+ */
+export function encodeBase32(bytes) {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+	for (let i = 0; i < bytes.length; i++) {
+		value = (value << 8) | bytes[i];
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+	return output;
+}
+
+/**
+ * @param {string} encoded A base32 string, case and padding insensitive.
+ * @returns {Buffer} the decoded bytes
+ */
+export function decodeBase32(encoded) {
+	const chars = encoded.toUpperCase().replace(/[\s=]/g, '');
+	const bytes = [];
+	let bits = 0;
+	let value = 0;
+	for (let i = 0; i < chars.length; i++) {
+		const index = BASE32_ALPHABET.indexOf(chars[i]);
+		if (index === -1) {
+			throw new Error(`Invalid base32 character: ${chars[i]}`);
+		}
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Generates the code of a secret for a point in time.
+ * @param {string} secret The base32 encoded secret.
+ * @param {object=} options Code options.
+ * @param {int} options.time Milliseconds since the epoch (default: now)
+ * @param {int} options.step Seconds each code is valid for (default: 30)
+ * @param {int} options.digits Number of digits of the code (default: 6)
+ * @returns {string} the code
+ */
+export function generateTotp(
+	secret,
+	{ time = Date.now(), step = 30, digits = 6 } = {}
+) {
+	const counter = Math.floor(time / 1000 / step);
+	const message = Buffer.alloc(8);
+	message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+	message.writeUInt32BE(counter % 0x100000000, 4);
+
+	const hmac = Buffer.from(
+		hmacSHA1(
+			CryptoJS.lib.WordArray.create(message),
+			CryptoJS.lib.WordArray.create(decodeBase32(secret))
+		).toString(),
+		'hex'
+	);
+	const offset = hmac[hmac.length - 1] & 15;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	const code = `${binary % 10 ** digits}`;
+	return new Array(digits - code.length + 1).join('0') + code;
+}
+
+/**
+ * Checks a code against a secret, accepting the codes of the neighbouring
+ * steps to tolerate clock drift.
+ * @param {string} code The code to check.
+ * @param {string} secret The base32 encoded secret.
+ * @param {object=} options Verification options, those of generateTotp and:
+ * @param {int} options.window Number of steps accepted before and after the
+ *        current one (default: 1)
+ * @returns {boolean} true if the code is valid
+ */
+export function verifyTotp(code, secret, options = {}) {
+	const { time = Date.now(), step = 30, window = 1 } = options;
+	for (let drift = -window; drift <= window; drift++) {
+		const stepTime = time + drift * step * 1000;
+		if (
+			generateTotp(secret, Object.assign({}, options, { time: stepTime })) ===
+			`${code}`
+		) {
+			return true;
+		}
+	}
+	return false;
+}